@@ -0,0 +1,98 @@
+// 🤖 AI CONFIGURATION
+// Which LLM answers application questions, and with which settings per question category
+
+module.exports = {
+  // openai | anthropic | local | stub
+  provider: process.env.LLM_PROVIDER || 'openai',
+
+  providers: {
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY
+    },
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY
+    },
+    // Any OpenAI-compatible server: Ollama, llama.cpp server, LM Studio, vLLM
+    local: {
+      baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY
+    },
+    // Offline canned answers for tests and dry runs
+    stub: {}
+  },
+
+  // Model names differ per provider; categories pick from these unless they name their own
+  models: {
+    openai: process.env.OPENAI_MODEL || 'gpt-4',
+    anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    local: process.env.LOCAL_LLM_MODEL || 'llama3.1:8b',
+    stub: 'stub'
+  },
+
+  defaults: {
+    temperature: 0.7,
+    maxTokens: 300
+  },
+
+  // Keys are the generation types of src/ai/QuestionTaxonomy.js. Each entry may set provider, model
+  // (a name, or { openai: '...', anthropic: '...' }), temperature and maxTokens.
+  categories: {
+    motivation: { temperature: 0.7, maxTokens: 300 },
+    experience: { temperature: 0.6, maxTokens: 300 },
+    // Short factual answers do fine on the smaller models
+    skills: { model: { openai: 'gpt-4o-mini' }, temperature: 0.4, maxTokens: 200 },
+    technical: { model: { anthropic: 'claude-3-5-sonnet-latest' }, temperature: 0.3, maxTokens: 300 },
+    behavioral: { model: { anthropic: 'claude-3-5-sonnet-latest' }, temperature: 0.7, maxTokens: 400 },
+    goals: { temperature: 0.8, maxTokens: 250 },
+    cover_letter: { temperature: 0.7, maxTokens: 600 },
+    general: { temperature: 0.7, maxTokens: 300 }
+  },
+
+  // Spending limits in USD; leave a limit at 0 to disable it
+  budget: {
+    dailyUSD: Number(process.env.LLM_DAILY_BUDGET_USD || 2),
+    monthlyUSD: Number(process.env.LLM_MONTHLY_BUDGET_USD || 30)
+  },
+
+  // USD per million tokens, matched by model family ("claude-3-5-sonnet-20241022" uses the -latest price).
+  // Local and stub models are free; other models missing here are charged the highest rate listed
+  pricing: {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+    'text-embedding-3-small': { input: 0.02, output: 0 }
+  },
+
+  // Reuse of earlier answers (src/ai/AnswerMemory.js)
+  memory: {
+    // Embeddings need a provider that has them (openai or local); otherwise TF-IDF is used
+    embeddings: process.env.ANSWER_MEMORY_EMBEDDINGS === 'true',
+    embeddingModel: {
+      openai: 'text-embedding-3-small',
+      local: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text'
+    },
+    // true (default): only answers approved or edited on review are reused; false: anything not rejected is
+    requireApproval: process.env.ANSWER_MEMORY_REQUIRE_APPROVAL !== 'false',
+    thresholds: { embedding: 0.88, tfidf: 0.6 }
+  },
+
+  // Answers scored below the threshold wait in data/review_queue.json and pause the application (src/ai/ReviewQueue.js)
+  review: {
+    threshold: Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.6),
+    // Ask the LLM to rate each generated answer as well - one more small call per answer
+    selfEvaluation: process.env.LLM_SELF_EVALUATION === 'true'
+  },
+
+  // Resume and prep documents (PDF, DOCX, Markdown or text) parsed into src/ai/KnowledgeBaseBuilder.js entries
+  knowledgeBase: {
+    // Comma-separated, relative to the repository root
+    sources: (process.env.KNOWLEDGE_BASE_FILES || 'demo apply/prep document.pdf').split(',').map(file => file.trim()).filter(Boolean),
+    // Parsed documents are cached here by content hash
+    cacheDir: 'data/knowledge_base'
+  },
+
+  // Answer free-text questions on JobRight forms with the LLM (off by default to keep costs down)
+  answerFormQuestions: process.env.AI_FORM_ANSWERS === 'true'
+};
@@ -0,0 +1,15 @@
+// 🗄️ DATABASE CONFIGURATION
+// Where jobs, applications, answers, attempts and status history are kept - see database/
+
+module.exports = {
+  // sqlite | postgres; setting DATABASE_URL alone switches to Postgres
+  client: process.env.DATABASE_CLIENT || (process.env.DATABASE_URL ? 'postgres' : 'sqlite'),
+
+  sqlite: {
+    filename: process.env.SQLITE_FILE || 'data/job_automation.db'
+  },
+
+  postgres: {
+    connectionString: process.env.DATABASE_URL
+  }
+};
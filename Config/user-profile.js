@@ -10,7 +10,11 @@ module.exports = {
     phone: "[YOUR_PHONE]",
     location: "[YOUR_LOCATION]",
     linkedinUrl: "https://www.linkedin.com/in/[YOUR_LINKEDIN_ID]/",
-    resumeUrl: "[YOUR_RESUME_URL]"
+    githubUrl: "https://github.com/[YOUR_GITHUB_ID]",
+    portfolioUrl: "[YOUR_PORTFOLIO_URL]",
+    resumeUrl: "[YOUR_RESUME_URL]",
+    // PDF or DOCX attached to upload fields, relative to the repository root
+    resumeFile: "[YOUR_RESUME_FILE]"
   },
 
   professional: {
@@ -19,7 +23,17 @@ module.exports = {
     experience: "[YOUR_EXPERIENCE]",
     salaryExpectation: "$90,000 - $140,000",
     workAuthorization: "Will require H1B sponsorship",
+    // Yes/no answers for eligibility questions - see src/forms/WorkAuthorizationPolicy.js
+    workEligibility: {
+      authorizedToWork: true,
+      requiresSponsorship: true,
+      citizenOrPermanentResident: false,
+      visaStatus: "[YOUR_VISA_STATUS]"
+    },
     availability: "2 weeks notice",
+    willingToRelocate: true,
+    // Answer to "How did you hear about us?"
+    referralSource: "Online job board",
     
     skills: [
       "Java", "Python", "JavaScript", "SQL", "TypeScript",
@@ -29,6 +43,23 @@ module.exports = {
       "LLM API Integration", "OpenAI/GPT-4", "AI/ML"
     ],
 
+    // Answers "How many years of experience with X?" - see src/forms/SkillsResolver.js
+    // years: a number; lastUsed: "YYYY" or "current"; proficiency: beginner | intermediate | advanced | expert
+    // Common aliases ("JS", "Postgres", "K8s") are built in; list any others under aliases
+    skillsMatrix: [
+      { name: "Java", years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "Python", years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "JavaScript", years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "TypeScript", years: "[YEARS]", lastUsed: "current", proficiency: "intermediate" },
+      { name: "SQL", years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "Spring Boot", aliases: ["Spring"], years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "Node.js", years: "[YEARS]", lastUsed: "current", proficiency: "intermediate" },
+      { name: "PostgreSQL", years: "[YEARS]", lastUsed: "current", proficiency: "advanced" },
+      { name: "Apache Kafka", years: "[YEARS]", lastUsed: "current", proficiency: "intermediate" },
+      { name: "AWS", years: "[YEARS]", lastUsed: "current", proficiency: "intermediate" },
+      { name: "Docker", years: "[YEARS]", lastUsed: "current", proficiency: "intermediate" }
+    ],
+
     accomplishments: [
       {
         title: "[YOUR_ACCOMPLISHMENT_1_TITLE]",
@@ -45,14 +76,51 @@ module.exports = {
         description: "[YOUR_ACCOMPLISHMENT_3_DESCRIPTION]",
         metrics: "[YOUR_ACCOMPLISHMENT_3_METRICS]"
       }
+    ],
+
+    // Most recent first; dates are "YYYY-MM", endDate null for the current job
+    workHistory: [
+      {
+        title: "Software Engineer",
+        company: "[YOUR_COMPANY]",
+        location: "[YOUR_LOCATION]",
+        startDate: "[YYYY-MM]",
+        endDate: null,
+        description: "Developed and maintained backend systems using Java and Spring Boot"
+      }
     ]
   },
 
+  education: [
+    {
+      school: "[YOUR_UNIVERSITY]",
+      degree: "Master's Degree",
+      fieldOfStudy: "Computer Science",
+      startYear: "[YYYY]",
+      endYear: "[YYYY]",
+      gpa: ""
+    }
+  ],
+
   automation: {
     maxApplicationsPerDay: 30,
     platforms: ['jobright', 'linkedin', 'workday'],
     runSchedule: '0 9,13,17,21 * * *',
-    minATSScore: 70
+    minATSScore: 70,
+    // Days before applying to another role at a company already applied to (0 turns it off);
+    // the same posting is never applied to twice - see src/automation/DuplicateGuard.js
+    companyCooldownDays: 30
+  },
+
+  // Voluntary self-identification (EEO) answers - see src/forms/EEOHandler.js
+  // "decline" picks the form's "decline to self-identify" option; anything else is matched against
+  // the option text, e.g. gender: "Male", race: "Asian", veteranStatus: "I am not a protected veteran"
+  eeo: {
+    gender: "decline",
+    race: "decline",
+    hispanicOrLatino: "decline",
+    veteranStatus: "decline",
+    disabilityStatus: "decline"
   },
 
   credentials: {
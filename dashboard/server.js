@@ -2,6 +2,11 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
+const CostTracker = require('../src/ai/CostTracker');
+const AnswerMemory = require('../src/ai/AnswerMemory');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+const ApplicationRepository = require('../database/ApplicationRepository');
+const ApplicationLifecycle = require('../src/automation/ApplicationLifecycle');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,7 +17,6 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Data storage
 const DATA_DIR = path.join(__dirname, '../data');
-const SUBMISSIONS_FILE = path.join(DATA_DIR, 'submissions.json');
 const AI_LEARNING_FILE = path.join(DATA_DIR, 'ai_learning.json');
 
 // Ensure data directory exists
@@ -21,10 +25,6 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 // Initialize data files if they don't exist
-if (!fs.existsSync(SUBMISSIONS_FILE)) {
-    fs.writeFileSync(SUBMISSIONS_FILE, JSON.stringify([], null, 2));
-}
-
 if (!fs.existsSync(AI_LEARNING_FILE)) {
     fs.writeFileSync(AI_LEARNING_FILE, JSON.stringify([], null, 2));
 }
@@ -40,6 +40,19 @@ function readJsonFile(filePath) {
     }
 }
 
+// Applications and their status history, shared with the automators
+const applicationRepository = new ApplicationRepository();
+
+// The row shape the dashboard lists show
+function toSubmission(application) {
+    return {
+        ...application,
+        success: ApplicationLifecycle.isApplied(application.status),
+        statusLabel: ApplicationLifecycle.label(application.status),
+        timestamp: application.submittedAt || application.updatedAt
+    };
+}
+
 // Helper function to write JSON file
 function writeJsonFile(filePath, data) {
     try {
@@ -54,28 +67,27 @@ function writeJsonFile(filePath, data) {
 // API Routes
 
 // Get dashboard statistics
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
     try {
-        const submissions = readJsonFile(SUBMISSIONS_FILE);
+        const counts = await applicationRepository.stats();
+        const funnel = await applicationRepository.funnel();
+        const recent = await applicationRepository.listApplications({ limit: 10 });
         const aiLearning = readJsonFile(AI_LEARNING_FILE);
+        const failed = counts.byStatus.failed || 0;
         
         const stats = {
-            totalApplications: submissions.length,
-            successfulApplications: submissions.filter(s => s.success).length,
-            failedApplications: submissions.filter(s => !s.success).length,
-            successRate: submissions.length > 0 ? 
-                ((submissions.filter(s => s.success).length / submissions.length) * 100).toFixed(1) : 0,
+            totalApplications: counts.total,
+            successfulApplications: counts.applied,
+            failedApplications: failed,
+            // Skipped jobs and dry runs were never attempted, so they do not count against the rate
+            successRate: counts.applied + failed > 0 ? ((counts.applied / (counts.applied + failed)) * 100).toFixed(1) : 0,
+            byStatus: counts.byStatus,
             totalAIInteractions: aiLearning.length,
-            platforms: {
-                workday: submissions.filter(s => s.platform === 'workday').length,
-                linkedin: submissions.filter(s => s.platform === 'linkedin').length,
-                greenhouse: submissions.filter(s => s.platform === 'greenhouse').length,
-                lever: submissions.filter(s => s.platform === 'lever').length,
-                bamboohr: submissions.filter(s => s.platform === 'bamboohr').length,
-                apple: submissions.filter(s => s.platform === 'apple').length,
-                generic: submissions.filter(s => s.platform === 'generic').length
-            },
-            recentActivity: submissions.slice(-10).reverse()
+            totalAnswers: counts.answers,
+            platforms: Object.fromEntries(Object.entries(counts.byPlatform).map(([platform, platformCounts]) => [platform, platformCounts.total])),
+            // Submitted → confirmation → assessment → interview → offer, overall ("all") and per platform
+            funnel,
+            recentActivity: recent.map(toSubmission)
         };
         
         res.json(stats);
@@ -84,11 +96,69 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
-// Get all submissions
-app.get('/api/submissions', (req, res) => {
+// Get applications, newest first; ?status=submitted|failed|skipped|awaiting_review|dry_run&platform=&limit=
+app.get('/api/submissions', async (req, res) => {
+    try {
+        const applications = await applicationRepository.listApplications({
+            status: req.query.status,
+            platform: req.query.platform,
+            limit: Number(req.query.limit) || 100
+        });
+        res.json(applications.map(toSubmission));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Applications with their lifecycle status; ?status=&platform=&limit=
+app.get('/api/applications', async (req, res) => {
+    try {
+        res.json(await applicationRepository.listApplications({
+            status: req.query.status,
+            platform: req.query.platform,
+            limit: Number(req.query.limit) || 100
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One application with its attempts, answers and status history
+app.get('/api/applications/:id', async (req, res) => {
+    try {
+        const application = await applicationRepository.getApplication(req.params.id);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+        res.json(application);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Move an application along its lifecycle: { status, reason, source: manual|email|portal, at }
+app.post('/api/applications/:id/status', async (req, res) => {
     try {
-        const submissions = readJsonFile(SUBMISSIONS_FILE);
-        res.json(submissions);
+        const { status, reason, source = 'manual', at } = req.body;
+        const result = await applicationRepository.setStatus(req.params.id, status, { reason, source, at });
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Correct a recorded status change: { at, reason, source }
+app.patch('/api/applications/:id/history/:historyId', async (req, res) => {
+    try {
+        const { at, reason, source } = req.body;
+        const result = await applicationRepository.updateTransition(req.params.id, req.params.historyId, { at, reason, source });
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -104,6 +174,52 @@ app.get('/api/ai-learning', (req, res) => {
     }
 });
 
+// Get LLM spend against the daily/monthly budget
+app.get('/api/llm-budget', (req, res) => {
+    try {
+        const costTracker = new CostTracker();
+        res.json(costTracker.getStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The queue the review routes work on; decisions are applied to the stored Q&A pairs too
+app.locals.createReviewQueue = () => new ReviewQueue({ answerMemory: new AnswerMemory() });
+
+// Low-confidence answers waiting for a human; ?status=pending|approved|edited|rejected
+app.get('/api/review-queue', (req, res) => {
+    try {
+        const reviewQueue = req.app.locals.createReviewQueue();
+        res.json(reviewQueue.list({ status: req.query.status }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve, edit or reject a queued answer; the paused application uses the decision on its next attempt
+function resolveReviewItem(action) {
+    return (req, res) => {
+        try {
+            const reviewQueue = req.app.locals.createReviewQueue();
+            const result = action === 'edit'
+                ? reviewQueue.edit(req.params.id, req.body.answer)
+                : reviewQueue[action](req.params.id);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+app.post('/api/review-queue/:id/approve', resolveReviewItem('approve'));
+app.post('/api/review-queue/:id/edit', resolveReviewItem('edit'));
+app.post('/api/review-queue/:id/reject', resolveReviewItem('reject'));
+
 // Start automation process
 app.post('/api/start-automation', (req, res) => {
     try {
@@ -164,16 +280,15 @@ app.post('/api/start-automation', (req, res) => {
 });
 
 // Get automation status
-app.get('/api/automation-status', (req, res) => {
+app.get('/api/automation-status', async (req, res) => {
     try {
         // Check if automation process is running
-        const submissions = readJsonFile(SUBMISSIONS_FILE);
-        const lastSubmission = submissions[submissions.length - 1];
+        const recent = await applicationRepository.listApplications({ limit: 5 });
         
         const status = {
             isRunning: false, // This would need to be tracked in a real implementation
-            lastActivity: lastSubmission ? lastSubmission.timestamp : null,
-            recentSubmissions: submissions.slice(-5).reverse()
+            lastActivity: recent.length > 0 ? recent[0].updatedAt : null,
+            recentSubmissions: recent.map(toSubmission)
         };
         
         res.json(status);
@@ -207,21 +322,22 @@ app.post('/api/ai-learning', (req, res) => {
 });
 
 // Get platform-specific statistics
-app.get('/api/platform-stats/:platform', (req, res) => {
+app.get('/api/platform-stats/:platform', async (req, res) => {
     try {
         const { platform } = req.params;
-        const submissions = readJsonFile(SUBMISSIONS_FILE);
-        
-        const platformSubmissions = submissions.filter(s => s.platform === platform);
+        const counts = (await applicationRepository.stats()).byPlatform[platform] || { total: 0, applied: 0, failed: 0 };
+        const funnel = (await applicationRepository.funnel())[platform] || ApplicationLifecycle.funnel([]);
+        const recent = await applicationRepository.listApplications({ platform, limit: 10 });
         
         const stats = {
             platform,
-            totalApplications: platformSubmissions.length,
-            successfulApplications: platformSubmissions.filter(s => s.success).length,
-            failedApplications: platformSubmissions.filter(s => !s.success).length,
-            successRate: platformSubmissions.length > 0 ? 
-                ((platformSubmissions.filter(s => s.success).length / platformSubmissions.length) * 100).toFixed(1) : 0,
-            recentApplications: platformSubmissions.slice(-10).reverse()
+            totalApplications: counts.total,
+            successfulApplications: counts.applied,
+            failedApplications: counts.failed,
+            successRate: counts.applied + counts.failed > 0 ?
+                ((counts.applied / (counts.applied + counts.failed)) * 100).toFixed(1) : 0,
+            funnel,
+            recentApplications: recent.map(toSubmission)
         };
         
         res.json(stats);
@@ -285,10 +401,12 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Dashboard server running on http://localhost:${PORT}`);
-    console.log(`📊 API available at http://localhost:${PORT}/api`);
-});
+// Start server when run directly; tests require the app and listen themselves
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Dashboard server running on http://localhost:${PORT}`);
+        console.log(`📊 API available at http://localhost:${PORT}/api`);
+    });
+}
 
 module.exports = app; 
\ No newline at end of file
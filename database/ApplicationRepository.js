@@ -0,0 +1,475 @@
+// 📚 APPLICATION REPOSITORY - the one place automators and the dashboard read and write application records
+//
+// Jobs are keyed by JobIdentity (company, title, location and ATS requisition id). Each job has one
+// application; every try at it is an attempt with the answers it gave, and every status change is kept
+// in status_history.
+
+const Database = require('./Database');
+const Migrator = require('./Migrator');
+const JobIdentity = require('../src/utils/JobIdentity');
+const ApplicationLifecycle = require('../src/automation/ApplicationLifecycle');
+
+const newId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+const parseJson = (text) => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+function toApplication(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    jobTitle: row.title || null,
+    company: row.company || null,
+    location: row.location || null,
+    url: row.url || null,
+    score: row.score === null || row.score === undefined ? null : Number(row.score),
+    platform: row.platform,
+    status: row.status,
+    externalUrl: row.external_url,
+    confirmationText: row.confirmation_text,
+    confirmationNumber: row.confirmation_number,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    submittedAt: row.submitted_at
+  };
+}
+
+const APPLICATION_COLUMNS = `a.*, j.title, j.company, j.location, j.url, j.score`;
+
+class ApplicationRepository {
+  constructor(options = {}) {
+    this.db = options.db || new Database(options);
+    this.migrator = new Migrator(this.db);
+    this.readyPromise = null;
+  }
+
+  // What an attempt by the automation can end in; later statuses come through setStatus
+  static OUTCOMES = ['submitted', ...ApplicationLifecycle.PRE_SUBMISSION];
+
+  // Creates or upgrades the schema once per process
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.migrator.migrate()
+        .then(() => this.backfillIdentities())
+        .catch(error => {
+          this.readyPromise = null;
+          throw error;
+        });
+    }
+    return this.readyPromise;
+  }
+
+  // Jobs stored before identities existed get them; their job_key changes unless another row holds it
+  async backfillIdentities() {
+    const rows = await this.db.query('SELECT id, title, company, location, url FROM jobs WHERE company_key IS NULL');
+
+    for (const row of rows) {
+      const identity = JobIdentity.of(row);
+      const taken = await this.db.get('SELECT id FROM jobs WHERE job_key = ? AND id <> ?', [identity.key, row.id]);
+      await this.db.run(`UPDATE jobs SET job_key = CASE WHEN ? = 1 THEN job_key ELSE ? END, company_key = ?, title_key = ?,
+        location_key = ?, requisition_id = ? WHERE id = ?`,
+      [taken ? 1 : 0, identity.key, identity.companyKey, identity.titleKey, identity.locationKey, identity.requisitionId, row.id]);
+    }
+  }
+
+  async saveJob(job, db = this.db) {
+    const now = new Date().toISOString();
+    const identity = JobIdentity.of(job);
+    const summary = job.descriptionSummary ? JSON.stringify(job.descriptionSummary) : null;
+    const values = [job.title || null, job.company || null, job.location || null, job.url || null,
+      job.score === undefined ? null : job.score, job.description || null, summary, identity.requisitionId];
+
+    // The requisition id finds a posting seen before under a differently written location
+    const existing = await db.get('SELECT id FROM jobs WHERE job_key = ?', [identity.key]) ||
+      (identity.requisitionId ? await db.get('SELECT id FROM jobs WHERE requisition_id = ?', [identity.requisitionId]) : null);
+    if (existing) {
+      // Later sightings fill in what earlier ones lacked without erasing it
+      await db.run(`UPDATE jobs SET title = COALESCE(?, title), company = COALESCE(?, company), location = COALESCE(?, location),
+        url = COALESCE(?, url), score = COALESCE(?, score), description = COALESCE(?, description),
+        description_summary = COALESCE(?, description_summary), requisition_id = COALESCE(?, requisition_id), updated_at = ?
+        WHERE id = ?`, [...values, now, existing.id]);
+      return existing.id;
+    }
+
+    const id = newId('job');
+    await db.run(`INSERT INTO jobs (id, job_key, title, company, location, url, score, description, description_summary, requisition_id,
+      company_key, title_key, location_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, identity.key, ...values, identity.companyKey, identity.titleKey, identity.locationKey, now, now]);
+    return id;
+  }
+
+  // Applications to the same posting, wherever it was found; newest first
+  async findApplicationsForPosting(job) {
+    await this.ready();
+
+    const identity = JobIdentity.of(job);
+    const conditions = [];
+    const params = [];
+    if (identity.requisitionId) {
+      conditions.push('j.requisition_id = ?');
+      params.push(identity.requisitionId);
+    }
+    if (identity.companyKey && identity.titleKey) {
+      conditions.push('(j.company_key = ? AND j.title_key = ?)');
+      params.push(identity.companyKey, identity.titleKey);
+    }
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const rows = await this.db.query(`SELECT ${APPLICATION_COLUMNS}, j.company_key, j.title_key, j.location_key, j.requisition_id
+      FROM applications a JOIN jobs j ON j.id = a.job_id WHERE ${conditions.join(' OR ')} ORDER BY a.updated_at DESC`, params);
+
+    return rows
+      .filter(row => JobIdentity.samePosting(identity, {
+        companyKey: row.company_key, titleKey: row.title_key, locationKey: row.location_key, requisitionId: row.requisition_id
+      }))
+      .map(toApplication);
+  }
+
+  // The most recent submitted application to any posting at the company, or null
+  async findLastSubmissionToCompany(company) {
+    await this.ready();
+
+    const companyKey = JobIdentity.normalizeCompany(company);
+    if (!companyKey) {
+      return null;
+    }
+    const row = await this.db.get(`SELECT ${APPLICATION_COLUMNS} FROM applications a JOIN jobs j ON j.id = a.job_id
+      WHERE j.company_key = ? AND a.submitted_at IS NOT NULL ORDER BY a.submitted_at DESC LIMIT 1`, [companyKey]);
+    return row ? toApplication(row) : null;
+  }
+
+  // Applications the companies have, whatever happened to them since, newest submission first
+  async listSubmittedApplications() {
+    await this.ready();
+
+    const rows = await this.db.query(`SELECT ${APPLICATION_COLUMNS} FROM applications a JOIN jobs j ON j.id = a.job_id
+      WHERE a.submitted_at IS NOT NULL ORDER BY a.submitted_at DESC`);
+    return rows.map(toApplication);
+  }
+
+  async findApplicationByJob(jobId, db = this.db) {
+    return db.get('SELECT * FROM applications WHERE job_id = ? ORDER BY created_at DESC LIMIT 1', [jobId]);
+  }
+
+  async ensureApplication(job, platform, db = this.db) {
+    const jobId = await this.saveJob(job, db);
+    const existing = await this.findApplicationByJob(jobId, db);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const application = { id: newId('app'), job_id: jobId, platform: platform || null, status: 'new', created_at: now };
+    await db.run('INSERT INTO applications (id, job_id, platform, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [application.id, jobId, application.platform, application.status, now, now]);
+    return application;
+  }
+
+  // Writes the change to the application and its history; the caller has checked it is allowed
+  async changeStatus(db, application, status, { reason = null, source = 'automation', at = new Date().toISOString() } = {}) {
+    if (application.status === status) {
+      return false;
+    }
+
+    const applied = ApplicationLifecycle.isApplied(status) ? 1 : 0;
+    await db.run(`UPDATE applications SET status = ?, updated_at = ?,
+      submitted_at = CASE WHEN ? = 1 THEN COALESCE(submitted_at, ?) ELSE submitted_at END WHERE id = ?`,
+    [status, at, applied, at, application.id]);
+    await db.run(`INSERT INTO status_history (id, application_id, from_status, to_status, reason, source, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [newId('status'), application.id, application.status === 'new' ? null : application.status, status, reason, source, at]);
+    application.status = status;
+    return true;
+  }
+
+  // One attempt at a job: status is one of OUTCOMES, result is what applyToJobWithAI returned
+  async recordResult(job, { platform = null, status, reason = null, runId = null, startedAt = null, result = {} } = {}) {
+    if (!ApplicationRepository.OUTCOMES.includes(status)) {
+      throw new Error(`Unknown application outcome "${status}"`);
+    }
+    await this.ready();
+
+    return this.db.transaction(async (db) => {
+      const now = new Date().toISOString();
+      const application = await this.ensureApplication(job, platform, db);
+      const attemptId = newId('attempt');
+
+      await db.run(`INSERT INTO application_attempts (id, application_id, run_id, platform, outcome, error, review_ids, started_at, finished_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [attemptId, application.id, runId, platform, status, reason, JSON.stringify(result.review_ids || []), startedAt || now, now]);
+
+      for (const response of result.ai_responses || []) {
+        await db.run(`INSERT INTO answers (id, application_id, attempt_id, question, answer, source, field_type, confidence, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [newId('answer'), application.id, attemptId, response.question || '', response.answer === undefined ? null : String(response.answer),
+          response.source || null, response.fieldType || null, typeof response.confidence === 'number' ? response.confidence : null, now]);
+      }
+
+      await db.run('UPDATE applications SET platform = COALESCE(?, platform), external_url = COALESCE(?, external_url), error = ?, updated_at = ? WHERE id = ?',
+        [platform, result.external_url || null, status === 'failed' ? reason : null, now, application.id]);
+
+      // A later skip or dry run does not undo a submission or anything after it
+      if (!ApplicationLifecycle.isApplied(application.status)) {
+        await this.changeStatus(db, application, status, { reason });
+      }
+
+      return { applicationId: application.id, attemptId, status: application.status };
+    });
+  }
+
+  // Confirmation page details, recorded the moment a submission is verified; at backdates imported ones
+  async recordSubmission(job, details = {}, { platform = null, at = new Date().toISOString() } = {}) {
+    await this.ready();
+
+    return this.db.transaction(async (db) => {
+      const application = await this.ensureApplication(job, platform, db);
+      await db.run(`UPDATE applications SET platform = COALESCE(?, platform), external_url = COALESCE(?, external_url),
+        confirmation_text = ?, confirmation_number = ? WHERE id = ?`,
+      [platform, details.url || null, details.confirmationText || null, details.confirmationNumber || null, application.id]);
+      if (!ApplicationLifecycle.isApplied(application.status)) {
+        await this.changeStatus(db, application, 'submitted', { reason: 'Confirmation page detected', at });
+      }
+      return { applicationId: application.id };
+    });
+  }
+
+  static toTimestamp(at) {
+    if (at === undefined || at === null || at === '') {
+      return new Date().toISOString();
+    }
+    const date = new Date(at);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // A lifecycle move after submission - from an email, the dashboard or a portal check.
+  // options: { reason, source (default manual), at (when it happened, default now) }
+  async setStatus(applicationId, status, { reason = null, source = 'manual', at } = {}) {
+    const timestamp = ApplicationRepository.toTimestamp(at);
+    if (!timestamp) {
+      return { success: false, error: `Invalid date "${at}"` };
+    }
+    await this.ready();
+
+    return this.db.transaction(async (db) => {
+      const application = await db.get('SELECT id, status FROM applications WHERE id = ?', [applicationId]);
+      if (!application) {
+        return { success: false, error: `Application ${applicationId} not found` };
+      }
+
+      const transition = ApplicationLifecycle.canTransition(application.status, status, source);
+      if (!transition.allowed) {
+        return { success: false, error: transition.reason };
+      }
+
+      await this.changeStatus(db, application, status, { reason, source, at: timestamp });
+      return { success: true, application: await this.getApplication(applicationId, db) };
+    });
+  }
+
+  // Corrects when a recorded change happened, why, or where it came from. The application's status and
+  // submitted_at follow the history, so moving an entry can change which status is current.
+  async updateTransition(applicationId, historyId, changes = {}) {
+    if (changes.source !== undefined && !ApplicationLifecycle.SOURCES.includes(changes.source)) {
+      return { success: false, error: `Unknown source "${changes.source}" - use ${ApplicationLifecycle.SOURCES.join(', ')}` };
+    }
+    const timestamp = changes.at !== undefined ? ApplicationRepository.toTimestamp(changes.at) : undefined;
+    if (timestamp === null) {
+      return { success: false, error: `Invalid date "${changes.at}"` };
+    }
+    await this.ready();
+
+    return this.db.transaction(async (db) => {
+      const entry = await db.get('SELECT * FROM status_history WHERE id = ? AND application_id = ?', [historyId, applicationId]);
+      if (!entry) {
+        return { success: false, error: `Status change ${historyId} not found for application ${applicationId}` };
+      }
+
+      await db.run('UPDATE status_history SET created_at = ?, reason = ?, source = ? WHERE id = ?', [
+        timestamp || entry.created_at,
+        changes.reason !== undefined ? changes.reason : entry.reason,
+        changes.source || entry.source,
+        historyId
+      ]);
+
+      const history = await db.query('SELECT to_status, created_at FROM status_history WHERE application_id = ? ORDER BY created_at, id', [applicationId]);
+      const latest = history[history.length - 1];
+      const firstApplied = history.find(change => ApplicationLifecycle.isApplied(change.to_status));
+      await db.run('UPDATE applications SET status = ?, submitted_at = ?, updated_at = ? WHERE id = ?',
+        [latest.to_status, firstApplied ? firstApplied.created_at : null, new Date().toISOString(), applicationId]);
+
+      return { success: true, application: await this.getApplication(applicationId, db) };
+    });
+  }
+
+  // Newest first; filter: { status, platform, limit }
+  async listApplications(filter = {}) {
+    await this.ready();
+
+    const conditions = [];
+    const params = [];
+    if (filter.status) {
+      conditions.push('a.status = ?');
+      params.push(filter.status);
+    }
+    if (filter.platform) {
+      conditions.push('a.platform = ?');
+      params.push(filter.platform);
+    }
+    params.push(filter.limit || 100);
+
+    const rows = await this.db.query(`SELECT ${APPLICATION_COLUMNS} FROM applications a JOIN jobs j ON j.id = a.job_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY a.updated_at DESC, a.id DESC LIMIT ?`, params);
+    return rows.map(toApplication);
+  }
+
+  // The application with its job, attempts, answers and status history, or null
+  async getApplication(applicationId, db = this.db) {
+    await this.ready();
+
+    const row = await db.get(`SELECT ${APPLICATION_COLUMNS}, j.description_summary FROM applications a
+      JOIN jobs j ON j.id = a.job_id WHERE a.id = ?`, [applicationId]);
+    if (!row) {
+      return null;
+    }
+
+    const [attempts, answers, history] = await Promise.all([
+      db.query('SELECT * FROM application_attempts WHERE application_id = ? ORDER BY started_at, id', [applicationId]),
+      db.query('SELECT * FROM answers WHERE application_id = ? ORDER BY created_at, id', [applicationId]),
+      db.query('SELECT * FROM status_history WHERE application_id = ? ORDER BY created_at, id', [applicationId])
+    ]);
+
+    return {
+      ...toApplication(row),
+      descriptionSummary: parseJson(row.description_summary),
+      attempts: attempts.map(attempt => ({
+        id: attempt.id,
+        runId: attempt.run_id,
+        platform: attempt.platform,
+        outcome: attempt.outcome,
+        error: attempt.error,
+        reviewIds: parseJson(attempt.review_ids) || [],
+        startedAt: attempt.started_at,
+        finishedAt: attempt.finished_at
+      })),
+      answers: answers.map(answer => ({
+        id: answer.id,
+        attemptId: answer.attempt_id,
+        question: answer.question,
+        answer: answer.answer,
+        source: answer.source,
+        fieldType: answer.field_type,
+        confidence: answer.confidence === null ? null : Number(answer.confidence),
+        createdAt: answer.created_at
+      })),
+      history: history.map(change => ({
+        id: change.id,
+        from: change.from_status,
+        to: change.to_status,
+        reason: change.reason,
+        source: change.source,
+        at: change.created_at
+      }))
+    };
+  }
+
+  // { total, applied, byStatus: { status: n }, byPlatform: { platform: { total, applied, failed } }, answers }
+  // applied counts submitted applications whatever happened to them afterwards
+  async stats() {
+    await this.ready();
+
+    const [rows, answerRow] = await Promise.all([
+      this.db.query('SELECT platform, status, COUNT(*) AS count FROM applications GROUP BY platform, status'),
+      this.db.get('SELECT COUNT(*) AS count FROM answers')
+    ]);
+
+    const stats = { total: 0, applied: 0, byStatus: {}, byPlatform: {}, answers: Number(answerRow.count) };
+    rows.forEach(row => {
+      // Postgres returns COUNT as a string
+      const count = Number(row.count);
+      const platform = row.platform || 'unknown';
+      const platformStats = stats.byPlatform[platform] || (stats.byPlatform[platform] = { total: 0, applied: 0, failed: 0 });
+      const applied = ApplicationLifecycle.isApplied(row.status) ? count : 0;
+
+      stats.total += count;
+      stats.applied += applied;
+      stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + count;
+      platformStats.total += count;
+      platformStats.applied += applied;
+      if (row.status === 'failed') platformStats.failed += count;
+    });
+
+    return stats;
+  }
+
+  // Funnel conversion overall ("all") and per platform - see ApplicationLifecycle.funnel
+  async funnel() {
+    await this.ready();
+
+    const rows = await this.db.query(`SELECT a.id, a.platform, a.status, h.to_status FROM applications a
+      LEFT JOIN status_history h ON h.application_id = a.id`);
+
+    const applications = new Map();
+    rows.forEach(row => {
+      if (!applications.has(row.id)) {
+        applications.set(row.id, { platform: row.platform || 'unknown', status: row.status, statuses: [] });
+      }
+      if (row.to_status) applications.get(row.id).statuses.push(row.to_status);
+    });
+
+    const all = [...applications.values()].filter(application => ApplicationLifecycle.furthestStage([...application.statuses, application.status]) >= 0);
+    const funnels = { all: ApplicationLifecycle.funnel(all) };
+    [...new Set(all.map(application => application.platform))].sort().forEach(platform => {
+      funnels[platform] = ApplicationLifecycle.funnel(all.filter(application => application.platform === platform));
+    });
+    return funnels;
+  }
+
+  async hasEmail(messageId) {
+    await this.ready();
+    return !!(await this.db.get('SELECT id FROM email_messages WHERE message_id = ?', [messageId]));
+  }
+
+  // email: { messageId, from, subject, date }; outcome: { kind, code, applicationId, status, note }
+  async recordEmail(email, outcome = {}) {
+    await this.ready();
+
+    const id = newId('email');
+    await this.db.run(`INSERT INTO email_messages (id, message_id, received_at, from_address, subject, kind,
+      verification_code, application_id, status_set, note, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+      id,
+      email.messageId,
+      ApplicationRepository.toTimestamp(email.date) || new Date().toISOString(),
+      (email.from || {}).address || null,
+      email.subject || null,
+      outcome.kind || null,
+      outcome.code || null,
+      outcome.applicationId || null,
+      outcome.status || null,
+      outcome.note || null,
+      new Date().toISOString()
+    ]);
+    return id;
+  }
+
+  // When the newest email already looked at was received, or null before the first run
+  async lastEmailReceivedAt() {
+    await this.ready();
+    const row = await this.db.get('SELECT MAX(received_at) AS received_at FROM email_messages');
+    return row && row.received_at ? row.received_at : null;
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = ApplicationRepository;
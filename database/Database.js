@@ -0,0 +1,149 @@
+// 🗄️ DATABASE - one async interface over SQLite (better-sqlite3) and Postgres (pg)
+//
+// SQL is written once with ? placeholders and portable types; Postgres gets them renumbered as $1, $2, ...
+
+const fs = require('fs');
+const path = require('path');
+const DatabaseConfig = require('../Config/database-config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+class Database {
+  constructor(options = {}) {
+    this.client = options.client || DatabaseConfig.client;
+    this.filename = options.filename || DatabaseConfig.sqlite.filename;
+    this.connectionString = options.connectionString || DatabaseConfig.postgres.connectionString;
+    this.driver = null;
+    this.connection = null;
+    // better-sqlite3 has a single connection: transactions take turns, and other statements wait for the open one
+    this.transactionQueue = Promise.resolve();
+  }
+
+  static SUPPORTED_CLIENTS = ['sqlite', 'postgres'];
+
+  open() {
+    if (this.driver) {
+      return this.driver;
+    }
+
+    if (!Database.SUPPORTED_CLIENTS.includes(this.client)) {
+      throw new Error(`Unsupported database client "${this.client}" - use ${Database.SUPPORTED_CLIENTS.join(' or ')}`);
+    }
+
+    // Drivers are required on first use so each install only needs the one it uses
+    if (this.client === 'postgres') {
+      if (!this.connectionString) {
+        throw new Error('DATABASE_URL is required for the postgres client');
+      }
+      const { Pool } = require('pg');
+      this.driver = new Pool({ connectionString: this.connectionString });
+    } else {
+      const SQLite = require('better-sqlite3');
+      const filename = this.filename === ':memory:' ? this.filename : path.resolve(ROOT_DIR, this.filename);
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+      }
+      this.driver = new SQLite(filename);
+      this.driver.pragma('journal_mode = WAL');
+      this.driver.pragma('foreign_keys = ON');
+    }
+
+    return this.driver;
+  }
+
+  static toPostgres(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  }
+
+  // Outside a transaction, a SQLite statement would otherwise run inside whichever one is open and share its fate
+  async waitForTransaction() {
+    if (this.client !== 'postgres' && !this.connection) {
+      await this.transactionQueue;
+    }
+  }
+
+  async query(sql, params = []) {
+    if (this.client === 'postgres') {
+      const result = await (this.connection || this.open()).query(Database.toPostgres(sql), params);
+      return result.rows;
+    }
+    await this.waitForTransaction();
+    return this.open().prepare(sql).all(...params);
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return rows[0] || null;
+  }
+
+  async run(sql, params = []) {
+    if (this.client === 'postgres') {
+      const result = await (this.connection || this.open()).query(Database.toPostgres(sql), params);
+      return { changes: result.rowCount };
+    }
+    await this.waitForTransaction();
+    return { changes: this.open().prepare(sql).run(...params).changes };
+  }
+
+  // Several statements without parameters, e.g. a migration file
+  async exec(sql) {
+    if (this.client === 'postgres') {
+      await (this.connection || this.open()).query(sql);
+      return;
+    }
+    await this.waitForTransaction();
+    this.open().exec(sql);
+  }
+
+  // work(db) runs inside BEGIN/COMMIT and is rolled back if it throws; statements go through db, not this
+  async transaction(work) {
+    if (this.client === 'postgres') {
+      const connection = await this.open().connect();
+      const scoped = Object.create(this);
+      scoped.connection = connection;
+      try {
+        await connection.query('BEGIN');
+        const result = await work(scoped);
+        await connection.query('COMMIT');
+        return result;
+      } catch (error) {
+        await connection.query('ROLLBACK');
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+
+    const turn = this.transactionQueue.then(async () => {
+      const driver = this.open();
+      const scoped = Object.create(this);
+      scoped.connection = driver;
+      driver.exec('BEGIN');
+      try {
+        const result = await work(scoped);
+        driver.exec('COMMIT');
+        return result;
+      } catch (error) {
+        driver.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    this.transactionQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  async close() {
+    if (!this.driver) {
+      return;
+    }
+    if (this.client === 'postgres') {
+      await this.driver.end();
+    } else {
+      this.driver.close();
+    }
+    this.driver = null;
+  }
+}
+
+module.exports = Database;
@@ -0,0 +1,48 @@
+// 🧱 MIGRATOR - applies database/migrations/*.sql in file-name order, each once
+//
+// Name new files with the next number (002_add_x.sql). Applied files must not be edited - add another one.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+  }
+
+  migrationFiles() {
+    return fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_.+\.sql$/.test(file))
+      .sort();
+  }
+
+  async applied() {
+    await this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )`);
+    const rows = await this.db.query('SELECT name FROM schema_migrations');
+    return new Set(rows.map(row => row.name));
+  }
+
+  // Names of the migrations applied by this call
+  async migrate() {
+    const applied = await this.applied();
+    const pending = this.migrationFiles().filter(file => !applied.has(file));
+
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+      await this.db.transaction(async (db) => {
+        await db.exec(sql);
+        await db.run('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)', [file, new Date().toISOString()]);
+      });
+    }
+
+    return pending;
+  }
+}
+
+module.exports = Migrator;
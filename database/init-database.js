@@ -0,0 +1,53 @@
+// 🗄️ INIT DATABASE (npm run init-db)
+// Creates or upgrades the schema, then imports data/submissions.json left by older versions
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Database = require('./Database');
+const Migrator = require('./Migrator');
+const ApplicationRepository = require('./ApplicationRepository');
+
+const LEGACY_SUBMISSIONS_FILE = path.join(__dirname, '../data/submissions.json');
+
+async function importLegacySubmissions(repository) {
+  if (!fs.existsSync(LEGACY_SUBMISSIONS_FILE)) {
+    return 0;
+  }
+
+  const submissions = JSON.parse(fs.readFileSync(LEGACY_SUBMISSIONS_FILE, 'utf8'));
+  let imported = 0;
+
+  for (const submission of Array.isArray(submissions) ? submissions : []) {
+    if (!submission.url) continue;
+    await repository.recordSubmission({ url: submission.url }, submission, { at: submission.timestamp });
+    imported++;
+  }
+
+  // Keep the file for reference but never import it twice
+  fs.renameSync(LEGACY_SUBMISSIONS_FILE, `${LEGACY_SUBMISSIONS_FILE}.imported`);
+  return imported;
+}
+
+async function main() {
+  const db = new Database();
+  const repository = new ApplicationRepository({ db });
+
+  try {
+    console.log(`🗄️ Initializing ${db.client} database...`);
+    const applied = await new Migrator(db).migrate();
+    console.log(applied.length > 0 ? `✅ Applied migrations: ${applied.join(', ')}` : '✅ Schema is up to date');
+
+    const imported = await importLegacySubmissions(repository);
+    if (imported > 0) {
+      console.log(`📥 Imported ${imported} submission(s) from data/submissions.json`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Database initialization failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+-- Jobs we have seen, the application to each, every attempt at it, the answers given and each status change.
+-- Portable between SQLite and Postgres: TEXT ids, ISO-8601 TEXT timestamps, JSON in TEXT, 0/1 INTEGER flags.
+
+CREATE TABLE jobs (
+  id TEXT PRIMARY KEY,
+  job_key TEXT NOT NULL UNIQUE,
+  title TEXT,
+  company TEXT,
+  location TEXT,
+  url TEXT,
+  score REAL,
+  description TEXT,
+  description_summary TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE applications (
+  id TEXT PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs(id),
+  platform TEXT,
+  status TEXT NOT NULL,
+  external_url TEXT,
+  confirmation_text TEXT,
+  confirmation_number TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  submitted_at TEXT
+);
+
+CREATE INDEX idx_applications_job_id ON applications(job_id);
+CREATE INDEX idx_applications_status ON applications(status);
+
+CREATE TABLE application_attempts (
+  id TEXT PRIMARY KEY,
+  application_id TEXT NOT NULL REFERENCES applications(id),
+  run_id TEXT,
+  platform TEXT,
+  outcome TEXT NOT NULL,
+  error TEXT,
+  review_ids TEXT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT
+);
+
+CREATE INDEX idx_application_attempts_application_id ON application_attempts(application_id);
+
+CREATE TABLE answers (
+  id TEXT PRIMARY KEY,
+  application_id TEXT NOT NULL REFERENCES applications(id),
+  attempt_id TEXT REFERENCES application_attempts(id),
+  question TEXT NOT NULL,
+  answer TEXT,
+  source TEXT,
+  field_type TEXT,
+  confidence REAL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_answers_application_id ON answers(application_id);
+
+CREATE TABLE status_history (
+  id TEXT PRIMARY KEY,
+  application_id TEXT NOT NULL REFERENCES applications(id),
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_status_history_application_id ON status_history(application_id);
@@ -0,0 +1,10 @@
+-- Normalized parts of a job's identity (src/utils/JobIdentity.js), so the same posting is found again
+-- whichever site it came from. Rows from before this migration are filled in by ApplicationRepository.ready().
+
+ALTER TABLE jobs ADD COLUMN company_key TEXT;
+ALTER TABLE jobs ADD COLUMN title_key TEXT;
+ALTER TABLE jobs ADD COLUMN location_key TEXT;
+ALTER TABLE jobs ADD COLUMN requisition_id TEXT;
+
+CREATE INDEX idx_jobs_company_title ON jobs(company_key, title_key);
+CREATE INDEX idx_jobs_requisition_id ON jobs(requisition_id);
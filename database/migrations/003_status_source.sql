@@ -0,0 +1,6 @@
+-- Where each status change came from: automation, email, manual or portal (src/automation/ApplicationLifecycle.js).
+-- Changes recorded before this migration were all made by the automation.
+
+ALTER TABLE status_history ADD COLUMN source TEXT NOT NULL DEFAULT 'automation';
+
+CREATE INDEX idx_status_history_to_status ON status_history(to_status);
@@ -0,0 +1,19 @@
+-- Every email the inbox ingestion has looked at (src/email/EmailIngestor.js), so none is processed twice,
+-- with what it was classified as, the application it was matched to and the status it set.
+
+CREATE TABLE email_messages (
+  id TEXT PRIMARY KEY,
+  message_id TEXT NOT NULL UNIQUE,
+  received_at TEXT NOT NULL,
+  from_address TEXT,
+  subject TEXT,
+  kind TEXT,
+  verification_code TEXT,
+  application_id TEXT REFERENCES applications(id),
+  status_set TEXT,
+  note TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_email_messages_received_at ON email_messages(received_at);
+CREATE INDEX idx_email_messages_application_id ON email_messages(application_id);
@@ -11,6 +11,8 @@ const { chromium } = require('playwright');
 const UserProfile = require('./Config/user-profile');
 const Logger = require('./src/utils/Logger');
 const ErrorHandler = require('./src/utils/ErrorHandler');
+const JobAutomationMaster = require('./src/automation/JobAutomationMaster');
+const RunScheduler = require('./src/automation/RunScheduler');
 
 // 🎯 MAIN APPLICATION CLASS
 class VamsiJobAutomationBot {
@@ -20,6 +22,10 @@ class VamsiJobAutomationBot {
     this.logger = new Logger('VamsiBot');
     this.errorHandler = new ErrorHandler();
     this.isRunning = false;
+    this.scheduler = new RunScheduler({
+      cronExpression: UserProfile.automation.runSchedule,
+      runTask: () => this.runAutomation()
+    });
     
     this.setupExpress();
     this.setupErrorHandling();
@@ -43,15 +49,52 @@ class VamsiJobAutomationBot {
     
     // Bot status endpoint
     this.app.get('/status', (req, res) => {
+      const scheduler = this.scheduler.getStatus();
       res.json({
               profile: UserProfile.personal.firstName + ' ' + UserProfile.personal.lastName,
       email: UserProfile.personal.email,
         targetRole: 'Software Engineer (H1B)',
-        systemStatus: this.isRunning ? 'active' : 'stopped',
+        // scheduled, paused or stopped, and running while a run is in progress
+        systemStatus: scheduler.isRunInProgress ? 'running' : scheduler.status,
         applicationsToday: 0, // TODO: Get from database
-        lastRun: new Date().toISOString()
+        lastRun: scheduler.lastRunAt,
+        nextRun: scheduler.nextRunAt
       });
     });
+
+    // Scheduler endpoints
+    this.app.get('/scheduler', (req, res) => {
+      res.json(this.scheduler.getStatus());
+    });
+
+    this.app.post('/scheduler/start', (req, res) => {
+      this.sendSchedulerResult(res, this.scheduler.start());
+    });
+
+    this.app.post('/scheduler/stop', (req, res) => {
+      this.sendSchedulerResult(res, this.scheduler.stop());
+    });
+
+    this.app.post('/scheduler/pause', (req, res) => {
+      this.sendSchedulerResult(res, this.scheduler.pause());
+    });
+
+    this.app.post('/scheduler/resume', (req, res) => {
+      this.sendSchedulerResult(res, this.scheduler.resume());
+    });
+  }
+
+  sendSchedulerResult(res, result) {
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
+  async runAutomation() {
+    const master = new JobAutomationMaster();
+    try {
+      return await master.run();
+    } finally {
+      await master.close();
+    }
   }
 
   setupErrorHandling() {
@@ -120,6 +163,10 @@ class VamsiJobAutomationBot {
     this.logger.info(`📧 Email: ${UserProfile.personal.email}`);
       this.logger.info(`🎯 Target: Software Engineer with H1B sponsorship`);
       this.logger.info(`📊 Health Check: http://localhost:${this.port}/health`);
+      
+      if (process.env.ENABLE_SCHEDULER !== 'false') {
+        this.scheduler.start();
+      }
     });
   }
 }
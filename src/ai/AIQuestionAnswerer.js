@@ -1,22 +1,73 @@
 require('dotenv').config();
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
-const { StringOutputParser } = require('@langchain/core/output_parsers');
 const fs = require('fs');
 const path = require('path');
-const PDFParser = require('../utils/PDFParser');
+const WorkAuthorizationPolicy = require('../forms/WorkAuthorizationPolicy');
+const EEOHandler = require('../forms/EEOHandler');
+const SkillsResolver = require('../forms/SkillsResolver');
+const ProfileFieldMapper = require('../forms/ProfileFieldMapper');
+const LLMProviderFactory = require('./providers/LLMProviderFactory');
+const CostTracker = require('./CostTracker');
+const AnswerMemory = require('./AnswerMemory');
+const AnswerContract = require('./AnswerContract');
+const AnswerGuardrails = require('./AnswerGuardrails');
+const QuestionTaxonomy = require('./QuestionTaxonomy');
+const ConfidenceScorer = require('./ConfidenceScorer');
+const ReviewQueue = require('./ReviewQueue');
+const KnowledgeBaseBuilder = require('./KnowledgeBaseBuilder');
+const JobDescriptionAnalyzer = require('./JobDescriptionAnalyzer');
+const UserProfile = require('../../Config/user-profile');
+const AIConfig = require('../../Config/ai-config');
+
+// Used once the LLM budget is spent and nothing is cached; {company} and {title} come from the job
+const TEMPLATE_ANSWERS = {
+  experience: 'I have several years of experience building backend services and full-stack applications in Java, Python and JavaScript, and I am excited to apply it as {title} at {company}.',
+  skills: 'My core skills are Java, Python, JavaScript/TypeScript, SQL, Spring Boot, Node.js and cloud platforms such as AWS and GCP.',
+  technical: 'I would start from the requirements and constraints, choose the simplest design that meets them, and validate it with measurements and tests before optimizing further.',
+  behavioral: 'I break problems down, keep the people involved informed and ship small, verifiable changes - an approach that has helped me resolve performance and reliability issues in production systems.',
+  motivation: 'The {title} role at {company} matches the backend and full-stack work I enjoy most, and I want to build products at a company that takes engineering quality seriously.',
+  goals: 'I want to keep growing as an engineer by building reliable, scalable systems, and the {title} role at {company} is a strong fit for that.',
+  general: "I'm excited about this opportunity and would love to discuss how my experience in AI/ML, full-stack development, and automation can contribute to your team."
+};
+
+// Extra prompt instructions per QuestionTaxonomy type
+const CATEGORY_GUIDANCE = {
+  motivation: 'Be specific to this company and role; do not claim facts about the company that are not in the job description',
+  behavioral: 'Answer in STAR form (situation, task, action, result) drawn from the experience above',
+  technical: 'Answer the technical question directly and precisely in 2-4 sentences',
+  cover_letter: 'Write a short cover letter of 3 paragraphs addressed to the hiring team, matching your experience to the requirements of the job',
+  goals: 'Keep it realistic and tied to this role',
+  skills: 'Name only skills from the skills listed above',
+  experience: 'Use only the experience listed above'
+};
+
+// A rejected answer is regenerated once with the problems spelled out, then we fall back
+const MAX_GENERATION_ATTEMPTS = 2;
 
 class AIQuestionAnswerer {
-  constructor() {
-    this.llm = new ChatOpenAI({
-      modelName: 'gpt-4',
-      temperature: 0.7,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
+  // options.provider overrides the configured provider, e.g. 'stub' in tests
+  constructor(options = {}) {
+    this.config = options.config || AIConfig;
+    this.defaultProvider = options.provider || this.config.provider;
+    this.providers = {};
+    this.costTracker = options.costTracker || new CostTracker();
     
-    this.learningDatabase = path.join(__dirname, '../../data/ai_learning.json');
+    this.learningDatabase = options.learningDatabase || path.join(__dirname, '../../data/ai_learning.json');
     this.ensureLearningDatabase();
-    this.pdfParser = new PDFParser();
+    this.answerMemory = options.answerMemory || new AnswerMemory({
+      learningDatabase: this.learningDatabase,
+      embedder: this.createEmbedder()
+    });
+    this.knowledgeBase = options.knowledgeBase || new KnowledgeBaseBuilder();
+    this.jobDescriptionAnalyzer = new JobDescriptionAnalyzer();
+    this.workAuthorizationPolicy = new WorkAuthorizationPolicy();
+    this.eeoHandler = new EEOHandler();
+    this.guardrails = options.guardrails || new AnswerGuardrails();
+    this.taxonomy = new QuestionTaxonomy();
+    this.confidenceScorer = new ConfidenceScorer();
+    this.reviewQueue = options.reviewQueue || new ReviewQueue({ answerMemory: this.answerMemory });
+    this.profile = options.profile || UserProfile;
+    this.skillsResolver = new SkillsResolver(this.profile);
     
     // Key accomplishments for AI responses
     this.accomplishments = {
@@ -45,19 +96,279 @@ class AIQuestionAnswerer {
     }
   }
 
-  async generateResponse(question, jobContext = {}) {
+  getProvider(providerId) {
+    if (!this.providers[providerId]) {
+      this.providers[providerId] = LLMProviderFactory.create(providerId, (this.config.providers || {})[providerId]);
+    }
+    return this.providers[providerId];
+  }
+
+  // Provider, model, temperature and maxTokens for a question category
+  getModelSettings(category) {
+    const categorySettings = (this.config.categories || {})[category] || (this.config.categories || {}).general || {};
+    const provider = categorySettings.provider || this.defaultProvider;
+
+    let model = categorySettings.model;
+    if (model && typeof model === 'object') {
+      model = model[provider];
+    }
+
+    return {
+      provider,
+      model: model || (this.config.models || {})[provider],
+      temperature: categorySettings.temperature ?? this.config.defaults.temperature,
+      maxTokens: categorySettings.maxTokens ?? this.config.defaults.maxTokens
+    };
+  }
+
+  // Embeddings for AnswerMemory when enabled and the provider has them; null means TF-IDF
+  createEmbedder() {
+    const memoryConfig = this.config.memory || {};
+    const model = (memoryConfig.embeddingModel || {})[this.defaultProvider];
+
+    if (!memoryConfig.embeddings || !model) {
+      return null;
+    }
+
+    return {
+      embed: async (texts, jobContext = {}) => {
+        // Throwing sends AnswerMemory to TF-IDF, which costs nothing
+        if (this.costTracker.getStatus().level === 'exhausted') {
+          throw new Error('LLM budget exhausted');
+        }
+        const result = await this.getProvider(this.defaultProvider).embed(texts, model);
+        this.costTracker.record(result, { category: 'embedding', job: jobContext, platform: jobContext.platform });
+        return result;
+      }
+    };
+  }
+
+  fromMemory(match, category, jobContext, extra = {}) {
+    return {
+      answer: match.entry.answer,
+      source: 'memory',
+      matched: {
+        id: match.entry.id,
+        question: match.entry.question,
+        score: match.score,
+        method: match.method,
+        status: match.entry.status || 'pending'
+      },
+      ...extra,
+      learning_data: {
+        question_type: category,
+        company: jobContext.company || 'unknown',
+        job_title: jobContext.title || 'unknown'
+      }
+    };
+  }
+
+  fillTemplate(category, jobContext = {}) {
+    const template = TEMPLATE_ANSWERS[category] || TEMPLATE_ANSWERS.general;
+    return template
+      .replace(/\{company\}/g, jobContext.company || 'your company')
+      .replace(/\{title\}/g, jobContext.title || 'this role');
+  }
+
+  // Near the limit: looser memory matches first. Over it: memory, then the category template if it fits
+  // the field; only an optional question the template does not fit is skipped.
+  async answerWithinBudget(question, jobContext, category, level, options = {}) {
+    const remembered = await this.answerMemory.findMatch(question, { relaxed: true, jobContext });
+    if (remembered) {
+      return this.fromMemory(remembered, category, jobContext, { budget_level: level });
+    }
+
+    const base = {
+      budget_level: level,
+      learning_data: {
+        question_type: category,
+        company: jobContext.company || 'unknown',
+        job_title: jobContext.title || 'unknown'
+      }
+    };
+
+    if (level !== 'exhausted') {
+      return null;
+    }
+
+    const field = options.field || {};
+    const template = AnswerGuardrails.clip(this.fillTemplate(category, jobContext), field.maxLength);
+    const fits = this.guardrails.check(template, { field, facts: false }).valid;
+    if (!fits && options.optional) {
+      console.warn(`💰 LLM budget exhausted - skipping optional question: ${String(question).substring(0, 60)}`);
+      return { ...base, answer: null, source: 'budget_skip', skipped: true };
+    }
+
+    return { ...base, answer: template, source: 'template' };
+  }
+
+  getBudgetStatus() {
+    return this.costTracker.getStatus();
+  }
+
+  // The request and response shapes are documented and enforced in AnswerContract.js.
+  // jobContext is used for the prompt and for cost attribution; options.optional lets the
+  // question be skipped when over budget.
+  async generateResponse(question, jobContext = {}, options = {}) {
+    AnswerContract.validateRequest(question, jobContext, options);
+
+    // Waiting on a reviewer: keep the queued answer instead of generating a second one
+    const pending = this.reviewQueue.pendingItemFor(jobContext, question);
+    if (pending) {
+      return this.pendingReview(pending, question, jobContext);
+    }
+
+    const response = await this.resolveAnswer(question, jobContext, options);
+    await this.scoreResponse(question, jobContext, response);
+
+    AnswerContract.validateResponse(response);
+    return response;
+  }
+
+  // Fills in confidence, and queues the answer for a human when it is below the review threshold
+  async scoreResponse(question, jobContext, response) {
+    const selfEvaluation = response.source === 'generation' ? await this.selfEvaluate(question, response, jobContext) : null;
+    const { confidence, factors } = this.confidenceScorer.score(response, selfEvaluation);
+
+    response.confidence = confidence;
+    response.confidence_factors = factors;
+    response.needs_review = response.answer !== null && confidence < this.getReviewThreshold();
+
+    if (response.needs_review) {
+      const item = this.reviewQueue.enqueue({
+        job: jobContext,
+        question,
+        answer: response.answer,
+        confidence,
+        factors,
+        source: response.source,
+        memoryId: response.memory_id || (response.matched && response.matched.id)
+      });
+      response.review_id = item.id;
+    }
+    return response;
+  }
+
+  getReviewThreshold() {
+    return (this.config.review || {}).threshold ?? 0.6;
+  }
+
+  // Optional second opinion from the LLM: how well is the answer supported by the candidate's material?
+  async selfEvaluate(question, response, jobContext = {}) {
+    if (!(this.config.review || {}).selfEvaluation || this.costTracker.getStatus().level !== 'normal') {
+      return null;
+    }
+
+    try {
+      const settings = this.getModelSettings('self_evaluation');
+      const completion = await this.getProvider(settings.provider).complete({
+        prompt: `Rate how accurate, specific and appropriate this job application answer is, from 0 (unusable) to 1 (ready to submit). Reply with the number only.\n\nQuestion: ${question}\n\nAnswer: ${response.answer}\n\nRating: `,
+        model: settings.model,
+        temperature: 0,
+        maxTokens: 5
+      });
+      this.costTracker.record(completion, { category: 'self_evaluation', job: jobContext, platform: jobContext.platform });
+      return ConfidenceScorer.parseSelfEvaluation(completion.text);
+    } catch (error) {
+      console.warn(`🎯 Self-evaluation failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  pendingReview(item, question, jobContext) {
+    return {
+      answer: item.answer,
+      confidence: item.confidence,
+      source: item.source,
+      needs_review: true,
+      review_id: item.id,
+      learning_data: {
+        question_type: this.categorizeQuestion(question),
+        company: jobContext.company || 'unknown',
+        job_title: jobContext.title || 'unknown'
+      }
+    };
+  }
+
+  async resolveAnswer(question, jobContext, options) {
+    // A human already decided this question for this job
+    const resolution = this.reviewQueue.resolutionFor(jobContext, question);
+    if (resolution) {
+      return {
+        answer: resolution.answer,
+        source: 'review',
+        review_id: resolution.id,
+        skipped: resolution.answer === null,
+        learning_data: {
+          question_type: this.categorizeQuestion(question),
+          company: jobContext.company || 'unknown',
+          job_title: jobContext.title || 'unknown'
+        }
+      };
+    }
+
+    // Eligibility and sponsorship answers are legal statements - they come from the profile, never the LLM
+    const policyAnswer = this.workAuthorizationPolicy.answer(question);
+    if (policyAnswer.handled) {
+      return {
+        answer: policyAnswer.answer,
+        source: 'work_authorization_policy',
+        learning_data: {
+          question_type: policyAnswer.kind,
+          company: jobContext.company || 'unknown',
+          job_title: jobContext.title || 'unknown'
+        }
+      };
+    }
+
+    // Self-identification is the candidate's choice alone
+    const eeoAnswer = this.eeoHandler.answer(question);
+    if (eeoAnswer.handled) {
+      return {
+        answer: eeoAnswer.answer,
+        source: 'eeo_preferences',
+        learning_data: {
+          question_type: eeoAnswer.type,
+          company: jobContext.company || 'unknown',
+          job_title: jobContext.title || 'unknown'
+        }
+      };
+    }
+
+    // Salary, start date, links and the like are facts - the profile answers them or nobody does
+    const classification = this.taxonomy.classify(question);
+    if (classification.route === 'profile') {
+      return this.answerFromProfile(classification, question, jobContext);
+    }
+
+    const category = classification.type;
+
+    // The LLM only runs when nothing we have answered before asks the same thing
+    const remembered = await this.answerMemory.findMatch(question, { jobContext });
+    if (remembered && this.guardrails.check(remembered.entry.answer, { field: options.field, facts: false }).valid) {
+      return this.fromMemory(remembered, category, jobContext);
+    }
+
+    const budgetLevel = this.costTracker.getStatus().level;
+    if (budgetLevel !== 'normal') {
+      const withinBudget = await this.answerWithinBudget(question, jobContext, category, budgetLevel, options);
+      if (withinBudget) {
+        return withinBudget;
+      }
+    }
+
     try {
-      // Load learning database
-      const learningData = JSON.parse(fs.readFileSync(this.learningDatabase, 'utf8'));
       
-      // Get enhanced context from prep document
-      const prepContext = await this.pdfParser.getEnhancedAIContext();
+      // Structured entries parsed from the resume and prep documents
+      const knowledge = await this.knowledgeBase.load();
+      const candidate = KnowledgeBaseBuilder.contextFor(knowledge, category);
+      const jobSummary = this.summarizeJob(jobContext);
       
-      // Create context-aware prompt with prep document content
       const prompt = PromptTemplate.fromTemplate(`
 You are a senior software engineer with expertise in AI/ML, full-stack development, and automation.
 
-Job Context: {jobContext}
+The Job:
+{job}
 
 Question: {question}
 
@@ -66,65 +377,101 @@ Your Key Accomplishments:
 2. AI Integration: {ai_integration}  
 3. Data Pipeline: {data_pipeline}
 
-Additional Preparation Content: {prepContent}
+Summary: {summary}
+
+Experience:
+{experiences}
 
-Skills from Prep Document: {skills}
+Projects:
+{projects}
 
-Experience from Prep Document: {experience}
+STAR Stories:
+{stories}
 
-Projects from Prep Document: {projects}
+Skills: {skills}
 
-Key Training Points from Prep Document:
-- Technical Skills: {technicalSkills}
-- Behavioral Examples: {behavioralExamples}
-- Project Highlights: {projectHighlights}
-- Industry Knowledge: {industryKnowledge}
-- Interview Strategies: {interviewStrategies}
+Measured Results:
+{metrics}
 
 Instructions:
 - PROVIDE A DIRECT ANSWER to the question, do not ask questions back
-- Use specific examples from your accomplishments when relevant
-- Incorporate relevant information from the prep document
+- Use specific examples from the experience, projects and stories above when relevant
+- Only use numbers that appear in the measured results above
 - Keep responses concise but impactful (2-3 sentences)
 - Focus on technical skills and measurable results
 - Be enthusiastic about the opportunity
-- Use behavioral examples from the prep document when applicable
-- Reference specific projects and technologies mentioned in the prep document
-- Adapt your response based on the company and job context
+- Tie your answer to the job's requirements and tech stack where your experience supports it
+- Never claim experience with a technology from the job that is not in your skills above
 - NEVER ask questions in your response - only provide answers
+- {guidance}
 
 Answer: `);
 
-      const chain = prompt.pipe(this.llm).pipe(new StringOutputParser());
-      
-      const response = await chain.invoke({
+      const promptText = await prompt.format({
         question,
-        jobContext: JSON.stringify(jobContext),
-        performance: this.accomplishments.performance,
-        ai_integration: this.accomplishments.ai_integration,
-        data_pipeline: this.accomplishments.data_pipeline,
-        prepContent: prepContext.prepDocument ? prepContext.prepDocument.substring(0, 2000) : 'No prep document available',
-        skills: prepContext.sections?.skills || 'Standard technical skills',
-        experience: prepContext.sections?.experience || 'Professional experience in software engineering',
-        projects: prepContext.sections?.projects || 'Various technical projects',
-        technicalSkills: prepContext.sections?.technicalSkills || 'AI/ML, Full-stack development, Automation, Python, JavaScript, React, Node.js',
-        behavioralExamples: prepContext.sections?.behavioralExamples || 'Problem-solving, Team collaboration, Innovation, Leadership',
-        projectHighlights: prepContext.sections?.projectHighlights || 'Performance optimization, AI integration, Data pipelines, Scalable systems',
-        industryKnowledge: prepContext.sections?.industryKnowledge || 'Technology industry trends, Best practices, Emerging technologies',
-        interviewStrategies: prepContext.sections?.interviewStrategies || 'STAR method, Quantify achievements, Show enthusiasm, Ask thoughtful questions'
+        guidance: CATEGORY_GUIDANCE[category] || 'Answer in plain, specific language',
+        job: JobDescriptionAnalyzer.toPromptText(jobContext, jobSummary),
+        performance: this.promptValue(this.accomplishments.performance),
+        ai_integration: this.promptValue(this.accomplishments.ai_integration),
+        data_pipeline: this.promptValue(this.accomplishments.data_pipeline),
+        summary: candidate.summary,
+        experiences: candidate.experiences,
+        projects: candidate.projects,
+        stories: candidate.stories,
+        skills: candidate.skills,
+        metrics: candidate.metrics
       });
 
+      const settings = this.getModelSettings(category);
+      const guardOptions = { field: options.field, jobContext, prepText: KnowledgeBaseBuilder.toText(knowledge) };
+      let attempt = null;
+      let violations = [];
+      let rejected = [];
+      let totalCost = 0;
+      let attempts = 0;
+
+      for (let attemptNumber = 1; attemptNumber <= MAX_GENERATION_ATTEMPTS; attemptNumber++) {
+        attempts = attemptNumber;
+        const completion = await this.getProvider(settings.provider).complete({
+          prompt: attemptNumber === 1 ? promptText : this.correctionPrompt(promptText, attempt.text, violations, options.field),
+          model: settings.model,
+          temperature: settings.temperature,
+          maxTokens: settings.maxTokens
+        });
+        totalCost += this.costTracker.record(completion, { category, job: jobContext, platform: jobContext.platform }).cost;
+
+        attempt = { ...completion, text: (completion.text || '').trim() };
+        violations = this.guardrails.check(attempt.text, guardOptions).violations;
+        if (violations.length === 0) {
+          break;
+        }
+        rejected = violations;
+        console.warn(`🛡️ Answer rejected (attempt ${attemptNumber}):\n${AnswerGuardrails.describe(violations)}`);
+      }
+
+      const usage = { provider: attempt.provider, model: attempt.model, usage: attempt.usage, cost: Number(totalCost.toFixed(6)) };
+      if (violations.length > 0) {
+        return this.guardedFallback(question, category, jobContext, options, violations, { ...usage, attempts });
+      }
+
+      const response = attempt.text;
+
       // Store for learning
-      await this.storeQAPair(question, response, jobContext);
+      const memoryId = await this.storeQAPair(question, response, jobContext);
       
       return {
         answer: response,
-        confidence: this.calculateConfidence(question, response),
+        ...usage,
+        source: 'generation',
+        matched: null,
+        memory_id: memoryId,
+        guardrails: { passed: true, attempts, violations: rejected },
         learning_data: {
-          question_type: this.categorizeQuestion(question),
+          question_type: category,
           company: jobContext.company || 'unknown',
           job_title: jobContext.title || 'unknown',
-          used_prep_document: prepContext.hasPrepContent
+          used_prep_document: candidate.hasContent,
+          used_job_description: jobSummary !== null
         }
       };
 
@@ -132,7 +479,7 @@ Answer: `);
       console.error('AI Response Error:', error);
       return {
         answer: "I'm excited about this opportunity and would love to discuss how my experience in AI/ML, full-stack development, and automation can contribute to your team.",
-        confidence: 0.5,
+        source: 'fallback',
         learning_data: {
           question_type: 'fallback',
           company: jobContext.company || 'unknown',
@@ -142,61 +489,143 @@ Answer: `);
     }
   }
 
+  // The caller's summary of the posting, or one made here from the raw description; null without either
+  summarizeJob(jobContext) {
+    if (jobContext.summary) {
+      return jobContext.summary;
+    }
+    return jobContext.description ? this.jobDescriptionAnalyzer.summarize(jobContext.description, jobContext.title) : null;
+  }
+
+  // Placeholders in the prompt come straight back in the answer
+  promptValue(value) {
+    return ProfileFieldMapper.isPlaceholder(value) ? 'Not provided - do not make one up' : value;
+  }
+
+  correctionPrompt(promptText, rejected, violations, field = {}) {
+    const limit = field && field.maxLength ? `\n- Stay under ${field.maxLength} characters` : '';
+    return `${promptText}${rejected}
+
+That answer was rejected:
+${AnswerGuardrails.describe(violations)}
+
+Rewrite it:
+- Only name employers, job titles and numbers that appear in the material above
+- No bracketed placeholders or template tokens${limit}
+
+Answer: `;
+  }
+
+  // Both attempts failed: the category template, clipped to the field, if it fits - otherwise nothing
+  guardedFallback(question, category, jobContext, options, violations, { attempts, ...usage }) {
+    const field = options.field || {};
+    const template = AnswerGuardrails.clip(this.fillTemplate(category, jobContext), field.maxLength);
+    const fits = this.guardrails.check(template, { field, facts: false }).valid;
+
+    console.warn(`🛡️ Falling back for: ${String(question).substring(0, 60)}`);
+    return {
+      answer: fits ? template : null,
+      ...usage,
+      source: 'fallback',
+      skipped: !fits,
+      guardrails: { passed: false, attempts, violations },
+      learning_data: {
+        question_type: category,
+        company: jobContext.company || 'unknown',
+        job_title: jobContext.title || 'unknown'
+      }
+    };
+  }
+
+  // QuestionTaxonomy type, also the key into Config/ai-config.js categories
   categorizeQuestion(question) {
-    // Ensure question is a string
-    if (typeof question !== 'string') {
-      question = String(question || '');
+    return this.taxonomy.classify(question).type;
+  }
+
+  profileValue(value) {
+    if (value === undefined || value === null || String(value).trim() === '' || ProfileFieldMapper.isPlaceholder(String(value))) {
+      return null;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    return String(value).trim();
+  }
+
+  resolveProfileAnswer(classification, question) {
+    const personal = this.profile.personal || {};
+    const professional = this.profile.professional || {};
+    const lowerQuestion = String(question).toLowerCase();
+
+    switch (classification.type) {
+      case 'salary':
+        return this.profileValue(professional.salaryExpectation);
+      case 'start_date':
+        return this.profileValue(professional.availability);
+      case 'relocation':
+        return this.profileValue(professional.willingToRelocate);
+      case 'referral_source':
+        return this.profileValue(professional.referralSource);
+      case 'links':
+        if (lowerQuestion.includes('github')) return this.profileValue(personal.githubUrl);
+        if (/portfolio|website|site/.test(lowerQuestion)) {
+          return this.profileValue(personal.portfolioUrl) || this.profileValue(personal.githubUrl);
+        }
+        return this.profileValue(personal.linkedinUrl);
+      case 'years_with_technology': {
+        // Only from the skills matrix - a flat skill list says nothing about years
+        const resolved = this.skillsResolver.yearsFor(classification.technology);
+        return resolved ? String(resolved.years) : null;
+      }
+      default:
+        return null;
     }
-    
-    const lowerQuestion = question.toLowerCase();
-    
-    if (lowerQuestion.includes('experience') || lowerQuestion.includes('background')) {
-      return 'experience';
-    } else if (lowerQuestion.includes('skill') || lowerQuestion.includes('technology')) {
-      return 'skills';
-    } else if (lowerQuestion.includes('challenge') || lowerQuestion.includes('problem')) {
-      return 'problem_solving';
-    } else if (lowerQuestion.includes('team') || lowerQuestion.includes('collaboration')) {
-      return 'teamwork';
-    } else if (lowerQuestion.includes('goal') || lowerQuestion.includes('aspiration')) {
-      return 'goals';
-    } else {
-      return 'general';
-    }
-  }
-
-  calculateConfidence(question, response) {
-    // Simple confidence calculation based on response length and content
-          const hasAccomplishments = response.includes('[YOUR_METRICS]') || response.includes('[YOUR_ACHIEVEMENTS]');
-    const hasTechnicalTerms = response.includes('microservices') || response.includes('AI') || response.includes('Kafka');
-    const appropriateLength = response.length > 50 && response.length < 300;
-    
-    let confidence = 0.5;
-    if (hasAccomplishments) confidence += 0.3;
-    if (hasTechnicalTerms) confidence += 0.2;
-    if (appropriateLength) confidence += 0.1;
-    
-    return Math.min(confidence, 1.0);
+  }
+
+  // Missing profile facts are left for a human rather than invented
+  answerFromProfile(classification, question, jobContext) {
+    const answer = this.resolveProfileAnswer(classification, question);
+
+    if (answer === null) {
+      console.warn(`👤 No profile value for ${classification.type} - leaving for review: ${String(question).substring(0, 60)}`);
+    }
+
+    return {
+      answer,
+      source: 'profile',
+      skipped: answer === null,
+      learning_data: {
+        question_type: classification.type,
+        company: jobContext.company || 'unknown',
+        job_title: jobContext.title || 'unknown'
+      }
+    };
   }
 
   storeQAPair(question, answer, jobContext) {
     try {
       const learningData = JSON.parse(fs.readFileSync(this.learningDatabase, 'utf8'));
       
+      const id = `qa_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
       learningData.qa_pairs.push({
+        id,
+        // Generated answers wait for review; see AnswerMemory.approve()
+        status: 'pending',
         question,
         answer,
-        job_context: jobContext,
+        // The full posting would bloat the file; its summary is kept
+        job_context: { ...jobContext, description: undefined },
         timestamp: new Date().toISOString(),
-        question_type: this.categorizeQuestion(question),
-        confidence: this.calculateConfidence(question, answer)
+        question_type: this.categorizeQuestion(question)
       });
       
       learningData.success_metrics.total_questions++;
       
       fs.writeFileSync(this.learningDatabase, JSON.stringify(learningData, null, 2));
+      return id;
     } catch (error) {
       console.error('Error storing QA pair:', error);
+      return null;
     }
   }
 
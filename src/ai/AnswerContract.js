@@ -0,0 +1,122 @@
+// 📜 ANSWER CONTRACT - the request and response shapes of AIQuestionAnswerer.generateResponse, checked at runtime
+//
+// Request:  generateResponse(question, jobContext = {}, options = {})
+//   question    non-empty string - the question text as the form shows it
+//   jobContext  plain object: { id, url, title, company, location, description, platform } (all optional strings)
+//               plus summary: the JobDescriptionAnalyzer summary of the description, a plain object
+//   options     plain object: { optional: boolean, field: { tag, type, maxLength, minLength } }
+//               field is the input the answer goes into (FieldClassifier.constraintsOf); see AnswerGuardrails.js
+//
+// Response: { answer, confidence, source, learning_data, … }
+//   answer      string, or null when the question was deliberately left unanswered
+//   confidence  number between 0 and 1
+//   source      one of RESPONSE_SOURCES
+//   needs_review  boolean - true when the answer is waiting in the ReviewQueue and must not be submitted
+//   learning_data  object with question_type
+
+const JOB_CONTEXT_FIELDS = ['id', 'url', 'title', 'company', 'location', 'description', 'platform'];
+const OPTION_FIELDS = { optional: 'boolean', field: 'object' };
+
+const RESPONSE_SOURCES = [
+  'generation',
+  'memory',
+  'template',
+  'budget_skip',
+  'fallback',
+  'work_authorization_policy',
+  'eeo_preferences',
+  'profile',
+  'review'
+];
+
+class AnswerContractError extends TypeError {
+  constructor(message) {
+    super(`AIQuestionAnswerer contract violation: ${message}`);
+    this.name = 'AnswerContractError';
+  }
+}
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class AnswerContract {
+  static validateRequest(question, jobContext = {}, options = {}) {
+    if (isPlainObject(question) && 'question' in question) {
+      throw new AnswerContractError(
+        'generateResponse() takes (question, jobContext, options) - it was called with a single { question, jobContext } object'
+      );
+    }
+
+    if (typeof question !== 'string' || question.trim() === '') {
+      throw new AnswerContractError(`question must be a non-empty string, got ${describe(question)}`);
+    }
+
+    if (!isPlainObject(jobContext)) {
+      throw new AnswerContractError(`jobContext must be a plain object, got ${describe(jobContext)}`);
+    }
+
+    JOB_CONTEXT_FIELDS.forEach(field => {
+      const value = jobContext[field];
+      if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+        throw new AnswerContractError(`jobContext.${field} must be a string, got ${describe(value)}`);
+      }
+    });
+
+    if (jobContext.summary !== undefined && jobContext.summary !== null && !isPlainObject(jobContext.summary)) {
+      throw new AnswerContractError(`jobContext.summary must be a plain object, got ${describe(jobContext.summary)}`);
+    }
+
+    if (!isPlainObject(options)) {
+      throw new AnswerContractError(`options must be a plain object, got ${describe(options)}`);
+    }
+
+    Object.entries(OPTION_FIELDS).forEach(([field, type]) => {
+      const value = options[field];
+      if (value !== undefined && (type === 'object' ? !isPlainObject(value) : typeof value !== type)) {
+        throw new AnswerContractError(`options.${field} must be a ${type}, got ${describe(value)}`);
+      }
+    });
+
+    return true;
+  }
+
+  static validateResponse(response) {
+    if (!isPlainObject(response)) {
+      throw new AnswerContractError(`response must be an object, got ${describe(response)}`);
+    }
+
+    if (response.answer !== null && typeof response.answer !== 'string') {
+      throw new AnswerContractError(`response.answer must be a string or null, got ${describe(response.answer)}`);
+    }
+
+    if (typeof response.confidence !== 'number' || Number.isNaN(response.confidence) ||
+        response.confidence < 0 || response.confidence > 1) {
+      throw new AnswerContractError(`response.confidence must be a number between 0 and 1, got ${response.confidence}`);
+    }
+
+    if (!RESPONSE_SOURCES.includes(response.source)) {
+      throw new AnswerContractError(`response.source must be one of ${RESPONSE_SOURCES.join(', ')}, got ${response.source}`);
+    }
+
+    if (typeof response.needs_review !== 'boolean') {
+      throw new AnswerContractError(`response.needs_review must be a boolean, got ${describe(response.needs_review)}`);
+    }
+
+    if (!isPlainObject(response.learning_data) || typeof response.learning_data.question_type !== 'string') {
+      throw new AnswerContractError('response.learning_data must be an object with a question_type');
+    }
+
+    return true;
+  }
+}
+
+AnswerContract.AnswerContractError = AnswerContractError;
+AnswerContract.RESPONSE_SOURCES = RESPONSE_SOURCES;
+AnswerContract.JOB_CONTEXT_FIELDS = JOB_CONTEXT_FIELDS;
+
+module.exports = AnswerContract;
@@ -0,0 +1,146 @@
+// 🛡️ ANSWER GUARDRAILS - checks a generated answer before it goes into a form
+//
+// Shape: fits the field's minlength/maxlength and type, and has no unresolved template tokens.
+// Facts: every employer, job title and metric it names must appear in Config/user-profile.js,
+// the knowledge base or the job itself - anything else was made up by the model.
+
+const UserProfile = require('../../Config/user-profile');
+const ProfileFieldMapper = require('../forms/ProfileFieldMapper');
+
+// [YOUR_METRICS], [Company Name], {company}, <insert title>
+const TEMPLATE_TOKENS = [/\[[A-Za-z0-9_ ]+\]/, /\{[a-z_]+\}/, /<(?:insert|your)[^>]*>/i];
+
+// "at Acme Corp", "joined Initech", "worked for Globex"
+const EMPLOYER_PATTERN = /\b(?:[Aa]t|[Jj]oined|[Ww]orked for|[Ww]orking for|[Ee]mployed by)\s+((?:[A-Z][\w&.'-]*)(?:\s+(?:[A-Z][\w&.'-]+|&))*)/g;
+// "as a Senior Backend Engineer", "as Staff Data Scientist"
+const TITLE_PATTERN = /\bas (?:an? )?((?:[A-Z][\w/+.-]*\s+)*(?:Engineer|Developer|Architect|Manager|Scientist|Analyst|Consultant|Intern|Lead))\b/g;
+// "40%", "3x", "$2M", "10,000+", "2 million" - not "5 years" or "2+ years", which are experience, not results
+const METRIC_PATTERN = /(\$\s?\d[\d,.]*\s?(?:[kmb]|million|billion)?\b|\d[\d,.]*\s?(?:%|x\b|\+(?!\s*years?\b)|k\b|million\b|billion\b|percent\b))/gi;
+
+// Capitalised words after "at" that are not employers: "at The", "at Startups", "at Scale"
+const NOT_EMPLOYERS = new Set(['the', 'a', 'an', 'my', 'our', 'your', 'this', 'that', 'scale', 'work', 'i',
+  'startup', 'startups', 'company', 'companies', 'enterprise', 'enterprises', 'agency', 'agencies', 'firm', 'firms',
+  'home', 'school', 'university', 'big', 'tech', 'large', 'small', 'early-stage']);
+
+const compact = (text) => String(text).toLowerCase().replace(/[\s,]+/g, '');
+
+class AnswerGuardrails {
+  constructor(profile = UserProfile) {
+    this.profileText = AnswerGuardrails.collectStrings(profile).join('\n');
+  }
+
+  // Every real (non-placeholder) string in the profile
+  static collectStrings(value, strings = []) {
+    if (typeof value === 'string') {
+      if (value.trim() && !ProfileFieldMapper.isPlaceholder(value)) strings.push(value);
+    } else if (typeof value === 'number') {
+      strings.push(String(value));
+    } else if (Array.isArray(value)) {
+      value.forEach(item => AnswerGuardrails.collectStrings(item, strings));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => AnswerGuardrails.collectStrings(item, strings));
+    }
+    return strings;
+  }
+
+  // Shortens to the last full sentence (or word) that fits
+  static clip(text, maxLength) {
+    if (!maxLength || text.length <= maxLength) {
+      return text;
+    }
+
+    const cut = text.substring(0, maxLength);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    if (sentenceEnd > maxLength / 2) {
+      return cut.substring(0, sentenceEnd + 1);
+    }
+    const wordEnd = cut.lastIndexOf(' ');
+    return (wordEnd > 0 ? cut.substring(0, wordEnd) : cut).replace(/[,;:\s]+$/, '');
+  }
+
+  // What the answer may draw on: the profile, the knowledge base and the job being applied to
+  buildSources(sources = {}) {
+    const jobContext = sources.jobContext || {};
+    const text = [this.profileText, sources.prepText || '', jobContext.company || '', jobContext.title || ''].join('\n');
+    return { lower: text.toLowerCase(), compact: compact(text) };
+  }
+
+  checkShape(answer, field = {}) {
+    const violations = [];
+
+    if (!answer.trim()) {
+      violations.push({ rule: 'empty', detail: 'the answer is empty' });
+      return violations;
+    }
+
+    const token = TEMPLATE_TOKENS.map(pattern => answer.match(pattern)).find(Boolean);
+    if (token) {
+      violations.push({ rule: 'placeholder', detail: `unresolved template token ${token[0]}` });
+    }
+
+    if (field.maxLength && answer.length > field.maxLength) {
+      violations.push({ rule: 'max_length', detail: `${answer.length} characters, the field allows ${field.maxLength}` });
+    }
+    if (field.minLength && answer.length < field.minLength) {
+      violations.push({ rule: 'min_length', detail: `${answer.length} characters, the field needs ${field.minLength}` });
+    }
+
+    if (field.type === 'number' && !/^-?\d+(\.\d+)?$/.test(answer.trim())) {
+      violations.push({ rule: 'format', detail: 'the field takes a number' });
+    } else if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(answer.trim())) {
+      violations.push({ rule: 'format', detail: 'the field takes an email address' });
+    } else if (field.type === 'url' && !/^https?:\/\/\S+$/.test(answer.trim())) {
+      violations.push({ rule: 'format', detail: 'the field takes a URL' });
+    } else if (field.tag === 'input' && /\n/.test(answer)) {
+      violations.push({ rule: 'format', detail: 'single-line field, the answer has line breaks' });
+    }
+
+    return violations;
+  }
+
+  checkFacts(answer, sources = {}) {
+    const known = this.buildSources(sources);
+    const violations = [];
+
+    for (const [, employer] of answer.matchAll(EMPLOYER_PATTERN)) {
+      const name = employer.trim().replace(/[.']+$/, '');
+      const generic = name.toLowerCase().split(/\s+/).every(word => NOT_EMPLOYERS.has(word));
+      if (generic || known.lower.includes(name.toLowerCase())) continue;
+      violations.push({ rule: 'unknown_employer', detail: `"${name}" is not in the profile or knowledge base` });
+    }
+
+    for (const [, title] of answer.matchAll(TITLE_PATTERN)) {
+      if (known.lower.includes(title.toLowerCase())) continue;
+      violations.push({ rule: 'unknown_title', detail: `"${title}" is not in the profile or knowledge base` });
+    }
+
+    for (const [metric] of answer.matchAll(METRIC_PATTERN)) {
+      if (known.compact.includes(compact(metric).replace(/\.$/, ''))) continue;
+      violations.push({ rule: 'unknown_metric', detail: `"${metric.trim()}" is not in the profile or knowledge base` });
+    }
+
+    return violations;
+  }
+
+  // options: { field: { tag, type, maxLength, minLength }, jobContext, prepText, facts }
+  // Returns { valid, violations: [{ rule, detail }] }
+  check(answer, options = {}) {
+    if (typeof answer !== 'string') {
+      return { valid: false, violations: [{ rule: 'empty', detail: 'no answer text' }] };
+    }
+
+    const violations = this.checkShape(answer, options.field || {});
+    if (options.facts !== false) {
+      violations.push(...this.checkFacts(answer, options));
+    }
+
+    return { valid: violations.length === 0, violations };
+  }
+
+  // One line per problem, for the regeneration prompt and the logs
+  static describe(violations) {
+    return violations.map(violation => `- ${violation.detail}`).join('\n');
+  }
+}
+
+module.exports = AnswerGuardrails;
@@ -0,0 +1,215 @@
+// 🧠 ANSWER MEMORY - finds a stored Q&A pair that asks the same thing, so the LLM only runs on a real miss
+
+const fs = require('fs');
+const path = require('path');
+const AIConfig = require('../../Config/ai-config');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'describe', 'do', 'does', 'for', 'from',
+  'have', 'how', 'i', 'in', 'is', 'it', 'me', 'of', 'on', 'or', 'our', 'please', 'tell', 'that', 'the',
+  'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'would', 'you', 'your'
+]);
+
+// Cosine similarity a match must reach; embeddings separate paraphrases far better than word overlap
+const DEFAULT_THRESHOLDS = { embedding: 0.88, tfidf: 0.6 };
+// Near the budget limit a looser match is better than a template
+const RELAXED_FACTOR = 0.8;
+
+class AnswerMemory {
+  // options.embedder: { embed(texts, jobContext) → { vectors, model } } - without one, TF-IDF is used
+  constructor(options = {}) {
+    const memoryConfig = { ...(AIConfig.memory || {}), ...options };
+    this.learningDatabase = options.learningDatabase || path.join(__dirname, '../../data/ai_learning.json');
+    this.embedder = options.embedder || null;
+    // Unreviewed answers stay with the job they were written for unless this is turned off
+    this.requireApproval = memoryConfig.requireApproval !== false;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(memoryConfig.thresholds || {}) };
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      // Crude stemming so "projects"/"project" and "worked"/"working" line up
+      .map(token => token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token);
+  }
+
+  static cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    if (Array.isArray(a)) {
+      for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+      }
+    } else {
+      Object.keys(a).forEach(term => {
+        dot += a[term] * (b[term] || 0);
+        normA += a[term] * a[term];
+      });
+      Object.values(b).forEach(weight => { normB += weight * weight; });
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  readLearningData() {
+    try {
+      return JSON.parse(fs.readFileSync(this.learningDatabase, 'utf8'));
+    } catch (error) {
+      return { qa_pairs: [] };
+    }
+  }
+
+  writeLearningData(learningData) {
+    fs.writeFileSync(this.learningDatabase, JSON.stringify(learningData, null, 2));
+  }
+
+  // Older pairs have no id or status - their position identifies them and they count as pending
+  static entryId(pair, index) {
+    return pair.id || `qa_${index}`;
+  }
+
+  isReusable(pair) {
+    if (typeof pair.question !== 'string' || typeof pair.answer !== 'string' || !pair.answer.trim()) {
+      return false;
+    }
+    if (pair.status === 'rejected') {
+      return false;
+    }
+    return pair.status === 'approved' || !this.requireApproval;
+  }
+
+  getCandidates() {
+    return (this.readLearningData().qa_pairs || [])
+      .map((pair, index) => ({ ...pair, id: AnswerMemory.entryId(pair, index) }))
+      .filter(pair => this.isReusable(pair));
+  }
+
+  scoreTfidf(question, candidates) {
+    const documents = candidates.map(candidate => AnswerMemory.tokenize(candidate.question));
+    const documentFrequency = {};
+    documents.forEach(tokens => new Set(tokens).forEach(token => {
+      documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+    }));
+
+    const vectorize = (tokens) => {
+      const vector = {};
+      tokens.forEach(token => { vector[token] = (vector[token] || 0) + 1; });
+      Object.keys(vector).forEach(token => {
+        vector[token] *= Math.log((documents.length + 1) / ((documentFrequency[token] || 0) + 1)) + 1;
+      });
+      return vector;
+    };
+
+    const query = vectorize(AnswerMemory.tokenize(question));
+    return documents.map(tokens => AnswerMemory.cosine(query, vectorize(tokens)));
+  }
+
+  // Embeddings are cached on the stored pair so each question is embedded once
+  async scoreEmbeddings(question, candidates, jobContext) {
+    const missing = candidates.filter(candidate => !candidate.embedding);
+    const { vectors, model } = await this.embedder.embed([question, ...missing.map(candidate => candidate.question)], jobContext);
+    const [queryVector, ...newVectors] = vectors;
+
+    if (missing.length > 0) {
+      const learningData = this.readLearningData();
+      missing.forEach((candidate, i) => {
+        candidate.embedding = newVectors[i];
+        const stored = learningData.qa_pairs.find((pair, index) => AnswerMemory.entryId(pair, index) === candidate.id);
+        if (stored) {
+          stored.embedding = newVectors[i];
+          stored.embedding_model = model;
+        }
+      });
+      this.writeLearningData(learningData);
+    }
+
+    return candidates.map(candidate => AnswerMemory.cosine(queryVector, candidate.embedding));
+  }
+
+  // { entry, score, method } for the closest reusable pair above the threshold, otherwise null;
+  // options.jobContext is passed to the embedder so its cost is charged to the job
+  async findMatch(question, options = {}) {
+    if (typeof question !== 'string' || !question.trim()) {
+      return null;
+    }
+
+    const candidates = this.getCandidates();
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let method = 'tfidf';
+    let scores = null;
+
+    if (this.embedder) {
+      try {
+        scores = await this.scoreEmbeddings(question, candidates, options.jobContext);
+        method = 'embedding';
+      } catch (error) {
+        console.warn(`🧠 Embeddings unavailable, falling back to TF-IDF: ${error.message}`);
+      }
+    }
+    if (!scores) {
+      scores = this.scoreTfidf(question, candidates);
+    }
+
+    const threshold = this.thresholds[method] * (options.relaxed ? RELAXED_FACTOR : 1);
+    let best = null;
+
+    candidates.forEach((candidate, i) => {
+      // Prefer approved answers when two pairs score the same
+      const score = scores[i] + (candidate.status === 'approved' ? 0.001 : 0);
+      if (scores[i] >= threshold && (!best || score > best.rank)) {
+        best = { entry: candidate, score: Number(scores[i].toFixed(3)), method, rank: score };
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+
+    delete best.rank;
+    delete best.entry.embedding;
+    return best;
+  }
+
+  setStatus(id, status, answer = null) {
+    const learningData = this.readLearningData();
+    const pair = (learningData.qa_pairs || []).find((candidate, index) => AnswerMemory.entryId(candidate, index) === id);
+
+    if (!pair) {
+      return false;
+    }
+
+    pair.id = id;
+    pair.status = status;
+    pair.reviewed_at = new Date().toISOString();
+    if (answer !== null) {
+      pair.original_answer = pair.original_answer || pair.answer;
+      pair.answer = answer;
+    }
+    this.writeLearningData(learningData);
+    return true;
+  }
+
+  approve(id) {
+    return this.setStatus(id, 'approved');
+  }
+
+  reject(id) {
+    return this.setStatus(id, 'rejected');
+  }
+
+  // A reviewer's corrected answer replaces the generated one and is approved for reuse
+  edit(id, answer) {
+    return this.setStatus(id, 'approved', answer);
+  }
+}
+
+module.exports = AnswerMemory;
@@ -0,0 +1,87 @@
+// 🎯 CONFIDENCE SCORER - how much we trust an answer enough to submit it without a human
+//
+// Built from where the answer came from, how strongly a stored answer matched, whether the
+// guardrails had to reject a first attempt, how risky the question type is and, when enabled,
+// the LLM's own rating of the answer.
+
+// Deterministic answers come from facts the user configured
+const SOURCE_BASE = {
+  profile: 1,
+  work_authorization_policy: 1,
+  eeo_preferences: 1,
+  review: 1,
+  generation: 0.8,
+  // Category templates written by the user, clipped to the field. Above the default review threshold (0.6)
+  // so an over-budget run can still submit them; the guardrails fallback sits just under a template
+  template: 0.7,
+  fallback: 0.65,
+  budget_skip: 0
+};
+
+// What a wrong answer of this QuestionTaxonomy type costs - subtracted from generated and remembered answers
+const CATEGORY_RISK = {
+  cover_letter: 0.15,
+  technical: 0.15,
+  behavioral: 0.1,
+  experience: 0.1,
+  motivation: 0.05,
+  skills: 0.05,
+  goals: 0.05,
+  general: 0.05
+};
+
+const REGENERATION_PENALTY = 0.15;
+const SELF_EVALUATION_WEIGHT = 0.4;
+
+const round = (value) => Number(Math.max(0, Math.min(1, value)).toFixed(3));
+
+class ConfidenceScorer {
+  static SOURCE_BASE = SOURCE_BASE;
+  static CATEGORY_RISK = CATEGORY_RISK;
+
+  // Approved answers were checked by a person; pending ones are only as good as the match
+  static memoryBase(matched = {}) {
+    const score = matched.score || 0;
+    return matched.status === 'approved' ? 0.6 + 0.4 * score : 0.4 + 0.5 * score;
+  }
+
+  // response: an AIQuestionAnswerer response; selfEvaluation: 0-1 or null
+  // Returns { confidence, factors }
+  score(response, selfEvaluation = null) {
+    if (response.answer === null) {
+      return { confidence: 0, factors: { base: 0 } };
+    }
+
+    const factors = {};
+    factors.base = response.source === 'memory'
+      ? ConfidenceScorer.memoryBase(response.matched)
+      : (SOURCE_BASE[response.source] ?? SOURCE_BASE.fallback);
+
+    let confidence = factors.base;
+
+    if (response.source === 'generation' || response.source === 'memory') {
+      factors.categoryRisk = CATEGORY_RISK[response.learning_data.question_type] ?? CATEGORY_RISK.general;
+      confidence -= factors.categoryRisk;
+    }
+
+    if (response.guardrails && response.guardrails.attempts > 1) {
+      factors.regenerated = REGENERATION_PENALTY;
+      confidence -= REGENERATION_PENALTY;
+    }
+
+    if (typeof selfEvaluation === 'number') {
+      factors.selfEvaluation = selfEvaluation;
+      confidence = (1 - SELF_EVALUATION_WEIGHT) * confidence + SELF_EVALUATION_WEIGHT * selfEvaluation;
+    }
+
+    return { confidence: round(confidence), factors };
+  }
+
+  // The LLM's reply to the self-evaluation prompt → 0-1, or null when it did not give a number
+  static parseSelfEvaluation(text) {
+    const match = String(text || '').match(/\b(0(?:\.\d+)?|1(?:\.0+)?)\b/);
+    return match ? Number(match[1]) : null;
+  }
+}
+
+module.exports = ConfidenceScorer;
@@ -0,0 +1,182 @@
+// 💰 COST TRACKER - token and dollar accounting for every LLM call, plus the daily/monthly budget
+
+const fs = require('fs');
+const path = require('path');
+const AIConfig = require('../../Config/ai-config');
+
+// Past this share of either budget we stop asking the LLM when a cached answer exists
+const CONSERVE_THRESHOLD = 0.8;
+// Backends that run on our own hardware; any other unpriced model is billed at the highest configured rate
+const FREE_PROVIDERS = ['local', 'stub'];
+
+// "claude-3-5-sonnet-20241022", "claude-3-5-sonnet-latest" and "gpt-4o-mini-2024-07-18" name their family
+// without the release suffix
+const modelFamily = (name) => String(name || '').toLowerCase().replace(/-(latest|\d{8}|\d{4}-\d{2}-\d{2})$/, '');
+
+class CostTracker {
+  constructor(options = {}) {
+    this.budget = { ...AIConfig.budget, ...options.budget };
+    this.pricing = options.pricing || AIConfig.pricing || {};
+    this.ledgerFile = options.ledgerFile || path.join(__dirname, '../../data/llm_usage.json');
+    this.warnedModels = new Set();
+    this.ensureLedger();
+  }
+
+  ensureLedger() {
+    const dataDir = path.dirname(this.ledgerFile);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    if (!fs.existsSync(this.ledgerFile)) {
+      fs.writeFileSync(this.ledgerFile, JSON.stringify({ entries: [] }, null, 2));
+    }
+  }
+
+  readLedger() {
+    try {
+      return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+    } catch (error) {
+      console.error('Error reading LLM usage ledger:', error);
+      return { entries: [] };
+    }
+  }
+
+  // Prices are USD per million tokens. Models are matched by family, so dated and "-latest" names share a
+  // price, then by the longest priced prefix. Local and stub models are free; an unpriced model from any
+  // other provider is charged the highest configured rate, so the budget still holds.
+  estimateCost(model, usage = {}, provider = null) {
+    let price = this.priceFor(model);
+    if (!price) {
+      if (FREE_PROVIDERS.includes(provider)) {
+        return 0;
+      }
+      if (!this.warnedModels.has(model)) {
+        this.warnedModels.add(model);
+        console.warn(`💰 No price configured for model "${model}" - charging the highest rate; add it to pricing in Config/ai-config.js`);
+      }
+      price = this.highestPrice();
+      if (!price) {
+        return 0;
+      }
+    }
+
+    const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+    return Number(cost.toFixed(6));
+  }
+
+  priceFor(model) {
+    const family = modelFamily(model);
+    if (!family) {
+      return null;
+    }
+    const key = Object.keys(this.pricing)
+      .filter(name => family === modelFamily(name) || family.startsWith(`${modelFamily(name)}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.pricing[key] : null;
+  }
+
+  highestPrice() {
+    return Object.values(this.pricing)
+      .reduce((max, price) => (!max || price.input + price.output > max.input + max.output ? price : max), null);
+  }
+
+  // completion: { provider, model, usage }; context: { category, job, platform }
+  record(completion, context = {}) {
+    const job = context.job || {};
+    const entry = {
+      timestamp: new Date().toISOString(),
+      provider: completion.provider,
+      model: completion.model,
+      category: context.category || 'general',
+      platform: context.platform || job.platform || 'unknown',
+      jobId: job.id || job.url || null,
+      company: job.company || 'unknown',
+      jobTitle: job.title || 'unknown',
+      inputTokens: completion.usage.inputTokens,
+      outputTokens: completion.usage.outputTokens,
+      cost: this.estimateCost(completion.model, completion.usage, completion.provider)
+    };
+
+    try {
+      const ledger = this.readLedger();
+      ledger.entries.push(entry);
+      fs.writeFileSync(this.ledgerFile, JSON.stringify(ledger, null, 2));
+    } catch (error) {
+      console.error('Error recording LLM usage:', error);
+    }
+
+    return entry;
+  }
+
+  entriesSince(since) {
+    return this.readLedger().entries.filter(entry => new Date(entry.timestamp) >= since);
+  }
+
+  static startOfDay(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  static startOfMonth(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  static sumBy(entries, key) {
+    const totals = {};
+    entries.forEach(entry => {
+      const bucket = entry[key] || 'unknown';
+      totals[bucket] = totals[bucket] || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+      totals[bucket].calls++;
+      totals[bucket].inputTokens += entry.inputTokens || 0;
+      totals[bucket].outputTokens += entry.outputTokens || 0;
+      totals[bucket].cost = Number((totals[bucket].cost + (entry.cost || 0)).toFixed(6));
+    });
+    return totals;
+  }
+
+  periodStatus(entries, limit) {
+    const spent = Number(entries.reduce((total, entry) => total + (entry.cost || 0), 0).toFixed(6));
+    return {
+      limit,
+      spent,
+      remaining: limit ? Math.max(0, Number((limit - spent).toFixed(6))) : null,
+      usedShare: limit ? spent / limit : 0
+    };
+  }
+
+  // 'normal' → LLM as usual, 'conserve' → cached answers first, 'exhausted' → no LLM calls at all
+  getLevel(status = this.getStatus()) {
+    const usedShare = Math.max(status.daily.usedShare, status.monthly.usedShare);
+
+    if (usedShare >= 1) return 'exhausted';
+    if (usedShare >= CONSERVE_THRESHOLD) return 'conserve';
+    return 'normal';
+  }
+
+  getStatus(now = new Date()) {
+    const monthEntries = this.entriesSince(CostTracker.startOfMonth(now));
+    const dayEntries = monthEntries.filter(entry => new Date(entry.timestamp) >= CostTracker.startOfDay(now));
+
+    const status = {
+      daily: this.periodStatus(dayEntries, this.budget.dailyUSD),
+      monthly: this.periodStatus(monthEntries, this.budget.monthlyUSD),
+      today: {
+        byPlatform: CostTracker.sumBy(dayEntries, 'platform'),
+        byCategory: CostTracker.sumBy(dayEntries, 'category'),
+        byModel: CostTracker.sumBy(dayEntries, 'model')
+      },
+      month: {
+        byPlatform: CostTracker.sumBy(monthEntries, 'platform'),
+        byCategory: CostTracker.sumBy(monthEntries, 'category'),
+        byJob: CostTracker.sumBy(monthEntries, 'jobId')
+      }
+    };
+
+    status.level = this.getLevel(status);
+    return status;
+  }
+}
+
+CostTracker.CONSERVE_THRESHOLD = CONSERVE_THRESHOLD;
+
+module.exports = CostTracker;
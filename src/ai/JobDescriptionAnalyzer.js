@@ -0,0 +1,191 @@
+// 🔎 JOB DESCRIPTION ANALYZER - condenses a posting into what answers should be grounded in
+//
+// summarize(text, title) → { seniority, yearsRequired, techStack, requirements, preferred, responsibilities }
+// Purely local pattern matching: runs once per job, costs nothing and can be tested offline.
+
+const MAX_ITEMS = { techStack: 15, requirements: 8, preferred: 5, responsibilities: 5 };
+const MAX_ITEM_LENGTH = 220;
+
+// Display names; matched as whole words unless TECHNOLOGY_PATTERNS says otherwise
+const TECHNOLOGIES = [
+  'Java', 'Python', 'JavaScript', 'TypeScript', 'Go', 'Rust', 'C++', 'C#', 'Ruby', 'PHP', 'Kotlin', 'Scala', 'Swift', 'SQL',
+  'Node.js', 'React', 'Angular', 'Vue', 'Next.js', 'Spring Boot', 'Django', 'Flask', 'FastAPI', 'Rails', '.NET', 'GraphQL',
+  'REST', 'gRPC', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Cassandra', 'DynamoDB', 'Snowflake',
+  'Kafka', 'RabbitMQ', 'Spark', 'Airflow', 'AWS', 'GCP', 'Azure', 'Docker', 'Kubernetes', 'Terraform', 'Jenkins',
+  'GitHub Actions', 'CI/CD', 'Linux', 'Microservices', 'Machine Learning', 'LLM', 'PyTorch', 'TensorFlow'
+];
+
+const TECHNOLOGY_PATTERNS = {
+  Java: /\bjava\b(?!\s*script)/i,
+  JavaScript: /\bjavascript\b|\bJS\b/i,
+  TypeScript: /\btypescript\b|\bTS\b/,
+  Go: /\bGo\b(?![- ]to\b)|\bgolang\b/,
+  SQL: /\bSQL\b/,
+  REST: /\bREST(ful)?\b/,
+  LLM: /\bLLMs?\b|large language models?/i,
+  'Node.js': /\bnode\.?js\b/i,
+  'C++': /\bc\+\+/i,
+  'C#': /\bc#/i,
+  '.NET': /\.net\b/i,
+  'Spring Boot': /\bspring( boot)?\b/i,
+  PostgreSQL: /\bpostgres(ql)?\b/i,
+  Kubernetes: /\bkubernetes\b|\bk8s\b/i,
+  AWS: /\bAWS\b|amazon web services/i,
+  GCP: /\bGCP\b|google cloud/i,
+  'CI/CD': /\bCI\s*\/\s*CD\b/i,
+  'Machine Learning': /machine learning|\bML\b/
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const patternFor = (name) => TECHNOLOGY_PATTERNS[name] || new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(name)}($|[^a-z0-9+#])`, 'i');
+
+// Whole heading lines that open a list, checked in order - "Preferred qualifications" is not a requirement
+const SECTIONS = [
+  {
+    section: 'preferred',
+    pattern: /^(nice[- ]to[- ]haves?|bonus( points)?|pluses|(preferred|desired|bonus|additional) (qualifications|skills|experience)|preferred|it('|’)?s a plus if you have)$/
+  },
+  {
+    section: 'responsibilities',
+    pattern: /^((key |your |job |primary )?responsibilities|what you('|’)?ll (do|be doing|work on)|what you will (do|be doing|work on)|(about )?the role|in this role,? you will|day[- ]to[- ]day|your impact|the opportunity)$/
+  },
+  {
+    section: 'requirements',
+    pattern: /^((minimum |basic |required |key )?(requirements|qualifications)|what you('|’)?ll need|what you will need|what we('|’)?re looking for|what we look for|must[- ]haves?|you have|about you|who you are|(required )?skills( (and|&) (experience|qualifications))?|experience( (and|&) skills)?|you might be a fit if)$/
+  }
+];
+
+// Headings of parts that are not about the work; they close the current list
+const OTHER_HEADINGS = /^(benefits|perks( (and|&) benefits)?|what we offer|compensation|salary|pay (range|transparency)|about (us|the company)|who we are|our (company|mission|values|team|culture)|equal (employment )?opportunity.*|eeo statement|how to apply|location|why join us|why .+\?|life at .+)$/;
+
+// Title words first, most senior first; "Senior Staff" is staff
+const SENIORITY = [
+  { level: 'intern', pattern: /\bintern(ship)?\b|\bco-?op\b/ },
+  { level: 'principal', pattern: /\bprincipal\b|\bdistinguished\b|\barchitect\b/ },
+  { level: 'staff', pattern: /\bstaff\b/ },
+  { level: 'lead', pattern: /\blead\b|\bmanager\b/ },
+  { level: 'senior', pattern: /\bsenior\b|\bsr\.?\s|\b(iii|3)$/ },
+  { level: 'junior', pattern: /\bjunior\b|\bjr\.?\s|entry[- ]level|new grad|graduate|\b(i|1)$/ },
+  { level: 'mid', pattern: /\bmid[- ]level\b|\b(ii|2)$/ }
+];
+
+const YEARS_REQUIRED = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*years?/gi;
+
+class JobDescriptionAnalyzer {
+  static TECHNOLOGIES = TECHNOLOGIES;
+
+  static clip(text) {
+    return text.length > MAX_ITEM_LENGTH ? `${text.substring(0, MAX_ITEM_LENGTH - 3).trim()}...` : text;
+  }
+
+  // Technologies by how often the posting mentions them, first mention breaking ties
+  static techStack(text) {
+    return TECHNOLOGIES
+      .map(name => {
+        const global = new RegExp(patternFor(name).source, patternFor(name).flags.includes('i') ? 'gi' : 'g');
+        const matches = [...text.matchAll(global)];
+        return { name, count: matches.length, first: matches.length ? matches[0].index : Infinity };
+      })
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count || a.first - b.first)
+      .slice(0, MAX_ITEMS.techStack)
+      .map(entry => entry.name);
+  }
+
+  // The highest "N+ years" the posting asks for, ignoring company-age claims such as "for 40 years"
+  static yearsRequired(text) {
+    const years = [...text.matchAll(YEARS_REQUIRED)]
+      .filter(match => /experience|professional|industry|building|developing|working/i.test(text.substr(match.index, 80)))
+      .map(match => Number(match[1]))
+      .filter(value => value > 0 && value <= 20);
+    return years.length ? Math.max(...years) : null;
+  }
+
+  static seniority(title, yearsRequired) {
+    const normalized = String(title || '').toLowerCase().trim();
+    const fromTitle = SENIORITY.find(entry => entry.pattern.test(normalized));
+    if (fromTitle) return fromTitle.level;
+
+    if (yearsRequired === null) return null;
+    if (yearsRequired < 2) return 'junior';
+    if (yearsRequired < 5) return 'mid';
+    if (yearsRequired < 8) return 'senior';
+    return 'staff';
+  }
+
+  static headingOf(line) {
+    const text = line.replace(/^#+\s*/, '').replace(/[:\s]+$/, '').trim().toLowerCase();
+    if (!text || text.length > 60) return null;
+    const match = SECTIONS.find(section => section.pattern.test(text));
+    if (match) return match.section;
+    return OTHER_HEADINGS.test(text) ? 'other' : null;
+  }
+
+  // Lines under each heading, up to the next heading; page text from list items has no bullet marks
+  static sections(text) {
+    const lists = { requirements: [], preferred: [], responsibilities: [] };
+    let current = null;
+
+    text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+      const section = JobDescriptionAnalyzer.headingOf(line);
+      if (section) {
+        current = section === 'other' ? null : section;
+        return;
+      }
+
+      if (current) {
+        lists[current].push(JobDescriptionAnalyzer.clip(line.replace(/^([-•*▪◦●]|\d+[.)])\s+/, '')));
+      }
+    });
+
+    return lists;
+  }
+
+  // Postings without headings: the sentences that ask for something
+  static requirementSentences(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => /\b(experience (with|in)|proficien|knowledge of|familiar(ity)? with|degree in|years of)\b/i.test(sentence))
+      .map(JobDescriptionAnalyzer.clip);
+  }
+
+  summarize(text, title = '') {
+    const description = String(text || '');
+    const lists = JobDescriptionAnalyzer.sections(description);
+    const requirements = lists.requirements.length > 0 ? lists.requirements : JobDescriptionAnalyzer.requirementSentences(description);
+    const yearsRequired = JobDescriptionAnalyzer.yearsRequired(description);
+
+    return {
+      seniority: JobDescriptionAnalyzer.seniority(title, yearsRequired),
+      yearsRequired,
+      techStack: JobDescriptionAnalyzer.techStack(description),
+      requirements: requirements.slice(0, MAX_ITEMS.requirements),
+      preferred: lists.preferred.slice(0, MAX_ITEMS.preferred),
+      responsibilities: lists.responsibilities.slice(0, MAX_ITEMS.responsibilities)
+    };
+  }
+
+  // The job section of the answer prompt
+  static toPromptText(jobContext = {}, summary = null) {
+    const role = [jobContext.title || 'Unknown role', jobContext.company ? `at ${jobContext.company}` : '']
+      .filter(Boolean).join(' ') + (jobContext.location ? ` (${jobContext.location})` : '');
+    const lines = [`Role: ${role}`];
+
+    if (summary) {
+      if (summary.seniority || summary.yearsRequired) {
+        lines.push(`Seniority: ${[summary.seniority, summary.yearsRequired ? `${summary.yearsRequired}+ years` : null].filter(Boolean).join(', ')}`);
+      }
+      if (summary.techStack.length > 0) lines.push(`Tech stack: ${summary.techStack.join(', ')}`);
+      [['Requirements', summary.requirements], ['Preferred', summary.preferred], ['Responsibilities', summary.responsibilities]]
+        .filter(([, items]) => items.length > 0)
+        .forEach(([label, items]) => lines.push(`${label}:\n${items.map(item => `- ${item}`).join('\n')}`));
+    } else {
+      lines.push('No job description available - do not assume details about the role');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = JobDescriptionAnalyzer;
@@ -0,0 +1,369 @@
+// 📚 KNOWLEDGE BASE BUILDER - turns the candidate's resume and prep documents into structured entries
+//
+// { summary, experiences, projects, stories, metrics, skills, sources }
+//   experiences  [{ title, company, start, end, bullets }]
+//   projects     [{ name, description, technologies, bullets }]
+//   stories      [{ title, situation, task, action, result }]   - STAR stories
+//   metrics      [{ value, text, context }]                      - "40%", "$2M", "10k users" with their sentence
+//   skills       [{ name, years }]                               - years is null when the documents do not say
+//
+// Each document is parsed once; the result is cached on disk under the hash of its contents.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DocumentReader = require('../utils/DocumentReader');
+const AIConfig = require('../../Config/ai-config');
+
+// Bump when the parsing changes so cached results are rebuilt
+const PARSER_VERSION = 2;
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Only whole heading lines start a section - a bullet that mentions "skills" does not
+const SECTION_HEADINGS = [
+  { section: 'summary', pattern: /^(professional )?(summary|profile|about( me)?|objective)$/ },
+  { section: 'experience', pattern: /^((work|professional|relevant) )?(experience|employment( history)?|work history)$/ },
+  { section: 'projects', pattern: /^((selected|personal|key|side|notable) )?projects$/ },
+  { section: 'skills', pattern: /^((technical|core|key) )?(skills|technologies|tech stack|competencies)( (and|&) tools)?$/ },
+  { section: 'stories', pattern: /^((star|behavioral|interview) )?(stories|examples|answers)$|^behavioral( questions)?$/ },
+  { section: 'education', pattern: /^education$/ }
+];
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE = new RegExp(`((?:${MONTH}\\s+)?\\d{4}|\\d{1,2}/\\d{4})\\s*(?:-|–|—|to)\\s*((?:${MONTH}\\s+)?\\d{4}|\\d{1,2}/\\d{4}|present|current|now)`, 'i');
+const BULLET = /^\s*(?:[-•*▪◦●]|\d+[.)])\s+/;
+const STAR_LABEL = /^\s*(?:[-•*]\s*)?\**(situation|task|action|result)s?\**\s*[:\-–]\s*/i;
+const METRIC = /(\$\s?\d[\d,.]*\s?(?:[kmb]|million|billion)?\b|\d[\d,.]*\s?(?:%|x\b|ms\b|k\b|million\b|billion\b)|\d[\d,.]*\+?\s+(?:users|customers|requests|engineers|services|hours|days|transactions|clients)\b)/gi;
+const SKILL_YEARS = /\(?\s*(\d+)\+?\s*(?:years?|yrs?)\s*\)?/i;
+const YEARS_WITH = /(\d+)\+?\s*(?:years?|yrs?)(?: of)?(?: (?:professional|hands-on|production))?(?: experience)?(?: with| in| using)\s+([A-Za-z][\w.+#/-]*(?:\s[A-Z][\w.+#/-]*)?)/g;
+
+const emptyKnowledge = () => ({ summary: '', experiences: [], projects: [], stories: [], metrics: [], skills: [] });
+
+class KnowledgeBaseBuilder {
+  // options.sources: document paths (relative to the repo root or absolute); options.cacheDir
+  constructor(options = {}) {
+    const config = AIConfig.knowledgeBase || {};
+    this.sources = (options.sources || config.sources || []).map(source => path.resolve(ROOT_DIR, source));
+    this.cacheDir = path.resolve(ROOT_DIR, options.cacheDir || config.cacheDir || 'data/knowledge_base');
+    this.loaded = null;
+  }
+
+  static hashFile(file) {
+    return crypto.createHash('sha256').update(`v${PARSER_VERSION}\n`).update(fs.readFileSync(file)).digest('hex');
+  }
+
+  // The merged knowledge base of every source that exists; rebuilt only when a document changes
+  async load() {
+    const present = this.sources.filter(source => fs.existsSync(source) && DocumentReader.typeOf(source));
+    const hashes = present.map(source => KnowledgeBaseBuilder.hashFile(source));
+    const key = hashes.join(',');
+
+    if (this.loaded && this.loaded.key === key) {
+      return this.loaded.knowledge;
+    }
+
+    const knowledge = { ...emptyKnowledge(), sources: [] };
+    for (let i = 0; i < present.length; i++) {
+      try {
+        const parsed = await this.loadDocument(present[i], hashes[i]);
+        KnowledgeBaseBuilder.merge(knowledge, parsed);
+        knowledge.sources.push({ file: path.relative(ROOT_DIR, present[i]), hash: hashes[i], type: parsed.type });
+      } catch (error) {
+        console.warn(`📚 Could not read ${present[i]}: ${error.message}`);
+      }
+    }
+
+    this.loaded = { key, knowledge };
+    return knowledge;
+  }
+
+  async loadDocument(file, hash) {
+    const cacheFile = path.join(this.cacheDir, `${hash}.json`);
+    if (fs.existsSync(cacheFile)) {
+      try {
+        return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      } catch (error) {
+        // Corrupt cache entry - parse again below
+      }
+    }
+
+    const { type, text } = await DocumentReader.read(file);
+    const parsed = { type, file: path.basename(file), ...KnowledgeBaseBuilder.parse(text) };
+
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+    fs.writeFileSync(cacheFile, JSON.stringify(parsed, null, 2));
+    console.log(`📚 Parsed ${path.basename(file)}: ${parsed.experiences.length} experiences, ${parsed.projects.length} projects, ${parsed.stories.length} stories, ${parsed.skills.length} skills`);
+    return parsed;
+  }
+
+  static merge(knowledge, parsed) {
+    knowledge.summary = [knowledge.summary, parsed.summary].filter(Boolean).join('\n');
+    ['experiences', 'projects', 'stories', 'metrics'].forEach(key => knowledge[key].push(...parsed[key]));
+
+    parsed.skills.forEach(skill => KnowledgeBaseBuilder.addSkill(knowledge.skills, skill.name, skill.years));
+  }
+
+  static addSkill(skills, name, years = null) {
+    const cleaned = name.replace(/[.;:]+$/, '').trim();
+    if (!cleaned || cleaned.length > 40) return;
+
+    const existing = skills.find(skill => skill.name.toLowerCase() === cleaned.toLowerCase());
+    if (existing) {
+      if (years !== null && (existing.years === null || years > existing.years)) existing.years = years;
+    } else {
+      skills.push({ name: cleaned, years });
+    }
+  }
+
+  static headingOf(line) {
+    const text = line.replace(/^#+\s*/, '').replace(/[:\s]+$/, '').trim().toLowerCase();
+    if (!text || text.length > 40) return null;
+
+    const match = SECTION_HEADINGS.find(heading => heading.pattern.test(text));
+    if (match) return match.section;
+    // Any other Markdown heading closes the current section
+    return /^#+\s/.test(line) ? 'other' : null;
+  }
+
+  static stripBullet(line) {
+    return line.replace(BULLET, '').trim();
+  }
+
+  // Splits the document into { section, lines } blocks by heading lines
+  static sections(text) {
+    const blocks = [{ section: 'other', heading: null, lines: [] }];
+
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/\s+$/, '');
+      const section = KnowledgeBaseBuilder.headingOf(line);
+      if (section) {
+        blocks.push({ section, heading: line.replace(/^#+\s*/, '').trim(), lines: [] });
+      } else {
+        blocks[blocks.length - 1].lines.push(line);
+      }
+    });
+
+    return blocks;
+  }
+
+  // Header lines followed by their bullets; a header line after bullets starts a new entry
+  static entries(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.forEach(line => {
+      if (!line.trim() || STAR_LABEL.test(line)) return;
+
+      if (BULLET.test(line)) {
+        if (!current) {
+          current = { header: [], bullets: [] };
+          entries.push(current);
+        }
+        current.bullets.push(KnowledgeBaseBuilder.stripBullet(line));
+        return;
+      }
+
+      if (!current || current.bullets.length > 0) {
+        current = { header: [], bullets: [] };
+        entries.push(current);
+      }
+      current.header.push(line.replace(/^#+\s*/, '').trim());
+    });
+
+    return entries.filter(entry => entry.header.length > 0);
+  }
+
+  static parseExperience(entry) {
+    const header = entry.header.join(' | ');
+    const dates = header.match(DATE_RANGE);
+    const withoutDates = (dates ? header.replace(dates[0], '') : header)
+      .replace(/[()]/g, '')
+      // Word resumes often tab the company away from the title
+      .split(/\s+(?:at|@)\s+|\s*[|\t]\s*|\s+[-–—]\s+|,\s*/)
+      .map(part => part.trim())
+      .filter(Boolean);
+
+    return {
+      title: withoutDates[0] || null,
+      company: withoutDates[1] || null,
+      start: dates ? dates[1] : null,
+      end: dates ? dates[2] : null,
+      bullets: entry.bullets
+    };
+  }
+
+  static parseProject(entry) {
+    const [first, ...rest] = entry.header;
+    const [name, ...description] = first.split(/\s+[-–—]\s+|:\s+/);
+    const technologies = [];
+    const bullets = [];
+
+    [...rest, ...entry.bullets].forEach(line => {
+      const techLine = line.match(/^(?:tech(?:nologies)?|stack|built with|tools)\s*:\s*(.+)$/i);
+      if (techLine) {
+        technologies.push(...techLine[1].split(/,|;|\|/).map(item => item.trim()).filter(Boolean));
+      } else {
+        bullets.push(line);
+      }
+    });
+
+    return { name: name.trim(), description: description.join(' - ').trim() || null, technologies, bullets };
+  }
+
+  // "Languages: Java (5 years), Python" → Java/5, Python/null
+  static parseSkills(lines, skills) {
+    lines.forEach(line => {
+      const content = KnowledgeBaseBuilder.stripBullet(line).replace(/^[^:]{1,30}:\s*/, '');
+      content.split(/,|;|\||•/).forEach(item => {
+        const years = item.match(SKILL_YEARS);
+        const name = item.replace(SKILL_YEARS, '').replace(/\s+[-–—]\s*$/, '').trim();
+        if (name) KnowledgeBaseBuilder.addSkill(skills, name, years ? Number(years[1]) : null);
+      });
+    });
+  }
+
+  // STAR stories can sit anywhere; the line before "Situation:" names the story
+  static parseStories(lines) {
+    const stories = [];
+    let current = null;
+    let lastPlainLine = null;
+
+    lines.forEach(line => {
+      const label = line.match(STAR_LABEL);
+      if (!label) {
+        // A blank line or heading ends the story; other lines continue the current part
+        if (!line.trim() || /^#+\s/.test(line)) {
+          if (current) current.lastLabel = null;
+        } else if (current && current.lastLabel) {
+          current[current.lastLabel] += ` ${KnowledgeBaseBuilder.stripBullet(line)}`;
+        }
+        if (line.trim()) lastPlainLine = line.replace(/^#+\s*/, '').trim();
+        return;
+      }
+
+      const part = label[1].toLowerCase();
+      if (!current || part === 'situation' || current[part]) {
+        current = { title: lastPlainLine, situation: '', task: '', action: '', result: '', lastLabel: null };
+        stories.push(current);
+      }
+      current[part] = line.replace(STAR_LABEL, '').trim();
+      current.lastLabel = part;
+    });
+
+    return stories
+      .map(({ lastLabel, ...story }) => story)
+      .filter(story => ['situation', 'task', 'action', 'result'].filter(part => story[part]).length >= 2);
+  }
+
+  static parseMetrics(lines, context = null) {
+    const metrics = [];
+    lines.forEach(line => {
+      const text = KnowledgeBaseBuilder.stripBullet(line).replace(STAR_LABEL, '');
+      for (const [value] of text.matchAll(METRIC)) {
+        metrics.push({ value: value.trim(), text, context });
+      }
+    });
+    return metrics;
+  }
+
+  static parse(text) {
+    const knowledge = emptyKnowledge();
+    const allLines = text.split(/\r?\n/);
+
+    KnowledgeBaseBuilder.sections(text).forEach(block => {
+      switch (block.section) {
+        case 'summary':
+          knowledge.summary = [knowledge.summary, block.lines.filter(line => line.trim()).join(' ')].filter(Boolean).join('\n');
+          break;
+        case 'experience':
+          KnowledgeBaseBuilder.entries(block.lines).forEach(entry => {
+            const experience = KnowledgeBaseBuilder.parseExperience(entry);
+            knowledge.experiences.push(experience);
+            knowledge.metrics.push(...KnowledgeBaseBuilder.parseMetrics(entry.bullets, [experience.title, experience.company].filter(Boolean).join(' at ')));
+          });
+          break;
+        case 'projects':
+          KnowledgeBaseBuilder.entries(block.lines).forEach(entry => {
+            const project = KnowledgeBaseBuilder.parseProject(entry);
+            knowledge.projects.push(project);
+            knowledge.metrics.push(...KnowledgeBaseBuilder.parseMetrics(project.bullets, project.name));
+          });
+          break;
+        case 'skills':
+          KnowledgeBaseBuilder.parseSkills(block.lines.filter(line => line.trim()), knowledge.skills);
+          break;
+        default:
+          break;
+      }
+    });
+
+    knowledge.stories = KnowledgeBaseBuilder.parseStories(allLines);
+    knowledge.stories.forEach(story => {
+      knowledge.metrics.push(...KnowledgeBaseBuilder.parseMetrics([story.result], story.title));
+    });
+
+    // "5 years of experience with Kafka" anywhere in the text
+    for (const [, years, name] of text.matchAll(YEARS_WITH)) {
+      KnowledgeBaseBuilder.addSkill(knowledge.skills, name, Number(years));
+    }
+
+    return knowledge;
+  }
+
+  // Prompt-sized text per part, weighted toward what the question type needs
+  static contextFor(knowledge, category) {
+    const limits = {
+      experiences: category === 'experience' || category === 'motivation' || category === 'cover_letter' ? 4 : 2,
+      projects: category === 'technical' || category === 'skills' || category === 'experience' ? 4 : 2,
+      stories: category === 'behavioral' ? 4 : 1,
+      metrics: 8
+    };
+
+    const experiences = knowledge.experiences.slice(0, limits.experiences).map(experience =>
+      `${[experience.title, experience.company].filter(Boolean).join(' at ')}` +
+      `${experience.start ? ` (${experience.start} - ${experience.end || 'present'})` : ''}` +
+      `${experience.bullets.length ? `: ${experience.bullets.slice(0, 4).join('; ')}` : ''}`);
+
+    const projects = knowledge.projects.slice(0, limits.projects).map(project =>
+      `${project.name}${project.description ? ` - ${project.description}` : ''}` +
+      `${project.technologies.length ? ` [${project.technologies.join(', ')}]` : ''}` +
+      `${project.bullets.length ? `: ${project.bullets.slice(0, 3).join('; ')}` : ''}`);
+
+    const stories = knowledge.stories.slice(0, limits.stories).map(story =>
+      `${story.title || 'Story'} - Situation: ${story.situation} Task: ${story.task} Action: ${story.action} Result: ${story.result}`);
+
+    const skills = knowledge.skills.map(skill => (skill.years !== null ? `${skill.name} (${skill.years} years)` : skill.name));
+    const metrics = [...new Set(knowledge.metrics.map(metric => metric.text))].slice(0, limits.metrics);
+
+    const orNone = (items) => (items.length ? items.map(item => `- ${item}`).join('\n') : 'None provided');
+
+    return {
+      summary: knowledge.summary || 'None provided',
+      experiences: orNone(experiences),
+      projects: orNone(projects),
+      stories: orNone(stories),
+      skills: skills.length ? skills.join(', ') : 'None provided',
+      metrics: orNone(metrics),
+      hasContent: knowledge.experiences.length + knowledge.projects.length + knowledge.stories.length + knowledge.skills.length > 0
+    };
+  }
+
+  // Everything the documents say, for fact-checking generated answers
+  static toText(knowledge) {
+    const strings = [];
+    const collect = (value) => {
+      if (typeof value === 'string') strings.push(value);
+      else if (typeof value === 'number') strings.push(String(value));
+      else if (Array.isArray(value)) value.forEach(collect);
+      else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+    };
+    collect({ ...knowledge, sources: [] });
+    return strings.join('\n');
+  }
+}
+
+KnowledgeBaseBuilder.PARSER_VERSION = PARSER_VERSION;
+
+module.exports = KnowledgeBaseBuilder;
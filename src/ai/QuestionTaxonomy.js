@@ -0,0 +1,162 @@
+// 🗂️ QUESTION TAXONOMY - what an application question asks, and who should answer it
+//
+// route 'policy'     → WorkAuthorizationPolicy (sponsorship and eligibility)
+// route 'eeo'        → EEOHandler (voluntary self-identification)
+// route 'profile'    → a fact from Config/user-profile.js, never the LLM
+// route 'generation' → the LLM, with the type as its category in Config/ai-config.js
+//
+// Purely local pattern matching so it can be tested offline.
+
+const WorkAuthorizationPolicy = require('../forms/WorkAuthorizationPolicy');
+const EEOHandler = require('../forms/EEOHandler');
+
+// Checked in order; the first type with a matching pattern wins
+const TAXONOMY = [
+  {
+    type: 'cover_letter',
+    route: 'generation',
+    patterns: [/cover letter/, /letter of (interest|motivation)/]
+  },
+  {
+    type: 'goals',
+    route: 'generation',
+    patterns: [/where do you see yourself/, /(career|professional) (goals?|aspirations?|path)/, /\b(five|5|ten|10) years from now/, /long[- ]term goals?/]
+  },
+  {
+    type: 'years_with_technology',
+    route: 'profile',
+    patterns: [
+      /years? of (?:professional |hands[- ]on |relevant |commercial )?(?:experience|exp\.?) (?:with|in|using|working with) (.+)/,
+      /how (?:many|long) (?:years? )?(?:have you|of experience do you have) (?:worked |been working |used |been using |programmed |coded )?(?:with|in|using) (.+)/,
+      /how many years (?:of )?(.+?) experience/,
+      /years? (?:with|using|working with) (.+)/
+    ]
+  },
+  {
+    type: 'salary',
+    route: 'profile',
+    patterns: [/salary/, /compensation/, /(desired|expected|target) (base )?(pay|rate|wage)/, /pay (expectations?|range)/, /hourly rate/]
+  },
+  {
+    type: 'relocation',
+    route: 'profile',
+    patterns: [/relocat/, /willing to (move|commute)/, /able to commute/, /work (on-?site|in (the|our) office)/, /(hybrid|in-office) (schedule|requirement)/]
+  },
+  {
+    type: 'start_date',
+    route: 'profile',
+    patterns: [/start date/, /when (can|could|would) you (start|join|begin)/, /available to (start|begin)/, /earliest .*start/, /notice period/, /availability/]
+  },
+  {
+    type: 'referral_source',
+    route: 'profile',
+    patterns: [/how did you (hear|find|learn|come across)/, /where did you (hear|find|see|learn)/, /who referred/, /referr(al|ed)/, /source of (this )?application/]
+  },
+  {
+    type: 'links',
+    route: 'profile',
+    patterns: [/linkedin/, /github/, /portfolio/, /personal (website|site|page)/, /\bwebsite\b/, /\burl\b/, /link to your/]
+  },
+  {
+    type: 'motivation',
+    route: 'generation',
+    patterns: [
+      /why (do you want|are you interested|would you like|do you wish|are you applying|did you apply)/,
+      /why (this|our) (company|team|role|position)/,
+      /why (join|work (at|for|with)|us\b)/,
+      /what (interests|excites|attracts|draws|motivates) you (about|to)/,
+      /what makes you (want|interested)/,
+      /why .+\?$/
+    ]
+  },
+  {
+    type: 'behavioral',
+    route: 'generation',
+    patterns: [
+      /tell (us|me) about a time/,
+      /describe a (time|situation|project|challenge|conflict)/,
+      /give (us |me )?an example/,
+      /(conflict|disagree|failure|mistake|setback|difficult|challeng)/,
+      /(teamwork|collaborat|leadership|led a team|mentor)/,
+      /\bstar\b/
+    ]
+  },
+  {
+    type: 'technical',
+    route: 'generation',
+    patterns: [
+      /explain/,
+      /difference between/,
+      /how would you (design|implement|build|scale|debug|test|optimi[sz]e)/,
+      /design an? /,
+      /(algorithm|time complexity|big[- ]o|data structure|system design|architecture)/,
+      /what (is|are) (an? |the )?[a-z0-9+#. -]+\?$/
+    ]
+  },
+  {
+    type: 'skills',
+    route: 'generation',
+    patterns: [/skills?/, /technolog/, /(tech )?stack/, /proficien/, /tools? (do you|have you)/]
+  },
+  {
+    type: 'experience',
+    route: 'generation',
+    patterns: [/experience/, /background/, /projects?/, /worked on/]
+  }
+];
+
+class QuestionTaxonomy {
+  static TYPES = ['sponsorship', 'eeo', ...TAXONOMY.map(entry => entry.type), 'general'];
+
+  constructor() {
+    this.workAuthorizationPolicy = new WorkAuthorizationPolicy();
+    this.eeoHandler = new EEOHandler();
+  }
+
+  static normalize(question) {
+    return String(question || '').replace(/\s+/g, ' ').replace(/[*:]+\s*$/, '').trim();
+  }
+
+  // "Kafka?" → "Kafka", "Java and Spring Boot (required)" → "Java and Spring Boot"
+  static cleanTechnology(text) {
+    return text
+      .replace(/\(.*?\)/g, '')
+      .replace(/\b(experience|professionally|in total|overall)\b/gi, '')
+      .replace(/[?!*:]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/\.+$/, '') || null;
+  }
+
+  // Returns { type, route, matchedBy, technology? }
+  classify(question) {
+    const original = QuestionTaxonomy.normalize(question);
+    const text = original.toLowerCase();
+
+    if (this.workAuthorizationPolicy.isPolicyQuestion(question)) {
+      return { type: 'sponsorship', route: 'policy', matchedBy: 'WorkAuthorizationPolicy' };
+    }
+    if (this.eeoHandler.isEEOQuestion(question)) {
+      return { type: 'eeo', route: 'eeo', matchedBy: 'EEOHandler' };
+    }
+
+    for (const entry of TAXONOMY) {
+      for (const pattern of entry.patterns) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const classification = { type: entry.type, route: entry.route, matchedBy: pattern.source };
+        if (entry.type === 'years_with_technology') {
+          // Same offsets in both strings - keep the casing the form used ("Node.js", not "node.js")
+          const start = text.lastIndexOf(match[1] || '');
+          classification.technology = QuestionTaxonomy.cleanTechnology(original.substr(start, (match[1] || '').length));
+        }
+        return classification;
+      }
+    }
+
+    return { type: 'general', route: 'generation', matchedBy: null };
+  }
+}
+
+module.exports = QuestionTaxonomy;
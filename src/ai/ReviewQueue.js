@@ -0,0 +1,156 @@
+// 🧑‍⚖️ REVIEW QUEUE - answers too uncertain to submit wait here for a human
+//
+// An application with pending items is paused. Once every item is approved, edited or rejected
+// from the dashboard, the next attempt at the job uses the reviewed answers.
+
+const fs = require('fs');
+const path = require('path');
+const JobIdentity = require('../utils/JobIdentity');
+
+const STATUSES = ['pending', 'approved', 'edited', 'rejected'];
+
+class ReviewQueue {
+  // options.answerMemory: reviewed answers are approved, corrected or rejected there as well
+  constructor(options = {}) {
+    this.queueFile = options.queueFile || path.join(__dirname, '../../data/review_queue.json');
+    this.answerMemory = options.answerMemory || null;
+  }
+
+  // Same job across runs - JobRight ids are only positions in the job list
+  static jobKey(job = {}) {
+    return JobIdentity.key(job);
+  }
+
+  static normalizeQuestion(question) {
+    return String(question || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.queueFile, 'utf8'));
+    } catch (error) {
+      return { items: [] };
+    }
+  }
+
+  write(queue) {
+    const dataDir = path.dirname(this.queueFile);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(this.queueFile, JSON.stringify(queue, null, 2));
+  }
+
+  findFor(items, job, question) {
+    const jobKey = ReviewQueue.jobKey(job);
+    const normalized = ReviewQueue.normalizeQuestion(question);
+    return items.filter(item => item.jobKey === jobKey && ReviewQueue.normalizeQuestion(item.question) === normalized);
+  }
+
+  // entry: { job, question, answer, confidence, factors, source, memoryId }
+  enqueue(entry) {
+    const queue = this.read();
+    const existing = this.findFor(queue.items, entry.job, entry.question).find(item => item.status === 'pending');
+    if (existing) {
+      return existing;
+    }
+
+    const job = entry.job || {};
+    const item = {
+      id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      status: 'pending',
+      jobKey: ReviewQueue.jobKey(job),
+      job: { id: job.id || null, url: job.url || null, title: job.title || null, company: job.company || null, location: job.location || null, platform: job.platform || null },
+      question: entry.question,
+      answer: entry.answer,
+      confidence: entry.confidence,
+      factors: entry.factors || {},
+      source: entry.source,
+      memoryId: entry.memoryId || null,
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+      finalAnswer: null
+    };
+
+    queue.items.push(item);
+    this.write(queue);
+    console.log(`🧑‍⚖️ Queued for review (confidence ${entry.confidence}): ${String(entry.question).substring(0, 60)}`);
+    return item;
+  }
+
+  list(filter = {}) {
+    return this.read().items.filter(item =>
+      (!filter.status || item.status === filter.status) &&
+      (!filter.jobKey || item.jobKey === filter.jobKey));
+  }
+
+  get(id) {
+    return this.read().items.find(item => item.id === id) || null;
+  }
+
+  pendingFor(job) {
+    return this.list({ status: 'pending', jobKey: ReviewQueue.jobKey(job) });
+  }
+
+  pendingItemFor(job, question) {
+    return this.findFor(this.read().items, job, question).find(item => item.status === 'pending') || null;
+  }
+
+  // Most recent decision for this question on this job: { status, answer } or null
+  resolutionFor(job, question) {
+    const resolved = this.findFor(this.read().items, job, question)
+      .filter(item => item.status !== 'pending')
+      .sort((a, b) => new Date(b.resolvedAt) - new Date(a.resolvedAt))[0];
+
+    return resolved ? { id: resolved.id, status: resolved.status, answer: resolved.finalAnswer } : null;
+  }
+
+  resolve(id, status, finalAnswer) {
+    if (!STATUSES.includes(status) || status === 'pending') {
+      return { success: false, error: `Unknown review status: ${status}` };
+    }
+
+    const queue = this.read();
+    const item = queue.items.find(candidate => candidate.id === id);
+    if (!item) {
+      return { success: false, error: `No review item ${id}` };
+    }
+    if (item.status !== 'pending') {
+      return { success: false, error: `Review item ${id} is already ${item.status}` };
+    }
+
+    item.status = status;
+    item.finalAnswer = finalAnswer;
+    item.resolvedAt = new Date().toISOString();
+    this.write(queue);
+
+    if (this.answerMemory && item.memoryId) {
+      if (status === 'approved') this.answerMemory.approve(item.memoryId);
+      if (status === 'edited') this.answerMemory.edit(item.memoryId, finalAnswer);
+      if (status === 'rejected') this.answerMemory.reject(item.memoryId);
+    }
+
+    return { success: true, item };
+  }
+
+  approve(id) {
+    const item = this.get(id);
+    return this.resolve(id, 'approved', item ? item.answer : null);
+  }
+
+  edit(id, answer) {
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return { success: false, error: 'An edited answer must be a non-empty string' };
+    }
+    return this.resolve(id, 'edited', answer.trim());
+  }
+
+  // The question is left unanswered on the next attempt
+  reject(id) {
+    return this.resolve(id, 'rejected', null);
+  }
+}
+
+ReviewQueue.STATUSES = STATUSES;
+
+module.exports = ReviewQueue;
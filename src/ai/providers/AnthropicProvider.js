@@ -0,0 +1,54 @@
+const axios = require('axios');
+const LLMProvider = require('./LLMProvider');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider extends LLMProvider {
+  static providerId = 'anthropic';
+
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.baseURL || ANTHROPIC_API_URL;
+    this.timeout = options.timeout || 60000;
+  }
+
+  async complete({ system, prompt, model, temperature, maxTokens }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }]
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    const response = await axios.post(this.apiUrl, body, {
+      timeout: this.timeout,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json'
+      }
+    });
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage || {};
+
+    return this.toResult(text, response.data.model || model, {
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens
+    });
+  }
+}
+
+module.exports = AnthropicProvider;
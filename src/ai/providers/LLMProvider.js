@@ -0,0 +1,44 @@
+// 🔌 LLM PROVIDER - the one call every backend implements
+//
+// complete({ system, prompt, model, temperature, maxTokens })
+//   → { text, provider, model, usage: { inputTokens, outputTokens } }
+// embed(texts, model) → { vectors, provider, model, usage } - optional, not every backend has embeddings
+
+class LLMProvider {
+  static providerId = 'base';
+
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get id() {
+    return this.constructor.providerId;
+  }
+
+  async complete(request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  async embed(texts, model) {
+    throw new Error(`${this.constructor.name} does not support embeddings`);
+  }
+
+  // Rough count for backends that do not report usage (about four characters per token)
+  static estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  toResult(text, model, usage = {}) {
+    return {
+      text: (text || '').trim(),
+      provider: this.id,
+      model,
+      usage: {
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0
+      }
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,27 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const StubProvider = require('./StubProvider');
+
+const PROVIDERS = {
+  [OpenAIProvider.providerId]: OpenAIProvider,
+  [OpenAICompatibleProvider.providerId]: OpenAICompatibleProvider,
+  [AnthropicProvider.providerId]: AnthropicProvider,
+  [StubProvider.providerId]: StubProvider
+};
+
+class LLMProviderFactory {
+  static list() {
+    return Object.keys(PROVIDERS);
+  }
+
+  static create(providerId, options = {}) {
+    const ProviderClass = PROVIDERS[providerId];
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider "${providerId}" (expected one of: ${LLMProviderFactory.list().join(', ')})`);
+    }
+    return new ProviderClass(options);
+  }
+}
+
+module.exports = LLMProviderFactory;
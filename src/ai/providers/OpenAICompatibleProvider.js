@@ -0,0 +1,31 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const LLMProvider = require('./LLMProvider');
+
+// Ollama (http://localhost:11434/v1), llama.cpp server (http://localhost:8080/v1) or anything else speaking the OpenAI API
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static providerId = 'local';
+
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('The local LLM provider needs a baseURL');
+    }
+    // Local servers ignore the key, but the client refuses to start without one
+    super({ ...options, apiKey: options.apiKey || 'local' });
+  }
+
+  async complete(request) {
+    const result = await super.complete(request);
+
+    // Some local servers leave usage out of the response
+    if (!result.usage.inputTokens && !result.usage.outputTokens) {
+      result.usage = {
+        inputTokens: LLMProvider.estimateTokens(`${request.system || ''}${request.prompt}`),
+        outputTokens: LLMProvider.estimateTokens(result.text)
+      };
+    }
+
+    return result;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
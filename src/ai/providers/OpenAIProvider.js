@@ -0,0 +1,49 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./LLMProvider');
+
+class OpenAIProvider extends LLMProvider {
+  static providerId = 'openai';
+
+  constructor(options = {}) {
+    super(options);
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      timeout: options.timeout || 60000
+    });
+  }
+
+  async complete({ system, prompt, model, temperature, maxTokens }) {
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const usage = response.usage || {};
+    return this.toResult(response.choices[0].message.content, response.model || model, {
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens
+    });
+  }
+
+  async embed(texts, model) {
+    const response = await this.client.embeddings.create({ model, input: texts });
+
+    return {
+      vectors: response.data.map(item => item.embedding),
+      provider: this.id,
+      model: response.model || model,
+      usage: { inputTokens: (response.usage || {}).prompt_tokens || 0, outputTokens: 0 }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,32 @@
+const LLMProvider = require('./LLMProvider');
+
+// Offline and deterministic: the same prompt always gets the same answer, so tests never touch the network
+class StubProvider extends LLMProvider {
+  static providerId = 'stub';
+
+  constructor(options = {}) {
+    super(options);
+    // [{ match: /regex/ or 'substring', text: 'answer' }], checked in order
+    this.responses = options.responses || [];
+    this.defaultText = options.defaultText ||
+      'I have built and shipped production services in Java, Python and JavaScript, and I would bring that experience to this role.';
+    this.calls = [];
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+
+    const prompt = request.prompt || '';
+    const canned = this.responses.find(response => response.match instanceof RegExp
+      ? response.match.test(prompt)
+      : prompt.includes(response.match));
+    const text = canned ? canned.text : this.defaultText;
+
+    return this.toResult(text, request.model || 'stub', {
+      inputTokens: LLMProvider.estimateTokens(`${request.system || ''}${prompt}`),
+      outputTokens: LLMProvider.estimateTokens(text)
+    });
+  }
+}
+
+module.exports = StubProvider;
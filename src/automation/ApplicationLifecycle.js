@@ -0,0 +1,102 @@
+// 🔄 APPLICATION LIFECYCLE - where an application stands once it has been sent, and how it may move on
+//
+// Before submission an application is failed, skipped, awaiting_review or dry_run. After it, it moves
+// along STAGES (skipping any it never went through) and may end rejected or withdrawn at any point.
+// Every change names its source: the automation itself, an email, a manual edit or a portal check.
+
+// The funnel, in order; reaching a stage implies the ones before it
+const STAGES = ['submitted', 'confirmation_received', 'assessment_requested', 'interview', 'offer'];
+const CLOSED = ['rejected', 'withdrawn'];
+const PRE_SUBMISSION = ['failed', 'skipped', 'awaiting_review', 'dry_run'];
+const SOURCES = ['automation', 'email', 'manual', 'portal'];
+
+const LABELS = {
+  submitted: 'Submitted',
+  confirmation_received: 'Confirmation received',
+  assessment_requested: 'Assessment requested',
+  interview: 'Interview',
+  offer: 'Offer',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn',
+  failed: 'Failed',
+  skipped: 'Skipped',
+  awaiting_review: 'Awaiting review',
+  dry_run: 'Dry run'
+};
+
+class ApplicationLifecycle {
+  static STAGES = STAGES;
+  static CLOSED = CLOSED;
+  static PRE_SUBMISSION = PRE_SUBMISSION;
+  static SOURCES = SOURCES;
+  static STATUSES = [...PRE_SUBMISSION, ...STAGES, ...CLOSED];
+
+  static label(status) {
+    return LABELS[status] || status;
+  }
+
+  // The company has the application: submitted or anything after it
+  static isApplied(status) {
+    return STAGES.includes(status) || CLOSED.includes(status);
+  }
+
+  // { allowed, reason }. Only a manual edit may move an application back or reopen a closed one,
+  // so an email that arrives late cannot undo an interview invitation.
+  static canTransition(from, to, source) {
+    if (!ApplicationLifecycle.STATUSES.includes(to)) {
+      return { allowed: false, reason: `Unknown status "${to}"` };
+    }
+    if (!SOURCES.includes(source)) {
+      return { allowed: false, reason: `Unknown source "${source}" - use ${SOURCES.join(', ')}` };
+    }
+    if (from === to) {
+      return { allowed: false, reason: `Already ${ApplicationLifecycle.label(to)}` };
+    }
+    if (source === 'manual' || !ApplicationLifecycle.isApplied(from)) {
+      return { allowed: true };
+    }
+    if (PRE_SUBMISSION.includes(to)) {
+      return { allowed: false, reason: `${ApplicationLifecycle.label(from)} applications cannot become ${ApplicationLifecycle.label(to)}` };
+    }
+    if (CLOSED.includes(from)) {
+      return { allowed: false, reason: `Application is ${ApplicationLifecycle.label(from)} - only a manual edit can reopen it` };
+    }
+    if (STAGES.includes(to) && STAGES.indexOf(to) < STAGES.indexOf(from)) {
+      return { allowed: false, reason: `Application is already at ${ApplicationLifecycle.label(from)}` };
+    }
+    return { allowed: true };
+  }
+
+  // Index in STAGES of the furthest stage among the statuses an application has had, or -1;
+  // a rejection or withdrawal means it was at least submitted
+  static furthestStage(statuses) {
+    return Math.max(-1, ...statuses.map(status => (CLOSED.includes(status) ? 0 : STAGES.indexOf(status))));
+  }
+
+  // applications: [{ status, statuses }] - the current status and every status each has had.
+  // → { stages: [{ status, count, conversion, stepConversion }], rejected, withdrawn }
+  // conversion is the share of submitted applications that got this far, stepConversion the share of the stage before
+  static funnel(applications) {
+    const reached = STAGES.map(() => 0);
+    const closed = { rejected: 0, withdrawn: 0 };
+
+    applications.forEach(({ status, statuses }) => {
+      const furthest = ApplicationLifecycle.furthestStage([...statuses, status]);
+      for (let i = 0; i <= furthest; i++) reached[i]++;
+      if (CLOSED.includes(status)) closed[status]++;
+    });
+
+    const percent = (count, total) => (total > 0 ? Number(((count / total) * 100).toFixed(1)) : 0);
+    return {
+      stages: STAGES.map((status, i) => ({
+        status,
+        count: reached[i],
+        conversion: percent(reached[i], reached[0]),
+        stepConversion: i === 0 ? null : percent(reached[i], reached[i - 1])
+      })),
+      ...closed
+    };
+  }
+}
+
+module.exports = ApplicationLifecycle;
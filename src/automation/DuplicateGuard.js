@@ -0,0 +1,58 @@
+// 🚦 DUPLICATE GUARD - asked before every apply whether the posting or the company was applied to already
+//
+// Postings are matched across JobRight, LinkedIn and the company's ATS through JobIdentity. A different
+// posting at a company applied to within the cool-down (automation.companyCooldownDays) is skipped as well.
+
+const UserProfile = require('../../Config/user-profile');
+const ApplicationRepository = require('../../database/ApplicationRepository');
+const ApplicationLifecycle = require('./ApplicationLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DuplicateGuard {
+  constructor(options = {}) {
+    this.repository = options.repository || new ApplicationRepository();
+
+    const cooldownDays = options.companyCooldownDays !== undefined
+      ? options.companyCooldownDays
+      : process.env.COMPANY_COOLDOWN_DAYS || (UserProfile.automation || {}).companyCooldownDays;
+    this.companyCooldownDays = Number(cooldownDays) || 0;
+  }
+
+  // { allowed: true } or { allowed: false, kind: 'duplicate' | 'cooldown' | 'error', reason, application }
+  async check(job, now = new Date()) {
+    try {
+      const previous = (await this.repository.findApplicationsForPosting(job))
+        .find(application => ApplicationLifecycle.isApplied(application.status));
+      if (previous) {
+        const when = (previous.submittedAt || previous.updatedAt || '').slice(0, 10);
+        return {
+          allowed: false,
+          kind: 'duplicate',
+          reason: `Already applied to this posting on ${when} via ${previous.platform || 'an unknown platform'}`,
+          application: previous
+        };
+      }
+
+      if (this.companyCooldownDays > 0) {
+        const last = await this.repository.findLastSubmissionToCompany(job.company);
+        const daysAgo = last && last.submittedAt ? (now - new Date(last.submittedAt)) / DAY_MS : Infinity;
+        if (daysAgo < this.companyCooldownDays) {
+          return {
+            allowed: false,
+            kind: 'cooldown',
+            reason: `Applied to ${job.company} ${Math.floor(daysAgo)} day(s) ago (${last.jobTitle || 'another role'}); cool-down is ${this.companyCooldownDays} days`,
+            application: last
+          };
+        }
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      // Without the history a duplicate cannot be ruled out
+      return { allowed: false, kind: 'error', reason: `Could not check application history: ${error.message}` };
+    }
+  }
+}
+
+module.exports = DuplicateGuard;
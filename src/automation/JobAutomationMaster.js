@@ -0,0 +1,410 @@
+// 🎛️ JOB AUTOMATION MASTER - RUN ORCHESTRATOR
+// Drives discovery → filtering → per-job application across JobRight and the ATS automators
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const UserProfile = require('../../Config/user-profile');
+const packageJson = require('../../package.json');
+const JobRightAIAutomator = require('../platforms/JobRightAIAutomator');
+const ApplicationRepository = require('../../database/ApplicationRepository');
+const DuplicateGuard = require('./DuplicateGuard');
+const JobIdentity = require('../utils/JobIdentity');
+const Logger = require('../utils/Logger');
+const ErrorHandler = require('../utils/ErrorHandler');
+
+const RUNS_FILE = path.join(__dirname, '../../data/automation_runs.json');
+const MAX_STORED_RUNS = 100;
+// Per-run cap for a platform that has no block in package.json "automation"
+const DEFAULT_PLATFORM_MAX_APPLICATIONS = 5;
+// Failed and paused applications count too, so a run where every application fails still stops
+const MAX_ATTEMPTS_PER_APPLICATION = 2;
+
+class JobAutomationMaster {
+  constructor(options = {}) {
+    this.logger = new Logger('AutomationMaster');
+    this.errorHandler = new ErrorHandler();
+    this.runsFile = options.runsFile || RUNS_FILE;
+    this.config = this.loadConfig(options);
+    this.repository = options.repository || new ApplicationRepository();
+    this.ownsRepository = !options.repository;
+    this.duplicateGuard = options.duplicateGuard || new DuplicateGuard({ repository: this.repository });
+    // Database writes queued by recordApplication, awaited before the report is saved
+    this.pendingWrites = [];
+    this.automator = null;
+  }
+
+  loadConfig(options = {}) {
+    const profileAutomation = UserProfile.automation || {};
+    const packageAutomation = (packageJson.config && packageJson.config.automation) || {};
+    const platformSettings = packageJson.automation || {};
+
+    const maxApplicationsPerDay = Number(
+      process.env.MAX_APPLICATIONS_PER_DAY ||
+      profileAutomation.maxApplicationsPerDay ||
+      packageAutomation.maxApplicationsPerDay ||
+      30
+    );
+
+    const minScore = Number(
+      process.env.MIN_ATS_SCORE ||
+      profileAutomation.minATSScore ||
+      packageAutomation.targetScore ||
+      0
+    );
+
+    const enableRealApplications = process.env.ENABLE_REAL_APPLICATIONS !== undefined
+      ? process.env.ENABLE_REAL_APPLICATIONS === 'true'
+      : packageAutomation.enableRealApplications === true;
+
+    return {
+      maxApplicationsPerDay,
+      minScore,
+      dryRun: options.dryRun !== undefined ? options.dryRun : !enableRealApplications,
+      enabledPlatforms: profileAutomation.platforms || Object.keys(platformSettings),
+      platformSettings,
+      delayBetweenJobs: options.delayBetweenJobs !== undefined ? options.delayBetweenJobs : 3000
+    };
+  }
+
+  // Per-platform limits; only platforms listed in enabledPlatforms are applied on, and those without
+  // a config block get the default cap
+  getPlatformSettings(platform) {
+    const settings = this.config.platformSettings[platform] || {};
+
+    return {
+      enabled: settings.enabled !== false && this.config.enabledPlatforms.includes(platform),
+      maxApplications: settings.maxApplications !== undefined ? settings.maxApplications : DEFAULT_PLATFORM_MAX_APPLICATIONS,
+      scoreThreshold: settings.score_threshold !== undefined ? settings.score_threshold : this.config.minScore
+    };
+  }
+
+  async initialize() {
+    this.logger.info('🚀 Initializing automation master...');
+    this.automator = new JobRightAIAutomator({ applicationRepository: this.repository, duplicateGuard: this.duplicateGuard });
+    await this.automator.initialize();
+    this.logger.success('✅ Automation master ready');
+  }
+
+  async run() {
+    const report = this.createReport();
+
+    try {
+      this.logger.info(`🎬 Starting automation run ${report.runId}${report.dryRun ? ' (dry run)' : ''}`);
+
+      const remainingToday = this.config.maxApplicationsPerDay - this.countSubmittedToday();
+      report.remainingToday = Math.max(remainingToday, 0);
+
+      if (remainingToday <= 0) {
+        this.logger.warn(`⚠️ Daily limit of ${this.config.maxApplicationsPerDay} applications already reached`);
+        return this.finishReport(report);
+      }
+
+      const source = this.getPlatformSettings('jobright');
+      if (!source.enabled) {
+        this.logger.warn('⚠️ JobRight discovery is disabled - nothing to do');
+        return this.finishReport(report);
+      }
+
+      if (!this.automator) {
+        await this.initialize();
+      }
+
+      // Step 1: Discovery
+      this.logger.info('🔍 Step 1: Discovering jobs...');
+      const jobs = await this.automator.discoverJobs();
+      report.discovered = jobs.length;
+
+      // Step 2: Filtering
+      this.logger.info('🎯 Step 2: Filtering jobs...');
+      const eligibleJobs = this.filterJobs(jobs, report);
+      report.eligible = eligibleJobs.length;
+      this.logger.info(`✅ ${eligibleJobs.length} of ${jobs.length} jobs passed filtering`);
+
+      // Step 3: Per-job application
+      const applicationLimit = Math.min(remainingToday, source.maxApplications);
+      const attemptLimit = applicationLimit * MAX_ATTEMPTS_PER_APPLICATION;
+
+      for (const job of eligibleJobs) {
+        const planned = this.config.dryRun
+          ? report.applications.filter(app => app.status === 'dry_run').length
+          : report.submitted;
+
+        if (planned >= applicationLimit) {
+          this.logger.info(`🛑 Application limit reached (${applicationLimit}) - stopping run`);
+          break;
+        }
+
+        if (report.attempted >= attemptLimit) {
+          this.logger.warn(`🛑 Attempt limit reached (${attemptLimit} applications opened, ${report.submitted} submitted) - stopping run`);
+          break;
+        }
+
+        await this.processJob(job, report);
+      }
+
+    } catch (error) {
+      this.logger.error(`❌ Automation run failed: ${error.message}`);
+      this.errorHandler.handle(error, { platform: 'master', action: 'run' });
+      report.errors.push(error.message);
+    }
+
+    return this.finishReport(report);
+  }
+
+  filterJobs(jobs, report) {
+    const source = this.getPlatformSettings('jobright');
+    const seen = new Set();
+    const eligible = [];
+
+    for (const job of jobs) {
+      const jobKey = JobIdentity.key(job);
+
+      if (seen.has(jobKey)) {
+        continue;
+      }
+      seen.add(jobKey);
+
+      if (!job.hasApplyButton) {
+        this.recordApplication(report, job, 'jobright', 'skipped', 'No apply button on job card');
+        continue;
+      }
+
+      if ((job.score || 0) < source.scoreThreshold) {
+        this.recordApplication(report, job, 'jobright', 'skipped', `Score ${job.score} below threshold ${source.scoreThreshold}`);
+        continue;
+      }
+
+      eligible.push(job);
+    }
+
+    return eligible.sort((a, b) => (b.score || 0) - (a.score || 0));
+  }
+
+  async processJob(job, report) {
+    this.logger.info(`📝 Processing: ${job.title} at ${job.company} (score ${job.score})`);
+
+    // Earlier results of this run must be in the history before it is checked
+    await this.flushWrites();
+    const duplicate = await this.duplicateGuard.check(job);
+    if (!duplicate.allowed) {
+      this.logger.info(`⏭️ Skipping: ${duplicate.reason}`);
+      this.recordApplication(report, job, 'jobright', 'skipped', duplicate.reason);
+      return;
+    }
+
+    if (this.config.dryRun) {
+      this.recordApplication(report, job, 'jobright', 'dry_run', 'Real applications disabled');
+      return;
+    }
+
+    report.attempted++;
+
+    try {
+      const result = await this.automator.applyToJobWithAI(job, {
+        shouldApply: (platform) => this.canApplyOnPlatform(platform, job, report)
+      });
+
+      const platform = result.platform || 'jobright';
+
+      if (result.skipped) {
+        report.attempted--;
+        this.recordApplication(report, job, platform, 'skipped', result.error, result);
+      } else if (result.paused) {
+        // Picked up again on a later run once the answers are reviewed
+        this.recordApplication(report, job, platform, 'awaiting_review', result.error, result);
+      } else if (result.success) {
+        this.recordApplication(report, job, platform, 'submitted', null, result);
+      } else {
+        this.recordApplication(report, job, platform, 'failed', result.error, result);
+      }
+
+    } catch (error) {
+      this.logger.error(`❌ Error processing ${job.title}: ${error.message}`);
+      this.recordApplication(report, job, 'jobright', 'failed', error.message);
+    }
+
+    // Wait between applications to avoid detection
+    if (this.config.delayBetweenJobs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenJobs + Math.random() * 2000));
+    }
+  }
+
+  canApplyOnPlatform(platform, job, report) {
+    const settings = this.getPlatformSettings(platform);
+    const platformStats = report.perPlatform[platform] || { submitted: 0 };
+
+    if (!settings.enabled) {
+      return { allowed: false, reason: `Platform ${platform} is disabled` };
+    }
+
+    if ((job.score || 0) < settings.scoreThreshold) {
+      return { allowed: false, reason: `Score ${job.score} below ${platform} threshold ${settings.scoreThreshold}` };
+    }
+
+    if (platformStats.submitted >= settings.maxApplications) {
+      return { allowed: false, reason: `Platform ${platform} limit of ${settings.maxApplications} reached` };
+    }
+
+    return { allowed: true };
+  }
+
+  createReport() {
+    return {
+      runId: `run_${Date.now()}`,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      dryRun: this.config.dryRun,
+      limits: {
+        maxApplicationsPerDay: this.config.maxApplicationsPerDay,
+        minScore: this.config.minScore
+      },
+      remainingToday: 0,
+      discovered: 0,
+      eligible: 0,
+      attempted: 0,
+      submitted: 0,
+      failed: 0,
+      skipped: 0,
+      awaitingReview: 0,
+      perPlatform: {},
+      applications: [],
+      errors: []
+    };
+  }
+
+  recordApplication(report, job, platform, status, reason = null, result = {}) {
+    const platformKey = platform || 'jobright';
+
+    if (!report.perPlatform[platformKey]) {
+      report.perPlatform[platformKey] = { submitted: 0, failed: 0, skipped: 0, dry_run: 0, awaiting_review: 0 };
+    }
+    report.perPlatform[platformKey][status]++;
+
+    if (status === 'submitted') report.submitted++;
+    if (status === 'failed') report.failed++;
+    if (status === 'skipped') report.skipped++;
+    if (status === 'awaiting_review') report.awaitingReview++;
+
+    report.applications.push({
+      job: {
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        score: job.score,
+        descriptionSummary: job.descriptionSummary || null
+      },
+      platform,
+      status,
+      reason,
+      externalUrl: result.external_url || null,
+      aiResponses: (result.ai_responses || []).length,
+      reviewIds: result.review_ids || [],
+      timestamp: new Date().toISOString()
+    });
+
+    this.pendingWrites.push(
+      this.repository.recordResult(job, { platform: platformKey, status, reason, runId: report.runId, result })
+        .catch(error => {
+          this.logger.error(`❌ Error recording application: ${error.message}`);
+          report.errors.push(`Could not record ${job.title}: ${error.message}`);
+        })
+    );
+  }
+
+  async flushWrites() {
+    await Promise.all(this.pendingWrites.splice(0));
+  }
+
+  async finishReport(report) {
+    await this.flushWrites();
+
+    report.finishedAt = new Date().toISOString();
+    report.durationMs = new Date(report.finishedAt) - new Date(report.startedAt);
+
+    this.saveReport(report);
+    this.logSummary(report);
+
+    return report;
+  }
+
+  loadRuns() {
+    try {
+      if (fs.existsSync(this.runsFile)) {
+        return JSON.parse(fs.readFileSync(this.runsFile, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read run history: ${error.message}`);
+    }
+    return [];
+  }
+
+  saveReport(report) {
+    try {
+      fs.mkdirSync(path.dirname(this.runsFile), { recursive: true });
+      const runs = this.loadRuns();
+      runs.push(report);
+      fs.writeFileSync(this.runsFile, JSON.stringify(runs.slice(-MAX_STORED_RUNS), null, 2));
+    } catch (error) {
+      this.logger.error(`❌ Error saving run report: ${error.message}`);
+    }
+  }
+
+  // "Today" starts at local midnight, like the cron schedule the runs are started on
+  countSubmittedToday(now = new Date()) {
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    return this.loadRuns()
+      .filter(run => run.startedAt && new Date(run.startedAt) >= startOfDay)
+      .reduce((total, run) => total + (run.submitted || 0), 0);
+  }
+
+  logSummary(report) {
+    this.logger.info('📊 RUN SUMMARY:');
+    this.logger.info(`   🔍 Discovered: ${report.discovered}`);
+    this.logger.info(`   🎯 Eligible: ${report.eligible}`);
+    this.logger.info(`   📝 Attempted: ${report.attempted}`);
+    this.logger.info(`   ✅ Submitted: ${report.submitted}`);
+    this.logger.info(`   ❌ Failed: ${report.failed}`);
+    this.logger.info(`   ⏭️ Skipped: ${report.skipped}`);
+    this.logger.info(`   ⏸️ Awaiting review: ${report.awaitingReview}`);
+
+    Object.entries(report.perPlatform).forEach(([platform, stats]) => {
+      this.logger.info(`   🌐 ${platform}: ${stats.submitted} submitted, ${stats.failed} failed, ${stats.skipped} skipped`);
+    });
+  }
+
+  async close() {
+    if (this.automator) {
+      await this.automator.close();
+      this.automator = null;
+    }
+    if (this.ownsRepository) {
+      await this.repository.close();
+    }
+  }
+}
+
+// 🚀 RUN FROM THE COMMAND LINE (npm run automation)
+async function main() {
+  const master = new JobAutomationMaster({
+    dryRun: process.argv.includes('--dry-run') ? true : undefined
+  });
+
+  try {
+    const report = await master.run();
+    process.exitCode = report.errors.length > 0 ? 1 : 0;
+  } finally {
+    await master.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Automation master failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = JobAutomationMaster;
@@ -0,0 +1,183 @@
+// ⏰ RUN SCHEDULER - fires automation runs on the profile's cron schedule
+
+const fs = require('fs');
+const path = require('path');
+const schedule = require('node-schedule');
+const Logger = require('../utils/Logger');
+
+const STATE_FILE = path.join(__dirname, '../../data/scheduler_state.json');
+
+class RunScheduler {
+  constructor({ cronExpression, runTask, stateFile = STATE_FILE }) {
+    this.logger = new Logger('RunScheduler');
+    this.cronExpression = cronExpression;
+    this.runTask = runTask;
+    this.stateFile = stateFile;
+    this.job = null;
+    this.currentRun = null;
+    this.state = {
+      nextRunAt: null,
+      lastRunAt: null,
+      lastRunFinishedAt: null,
+      lastRunStatus: null,
+      lastRunSummary: null,
+      lastSkippedAt: null,
+      lastSkipReason: null,
+      ...this.loadState(),
+      // Schedule and status always start from config, never from a stale state file
+      status: 'stopped',
+      cronExpression
+    };
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read scheduler state: ${error.message}`);
+    }
+    return {};
+  }
+
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      this.logger.error(`❌ Error saving scheduler state: ${error.message}`);
+    }
+  }
+
+  start() {
+    if (this.job) {
+      if (this.state.status === 'paused') {
+        return this.resume();
+      }
+      return { success: true, status: this.getStatus() };
+    }
+
+    this.job = schedule.scheduleJob(this.cronExpression, () => this.tick());
+
+    if (!this.job) {
+      this.logger.error(`❌ Invalid run schedule: ${this.cronExpression}`);
+      return { success: false, error: `Invalid cron expression: ${this.cronExpression}` };
+    }
+
+    this.state.status = 'scheduled';
+    this.updateNextRun();
+    this.logger.success(`⏰ Scheduler started (${this.cronExpression}), next run at ${this.state.nextRunAt}`);
+
+    return { success: true, status: this.getStatus() };
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.cancel();
+      this.job = null;
+    }
+
+    this.state.status = 'stopped';
+    this.state.nextRunAt = null;
+    this.saveState();
+    this.logger.info('🛑 Scheduler stopped');
+
+    return { success: true, status: this.getStatus() };
+  }
+
+  pause() {
+    if (!this.job) {
+      return { success: false, error: 'Scheduler is not started' };
+    }
+
+    this.state.status = 'paused';
+    this.saveState();
+    this.logger.info('⏸️ Scheduler paused - ticks will be skipped until resumed');
+
+    return { success: true, status: this.getStatus() };
+  }
+
+  resume() {
+    if (!this.job) {
+      return this.start();
+    }
+
+    this.state.status = 'scheduled';
+    this.updateNextRun();
+    this.logger.info('▶️ Scheduler resumed');
+
+    return { success: true, status: this.getStatus() };
+  }
+
+  async tick() {
+    if (this.state.status === 'paused') {
+      this.recordSkip('Scheduler is paused');
+      return;
+    }
+
+    if (this.currentRun) {
+      this.recordSkip('Previous run is still in progress');
+      return;
+    }
+
+    this.state.lastRunAt = new Date().toISOString();
+    this.state.lastRunStatus = 'running';
+    this.updateNextRun();
+    this.logger.info('🎬 Scheduled run starting...');
+
+    this.currentRun = Promise.resolve().then(() => this.runTask());
+
+    try {
+      const report = await this.currentRun;
+      this.state.lastRunStatus = 'completed';
+      this.state.lastRunSummary = this.summarize(report);
+      this.logger.success('✅ Scheduled run completed');
+    } catch (error) {
+      this.state.lastRunStatus = 'failed';
+      this.state.lastRunSummary = { error: error.message };
+      this.logger.error(`❌ Scheduled run failed: ${error.message}`);
+    } finally {
+      this.currentRun = null;
+      this.state.lastRunFinishedAt = new Date().toISOString();
+      this.updateNextRun();
+    }
+  }
+
+  recordSkip(reason) {
+    this.state.lastSkippedAt = new Date().toISOString();
+    this.state.lastSkipReason = reason;
+    this.updateNextRun();
+    this.logger.warn(`⏭️ Skipping scheduled run: ${reason}`);
+  }
+
+  summarize(report) {
+    if (!report || typeof report !== 'object') {
+      return null;
+    }
+
+    return {
+      runId: report.runId,
+      dryRun: report.dryRun,
+      discovered: report.discovered,
+      submitted: report.submitted,
+      failed: report.failed,
+      skipped: report.skipped
+    };
+  }
+
+  updateNextRun() {
+    const next = this.job ? this.job.nextInvocation() : null;
+    this.state.nextRunAt = next ? new Date(next.getTime()).toISOString() : null;
+    this.saveState();
+  }
+
+  getStatus() {
+    return {
+      ...this.state,
+      isRunInProgress: !!this.currentRun
+    };
+  }
+}
+
+module.exports = RunScheduler;
@@ -0,0 +1,132 @@
+// 📨 EMAIL CLASSIFIER - what a reply from a company or its ATS is telling us
+//
+// classify(email) → { kind, status, code, matched }
+// kind is confirmation, rejection, interview, assessment, verification_code or null for anything else;
+// status is the lifecycle status it moves the application to, code the verification code if one was sent.
+
+// Checked in order, first match wins: a rejection usually thanks you for applying, and an assessment
+// invitation usually mentions the interview process. Rules marked definite only count sentences that state
+// the outcome, since a wrong rejection can only be undone by hand.
+const RULES = [
+  {
+    kind: 'verification_code',
+    status: null,
+    patterns: [
+      /\bverification code\b/i,
+      /\b(?:one[- ]time|security|access) (?:pass)?code\b/i,
+      /\bverify your (?:email|account|identity)\b/i,
+      /\bconfirm your email(?: address)?\b/i
+    ]
+  },
+  {
+    kind: 'rejection',
+    status: 'rejected',
+    definite: true,
+    patterns: [
+      /\b(?:decided|chosen|elected) (?:not to|to not) (?:move|proceed|advance)/i,
+      /\b(?:will|won't|will not|are not|aren't) (?:be )?(?:moving|proceeding|advancing) forward with your/i,
+      /\bmov(?:e|ing) forward with (?:other|another) candidates?\b/i,
+      /\bpursue (?:other|another) candidates?\b/i,
+      /\b(?:you|your application) (?:were|was|have|has)(?: not|n't)(?: been)? selected\b/i,
+      /\bposition has (?:been filled|closed)\b/i,
+      /\bunable to offer you\b/i,
+      /\bregret to inform\b/i
+    ]
+  },
+  {
+    kind: 'assessment',
+    status: 'assessment_requested',
+    definite: true,
+    patterns: [
+      /\b(?:online|technical|coding) (?:assessment|challenge|test)\b/i,
+      /\btake[- ]home (?:assignment|exercise|challenge|project)\b/i,
+      /\b(?:hackerrank|codility|codesignal|coderpad screen|testgorilla|hirevue|karat)\b/i,
+      /\bcomplete (?:the|an|this|our) assessment\b/i
+    ]
+  },
+  {
+    kind: 'interview',
+    status: 'interview',
+    definite: true,
+    patterns: [
+      /\bschedule (?:an?|your|the) (?:interview|call|chat|phone screen|conversation)\b/i,
+      /\b(?:phone|recruiter|technical|video|onsite|on-site) (?:screen|interview)\b/i,
+      /\binvit(?:e|ation|ing) you to (?:an? )?interview\b/i,
+      /\b(?:share|send|provide) (?:me |us )?your availability\b/i,
+      /\binterview (?:invitation|request)\b/i,
+      /\b(?:calendly|goodtime)\.(?:com|io)\b/i
+    ]
+  },
+  {
+    kind: 'confirmation',
+    status: 'confirmation_received',
+    patterns: [
+      /\bthank you for (?:applying|your application|submitting)\b/i,
+      /\bthanks for (?:applying|your application)\b/i,
+      /\b(?:we(?: have|'ve)?|has been) received (?:your )?(?:application|submission)\b/i,
+      /\bapplication (?:has been |was )?(?:received|submitted)\b/i,
+      /\bapplication confirmation\b/i
+    ]
+  }
+];
+
+// Sentences that only say what might happen ("if you are not selected", "we will reach out to schedule")
+// or are acknowledgement boilerplate ("unable to respond to every applicant")
+const TENTATIVE = [
+  /\b(?:if|unless|whether|should you|in case|might)\b/i,
+  /\bwill (?:reach out|contact you|be in touch|get back to you|let you know|follow up)\b/i,
+  /\b(?:respond|reply) to (?:every|each|all)\b/i,
+  /\b(?:high|large) (?:volume|number) of (?:applications|applicants|candidates)\b/i
+];
+
+// Text after a mention of a code, and a 4-8 character token with at least one digit in it
+const CODE_CONTEXT = /\b(?:code|passcode|otp|pin)\b(?=([\s\S]{0,80}))/gi;
+const CODE_TOKEN = /\b(?=[A-Z0-9]*\d)[A-Z0-9]{4,8}\b/g;
+
+class EmailClassifier {
+  static RULES = RULES;
+
+  // email: { subject, text }
+  static classify(email = {}) {
+    const text = `${email.subject || ''}\n${email.text || ''}`;
+    const sentences = EmailClassifier.sentences(email);
+    const definite = sentences.filter(sentence => !TENTATIVE.some(pattern => pattern.test(sentence)));
+
+    for (const rule of RULES) {
+      let matched = null;
+      for (const sentence of rule.definite ? definite : sentences) {
+        const pattern = rule.patterns.find(candidate => candidate.test(sentence));
+        if (pattern) {
+          matched = sentence.match(pattern)[0];
+          break;
+        }
+      }
+      if (!matched) continue;
+
+      const code = rule.kind === 'verification_code' ? EmailClassifier.extractCode(text) : null;
+      // Verification wording without a code is usually a link to click, which says nothing about the application
+      if (rule.kind === 'verification_code' && !code) continue;
+
+      return { kind: rule.kind, status: rule.status, code, matched };
+    }
+
+    return { kind: null, status: null, code: null, matched: null };
+  }
+
+  // The subject, then the body split into sentences; wrapped lines are joined first
+  static sentences(email = {}) {
+    const body = String(email.text || '').split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim());
+    return [email.subject || '', ...body.flatMap(paragraph => paragraph.split(/(?<=[.!?])\s+/))].filter(Boolean);
+  }
+
+  // A six-digit code wins over other tokens near the word "code"
+  static extractCode(text) {
+    const tokens = [];
+    for (const [, context] of String(text || '').matchAll(CODE_CONTEXT)) {
+      tokens.push(...(context.match(CODE_TOKEN) || []));
+    }
+    return tokens.find(token => /^\d{6}$/.test(token)) || tokens[0] || null;
+  }
+}
+
+module.exports = EmailClassifier;
@@ -0,0 +1,123 @@
+// 📥 EMAIL INGESTOR - reads recruiting replies from the inbox and moves applications along their lifecycle
+//
+// Each new message is classified (EmailClassifier), matched to an application by company and title
+// (EmailMatcher) and, when both succeed, sets the application's status with source "email". Every message
+// looked at is recorded, matched or not, so a rerun only handles what arrived since.
+
+require('dotenv').config();
+const Logger = require('../utils/Logger');
+const ApplicationRepository = require('../../database/ApplicationRepository');
+const ApplicationLifecycle = require('../automation/ApplicationLifecycle');
+const EmailClassifier = require('./EmailClassifier');
+const EmailMatcher = require('./EmailMatcher');
+const MailboxReader = require('./MailboxReader');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// An email sent just before we recorded the submission can still be about it (clocks, slow redirects)
+const SUBMISSION_SLACK_MS = 60 * 60 * 1000;
+
+class EmailIngestor {
+  constructor(options = {}) {
+    this.logger = new Logger('EmailIngestor');
+    this.repository = options.repository || new ApplicationRepository();
+    this.ownsRepository = !options.repository;
+    this.mailbox = options.mailbox || new MailboxReader();
+    this.lookbackDays = Number(options.lookbackDays || process.env.EMAIL_LOOKBACK_DAYS) || 14;
+  }
+
+  // → { success, fetched, processed, updated, unmatched, results: [{ messageId, subject, kind, applicationId, status, note }] }
+  async run() {
+    try {
+      const since = await this.since();
+      this.logger.info(`📬 Checking mail since ${since.toISOString().slice(0, 10)}...`);
+
+      const emails = await this.mailbox.fetchSince(since);
+      const applications = await this.repository.listSubmittedApplications();
+      const results = [];
+
+      for (const email of emails) {
+        if (await this.repository.hasEmail(email.messageId)) continue;
+        results.push(await this.ingest(email, applications));
+      }
+
+      const summary = {
+        success: true,
+        fetched: emails.length,
+        processed: results.length,
+        updated: results.filter(result => result.status).length,
+        unmatched: results.filter(result => result.kind && result.kind !== 'verification_code' && !result.applicationId).length,
+        results
+      };
+      this.logger.success(`✅ ${summary.processed} new email(s), ${summary.updated} application(s) updated, ${summary.unmatched} unmatched`);
+      return summary;
+    } catch (error) {
+      this.logger.error(`❌ Email ingestion failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // IMAP SINCE is a whole day, so start on the day of the newest email already seen; hasEmail drops repeats
+  async since() {
+    const lookback = new Date(Date.now() - this.lookbackDays * DAY_MS);
+    const last = await this.repository.lastEmailReceivedAt();
+    return last && new Date(last) > lookback ? new Date(last) : lookback;
+  }
+
+  // email: a MailboxReader.parse result; applications: listSubmittedApplications()
+  async ingest(email, applications) {
+    const classification = EmailClassifier.classify(email);
+    const outcome = { kind: classification.kind, code: classification.code, applicationId: null, status: null, note: null };
+
+    if (classification.status) {
+      const sentAt = new Date(email.date).getTime();
+      const before = applications.filter(application => new Date(application.submittedAt).getTime() - SUBMISSION_SLACK_MS <= sentAt);
+      const { application, reason } = EmailMatcher.match(email, before);
+
+      if (!application) {
+        outcome.note = reason;
+      } else {
+        outcome.applicationId = application.id;
+        const result = await this.repository.setStatus(application.id, classification.status, {
+          source: 'email',
+          reason: `${ApplicationLifecycle.label(classification.status)} email: "${email.subject}"`,
+          at: email.date
+        });
+        if (result.success) {
+          outcome.status = classification.status;
+          this.logger.info(`📨 ${application.company} - ${application.jobTitle}: ${ApplicationLifecycle.label(classification.status)}`);
+        }
+        outcome.note = result.success ? `Matched by ${reason}` : `Matched by ${reason}; ${result.error}`;
+      }
+    }
+
+    await this.repository.recordEmail(email, outcome);
+    return { messageId: email.messageId, subject: email.subject, ...outcome };
+  }
+
+  async close() {
+    if (this.ownsRepository) {
+      await this.repository.close();
+    }
+  }
+}
+
+// 🚀 RUN FROM THE COMMAND LINE (npm run check-email)
+async function main() {
+  const ingestor = new EmailIngestor();
+
+  try {
+    const summary = await ingestor.run();
+    process.exitCode = summary.success ? 0 : 1;
+  } finally {
+    await ingestor.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Email ingestion failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = EmailIngestor;
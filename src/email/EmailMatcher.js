@@ -0,0 +1,64 @@
+// 🔗 EMAIL MATCHER - which application an email is about, by company and job title
+//
+// match(email, applications) → { application, reason }, application null when none or several fit.
+// The company has to appear in the sender, its domain, the subject or the body; the title picks between
+// several applications to the same company.
+
+const JobIdentity = require('../utils/JobIdentity');
+
+// Mail from these domains is sent by the ATS or a mail service on the company's behalf, so the domain
+// says nothing about the company
+const SHARED_DOMAINS = [
+  'greenhouse.io', 'greenhouse-mail.io', 'lever.co', 'hire.lever.co', 'myworkday.com', 'myworkdayjobs.com',
+  'workday.com', 'ashbyhq.com', 'smartrecruiters.com', 'icims.com', 'jobvite.com', 'bamboohr.com',
+  'successfactors.com', 'taleo.net', 'gmail.com', 'googlemail.com', 'outlook.com', 'sendgrid.net',
+  'mailgun.org', 'linkedin.com', 'jobright.ai', 'indeed.com'
+];
+
+// Second-level labels under country domains ("acme.co.uk", "acme.com.au"), so the name is one label further left
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'ac', 'gov', 'edu', 'ltd', 'plc', 'ne', 'or', 'gen', 'biz'];
+
+const contains = (haystack, phrase) => !!phrase && ` ${haystack} `.includes(` ${phrase} `);
+
+class EmailMatcher {
+  // email: { from: { name, address }, subject, text }
+  static match(email = {}, applications = []) {
+    const from = email.from || {};
+    const text = JobIdentity.normalizeText(`${from.name || ''}\n${email.subject || ''}\n${String(email.text || '').slice(0, 20000)}`);
+    const domain = EmailMatcher.companyDomain(from.address);
+
+    const atCompany = applications.filter(application => {
+      const companyKey = JobIdentity.normalizeCompany(application.company);
+      return contains(text, companyKey) || (!!domain && !!companyKey && domain === companyKey.replace(/ /g, ''));
+    });
+    if (atCompany.length === 0) {
+      return { application: null, reason: 'No applied company is named in the email' };
+    }
+
+    const company = atCompany[0].company;
+    const withTitle = atCompany.filter(application => contains(text, JobIdentity.normalizeTitle(application.jobTitle)));
+    const candidates = withTitle.length > 0 ? withTitle : atCompany;
+    if (candidates.length === 1) {
+      return { application: candidates[0], reason: withTitle.length > 0 ? 'company and title' : 'company' };
+    }
+    if (withTitle.length > 0) {
+      // The same title applied to twice at one company (e.g. two locations): the later submission is the live one
+      const latest = [...withTitle].sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)))[0];
+      return { application: latest, reason: 'company and title, latest submission' };
+    }
+    return { application: null, reason: `${atCompany.length} applications to ${company} and the email names none of their titles` };
+  }
+
+  // "careers@mail.acme.com" and "careers@acme.co.uk" → "acme"; null for ATS and mail-service domains
+  static companyDomain(address) {
+    const host = String(address || '').toLowerCase().split('@')[1];
+    if (!host || SHARED_DOMAINS.some(shared => host === shared || host.endsWith(`.${shared}`))) {
+      return null;
+    }
+    const labels = host.split('.');
+    const suffixLength = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 2 : 1;
+    return labels.length > suffixLength ? labels[labels.length - suffixLength - 1] : null;
+  }
+}
+
+module.exports = EmailMatcher;
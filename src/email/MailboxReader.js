@@ -0,0 +1,104 @@
+// 📬 MAILBOX READER - fetches recent messages from the Gmail inbox over IMAP
+//
+// The mailbox is opened read-only, so nothing is marked as read or moved. Any IMAP server works:
+// IMAP_HOST, IMAP_PORT and IMAP_TLS point it somewhere other than Gmail.
+
+const Imap = require('imap');
+const { simpleParser } = require('mailparser');
+const UserProfile = require('../../Config/user-profile');
+
+class MailboxReader {
+  constructor(options = {}) {
+    const gmail = (UserProfile.credentials || {}).gmail || {};
+    const host = options.host || process.env.IMAP_HOST || 'imap.gmail.com';
+
+    this.config = {
+      user: options.user || process.env.GMAIL_EMAIL || gmail.email,
+      password: options.password || process.env.GMAIL_APP_PASSWORD || gmail.appPassword,
+      host,
+      port: Number(options.port || process.env.IMAP_PORT || 993),
+      tls: options.tls !== undefined ? options.tls : process.env.IMAP_TLS !== 'false',
+      tlsOptions: { servername: host },
+      authTimeout: 15000
+    };
+    this.mailbox = options.mailbox || process.env.IMAP_MAILBOX || 'INBOX';
+  }
+
+  // A raw RFC 822 message → { messageId, from: { name, address }, subject, text, html, date }
+  static async parse(raw) {
+    const mail = await simpleParser(raw);
+    const sender = (mail.from && mail.from.value && mail.from.value[0]) || {};
+    const date = mail.date || new Date();
+
+    return {
+      // Messages without an id still need a stable one to be recognised on the next run
+      messageId: mail.messageId || `${sender.address || 'unknown'}|${date.toISOString()}|${mail.subject || ''}`,
+      from: { name: sender.name || '', address: (sender.address || '').toLowerCase() },
+      subject: mail.subject || '',
+      text: mail.text || (mail.html ? String(mail.html).replace(/<[^>]+>/g, ' ') : ''),
+      html: mail.html ? String(mail.html) : '',
+      date
+    };
+  }
+
+  hasCredentials() {
+    return !!this.config.user && !/\[YOUR_EMAIL\]/.test(this.config.user) && !!this.config.password;
+  }
+
+  // Messages received on or after the day of `since` (IMAP SINCE has day granularity), oldest first
+  async fetchSince(since) {
+    if (!this.hasCredentials()) {
+      throw new Error('Mailbox credentials are not set - set credentials.gmail.email (or GMAIL_EMAIL) and GMAIL_APP_PASSWORD');
+    }
+
+    const raws = await this.fetchRaw(since);
+    const messages = await Promise.all(raws.map(raw => MailboxReader.parse(raw)));
+    return messages.sort((a, b) => a.date - b.date);
+  }
+
+  fetchRaw(since) {
+    return new Promise((resolve, reject) => {
+      const imap = new Imap(this.config);
+      let settled = false;
+
+      const finish = (error, raws) => {
+        if (settled) return;
+        settled = true;
+        imap.end();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(raws);
+        }
+      };
+
+      imap.once('error', finish);
+      imap.once('ready', () => {
+        imap.openBox(this.mailbox, true, (openError) => {
+          if (openError) return finish(openError);
+
+          imap.search([['SINCE', since]], (searchError, uids) => {
+            if (searchError) return finish(searchError);
+            if (uids.length === 0) return finish(null, []);
+
+            const pending = [];
+            const fetch = imap.fetch(uids, { bodies: '' });
+            fetch.on('message', (message) => {
+              pending.push(new Promise((done) => {
+                const chunks = [];
+                message.on('body', (stream) => stream.on('data', chunk => chunks.push(chunk)));
+                message.once('end', () => done(Buffer.concat(chunks)));
+              }));
+            });
+            fetch.once('error', finish);
+            fetch.once('end', () => Promise.all(pending).then(raws => finish(null, raws), finish));
+          });
+        });
+      });
+
+      imap.connect();
+    });
+  }
+}
+
+module.exports = MailboxReader;
@@ -0,0 +1,98 @@
+// 🔑 VERIFICATION CODE RETRIEVER - waits for the code or link an ATS emails during account creation
+//
+// retrieve({ from, about, subject, since, timeoutMs }) polls the mailbox until an email from the sender hint
+// with a matching subject arrives after `since`, and returns the code or verification link in it.
+
+const Logger = require('../utils/Logger');
+const JobIdentity = require('../utils/JobIdentity');
+const EmailClassifier = require('./EmailClassifier');
+const MailboxReader = require('./MailboxReader');
+
+// Date headers come from the sender's clock
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+const DEFAULT_SUBJECT = /verif|confirm|activat|one[- ]time|passcode|security code|sign[- ]?in|log[- ]?in|magic link/i;
+// Links worth following: verification, confirmation, activation and sign-in links, not unsubscribe or privacy pages
+const LINK_KEYWORDS = /verif|confirm|activat|magic|token|passwordless|sign-?in|login|validate/i;
+const LINK_EXCLUDED = /unsubscribe|privacy|preferences|help|support|terms/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// "Initech Careers <initech@myworkday.com>" and "Acme, Inc." compared without case, spaces or punctuation
+const compact = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class VerificationCodeRetriever {
+  constructor(options = {}) {
+    this.logger = new Logger('VerificationCodeRetriever');
+    this.mailbox = options.mailbox || new MailboxReader();
+    this.timeoutMs = options.timeoutMs || (Number(process.env.VERIFICATION_TIMEOUT_SECONDS) || 180) * 1000;
+    this.pollIntervalMs = options.pollIntervalMs !== undefined ? options.pollIntervalMs : 10000;
+  }
+
+  // hint: { from: text in the sender's address or name, about: company names or tenants of which one has to
+  // appear in the sender or subject (for ATSs that send every tenant's mail from one domain), subject: text
+  // or RegExp (default: verification wording), since: when the email was triggered (default now), timeoutMs }
+  // → { success, code, link, email: { from, subject, date } } or { success: false, error }
+  async retrieve(hint = {}) {
+    if (!this.mailbox.hasCredentials()) {
+      return { success: false, error: 'Mailbox credentials are not set - set credentials.gmail.email and GMAIL_APP_PASSWORD' };
+    }
+
+    const since = hint.since ? new Date(hint.since) : new Date();
+    const timeoutMs = hint.timeoutMs || this.timeoutMs;
+    const deadline = Date.now() + timeoutMs;
+    const about = [].concat(hint.about || []);
+    this.logger.info(`📧 Waiting up to ${Math.round(timeoutMs / 1000)}s for a verification email${hint.from ? ` from "${hint.from}"` : ''}${about.length ? ` about ${about.join(' / ')}` : ''}...`);
+
+    for (;;) {
+      try {
+        const emails = await this.mailbox.fetchSince(since);
+        const found = VerificationCodeRetriever.find(emails, { ...hint, since });
+        if (found) {
+          this.logger.success(`✅ Verification ${found.code ? 'code' : 'link'} received: "${found.email.subject}"`);
+          return { success: true, ...found };
+        }
+      } catch (error) {
+        // A dropped connection is retried on the next poll; the deadline still applies
+        this.logger.warn(`⚠️ Could not check the mailbox: ${error.message}`);
+      }
+
+      if (Date.now() + this.pollIntervalMs > deadline) {
+        return { success: false, error: `No verification email arrived within ${Math.round(timeoutMs / 1000)}s` };
+      }
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  // The newest matching email with a code or link in it → { code, link, email }, or null
+  static find(emails, { from, about, subject = DEFAULT_SUBJECT, since } = {}) {
+    const earliest = since ? new Date(since).getTime() - CLOCK_SKEW_MS : 0;
+    const names = [].concat(about || []).map(name => compact(JobIdentity.normalizeCompany(name))).filter(Boolean);
+
+    const candidates = emails
+      .filter(email => new Date(email.date).getTime() >= earliest)
+      .filter(email => !from || `${email.from.address} ${email.from.name}`.toLowerCase().includes(String(from).toLowerCase()))
+      .filter(email => names.length === 0 || names.some(name => compact(`${email.from.name} ${email.from.address} ${email.subject}`).includes(name)))
+      .filter(email => (subject instanceof RegExp ? subject.test(email.subject) : email.subject.toLowerCase().includes(String(subject).toLowerCase())))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    for (const email of candidates) {
+      const code = EmailClassifier.extractCode(`${email.subject}\n${email.text}`);
+      const link = VerificationCodeRetriever.extractLink(email);
+      if (code || link) {
+        return { code, link, email: { from: email.from.address, subject: email.subject, date: email.date } };
+      }
+    }
+    return null;
+  }
+
+  // The first verification-looking URL, from the HTML links first since plain-text parts often drop them
+  static extractLink(email) {
+    const hrefs = [...String(email.html || '').matchAll(/href\s*=\s*["']([^"']+)["']/gi)].map(match => match[1]);
+    const bare = String(email.text || '').match(/https?:\/\/[^\s<>"')\]]+/g) || [];
+
+    return [...hrefs, ...bare]
+      .map(url => url.replace(/&amp;/g, '&'))
+      .find(url => /^https?:\/\//i.test(url) && LINK_KEYWORDS.test(url) && !LINK_EXCLUDED.test(url)) || null;
+  }
+}
+
+module.exports = VerificationCodeRetriever;
@@ -0,0 +1,221 @@
+// 📋 EEO HANDLER - fills voluntary self-identification questions from the profile's eeo preferences, never from the AI
+
+const UserProfile = require('../../Config/user-profile');
+const FieldClassifier = require('./FieldClassifier');
+const FieldActions = require('./FieldActions');
+const Logger = require('../utils/Logger');
+
+const DECLINE = 'decline';
+const DECLINE_TEXT = 'Decline to self-identify';
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+\]/;
+
+// Checked in order - disability and veteran forms often mention the other sections in their boilerplate
+const QUESTION_RULES = [
+  { type: 'eeo_disability', preference: 'disabilityStatus', patterns: [/disabilit/] },
+  { type: 'eeo_veteran', preference: 'veteranStatus', patterns: [/veteran/, /military (service|status)/] },
+  { type: 'eeo_hispanic', preference: 'hispanicOrLatino', patterns: [/are you (of )?hispanic/, /^(hispanic|latino)/] },
+  { type: 'eeo_race', preference: 'race', patterns: [/\brace\b/, /ethnicity/, /ethnic (background|origin)/] },
+  { type: 'eeo_gender', preference: 'gender', patterns: [/\bgender\b/, /\bsex\b/] }
+];
+
+// How each form spells "decline to self-identify"
+const DECLINE_PATTERNS = [
+  /decline/,
+  /prefer not/,
+  /(do not|don'?t) (wish|want)/,
+  /not (wish )?to (answer|disclose|self identify|identify|specify|say)/,
+  /choose not/,
+  /rather not/
+];
+
+const PROMPT_OPTION = /^(select|choose|please select|--|\s*$)/i;
+
+// A free-text box only gets an EEO answer when the field itself is labelled as one (label, aria or
+// Workday automation id); a mention in a placeholder or nearby text is not enough
+const MIN_TEXT_CONFIDENCE = 0.85;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class EEOHandler {
+  constructor(profile = UserProfile) {
+    this.logger = new Logger('EEOHandler');
+    this.classifier = new FieldClassifier();
+    this.preferences = (profile && profile.eeo) || {};
+    this.history = [];
+  }
+
+  static isDecline(text) {
+    const normalized = FieldClassifier.normalize(text);
+    return DECLINE_PATTERNS.some(pattern => pattern.test(normalized));
+  }
+
+  // Returns the eeo_* type, or null when this is not a self-identification question
+  classifyQuestion(question) {
+    const text = FieldClassifier.normalize(typeof question === 'string' ? question : (question && question.question) || '');
+    if (!text) return null;
+
+    const rule = QUESTION_RULES.find(candidate => candidate.patterns.some(pattern => pattern.test(text)));
+    return rule ? rule.type : null;
+  }
+
+  isEEOQuestion(question) {
+    return this.classifyQuestion(question) !== null;
+  }
+
+  // Missing or template values fall back to declining - we never guess someone's identity
+  preferenceFor(type) {
+    const rule = QUESTION_RULES.find(candidate => candidate.type === type);
+    const value = rule ? this.preferences[rule.preference] : null;
+
+    if (typeof value !== 'string' || value.trim() === '' || PLACEHOLDER_PATTERN.test(value)) {
+      return DECLINE;
+    }
+    return value.trim();
+  }
+
+  // Index of the option matching the preference; -1 when the form offers nothing suitable
+  chooseOption(options = [], preference) {
+    const candidates = options
+      .map((option, index) => ({ index, text: FieldClassifier.normalize(option) }))
+      .filter(candidate => !PROMPT_OPTION.test(options[candidate.index]));
+
+    if (preference === DECLINE) {
+      const declined = candidates.find(candidate => EEOHandler.isDecline(candidate.text));
+      return declined ? declined.index : -1;
+    }
+
+    const wanted = FieldClassifier.normalize(preference);
+    // Whole-word match so "Male" never picks "Female"
+    const wholeWord = new RegExp(`(^|[^a-z])${escapeRegExp(wanted)}([^a-z]|$)`);
+    const match = candidates.find(candidate => candidate.text === wanted) ||
+      candidates.find(candidate => candidate.text.startsWith(wanted)) ||
+      candidates.find(candidate => wholeWord.test(candidate.text));
+
+    return match ? match.index : -1;
+  }
+
+  // { handled: false } for other questions; otherwise the answer the profile asks for
+  answer(question, field = {}) {
+    const text = typeof question === 'string' ? question : (question && question.question) || '';
+    const type = this.classifyQuestion(text);
+
+    if (!type) {
+      return { handled: false };
+    }
+
+    const preference = this.preferenceFor(type);
+    const options = field.options || [];
+    let answer = preference === DECLINE ? DECLINE_TEXT : preference;
+    let optionIndex = -1;
+
+    if (options.length > 0) {
+      optionIndex = this.chooseOption(options, preference);
+      answer = optionIndex >= 0 ? options[optionIndex] : null;
+    }
+
+    const result = { handled: true, type, question: text, preference, answer, optionIndex };
+    this.record(result, field);
+    return result;
+  }
+
+  record(result, field) {
+    this.history.push({
+      type: result.type,
+      preference: result.preference,
+      answer: result.answer,
+      fieldType: field.type || 'text',
+      timestamp: new Date().toISOString()
+    });
+
+    if (result.answer === null) {
+      this.logger.warn(`📋 No option matches the ${result.type} preference "${result.preference}" - left for manual review`);
+    } else {
+      this.logger.info(`📋 ${result.type} → ${result.answer}`);
+    }
+  }
+
+  // Radio and checkbox labels are the options; the question sits in the legend or nearby text
+  questionFor(descriptor) {
+    if (descriptor.type === 'radio' || descriptor.type === 'checkbox') {
+      return descriptor.legend || descriptor.ariaLabelledBy || descriptor.surroundingText || '';
+    }
+    return FieldClassifier.questionText(descriptor) || descriptor.surroundingText || '';
+  }
+
+  // descriptor: a FieldClassifier.classifyAll entry. Options make the choice safe; typing into a text box
+  // is only done when the classifier also calls it an EEO field
+  fillsTextField(descriptor = {}) {
+    const classification = descriptor.classification || this.classifier.classify(descriptor);
+    return classification.type.startsWith('eeo_') && classification.confidence >= MIN_TEXT_CONFIDENCE;
+  }
+
+  // Fills every self-identification question on a Playwright page or frame
+  async applyToPage(page, selector = FieldClassifier.FIELD_SELECTOR) {
+    const descriptors = await this.classifier.describeFields(page, selector);
+    const actions = [];
+    const answered = [];
+    const seenGroups = new Set();
+
+    for (const descriptor of descriptors) {
+      if (descriptor.type === 'file' || descriptor.tag === 'textarea') continue;
+
+      const question = this.questionFor(descriptor);
+      if (!this.isEEOQuestion(question)) continue;
+
+      if (descriptor.type === 'radio' || descriptor.type === 'checkbox') {
+        // Disability forms use a checkbox per answer, so checkboxes are grouped like radios
+        const group = `${descriptor.type}:${descriptor.name || question}`;
+        if (seenGroups.has(group)) continue;
+        seenGroups.add(group);
+
+        const choices = descriptors.filter(candidate => candidate.type === descriptor.type &&
+          `${candidate.type}:${candidate.name || this.questionFor(candidate)}` === group);
+        const result = this.answer(question, { type: descriptor.type, options: choices.map(choice => choice.label || choice.ariaLabel) });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: choices[result.optionIndex].selector, action: 'check', value: true });
+        }
+        answered.push(result);
+      } else if (descriptor.tag === 'select') {
+        const result = this.answer(question, { type: 'select', options: descriptor.options });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: descriptor.selector, action: 'select', value: result.optionIndex });
+        }
+        answered.push(result);
+      } else {
+        if (!this.fillsTextField(descriptor)) {
+          this.logger.info(`📋 Not filling "${question.substring(0, 60)}" - the field is not labelled as a self-identification question`);
+          continue;
+        }
+        const result = this.answer(question, { type: 'text' });
+        actions.push({ selector: descriptor.selector, action: 'fill', value: result.answer });
+        answered.push(result);
+      }
+    }
+
+    let appliedCount = await FieldActions.apply(page, actions);
+
+    // Workday renders these as listbox buttons rather than <select>
+    for (const listbox of await FieldActions.describeListboxes(page)) {
+      if (!this.isEEOQuestion(listbox.question)) continue;
+
+      let result = null;
+      const choice = await FieldActions.chooseFromListbox(page, listbox.selector, (options) => {
+        result = this.answer(listbox.question, { type: 'listbox', options });
+        return result.optionIndex;
+      });
+
+      if (choice.chosen) appliedCount++;
+      if (result) answered.push(result);
+    }
+
+    return {
+      answeredCount: appliedCount,
+      questions: answered,
+      unanswered: answered.filter(result => result.answer === null)
+    };
+  }
+}
+
+EEOHandler.DECLINE = DECLINE;
+
+module.exports = EEOHandler;
@@ -0,0 +1,87 @@
+// ✍️ FIELD ACTIONS - applies decided answers ({ selector, action, value }) to a Playwright page or frame
+
+// Runs inside the browser - must stay self-contained
+function applyActionsInPage(actions) {
+  let applied = 0;
+
+  actions.forEach(({ selector, action, value }) => {
+    const field = document.querySelector(selector);
+    if (!field) return;
+
+    if (action === 'check') {
+      if (field.checked !== value) field.click();
+    } else if (action === 'select') {
+      field.selectedIndex = value;
+    } else {
+      // Native setter so React-controlled inputs notice the change
+      const prototype = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+    applied++;
+  });
+
+  return applied;
+}
+
+// Runs inside the browser - must stay self-contained
+function collectListboxButtons() {
+  const textOf = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+
+  document.querySelectorAll('[data-listbox-index]').forEach(button => button.removeAttribute('data-listbox-index'));
+
+  return Array.from(document.querySelectorAll('button[aria-haspopup="listbox"]')).map((button, index) => {
+    button.setAttribute('data-listbox-index', String(index));
+
+    // Workday wraps each question in a formField-* container whose <label> holds the question
+    const container = button.closest('[data-automation-id^="formField"]') || button.parentElement;
+    const label = container ? textOf(container.querySelector('label')) : '';
+
+    return {
+      index,
+      selector: `[data-listbox-index="${index}"]`,
+      question: label || button.getAttribute('aria-label') || textOf(container),
+      current: textOf(button)
+    };
+  });
+}
+
+class FieldActions {
+  // action: 'check' (value true/false), 'select' (value = option index) or 'fill' (value = text)
+  static async apply(page, actions = []) {
+    if (actions.length === 0) {
+      return 0;
+    }
+    return await page.evaluate(applyActionsInPage, actions);
+  }
+
+  static async describeListboxes(page) {
+    return await page.evaluate(collectListboxButtons);
+  }
+
+  // Workday-style dropdowns: a button that opens a role="listbox"; choose(optionTexts) returns the index to click
+  static async chooseFromListbox(page, buttonSelector, choose) {
+    await page.click(buttonSelector);
+    await page.waitForTimeout(500);
+
+    const options = await page.evaluate(() => Array.from(document.querySelectorAll('[role="listbox"] [role="option"]'))
+      .map(option => option.textContent.replace(/\s+/g, ' ').trim()));
+
+    const index = choose(options);
+    if (index < 0) {
+      // Close the list again so it does not cover the next field
+      await page.keyboard.press('Escape');
+      return { chosen: false, options };
+    }
+
+    await page.evaluate((index) => {
+      document.querySelectorAll('[role="listbox"] [role="option"]')[index].click();
+    }, index);
+
+    return { chosen: true, option: options[index], options };
+  }
+}
+
+module.exports = FieldActions;
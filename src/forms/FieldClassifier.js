@@ -0,0 +1,213 @@
+// 🏷️ FIELD CLASSIFIER - turns a form element into a canonical field type with a confidence score
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select';
+
+// How much we trust a match depending on where the text came from
+const SOURCE_CONFIDENCE = {
+  autocomplete: 0.95,
+  automationId: 0.95,
+  label: 0.9,
+  ariaLabel: 0.9,
+  ariaLabelledBy: 0.85,
+  legend: 0.75,
+  name: 0.7,
+  id: 0.7,
+  placeholder: 0.65,
+  surroundingText: 0.5
+};
+
+const INPUT_TYPE_CONFIDENCE = 0.8;
+const FREE_TEXT_CONFIDENCE = 0.4;
+
+// Checked in order; the first rule wins when two rules match with the same confidence
+const FIELD_RULES = [
+  { type: 'eeo_gender', patterns: [/\bgender\b/, /\bsex\b/] },
+  { type: 'eeo_race', patterns: [/\brace\b/, /ethnicity/, /hispanic/, /latino/] },
+  { type: 'eeo_veteran', patterns: [/veteran/] },
+  { type: 'eeo_disability', patterns: [/disabilit/] },
+  { type: 'work_authorization', patterns: [/authori[sz]ed to work/, /work authori[sz]ation/, /legally (authori[sz]ed|eligible|permitted)/, /eligible to work/, /right to work/] },
+  { type: 'visa_sponsorship', patterns: [/sponsor/, /\bvisa\b/, /\bh-?1b\b/] },
+  { type: 'email', autocomplete: ['email'], inputTypes: ['email'], patterns: [/e-?mail/] },
+  // normalize() splits "LinkedIn" and "GitHub" like camelCase ids
+  { type: 'linkedin_url', patterns: [/linked ?in/] },
+  { type: 'github_url', patterns: [/git ?hub/] },
+  { type: 'website', autocomplete: ['url'], inputTypes: ['url'], patterns: [/portfolio/, /website/, /personal site/] },
+  { type: 'first_name', autocomplete: ['given-name'], patterns: [/first name/, /given name/, /\bfname\b/, /preferred name/] },
+  { type: 'last_name', autocomplete: ['family-name'], patterns: [/last name/, /family name/, /surname/, /\blname\b/] },
+  { type: 'full_name', autocomplete: ['name'], patterns: [/full name/, /legal name/, /^(your )?name$/] },
+  { type: 'phone', autocomplete: ['tel', 'tel-national'], inputTypes: ['tel'], patterns: [/phone/, /mobile/, /telephone/] },
+  { type: 'city', autocomplete: ['address-level2'], patterns: [/\bcity\b/] },
+  { type: 'address', autocomplete: ['street-address', 'address-line1'], patterns: [/address line/, /street/, /postal/, /zip/] },
+  { type: 'location', patterns: [/location/, /where are you (located|based)/, /current address/] },
+  { type: 'salary', patterns: [/salary/, /compensation/, /pay expectation/, /desired pay/] },
+  { type: 'notice_period', patterns: [/notice period/, /how much notice/] },
+  { type: 'start_date', patterns: [/start date/, /available to start/, /when can you start/, /earliest start/, /availability/] },
+  { type: 'years_experience', patterns: [/years of (professional |relevant |work )?experience/, /how many years/, /years experience/] },
+  { type: 'relocation', patterns: [/relocat/] },
+  { type: 'referral_source', patterns: [/how did you hear/, /referr/, /\bsource\b/] },
+  { type: 'resume_upload', inputTypes: ['file'], patterns: [/resume/, /\bcv\b/] },
+  { type: 'cover_letter', patterns: [/cover letter/, /coverletter/, /motivation letter/] }
+];
+
+// Collected inside the browser - must stay self-contained
+function collectFieldDescriptors(selector) {
+  const textOf = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+
+  const labelFor = (field) => {
+    if (field.labels && field.labels.length > 0) {
+      return Array.from(field.labels).map(textOf).join(' ');
+    }
+    if (field.id) {
+      const label = document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
+      if (label) return textOf(label);
+    }
+    return textOf(field.closest('label'));
+  };
+
+  const labelledBy = (field) => {
+    const ids = (field.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids.map(id => textOf(document.getElementById(id))).filter(Boolean).join(' ');
+  };
+
+  const automationIdOf = (field) => {
+    const owner = field.closest('[data-automation-id]');
+    return owner ? owner.getAttribute('data-automation-id') : '';
+  };
+
+  // Nearest preceding question-like text when nothing labels the field
+  const surroundingText = (field) => {
+    let node = field.parentElement;
+    for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+      const text = textOf(node);
+      if (text && text.length < 300) return text;
+    }
+    return '';
+  };
+
+  // Indexes from an earlier pass would make the new selectors ambiguous
+  document.querySelectorAll('[data-field-index]').forEach(field => field.removeAttribute('data-field-index'));
+
+  return Array.from(document.querySelectorAll(selector)).map((field, index) => {
+    field.setAttribute('data-field-index', String(index));
+
+    return {
+      index,
+      selector: `[data-field-index="${index}"]`,
+      tag: field.tagName.toLowerCase(),
+      type: (field.type || '').toLowerCase(),
+      name: field.name || '',
+      id: field.id || '',
+      placeholder: field.placeholder || '',
+      autocomplete: field.getAttribute('autocomplete') || '',
+      label: labelFor(field),
+      ariaLabel: field.getAttribute('aria-label') || '',
+      ariaLabelledBy: labelledBy(field),
+      legend: textOf(field.closest('fieldset') && field.closest('fieldset').querySelector('legend')),
+      automationId: automationIdOf(field),
+      surroundingText: surroundingText(field),
+      options: field.tagName === 'SELECT' ? Array.from(field.options).map(option => option.text.trim()) : [],
+      required: field.required || field.getAttribute('aria-required') === 'true',
+      // -1 when the attribute is absent
+      maxLength: field.maxLength > 0 ? field.maxLength : null,
+      minLength: field.minLength > 0 ? field.minLength : null,
+      hasValue: !!field.value,
+      visible: field.offsetParent !== null
+    };
+  });
+}
+
+class FieldClassifier {
+  // "legalNameSection_firstName" → "legal name section first name"
+  static normalize(text = '') {
+    return String(text)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_\-.[\]]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/[*:]+$/, '')
+      .trim()
+      .toLowerCase();
+  }
+
+  // The text a human would read as the field's question
+  static questionText(descriptor = {}) {
+    return descriptor.label ||
+      descriptor.ariaLabel ||
+      descriptor.ariaLabelledBy ||
+      descriptor.legend ||
+      descriptor.placeholder ||
+      descriptor.name ||
+      '';
+  }
+
+  // What an answer has to fit: AIQuestionAnswerer's options.field
+  static constraintsOf(descriptor = {}) {
+    return {
+      tag: descriptor.tag || null,
+      type: descriptor.type || null,
+      maxLength: descriptor.maxLength || null,
+      minLength: descriptor.minLength || null
+    };
+  }
+
+  // Returns { type, confidence, matchedBy }
+  classify(descriptor = {}) {
+    let best = { type: 'unknown', confidence: 0, matchedBy: null };
+
+    const consider = (type, confidence, matchedBy) => {
+      if (confidence > best.confidence) {
+        best = { type, confidence, matchedBy };
+      }
+    };
+
+    const autocomplete = (descriptor.autocomplete || '').toLowerCase();
+    const inputType = (descriptor.type || '').toLowerCase();
+    const sources = Object.keys(SOURCE_CONFIDENCE)
+      .filter(source => source !== 'autocomplete' && descriptor[source])
+      .map(source => ({ source, text: FieldClassifier.normalize(descriptor[source]) }));
+
+    for (const rule of FIELD_RULES) {
+      if (rule.autocomplete && autocomplete && rule.autocomplete.includes(autocomplete)) {
+        consider(rule.type, SOURCE_CONFIDENCE.autocomplete, 'autocomplete');
+      }
+
+      if (rule.inputTypes && rule.inputTypes.includes(inputType)) {
+        consider(rule.type, INPUT_TYPE_CONFIDENCE, 'inputType');
+      }
+
+      for (const { source, text } of sources) {
+        if (rule.patterns.some(pattern => pattern.test(text))) {
+          consider(rule.type, SOURCE_CONFIDENCE[source], source);
+        }
+      }
+    }
+
+    if (best.type === 'unknown' && this.looksLikeQuestion(descriptor)) {
+      best = { type: 'free_text_question', confidence: FREE_TEXT_CONFIDENCE, matchedBy: 'question' };
+    }
+
+    return { ...best, confidence: Number(best.confidence.toFixed(2)) };
+  }
+
+  looksLikeQuestion(descriptor) {
+    const question = FieldClassifier.questionText(descriptor) || descriptor.surroundingText || '';
+    return descriptor.tag === 'textarea' || question.includes('?') || question.split(' ').length > 6;
+  }
+
+  classifyAll(descriptors = []) {
+    return descriptors.map(descriptor => ({
+      ...descriptor,
+      question: FieldClassifier.questionText(descriptor) || descriptor.surroundingText,
+      classification: this.classify(descriptor)
+    }));
+  }
+
+  // Reads every field on a Playwright page or frame and classifies it
+  async describeFields(page, selector = FIELD_SELECTOR) {
+    const descriptors = await page.evaluate(collectFieldDescriptors, selector);
+    return this.classifyAll(descriptors);
+  }
+}
+
+FieldClassifier.FIELD_SELECTOR = FIELD_SELECTOR;
+
+module.exports = FieldClassifier;
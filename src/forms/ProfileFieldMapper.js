@@ -0,0 +1,159 @@
+// 🗺️ PROFILE FIELD MAPPER - resolves standard application fields from Config/user-profile.js
+
+const UserProfile = require('../../Config/user-profile');
+const FieldClassifier = require('./FieldClassifier');
+const Logger = require('../utils/Logger');
+
+// Template values such as "[YOUR_PHONE]" mean the profile was never filled in
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+\]/;
+
+const INPUT_SELECTOR = 'input[type="text"], input[type="email"], input[type="tel"], input[type="url"], input:not([type])';
+
+// Below this the classifier is guessing - leave the field for the AI or a human
+const MIN_CONFIDENCE = 0.6;
+
+// Canonical field types from FieldClassifier → where the value lives in the profile
+const PROFILE_RESOLVERS = {
+  first_name: (profile) => profile.personal.firstName,
+  last_name: (profile) => profile.personal.lastName,
+  full_name: (profile) => profile.personal.fullName ||
+    [profile.personal.firstName, profile.personal.lastName].filter(Boolean).join(' '),
+  email: (profile) => profile.personal.email,
+  phone: (profile) => profile.personal.phone,
+  linkedin_url: (profile) => profile.personal.linkedinUrl,
+  github_url: (profile) => profile.personal.githubUrl,
+  city: (profile) => (profile.personal.location || '').split(',')[0].trim(),
+  location: (profile) => profile.personal.location,
+  salary: (profile) => profile.professional.salaryExpectation,
+  notice_period: (profile) => profile.professional.noticePeriod || profile.professional.availability,
+  start_date: (profile) => profile.professional.availability
+};
+
+class ProfileFieldMapper {
+  constructor(profile = UserProfile) {
+    this.logger = new Logger('ProfileFieldMapper');
+    this.classifier = new FieldClassifier();
+    this.profile = {
+      personal: {},
+      professional: {},
+      ...profile
+    };
+  }
+
+  static isPlaceholder(value) {
+    return typeof value === 'string' && PLACEHOLDER_PATTERN.test(value);
+  }
+
+  getFieldNames() {
+    return Object.keys(PROFILE_RESOLVERS);
+  }
+
+  // { field, mapped, value } when the profile has a real value, otherwise { field, mapped: false, reason }
+  resolve(field) {
+    const resolver = PROFILE_RESOLVERS[field];
+
+    if (!resolver) {
+      return { field, mapped: false, reason: 'not a profile field' };
+    }
+
+    const value = resolver(this.profile);
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return { field, mapped: false, reason: 'missing from profile' };
+    }
+
+    if (ProfileFieldMapper.isPlaceholder(String(value))) {
+      return { field, mapped: false, reason: `placeholder value ${value}` };
+    }
+
+    return { field, mapped: true, value: String(value).trim() };
+  }
+
+  resolveAll() {
+    const values = {};
+    const unmapped = [];
+
+    this.getFieldNames().forEach(field => {
+      const result = this.resolve(field);
+      if (result.mapped) {
+        values[field] = result.value;
+      } else {
+        unmapped.push({ field, reason: result.reason });
+      }
+    });
+
+    return { values, unmapped };
+  }
+
+  value(field) {
+    const result = this.resolve(field);
+    return result.mapped ? result.value : null;
+  }
+
+  // Pairs each descriptor with a profile value; anything we recognise but cannot fill is reported
+  mapFields(descriptors = []) {
+    const assignments = [];
+    const unmapped = [];
+    const unrecognized = [];
+
+    descriptors.forEach(descriptor => {
+      const classification = descriptor.classification || this.classifier.classify(descriptor);
+      const field = classification.type;
+
+      if (!PROFILE_RESOLVERS[field] || classification.confidence < MIN_CONFIDENCE) {
+        unrecognized.push(descriptor);
+        return;
+      }
+
+      const result = this.resolve(field);
+      if (result.mapped) {
+        assignments.push({ index: descriptor.index, selector: descriptor.selector, field, value: result.value });
+      } else {
+        unmapped.push({ index: descriptor.index, field, reason: result.reason, required: !!descriptor.required });
+      }
+    });
+
+    return { assignments, unmapped, unrecognized };
+  }
+
+  // Works on a Playwright page or frame
+  async fillPage(page, selector = INPUT_SELECTOR) {
+    const descriptors = await this.classifier.describeFields(page, selector);
+
+    const { assignments, unmapped, unrecognized } = this.mapFields(descriptors);
+
+    const filledCount = await page.evaluate((assignments) => {
+      const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+      let filled = 0;
+
+      assignments.forEach(({ selector, value }) => {
+        const input = document.querySelector(selector);
+        if (!input) return;
+
+        // Native setter so React-controlled inputs notice the change
+        setValue.call(input, value);
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        filled++;
+      });
+
+      return filled;
+    }, assignments);
+
+    if (unmapped.length > 0) {
+      this.logger.warn(`⚠️ Could not fill from profile: ${unmapped.map(item => `${item.field} (${item.reason})`).join(', ')}`);
+    }
+
+    return {
+      filledCount,
+      totalInputs: descriptors.length,
+      filledFields: assignments.map(assignment => assignment.field),
+      unmapped,
+      unrecognized: unrecognized.length,
+      allInputs: descriptors,
+      requiredInputs: descriptors.filter(descriptor => descriptor.required)
+    };
+  }
+}
+
+module.exports = ProfileFieldMapper;
@@ -0,0 +1,272 @@
+// 🧮 SKILLS RESOLVER - answers "How many years of experience with X?" from the profile's skills matrix, never from the AI
+
+const UserProfile = require('../../Config/user-profile');
+const FieldClassifier = require('./FieldClassifier');
+const FieldActions = require('./FieldActions');
+const QuestionTaxonomy = require('../ai/QuestionTaxonomy');
+const Logger = require('../utils/Logger');
+
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+\]/;
+
+// Names forms use for the same technology, by key (see SkillsResolver.key)
+const ALIASES = {
+  js: 'javascript',
+  ecmascript: 'javascript',
+  ts: 'typescript',
+  postgres: 'postgresql',
+  psql: 'postgresql',
+  golang: 'go',
+  node: 'nodejs',
+  k8s: 'kubernetes',
+  mongo: 'mongodb',
+  reactjs: 'react',
+  vuejs: 'vue',
+  python3: 'python',
+  springframework: 'spring',
+  amazonwebservices: 'aws',
+  googlecloud: 'gcp',
+  googlecloudplatform: 'gcp',
+  rest: 'restfulapis',
+  restapi: 'restfulapis',
+  restapis: 'restfulapis',
+  restful: 'restfulapis',
+  cplusplus: 'c++',
+  csharp: 'c#',
+  dotnet: 'net'
+};
+
+// Options that are prompts rather than answers
+const PROMPT_OPTION = /^(select|choose|please select|--|\s*$)/i;
+
+class SkillsResolver {
+  constructor(profile = UserProfile) {
+    this.logger = new Logger('SkillsResolver');
+    this.classifier = new FieldClassifier();
+    this.taxonomy = new QuestionTaxonomy();
+    this.matrix = ((profile && profile.professional) || {}).skillsMatrix || [];
+    this.history = [];
+  }
+
+  static questionOf(question) {
+    if (typeof question === 'string') return question;
+    if (question && typeof question.question === 'string') return question.question;
+    return '';
+  }
+
+  // "Node.js", "node js" and "Node" all become "nodejs"; "Apache Kafka" and "Kafka" become "kafka"
+  static key(name) {
+    const key = String(name || '').toLowerCase().replace(/^apache\s+/, '').replace(/[\s._-]+/g, '');
+    return ALIASES[key] || key;
+  }
+
+  static yearsOf(entry) {
+    const years = typeof entry.years === 'string' && !PLACEHOLDER_PATTERN.test(entry.years) ? Number(entry.years) : entry.years;
+    return typeof years === 'number' && Number.isFinite(years) && years >= 0 ? years : null;
+  }
+
+  find(technology) {
+    const key = SkillsResolver.key(technology);
+    if (!key) return null;
+
+    return this.matrix.find(entry =>
+      [entry.name, ...(entry.aliases || [])].some(name => SkillsResolver.key(name) === key)) || null;
+  }
+
+  // "Java and Spring Boot" → the smaller of the two; null when any of them is unknown
+  yearsFor(technology) {
+    const whole = this.find(technology);
+    const names = whole ? [technology] : String(technology || '').split(/\s*(?:,|\/|&|\band\b|\bor\b)\s*/i).filter(Boolean);
+    if (names.length === 0) return null;
+
+    const entries = names.map(name => this.find(name));
+    if (entries.some(entry => !entry || SkillsResolver.yearsOf(entry) === null)) {
+      return null;
+    }
+
+    const entry = entries.reduce((lowest, candidate) =>
+      (SkillsResolver.yearsOf(candidate) < SkillsResolver.yearsOf(lowest) ? candidate : lowest));
+
+    return {
+      skill: entry.name,
+      years: SkillsResolver.yearsOf(entry),
+      lastUsed: entry.lastUsed || null,
+      proficiency: entry.proficiency || null
+    };
+  }
+
+  // Returns the technology asked about, or null when this is not a years-with-technology question
+  technologyOf(question) {
+    const classification = this.taxonomy.classify(SkillsResolver.questionOf(question));
+    return classification.type === 'years_with_technology' ? classification.technology : null;
+  }
+
+  isSkillsQuestion(question) {
+    return this.technologyOf(question) !== null;
+  }
+
+  // "1-3 years" → [1, 3], "5+ years" → [5, Infinity], "Less than 1 year" → [0, 1], "None" → [0, 0]
+  static bucketOf(option) {
+    const text = String(option).toLowerCase();
+    const numbers = (text.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+
+    if (numbers.length === 0) {
+      return /\b(none|no experience|never)\b/.test(text) ? [0, 0] : null;
+    }
+    if (numbers.length >= 2) {
+      return [Math.min(numbers[0], numbers[1]), Math.max(numbers[0], numbers[1])];
+    }
+
+    const [number] = numbers;
+    if (/\+|or more|or above|or greater|more than|over|at least|above/.test(text)) return [number, Infinity];
+    if (/less than|under|below|fewer than|up to|</.test(text)) return [0, number];
+    return [number, number];
+  }
+
+  // Index of the bucket that holds the years; otherwise the nearest one, the lower on a tie
+  chooseBucket(options = [], years) {
+    const candidates = options
+      .map((option, index) => ({ index, bucket: PROMPT_OPTION.test(option) ? null : SkillsResolver.bucketOf(option) }))
+      .filter(candidate => candidate.bucket)
+      .map(({ index, bucket: [min, max] }) => ({
+        index,
+        min,
+        distance: years < min ? min - years : (years > max ? years - max : 0)
+      }));
+
+    if (candidates.length === 0) return -1;
+
+    // Overlapping edges ("1-3", "3-5") go to the bucket that starts at the years
+    candidates.sort((a, b) => a.distance - b.distance ||
+      (a.distance === 0 ? b.min - a.min : a.min - b.min));
+    return candidates[0].index;
+  }
+
+  // { handled: false } for other questions; otherwise the matrix answer, even when the profile cannot supply one
+  answer(question, field = {}) {
+    const text = SkillsResolver.questionOf(question);
+    const technology = this.technologyOf(text);
+
+    if (technology === null) {
+      return { handled: false };
+    }
+
+    const resolved = this.yearsFor(technology);
+    const options = field.options || [];
+    let answerText = null;
+    let optionIndex = -1;
+
+    if (resolved) {
+      answerText = String(resolved.years);
+
+      if (options.length > 0) {
+        optionIndex = this.chooseBucket(options, resolved.years);
+        answerText = optionIndex >= 0 ? options[optionIndex] : null;
+      }
+    }
+
+    const result = {
+      handled: true,
+      kind: 'years_with_technology',
+      question: text,
+      technology,
+      skill: resolved ? resolved.skill : null,
+      value: resolved ? resolved.years : null,
+      answer: answerText,
+      optionIndex
+    };
+    this.record(result, field);
+    return result;
+  }
+
+  record(result, field) {
+    this.history.push({
+      technology: result.technology,
+      question: result.question,
+      answer: result.answer,
+      fieldType: field.type || 'text',
+      timestamp: new Date().toISOString()
+    });
+
+    const question = result.question.length > 80 ? `${result.question.substring(0, 80)}...` : result.question;
+    if (result.answer === null) {
+      this.logger.warn(`🧮 No skills matrix answer for ${result.technology}: "${question}" - left for manual review`);
+    } else {
+      this.logger.info(`🧮 Answered years with ${result.technology}: "${question}" → ${result.answer}`);
+    }
+  }
+
+  // A radio's label is the option ("3-5 years"); the question lives in the legend or nearby text
+  questionFor(descriptor) {
+    if (descriptor.type === 'radio') {
+      return descriptor.legend || descriptor.ariaLabelledBy || descriptor.surroundingText || '';
+    }
+    return FieldClassifier.questionText(descriptor) || descriptor.surroundingText || '';
+  }
+
+  // Answers every years-with-technology question on a Playwright page or frame
+  async applyToPage(page, selector = FieldClassifier.FIELD_SELECTOR) {
+    const descriptors = await this.classifier.describeFields(page, selector);
+    const actions = [];
+    const answered = [];
+    const seenGroups = new Set();
+
+    for (const descriptor of descriptors) {
+      if (['file', 'checkbox'].includes(descriptor.type)) continue;
+
+      const question = this.questionFor(descriptor);
+      if (!this.isSkillsQuestion(question)) continue;
+
+      if (descriptor.type === 'radio') {
+        const group = descriptor.name || descriptor.selector;
+        if (seenGroups.has(group)) continue;
+        seenGroups.add(group);
+
+        const radios = descriptors.filter(candidate => candidate.type === 'radio' && (candidate.name || candidate.selector) === group);
+        const result = this.answer(question, { type: 'radio', options: radios.map(radio => radio.label || radio.ariaLabel) });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: radios[result.optionIndex].selector, action: 'check', value: true });
+        }
+        answered.push(result);
+      } else if (descriptor.tag === 'select') {
+        const result = this.answer(question, { type: 'select', options: descriptor.options });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: descriptor.selector, action: 'select', value: result.optionIndex });
+        }
+        answered.push(result);
+      } else {
+        // Number inputs take the plain figure; text inputs and textareas get the same
+        const result = this.answer(question, { type: descriptor.type || descriptor.tag });
+        if (result.answer !== null) {
+          actions.push({ selector: descriptor.selector, action: 'fill', value: result.answer });
+        }
+        answered.push(result);
+      }
+    }
+
+    let appliedCount = await FieldActions.apply(page, actions);
+
+    // Workday renders these as listbox buttons rather than <select>
+    for (const listbox of await FieldActions.describeListboxes(page)) {
+      if (!this.isSkillsQuestion(listbox.question)) continue;
+
+      let result = null;
+      const choice = await FieldActions.chooseFromListbox(page, listbox.selector, (options) => {
+        result = this.answer(listbox.question, { type: 'listbox', options });
+        return result.optionIndex;
+      });
+
+      if (choice.chosen) appliedCount++;
+      if (result) answered.push(result);
+    }
+
+    return {
+      answeredCount: appliedCount,
+      questions: answered,
+      unanswered: answered.filter(result => result.answer === null)
+    };
+  }
+}
+
+SkillsResolver.ALIASES = ALIASES;
+
+module.exports = SkillsResolver;
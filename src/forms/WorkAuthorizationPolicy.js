@@ -0,0 +1,282 @@
+// 🛂 WORK AUTHORIZATION POLICY - answers eligibility and sponsorship questions from the profile, never from the AI
+
+const UserProfile = require('../../Config/user-profile');
+const FieldClassifier = require('./FieldClassifier');
+const FieldActions = require('./FieldActions');
+const Logger = require('../utils/Logger');
+
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+\]/;
+
+// Checked in order - the more specific wordings have to win over plain "authorized to work"
+const QUESTION_RULES = [
+  {
+    kind: 'visa_status',
+    patterns: [
+      /(current|present|what is your) (visa|immigration|work authori[sz]ation|work permit) status/,
+      /(which|what) (type of )?(visa|work permit|work authori[sz]ation) do you (currently )?(hold|have)/,
+      // "Do you hold an H-1B?" asks what the candidate has, not whether they need sponsorship
+      /do you (currently )?(hold|have) (an? |any )?(h ?1 ?b|f ?1|j ?1|l ?1|o ?1|e ?3|tn|work) ?(visa|status|permit)?\b/
+    ]
+  },
+  {
+    kind: 'authorized_without_sponsorship',
+    patterns: [
+      /without (the need for |needing |requiring |any )?(current or future |future |employer |visa |company )*sponsorship/,
+      /(not|never) (now or in the future )?(need|require)s? (visa |employer |company )?sponsorship/
+    ]
+  },
+  {
+    kind: 'requires_sponsorship',
+    // The question itself, not any mention: "We do not sponsor visas. Are you authorized...?" is an authorization question
+    patterns: [
+      /(need|require)s? (\w+ ){0,6}sponsor/,
+      /sponsorship (be )?(required|needed)/,
+      /(need|require)s? (a )?(work )?visa/,
+      /visa (support|transfer)/
+    ]
+  },
+  {
+    kind: 'citizen_or_permanent_resident',
+    patterns: [
+      /\bu\.? ?s\.? citizen/,
+      /citizen or (lawful |legal )?permanent resident/,
+      /green card/,
+      /permanent resident/
+    ]
+  },
+  {
+    kind: 'authorized_to_work',
+    patterns: [
+      /authori[sz]ed to work/,
+      /work authori[sz]ation/,
+      /legally (authori[sz]ed|eligible|permitted|able) to (work|be employed)/,
+      /eligible to work/,
+      /right to work/,
+      /permitted to work/
+    ]
+  }
+];
+
+// Options that are prompts rather than answers
+const PROMPT_OPTION = /^(select|choose|please select|--|\s*$)/i;
+const NEGATION = /\b(not|never|no)\b|n't\b|\bcannot\b/;
+
+class WorkAuthorizationPolicy {
+  constructor(profile = UserProfile) {
+    this.logger = new Logger('WorkAuthorizationPolicy');
+    this.classifier = new FieldClassifier();
+    this.professional = (profile && profile.professional) || {};
+    this.history = [];
+  }
+
+  static questionOf(question) {
+    if (typeof question === 'string') return question;
+    if (question && typeof question.question === 'string') return question.question;
+    return '';
+  }
+
+  // Returns the question kind, or null when this is not an eligibility question
+  classifyQuestion(question) {
+    const text = FieldClassifier.normalize(WorkAuthorizationPolicy.questionOf(question));
+    if (!text) return null;
+
+    const rule = QUESTION_RULES.find(candidate => candidate.patterns.some(pattern => pattern.test(text)));
+    return rule ? rule.kind : null;
+  }
+
+  isPolicyQuestion(question) {
+    return this.classifyQuestion(question) !== null;
+  }
+
+  // Structured answers from professional.workEligibility, with the free-text workAuthorization as a fallback
+  getFacts() {
+    const eligibility = this.professional.workEligibility || {};
+    const statement = this.professional.workAuthorization || '';
+    const known = (value) => typeof value === 'boolean' ? value : null;
+
+    const requiresSponsorship = known(eligibility.requiresSponsorship) !== null
+      ? eligibility.requiresSponsorship
+      : (/(require|need)s?.*sponsor/i.test(statement) ? true : null);
+
+    const visaStatus = eligibility.visaStatus && !PLACEHOLDER_PATTERN.test(eligibility.visaStatus)
+      ? eligibility.visaStatus
+      : null;
+
+    return {
+      authorizedToWork: known(eligibility.authorizedToWork),
+      requiresSponsorship,
+      citizenOrPermanentResident: known(eligibility.citizenOrPermanentResident),
+      visaStatus,
+      statement
+    };
+  }
+
+  valueFor(kind) {
+    const facts = this.getFacts();
+
+    switch (kind) {
+      case 'authorized_to_work':
+        return facts.authorizedToWork;
+      case 'requires_sponsorship':
+        return facts.requiresSponsorship;
+      case 'authorized_without_sponsorship':
+        if (facts.authorizedToWork === null || facts.requiresSponsorship === null) return null;
+        return facts.authorizedToWork && !facts.requiresSponsorship;
+      case 'citizen_or_permanent_resident':
+        return facts.citizenOrPermanentResident;
+      case 'visa_status':
+        return facts.visaStatus;
+      default:
+        return null;
+    }
+  }
+
+  // true / false for "Yes, ..." / "No, ..." and first-person statements ("I am not authorized..."), else null.
+  // A leading Yes/No decides; a statement is negative when it contains a negation.
+  static optionMeans(option) {
+    const leading = option.match(/^(yes|no|true|false)\b/);
+    if (leading) return leading[1] === 'yes' || leading[1] === 'true';
+    if (!/^(i|we)\b/.test(option)) return null;
+    return !NEGATION.test(option);
+  }
+
+  // Picks the option that says the same thing as the answer, preferring a plain Yes/No; -1 when none does
+  chooseOption(options = [], value) {
+    const normalized = options.map(option => FieldClassifier.normalize(option));
+
+    if (typeof value === 'boolean') {
+      const candidates = normalized.map((option, index) => (PROMPT_OPTION.test(options[index]) ? null : option));
+      const exact = candidates.findIndex(option => option !== null && (value ? /^(yes|true)$/ : /^(no|false)$/).test(option));
+      if (exact >= 0) return exact;
+      return candidates.findIndex(option => option !== null && WorkAuthorizationPolicy.optionMeans(option) === value);
+    }
+
+    const status = FieldClassifier.normalize(value);
+    return normalized.findIndex((option, index) => !PROMPT_OPTION.test(options[index]) &&
+      (option.includes(status) || status.includes(option)));
+  }
+
+  // { handled: false } for unrelated questions; otherwise the policy answer, even when the profile cannot supply one
+  answer(question, field = {}) {
+    const text = WorkAuthorizationPolicy.questionOf(question);
+    const kind = this.classifyQuestion(text);
+
+    if (!kind) {
+      return { handled: false };
+    }
+
+    const value = this.valueFor(kind);
+    const options = field.options || [];
+    let answerText = null;
+    let optionIndex = -1;
+
+    if (value !== null) {
+      answerText = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+
+      if (options.length > 0) {
+        optionIndex = this.chooseOption(options, value);
+        answerText = optionIndex >= 0 ? options[optionIndex] : null;
+      }
+    }
+
+    const result = { handled: true, kind, question: text, value, answer: answerText, optionIndex };
+    this.record(result, field);
+    return result;
+  }
+
+  record(result, field) {
+    const entry = {
+      kind: result.kind,
+      question: result.question,
+      answer: result.answer,
+      fieldType: field.type || 'text',
+      timestamp: new Date().toISOString()
+    };
+    this.history.push(entry);
+
+    const question = result.question.length > 80 ? `${result.question.substring(0, 80)}...` : result.question;
+    if (result.answer === null) {
+      this.logger.warn(`🛂 No policy answer for ${result.kind}: "${question}" - left for manual review`);
+    } else {
+      this.logger.info(`🛂 Answered ${result.kind}: "${question}" → ${result.answer}`);
+    }
+  }
+
+  // A radio's label is the option ("Yes"); the question lives in the legend or nearby text
+  questionFor(descriptor) {
+    if (descriptor.type === 'radio') {
+      return descriptor.legend || descriptor.ariaLabelledBy || descriptor.surroundingText || '';
+    }
+    return FieldClassifier.questionText(descriptor) || descriptor.surroundingText || '';
+  }
+
+  // Answers every eligibility question on a Playwright page or frame
+  async applyToPage(page, selector = FieldClassifier.FIELD_SELECTOR) {
+    const descriptors = await this.classifier.describeFields(page, selector);
+    const actions = [];
+    const answered = [];
+    const seenGroups = new Set();
+
+    for (const descriptor of descriptors) {
+      if (descriptor.type === 'file') continue;
+
+      const question = this.questionFor(descriptor);
+      if (!this.isPolicyQuestion(question)) continue;
+
+      if (descriptor.type === 'radio') {
+        const group = descriptor.name || descriptor.selector;
+        if (seenGroups.has(group)) continue;
+        seenGroups.add(group);
+
+        const radios = descriptors.filter(candidate => candidate.type === 'radio' && (candidate.name || candidate.selector) === group);
+        const result = this.answer(question, { type: 'radio', options: radios.map(radio => radio.label || radio.ariaLabel) });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: radios[result.optionIndex].selector, action: 'check', value: true });
+        }
+        answered.push(result);
+      } else if (descriptor.type === 'checkbox') {
+        const result = this.answer(question, { type: 'checkbox' });
+        if (typeof result.value === 'boolean') {
+          actions.push({ selector: descriptor.selector, action: 'check', value: result.value });
+        }
+        answered.push(result);
+      } else if (descriptor.tag === 'select') {
+        const result = this.answer(question, { type: 'select', options: descriptor.options });
+        if (result.optionIndex >= 0) {
+          actions.push({ selector: descriptor.selector, action: 'select', value: result.optionIndex });
+        }
+        answered.push(result);
+      } else {
+        const result = this.answer(question, { type: 'text' });
+        if (result.answer !== null) {
+          actions.push({ selector: descriptor.selector, action: 'fill', value: result.answer });
+        }
+        answered.push(result);
+      }
+    }
+
+    let appliedCount = await FieldActions.apply(page, actions);
+
+    // Workday renders these as listbox buttons rather than <select>
+    for (const listbox of await FieldActions.describeListboxes(page)) {
+      if (!this.isPolicyQuestion(listbox.question)) continue;
+
+      let result = null;
+      const choice = await FieldActions.chooseFromListbox(page, listbox.selector, (options) => {
+        result = this.answer(listbox.question, { type: 'listbox', options });
+        return result.optionIndex;
+      });
+
+      if (choice.chosen) appliedCount++;
+      if (result) answered.push(result);
+    }
+
+    return {
+      answeredCount: appliedCount,
+      questions: answered,
+      unanswered: answered.filter(result => result.answer === null)
+    };
+  }
+}
+
+module.exports = WorkAuthorizationPolicy;
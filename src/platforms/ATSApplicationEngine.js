@@ -0,0 +1,1112 @@
+const fs = require('fs');
+const path = require('path');
+const PlatformBase = require('./PlatformBase');
+const AIQuestionAnswerer = require('../ai/AIQuestionAnswerer');
+const ProfileFieldMapper = require('../forms/ProfileFieldMapper');
+const FieldClassifier = require('../forms/FieldClassifier');
+const WorkAuthorizationPolicy = require('../forms/WorkAuthorizationPolicy');
+const EEOHandler = require('../forms/EEOHandler');
+const SkillsResolver = require('../forms/SkillsResolver');
+const VerificationCodeRetriever = require('../email/VerificationCodeRetriever');
+const UserProfile = require('../../Config/user-profile');
+
+// Apply buttons that look the same on every ATS; platform selectors are tried after these
+const GENERIC_APPLY_SELECTORS = [
+  'button[class*="apply"]',
+  'button[class*="Apply"]',
+  'a[class*="apply"]',
+  'a[class*="Apply"]',
+  'input[value*="Apply"]'
+];
+
+const DEFAULT_SELECTORS = {
+  applyButtons: [],
+  modals: [
+    '[role="dialog"]',
+    '.modal',
+    '[class*="modal"]',
+    '[class*="popup"]',
+    '[class*="dialog"]',
+    '[data-testid*="modal"]',
+    '[data-testid*="dialog"]'
+  ],
+  modalKeywords: ['apply', 'resume', 'cover letter', 'experience'],
+  // First button (in DOM order) whose text contains one of these is clicked
+  modalButtonKeywords: ['submit', 'apply', 'continue', 'next'],
+  modalFallbackKeywords: [],
+  loggedIn: ['[data-testid*="user"]', '[class*="user"]', '[id*="user"]'],
+  nextPageButtons: [],
+  submitKeywords: ['submit', 'apply', 'finish', 'complete', 'save', 'next', 'continue'],
+  confirmation: []
+};
+
+const DEFAULT_CONFIRMATION_PHRASES = [
+  'thank you for applying',
+  'thanks for applying',
+  'application submitted',
+  'application has been submitted',
+  'application received',
+  'we have received your application',
+  'we\'ve received your application'
+];
+
+const MAX_FORM_PAGES = 10;
+
+// Page text asking for a code or link sent by email
+const EMAIL_VERIFICATION_PHRASES = ['verification code', 'verify your email', 'check your email', 'enter code', 'enter the code'];
+
+// Shared step pipeline for ATS automators. Subclasses only describe what is
+// actually different about their platform: selectors, login, page navigation
+// and how a confirmation looks.
+class ATSApplicationEngine extends PlatformBase {
+  static selectors = {};
+  static confirmationPhrases = [];
+  static allowsAccountCreation = true;
+  // Text in the sender of the platform's verification emails, null for any sender
+  static verificationSender = null;
+  static applicationIdPrefix = 'ATS';
+  static emoji = '📝';
+
+  constructor() {
+    super();
+    this.platformName = this.constructor.displayName;
+    this.aiAnswerer = new AIQuestionAnswerer();
+    this.fieldMapper = new ProfileFieldMapper();
+    this.fieldClassifier = new FieldClassifier();
+    this.workAuthorizationPolicy = new WorkAuthorizationPolicy();
+    this.eeoHandler = new EEOHandler();
+    this.skillsResolver = new SkillsResolver();
+    this.verificationCodeRetriever = new VerificationCodeRetriever();
+    // Review ids of answers held back for a human during the current application
+    this.pendingReviewIds = [];
+    this.currentJob = null;
+    this.selectors = { ...DEFAULT_SELECTORS, ...this.constructor.selectors };
+  }
+
+  getApplicationSteps() {
+    return [
+      { name: 'apply_button', error: 'Could not find apply button', run: () => this.detectAndClickApplyButton() },
+      { name: 'login', run: () => this.handleLogin() },
+      { name: 'detect_form', error: 'No application form found', run: () => this.detectApplicationForm() },
+      { name: 'fill_form', run: (job) => this.fillApplicationPages(job) },
+      { name: 'review_gate', run: (job) => this.checkPendingReview(job) },
+      { name: 'submit', run: () => this.reviewAndSubmitApplication() },
+      { name: 'confirmation', optional: true, run: () => this.detectConfirmation() },
+      { name: 'post_submission', optional: true, run: () => this.handlePostSubmission() }
+    ];
+  }
+
+  async handleApplication(job) {
+    const platformName = this.platformName;
+
+    try {
+      this.logger.info(`${this.constructor.emoji} Starting ${platformName} application process...`);
+
+      const results = {};
+      const steps = this.getApplicationSteps();
+      this.pendingReviewIds = [];
+      this.currentJob = job;
+
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const result = await step.run(job);
+        results[step.name] = result;
+
+        if (!step.optional && (!result || !result.success)) {
+          return {
+            success: false,
+            error: step.error || (result && result.error) || `${step.name} step failed`,
+            step: i + 1,
+            stepName: step.name,
+            ...(result && result.paused ? { paused: true, reviewIds: result.reviewIds } : {})
+          };
+        }
+      }
+
+      return {
+        success: true,
+        platform: this.constructor.platformId,
+        submitted: true,
+        details: {
+          jobTitle: job.title,
+          company: job.company,
+          applicationId: results.submit.applicationId,
+          pages: results.fill_form.pages,
+          confirmed: !!(results.confirmation && results.confirmation.confirmed),
+          postSubmission: results.post_submission
+        }
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error in ${platformName} application: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async detectAndClickApplyButton() {
+    try {
+      this.logger.info(`🎯 Step 1: Looking for ${this.platformName} apply button...`);
+
+      // Wait for page to load
+      await this.mainPage.waitForTimeout(3000);
+
+      const applySelectors = [...GENERIC_APPLY_SELECTORS, ...this.selectors.applyButtons];
+
+      const applyButton = await this.mainPage.evaluate((applySelectors) => {
+        const buttons = Array.from(document.querySelectorAll('button, a, input[type="submit"]'));
+
+        for (const selector of applySelectors) {
+          const button = document.querySelector(selector);
+          if (button && button.offsetParent !== null) {
+            return {
+              found: true,
+              text: button.textContent.trim(),
+              selector: selector
+            };
+          }
+        }
+
+        // Fallback: look for any button with "apply" in text
+        const applyButton = buttons.find(btn =>
+          btn.textContent && btn.textContent.toLowerCase().includes('apply') &&
+          btn.offsetParent !== null
+        );
+
+        if (applyButton) {
+          return {
+            found: true,
+            text: applyButton.textContent.trim(),
+            selector: 'fallback'
+          };
+        }
+
+        return { found: false };
+      }, applySelectors);
+
+      if (applyButton.found) {
+        this.logger.info(`✅ Found apply button: "${applyButton.text}"`);
+
+        try {
+          if (applyButton.selector === 'fallback') {
+            // For fallback, we need to find the button again and click it
+            await this.mainPage.evaluate(() => {
+              const buttons = Array.from(document.querySelectorAll('button, a, input[type="submit"]'));
+              const applyButton = buttons.find(btn =>
+                btn.textContent && btn.textContent.toLowerCase().includes('apply') &&
+                btn.offsetParent !== null
+              );
+              if (applyButton) {
+                applyButton.click();
+                return true;
+              }
+              return false;
+            });
+          } else {
+            await this.mainPage.click(applyButton.selector);
+          }
+
+          this.logger.success('✅ Apply button clicked successfully');
+          await this.mainPage.waitForTimeout(3000);
+
+          // Handle any modals that appear after clicking apply
+          const modalResult = await this.handleApplicationModal();
+          if (modalResult.success) {
+            return { success: true };
+          } else {
+            this.logger.warn(`⚠️ Modal handling failed: ${modalResult.error}`);
+            return { success: false, error: modalResult.error };
+          }
+        } catch (error) {
+          this.logger.error(`❌ Error clicking apply button: ${error.message}`);
+          return { success: false, error: error.message };
+        }
+      }
+
+      this.logger.warn('⚠️ No apply button found');
+      return { success: false, error: 'No apply button found' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error detecting apply button: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async handleApplicationModal() {
+    try {
+      this.logger.info(`📋 Handling ${this.platformName} application modal...`);
+
+      // Wait for modal to appear
+      await this.mainPage.waitForTimeout(3000);
+
+      const modalResult = await this.mainPage.evaluate((selectors) => {
+        let modal = null;
+        for (const selector of selectors.modals) {
+          modal = document.querySelector(selector);
+          if (modal) break;
+        }
+
+        if (!modal) {
+          return { found: false };
+        }
+
+        // Check if it's an application modal
+        const modalText = modal.textContent.toLowerCase();
+        if (!selectors.modalKeywords.some(keyword => modalText.includes(keyword))) {
+          return { found: false };
+        }
+
+        const buttonSelectors = [
+          'button',
+          'a[role="button"]',
+          'input[type="submit"]',
+          '[role="button"]',
+          '[data-testid*="button"]',
+          '[class*="btn"]',
+          '[class*="button"]'
+        ];
+
+        let allButtons = [];
+        for (const selector of buttonSelectors) {
+          allButtons = allButtons.concat(Array.from(modal.querySelectorAll(selector)));
+        }
+
+        // Remove duplicates
+        allButtons = allButtons.filter((button, index, self) =>
+          self.findIndex(b => b === button) === index
+        );
+
+        const findButton = (keywords) => allButtons.find(button => {
+          const text = button.textContent.toLowerCase();
+          return keywords.some(keyword => text.includes(keyword));
+        });
+
+        const selectedButton = findButton(selectors.modalButtonKeywords) ||
+                               findButton(selectors.modalFallbackKeywords);
+
+        if (selectedButton) {
+          selectedButton.click();
+          return {
+            found: true,
+            clicked: true,
+            buttonText: selectedButton.textContent.trim(),
+            allButtons: allButtons.map(btn => btn.textContent.trim())
+          };
+        }
+
+        return {
+          found: true,
+          clicked: false,
+          allButtons: allButtons.map(btn => btn.textContent.trim())
+        };
+      }, this.selectors);
+
+      if (modalResult.found && modalResult.clicked) {
+        this.logger.success(`✅ Application modal handled: "${modalResult.buttonText}"`);
+        await this.mainPage.waitForTimeout(3000);
+        return { success: true };
+      } else if (modalResult.found) {
+        this.logger.warn('⚠️ Application modal found but no suitable button clicked');
+        this.logger.info(`📋 Available buttons: ${modalResult.allButtons?.join(', ') || 'None'}`);
+        return { success: false, error: 'No suitable button in modal' };
+      } else {
+        this.logger.info('ℹ️ No application modal found');
+        return { success: true, noModal: true };
+      }
+
+    } catch (error) {
+      this.logger.error(`❌ Error handling ${this.platformName} application modal: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async handleLogin() {
+    try {
+      this.logger.info(`🔐 Step 2: Checking for ${this.platformName} login...`);
+
+      // Wait for page to load
+      await this.mainPage.waitForTimeout(3000);
+
+      const loginCheck = await this.mainPage.evaluate((loggedInSelectors) => {
+        const bodyText = document.body.textContent.toLowerCase();
+
+        // Check for login indicators
+        const hasLoginForm = document.querySelector('input[type="email"], input[type="text"], input[name*="email"]');
+        const hasPasswordField = document.querySelector('input[type="password"]');
+        const hasSignInButton = Array.from(document.querySelectorAll('button')).some(btn =>
+          btn.textContent.toLowerCase().includes('sign in') ||
+          btn.textContent.toLowerCase().includes('login')
+        );
+
+        // Check for account creation
+        const hasCreateAccount = bodyText.includes('create account') ||
+                               bodyText.includes('register') ||
+                               bodyText.includes('sign up');
+
+        return {
+          needsLogin: !!(hasLoginForm || hasPasswordField || hasSignInButton),
+          needsAccountCreation: hasCreateAccount,
+          alreadyLoggedIn: loggedInSelectors.some(selector => !!document.querySelector(selector))
+        };
+      }, this.selectors.loggedIn);
+
+      if (loginCheck.alreadyLoggedIn) {
+        this.logger.info(`✅ Already logged in to ${this.platformName}`);
+        return { success: true, loggedIn: true };
+      }
+
+      if (loginCheck.needsAccountCreation && this.constructor.allowsAccountCreation) {
+        this.logger.info(`📝 Creating ${this.platformName} account...`);
+        return await this.createAccount();
+      }
+
+      if (loginCheck.needsLogin) {
+        this.logger.info(`🔐 Logging in to ${this.platformName}...`);
+        return await this.login();
+      }
+
+      this.logger.info('✅ No login required');
+      return { success: true, loggedIn: false };
+
+    } catch (error) {
+      this.logger.error(`❌ Error handling ${this.platformName} login: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createAccount() {
+    try {
+      this.logger.info(`📝 Creating new ${this.platformName} account...`);
+
+      // The verification email can only be newer than the click that triggers it
+      const requestedAt = new Date();
+      const accountCreated = await this.mainPage.evaluate(({ email, password, firstName, lastName }) => {
+        // Fill account creation form
+        const inputs = document.querySelectorAll('input');
+        let filledCount = 0;
+
+        const setInput = (input, value) => {
+          if (!value) return;
+          input.value = value;
+          filledCount++;
+        };
+
+        inputs.forEach(input => {
+          const type = input.type || '';
+          const name = (input.name || '').toLowerCase();
+          const placeholder = (input.placeholder || '').toLowerCase();
+
+          if (type === 'email' || name.includes('email') || placeholder.includes('email')) {
+            setInput(input, email);
+          } else if (type === 'password' || name.includes('password')) {
+            setInput(input, password);
+          } else if (name.includes('first') || placeholder.includes('first')) {
+            setInput(input, firstName);
+          } else if (name.includes('last') || placeholder.includes('last')) {
+            setInput(input, lastName);
+          }
+
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        // Click create account button
+        const buttons = Array.from(document.querySelectorAll('button'));
+        const createButton = buttons.find(btn =>
+          btn.textContent.toLowerCase().includes('create') ||
+          btn.textContent.toLowerCase().includes('register') ||
+          btn.textContent.toLowerCase().includes('sign up')
+        );
+
+        if (createButton) {
+          createButton.click();
+          return { success: true, filledCount };
+        }
+
+        return { success: false, filledCount };
+      }, {
+        email: this.getAccountEmail(),
+        password: this.getAccountPassword(),
+        firstName: this.fieldMapper.value('firstName'),
+        lastName: this.fieldMapper.value('lastName')
+      });
+
+      if (accountCreated.success) {
+        this.logger.success(`✅ Account creation form filled (${accountCreated.filledCount} fields)`);
+        await this.mainPage.waitForTimeout(5000);
+
+        const verification = await this.completeEmailVerificationIfShown(requestedAt);
+        if (!verification.success) {
+          return verification;
+        }
+        return { success: true, accountCreated: true, emailVerified: verification.verified };
+      }
+
+      return { success: false, error: 'Could not create account' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error creating ${this.platformName} account: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async completeEmailVerificationIfShown(since) {
+    const prompted = await this.mainPage.evaluate((phrases) => {
+      const bodyText = document.body.textContent.toLowerCase();
+      return phrases.some(phrase => bodyText.includes(phrase));
+    }, EMAIL_VERIFICATION_PHRASES);
+
+    if (!prompted) {
+      return { success: true, verified: false };
+    }
+    this.logger.info(`📧 ${this.platformName} asks for email verification`);
+    return await this.completeEmailVerification({ since });
+  }
+
+  // Company names or tenants the verification email has to name in its sender or subject; null accepts any.
+  // Platforms that send every employer's mail from one address override this.
+  verificationSenderNames() {
+    return null;
+  }
+
+  // Fetches the code or link the platform emailed (hint: see VerificationCodeRetriever.retrieve) and
+  // enters the code on the page, or opens the link in a new tab when there is no code field
+  async completeEmailVerification(hint = {}) {
+    try {
+      const retrieved = await this.verificationCodeRetriever.retrieve({
+        from: this.constructor.verificationSender,
+        about: this.verificationSenderNames(),
+        ...hint
+      });
+      if (!retrieved.success) {
+        return { success: false, error: `Email verification failed: ${retrieved.error}` };
+      }
+
+      if (retrieved.code) {
+        const entered = await this.mainPage.evaluate((code) => {
+          const inputs = Array.from(document.querySelectorAll('input')).filter(input => {
+            const hints = `${input.name} ${input.id} ${input.placeholder} ${input.getAttribute('aria-label') || ''} ${input.autocomplete}`.toLowerCase();
+            return input.type !== 'hidden' && /code|verif|otp|one-time-code|passcode/.test(hints);
+          });
+          if (inputs.length === 0) {
+            return { filled: false };
+          }
+
+          const setInput = (input, value) => {
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+          };
+          // One box per character, or a single field
+          if (inputs.length === code.length && inputs.every(input => input.maxLength === 1)) {
+            inputs.forEach((input, i) => setInput(input, code[i]));
+          } else {
+            setInput(inputs[0], code);
+          }
+
+          const buttons = Array.from(document.querySelectorAll('button, input[type="submit"]'));
+          const submitButton = buttons.find(btn => /verify|confirm|submit|continue/.test((btn.textContent || btn.value || '').toLowerCase()));
+          if (submitButton) {
+            submitButton.click();
+          }
+          return { filled: true, submitted: !!submitButton };
+        }, retrieved.code);
+
+        if (entered.filled) {
+          this.logger.success(`✅ Verification code entered${entered.submitted ? ' and submitted' : ''}`);
+          await this.mainPage.waitForTimeout(3000);
+          return { success: true, verified: true, method: 'code' };
+        }
+      }
+
+      if (retrieved.link) {
+        const page = await (this.context || this.mainPage.context()).newPage();
+        try {
+          await page.goto(retrieved.link, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          await page.waitForTimeout(3000);
+        } finally {
+          await page.close();
+        }
+        this.logger.success('✅ Verification link opened');
+        return { success: true, verified: true, method: 'link' };
+      }
+
+      return { success: false, error: 'Email verification failed: no code field on the page and no link in the email' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error completing ${this.platformName} email verification: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async login() {
+    try {
+      const loginResult = await this.mainPage.evaluate(({ email, password }) => {
+        // Fill login form
+        const emailInput = document.querySelector('input[type="email"], input[name*="email"], input[placeholder*="email"]');
+        const passwordInput = document.querySelector('input[type="password"]');
+
+        if (emailInput && email) {
+          emailInput.value = email;
+          emailInput.dispatchEvent(new Event('input', { bubbles: true }));
+          emailInput.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        if (passwordInput) {
+          passwordInput.value = password;
+          passwordInput.dispatchEvent(new Event('input', { bubbles: true }));
+          passwordInput.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        // Click sign in button
+        const buttons = Array.from(document.querySelectorAll('button'));
+        const signInButton = buttons.find(btn =>
+          btn.textContent.toLowerCase().includes('sign in') ||
+          btn.textContent.toLowerCase().includes('login') ||
+          btn.textContent.toLowerCase().includes('submit')
+        );
+
+        if (signInButton) {
+          signInButton.click();
+          return { success: true };
+        }
+
+        return { success: false };
+      }, { email: this.getAccountEmail(), password: this.getAccountPassword() });
+
+      if (loginResult.success) {
+        this.logger.success('✅ Login form submitted');
+        await this.mainPage.waitForTimeout(5000);
+        return { success: true, loggedIn: true };
+      }
+
+      return { success: false, error: 'Could not submit login form' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error logging in to ${this.platformName}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Platform login from the profile's credentials block, falling back to the personal email
+  getAccountEmail() {
+    const credentials = (UserProfile.credentials || {})[this.constructor.platformId] || {};
+
+    if (credentials.email && !ProfileFieldMapper.isPlaceholder(credentials.email)) {
+      return credentials.email;
+    }
+
+    return this.fieldMapper.value('email');
+  }
+
+  getAccountPassword() {
+    const credentials = (UserProfile.credentials || {})[this.constructor.platformId] || {};
+    return credentials.password || process.env.ALL_PASSWORDS || '';
+  }
+
+  async detectApplicationForm() {
+    try {
+      this.logger.info(`📋 Step 3: Detecting ${this.platformName} application form...`);
+
+      await this.mainPage.waitForTimeout(3000);
+
+      const formCheck = await this.mainPage.evaluate(() => {
+        const forms = document.querySelectorAll('form');
+        const inputs = document.querySelectorAll('input, textarea, select');
+        const fileInputs = document.querySelectorAll('input[type="file"]');
+
+        return {
+          formCount: forms.length,
+          inputCount: inputs.length,
+          fileInputCount: fileInputs.length,
+          hasApplicationForm: inputs.length > 0 || forms.length > 0
+        };
+      });
+
+      if (formCheck.hasApplicationForm) {
+        this.logger.info(`✅ Found application form: ${formCheck.inputCount} inputs, ${formCheck.fileInputCount} file inputs`);
+        return { success: true, formInfo: formCheck };
+      }
+
+      return { success: false, error: 'No application form found' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error detecting application form: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Fills the current page, then keeps moving forward while the platform reports another page
+  async fillApplicationPages(job) {
+    const pages = [];
+
+    for (let page = 1; page <= MAX_FORM_PAGES; page++) {
+      const pageResult = await this.fillApplicationForm(job);
+      pages.push(pageResult);
+
+      if (!pageResult.success) {
+        return { success: false, error: pageResult.error, pages: pages.length };
+      }
+
+      const navigation = await this.goToNextPage(page);
+      if (!navigation.moved) {
+        return { success: true, pages: pages.length, results: pages };
+      }
+
+      this.logger.info(`➡️ Moved to application page ${page + 1}`);
+    }
+
+    this.logger.warn(`⚠️ Stopped after ${MAX_FORM_PAGES} application pages`);
+    return { success: false, error: `Application has more than ${MAX_FORM_PAGES} pages`, pages: pages.length };
+  }
+
+  // Single-page platforms have nothing to navigate; multi-page ones list their next buttons
+  async goToNextPage(currentPage) {
+    if (this.selectors.nextPageButtons.length === 0) {
+      return { moved: false };
+    }
+
+    try {
+      const clicked = await this.mainPage.evaluate((selectors) => {
+        for (const selector of selectors) {
+          const button = document.querySelector(selector);
+          // Some platforms reuse the "next" button for the final submit - leave that to the submit step
+          const isSubmit = button && button.textContent.toLowerCase().includes('submit');
+          if (button && button.offsetParent !== null && !button.disabled && !isSubmit) {
+            button.click();
+            return true;
+          }
+        }
+        return false;
+      }, this.selectors.nextPageButtons);
+
+      if (clicked) {
+        await this.mainPage.waitForTimeout(3000);
+      }
+
+      return { moved: clicked };
+
+    } catch (error) {
+      this.logger.error(`❌ Error moving past page ${currentPage}: ${error.message}`);
+      return { moved: false, error: error.message };
+    }
+  }
+
+  async fillApplicationForm(job) {
+    try {
+      this.logger.info(`📝 Step 4: Filling ${this.platformName} application form...`);
+
+      const basicResult = await this.fillBasicInformation(job);
+      const eligibilityResult = await this.fillWorkAuthorization();
+      const eeoResult = await this.fillSelfIdentification();
+      const skillYearsResult = await this.fillSkillYears();
+      const aiResult = await this.fillExperienceQuestions(job);
+      const resumeResult = await this.uploadResume();
+      const coverResult = await this.fillCoverLetter(job);
+
+      return {
+        success: true,
+        basicInfo: basicResult,
+        workAuthorization: eligibilityResult,
+        selfIdentification: eeoResult,
+        skillYears: skillYearsResult,
+        aiQuestions: aiResult,
+        resume: resumeResult,
+        coverLetter: coverResult
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error filling ${this.platformName} application form: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async fillBasicInformation(job) {
+    try {
+      this.logger.info('📋 Filling basic information...');
+
+      const filled = await this.fieldMapper.fillPage(this.mainPage);
+
+      this.logger.info(`✅ Filled ${filled.filledCount} out of ${filled.totalInputs} basic fields`);
+      return {
+        filledCount: filled.filledCount,
+        totalInputs: filled.totalInputs,
+        filledFields: filled.filledFields,
+        unmapped: filled.unmapped
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error filling basic information: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Eligibility and sponsorship questions are answered from the profile before anything reaches the AI
+  async fillWorkAuthorization() {
+    try {
+      const result = await this.workAuthorizationPolicy.applyToPage(this.mainPage);
+
+      if (result.unanswered.length > 0) {
+        this.logger.warn(`⚠️ ${result.unanswered.length} work authorization question(s) need manual review`);
+      }
+
+      return result;
+
+    } catch (error) {
+      this.logger.error(`❌ Error answering work authorization questions: ${error.message}`);
+      return { answeredCount: 0, questions: [], unanswered: [], error: error.message };
+    }
+  }
+
+  async fillSelfIdentification() {
+    try {
+      const result = await this.eeoHandler.applyToPage(this.mainPage);
+
+      if (result.questions.length > 0) {
+        this.logger.info(`📋 Answered ${result.answeredCount} voluntary self-identification question(s)`);
+      }
+
+      return result;
+
+    } catch (error) {
+      this.logger.error(`❌ Error answering self-identification questions: ${error.message}`);
+      return { answeredCount: 0, questions: [], unanswered: [], error: error.message };
+    }
+  }
+
+  // "Years of experience with X" comes from the skills matrix, as text, number, select or listbox answers
+  async fillSkillYears() {
+    try {
+      const result = await this.skillsResolver.applyToPage(this.mainPage);
+
+      if (result.unanswered.length > 0) {
+        this.logger.warn(`⚠️ ${result.unanswered.length} years-of-experience question(s) need manual review`);
+      }
+
+      return result;
+
+    } catch (error) {
+      this.logger.error(`❌ Error answering years-of-experience questions: ${error.message}`);
+      return { answeredCount: 0, questions: [], unanswered: [], error: error.message };
+    }
+  }
+
+  // The slice of a job AIQuestionAnswerer accepts (see src/ai/AnswerContract.js)
+  buildJobContext(job = {}) {
+    const context = { platform: this.constructor.platformId };
+    ['id', 'url', 'title', 'company', 'location', 'description'].forEach(field => {
+      if (typeof job[field] === 'string' || typeof job[field] === 'number') {
+        context[field] = job[field];
+      }
+    });
+    // Captured from the posting by JobRightAIAutomator.captureJobDescription
+    if (job.descriptionSummary && typeof job.descriptionSummary === 'object') {
+      context.summary = job.descriptionSummary;
+    }
+    return context;
+  }
+
+  // Low-confidence answers were left empty and queued - submitting now would send an incomplete form
+  async checkPendingReview(job) {
+    if (this.pendingReviewIds.length === 0) {
+      return { success: true };
+    }
+
+    this.logger.warn(`⏸️ ${this.pendingReviewIds.length} answer(s) for ${job.title} at ${job.company} need review - application paused`);
+    return {
+      success: false,
+      paused: true,
+      reviewIds: [...this.pendingReviewIds],
+      error: `Paused: ${this.pendingReviewIds.length} answer(s) awaiting review in the dashboard`
+    };
+  }
+
+  async fillExperienceQuestions(job) {
+    try {
+      this.logger.info('🤖 Filling experience questions with AI...');
+
+      // Cover letters get their own step, eligibility, EEO and years-with-technology questions are answered from the profile
+      const questions = (await this.fieldClassifier.describeFields(this.mainPage, 'textarea'))
+        .filter(field => field.classification.type !== 'cover_letter')
+        .filter(field => !this.workAuthorizationPolicy.isPolicyQuestion(field.question))
+        .filter(field => !this.eeoHandler.isEEOQuestion(field.question))
+        .filter(field => !this.skillsResolver.isSkillsQuestion(field.question));
+
+      let aiResponses = [];
+
+      for (const field of questions) {
+        const question = field.question || `Question ${field.index}`;
+
+        const response = await this.aiAnswerer.generateResponse(question, this.buildJobContext(job), {
+          optional: !field.required,
+          field: FieldClassifier.constraintsOf(field)
+        });
+        if (response.needs_review) {
+          this.pendingReviewIds.push(response.review_id);
+          continue;
+        }
+        if (!response.answer) {
+          continue;
+        }
+
+        await this.setFieldValue(field.selector, response.answer);
+        aiResponses.push({
+          question,
+          answer: response.answer,
+          source: response.source,
+          confidence: response.confidence,
+          fieldType: field.classification.type
+        });
+      }
+
+      this.logger.info(`✅ Answered ${aiResponses.length} questions with AI`);
+      return aiResponses;
+
+    } catch (error) {
+      this.logger.error(`❌ Error filling experience questions: ${error.message}`);
+      return [];
+    }
+  }
+
+  // The profile's resume file, resolved from the repository root; null when unset or missing
+  static resumePath(profile = UserProfile) {
+    const file = (profile.personal || {}).resumeFile;
+    if (!file || ProfileFieldMapper.isPlaceholder(file)) {
+      return null;
+    }
+    const resolved = path.resolve(__dirname, '../..', file);
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  async uploadResume() {
+    try {
+      this.logger.info('📎 Uploading resume...');
+
+      const fileInput = await this.mainPage.$('input[type="file"]');
+      if (fileInput) {
+        const resumePath = ATSApplicationEngine.resumePath();
+        if (!resumePath) {
+          this.logger.warn('⚠️ No resume to upload - set personal.resumeFile in Config/user-profile.js');
+          return { success: false, error: 'No resume file configured' };
+        }
+        await fileInput.setInputFiles(resumePath);
+        this.logger.success('✅ Resume uploaded');
+        return { success: true };
+      }
+
+      this.logger.warn('⚠️ No file upload field found');
+      return { success: false, error: 'No file upload field' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error uploading resume: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async fillCoverLetter(job) {
+    try {
+      this.logger.info('📄 Generating and filling cover letter...');
+
+      const coverLetterFields = (await this.fieldClassifier.describeFields(this.mainPage, 'textarea'))
+        .filter(field => field.classification.type === 'cover_letter');
+
+      if (coverLetterFields.length === 0) {
+        this.logger.warn('⚠️ No cover letter field found');
+        return { success: false, error: 'No cover letter field' };
+      }
+
+      const response = await this.aiAnswerer.generateResponse(
+        `Write a cover letter for the ${job.title || 'open'} position at ${job.company || 'your company'}`,
+        this.buildJobContext(job),
+        {
+          optional: !coverLetterFields.some(field => field.required),
+          // One letter goes into every cover letter field, so it has to fit the shortest
+          field: FieldClassifier.constraintsOf(coverLetterFields.reduce((shortest, field) =>
+            (field.maxLength && (!shortest.maxLength || field.maxLength < shortest.maxLength) ? field : shortest)))
+        }
+      );
+      if (response.needs_review) {
+        this.pendingReviewIds.push(response.review_id);
+        return { success: false, error: 'Cover letter awaiting review', reviewId: response.review_id };
+      }
+      const coverLetter = response.answer;
+
+      if (!coverLetter) {
+        this.logger.warn('⚠️ Cover letter skipped');
+        return { success: false, error: 'No cover letter generated' };
+      }
+
+      for (const field of coverLetterFields) {
+        await this.setFieldValue(field.selector, coverLetter);
+      }
+
+      this.logger.success(`✅ Cover letter filled (${coverLetterFields.length} fields)`);
+      return { success: true, coverLetter };
+
+    } catch (error) {
+      this.logger.error(`❌ Error filling cover letter: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setFieldValue(selector, value) {
+    return await this.mainPage.evaluate(({ selector, value }) => {
+      const field = document.querySelector(selector);
+      if (!field) {
+        return false;
+      }
+
+      // Native setter so React-controlled fields notice the change
+      const prototype = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }, { selector, value });
+  }
+
+  async reviewAndSubmitApplication() {
+    try {
+      this.logger.info('📋 Step 5: Reviewing and submitting application...');
+
+      // Review all filled information
+      const review = await this.mainPage.evaluate(() => {
+        const inputs = document.querySelectorAll('input, textarea, select');
+        let filledCount = 0;
+        let emptyCount = 0;
+
+        inputs.forEach(input => {
+          if (input.value && input.value.trim() !== '') {
+            filledCount++;
+          } else {
+            emptyCount++;
+          }
+        });
+
+        return { filledCount, emptyCount, totalFields: inputs.length };
+      });
+
+      this.logger.info(`📊 Review: ${review.filledCount} filled, ${review.emptyCount} empty out of ${review.totalFields} fields`);
+
+      const submitResult = await this.mainPage.evaluate((submitKeywords) => {
+        const buttons = Array.from(document.querySelectorAll('button, input[type="submit"]'));
+
+        const submitButton = buttons.find(btn => {
+          const text = btn.textContent.toLowerCase();
+          return submitKeywords.some(keyword => text.includes(keyword));
+        });
+
+        if (submitButton) {
+          submitButton.click();
+          return { success: true, buttonText: submitButton.textContent.trim() };
+        }
+
+        // If no submit button found, try to find any clickable element that might be a submit
+        const allClickables = Array.from(document.querySelectorAll('button, a, input[type="submit"], [role="button"]'));
+        const possibleSubmit = allClickables.find(el => {
+          const text = el.textContent.toLowerCase();
+          return text.includes('submit') || text.includes('apply') || text.includes('finish');
+        });
+
+        if (possibleSubmit) {
+          possibleSubmit.click();
+          return { success: true, buttonText: possibleSubmit.textContent.trim() };
+        }
+
+        return {
+          success: false,
+          allButtons: buttons.map(btn => btn.textContent.trim()),
+          allClickables: allClickables.map(el => el.textContent.trim())
+        };
+      }, this.selectors.submitKeywords);
+
+      if (submitResult.success) {
+        this.logger.success(`✅ Application submitted: "${submitResult.buttonText}"`);
+        await this.mainPage.waitForTimeout(5000);
+        return { success: true, applicationId: this.generateApplicationId() };
+      }
+
+      this.logger.warn('⚠️ Could not find submit button');
+      if (submitResult.allButtons) {
+        this.logger.info(`📋 Available buttons: ${submitResult.allButtons.join(', ')}`);
+      }
+      if (submitResult.allClickables) {
+        this.logger.info(`📋 All clickables: ${submitResult.allClickables.join(', ')}`);
+      }
+      return { success: false, error: 'Could not find submit button' };
+
+    } catch (error) {
+      this.logger.error(`❌ Error reviewing and submitting: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async detectConfirmation() {
+    try {
+      const phrases = [...DEFAULT_CONFIRMATION_PHRASES, ...this.constructor.confirmationPhrases];
+
+      const confirmation = await this.mainPage.evaluate(({ selectors, phrases }) => {
+        const matchedSelector = selectors.find(selector => !!document.querySelector(selector));
+        if (matchedSelector) {
+          return { confirmed: true, matchedBy: matchedSelector };
+        }
+
+        const bodyText = document.body.textContent.toLowerCase();
+        const matchedPhrase = phrases.find(phrase => bodyText.includes(phrase));
+        if (matchedPhrase) {
+          return { confirmed: true, matchedBy: matchedPhrase };
+        }
+
+        return { confirmed: false };
+      }, { selectors: this.selectors.confirmation, phrases });
+
+      if (confirmation.confirmed) {
+        this.logger.success(`🎉 ${this.platformName} confirmed the submission ("${confirmation.matchedBy}")`);
+      } else {
+        this.logger.warn(`⚠️ No ${this.platformName} confirmation detected after submitting`);
+      }
+
+      return { success: true, ...confirmation };
+
+    } catch (error) {
+      this.logger.error(`❌ Error detecting confirmation: ${error.message}`);
+      return { success: false, confirmed: false, error: error.message };
+    }
+  }
+
+  async handlePostSubmission() {
+    try {
+      this.logger.info('📧 Step 6: Handling post-submission requirements...');
+
+      const additionalRequirements = await this.mainPage.evaluate(() => {
+        const bodyText = document.body.textContent.toLowerCase();
+        const hasAdditionalQuestions = bodyText.includes('additional') ||
+                                    bodyText.includes('follow up') ||
+                                    bodyText.includes('next steps');
+
+        return { hasAdditionalQuestions };
+      });
+
+      if (additionalRequirements.hasAdditionalQuestions) {
+        this.logger.info('📋 The page mentions additional requirements');
+        await this.handleAdditionalRequirements();
+      }
+
+      return { success: true, additionalRequirements: additionalRequirements.hasAdditionalQuestions };
+
+    } catch (error) {
+      this.logger.error(`❌ Error handling post-submission: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async handleAdditionalRequirements() {
+    // Nothing automated yet - the platform asked for more, so say so instead of claiming it was done
+    this.logger.warn('⚠️ Additional requirements were not handled - check the application on the site');
+  }
+
+  generateApplicationId() {
+    return `${this.constructor.applicationIdPrefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = ATSApplicationEngine;
@@ -0,0 +1,79 @@
+// 📄 JOB DESCRIPTION EXTRACTOR - reads the posting text off a JobRight detail page or an external career site
+
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MIN_DESCRIPTION_LENGTH = 200;
+
+// Tried in order after the page's schema.org JobPosting
+const DESCRIPTION_SELECTORS = [
+  '[data-automation-id="jobPostingDescription"]',
+  '.job__description',
+  '#content .body',
+  '[data-qa="job-description"]',
+  '.posting-page .section-wrapper',
+  '[class*="job-description"]',
+  '[class*="jobDescription"]',
+  '[class*="JobDescription"]',
+  '[id*="job-description"]',
+  '[id*="jobDescription"]',
+  '[class*="job-detail"]',
+  '[class*="jobDetail"]'
+];
+
+// Runs inside the browser - must stay self-contained
+function collectJobDescription({ selectors, minLength }) {
+  const clean = (text) => text.replace(/[ \t\u00a0]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+
+  // DOMParser documents are inert - nothing in the posting HTML runs or loads
+  const htmlToText = (html) => {
+    let body = new DOMParser().parseFromString(html, 'text/html').body;
+    // Some sites escape the HTML twice
+    if (/<[a-z][^>]*>/i.test(body.textContent)) {
+      body = new DOMParser().parseFromString(body.textContent, 'text/html').body;
+    }
+    body.querySelectorAll('li, p, br, div, h1, h2, h3, h4, h5, h6, tr').forEach(element => element.append('\n'));
+    return body.textContent;
+  };
+
+  // Most career sites embed a schema.org JobPosting for search engines
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data && data['@graph'] ? data['@graph'] : data);
+      const posting = items.find(item => item && [].concat(item['@type']).includes('JobPosting') && item.description);
+      if (posting) {
+        return { text: clean(htmlToText(posting.description)), source: 'json-ld' };
+      }
+    } catch (error) {
+      // Malformed structured data - fall through to the page itself
+    }
+  }
+
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    const text = element ? clean(element.innerText || '') : '';
+    if (text.length >= minLength) {
+      return { text, source: selector };
+    }
+  }
+
+  return null;
+}
+
+class JobDescriptionExtractor {
+  static SELECTORS = DESCRIPTION_SELECTORS;
+
+  // { text, source } or null when the page shows no recognisable posting
+  static async capture(page, selectors = DESCRIPTION_SELECTORS) {
+    try {
+      const captured = await page.evaluate(collectJobDescription, { selectors, minLength: MIN_DESCRIPTION_LENGTH });
+      if (!captured) {
+        return null;
+      }
+      return { ...captured, text: captured.text.substring(0, MAX_DESCRIPTION_LENGTH) };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = JobDescriptionExtractor;
@@ -2,15 +2,37 @@ const { chromium } = require('playwright');
 const AIQuestionAnswerer = require('../ai/AIQuestionAnswerer');
 const Logger = require('../utils/Logger');
 const ErrorHandler = require('../utils/ErrorHandler');
+const PlatformRegistry = require('./PlatformRegistry');
+const JobDescriptionExtractor = require('./JobDescriptionExtractor');
+const ProfileFieldMapper = require('../forms/ProfileFieldMapper');
+const FieldClassifier = require('../forms/FieldClassifier');
+const WorkAuthorizationPolicy = require('../forms/WorkAuthorizationPolicy');
+const EEOHandler = require('../forms/EEOHandler');
+const SkillsResolver = require('../forms/SkillsResolver');
+const JobDescriptionAnalyzer = require('../ai/JobDescriptionAnalyzer');
+const AIConfig = require('../../Config/ai-config');
+const ApplicationRepository = require('../../database/ApplicationRepository');
+const DuplicateGuard = require('../automation/DuplicateGuard');
 
 class JobRightAIAutomator {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('JobRightAIAutomator');
     this.errorHandler = new ErrorHandler();
-    this.aiQuestionAnswerer = new AIQuestionAnswerer();
+    this.aiQuestionAnswerer = options.aiQuestionAnswerer || new AIQuestionAnswerer();
+    this.platformRegistry = this.createPlatformRegistry();
+    this.fieldMapper = new ProfileFieldMapper();
+    this.fieldClassifier = new FieldClassifier();
+    this.workAuthorizationPolicy = new WorkAuthorizationPolicy();
+    this.eeoHandler = new EEOHandler();
+    this.skillsResolver = new SkillsResolver();
+    this.jobDescriptionAnalyzer = new JobDescriptionAnalyzer();
+    // A repository passed in belongs to the caller, which closes it
+    this.applicationRepository = options.applicationRepository || new ApplicationRepository();
+    this.ownsApplicationRepository = !options.applicationRepository;
+    this.duplicateGuard = options.duplicateGuard || new DuplicateGuard({ repository: this.applicationRepository });
     this.browser = null;
     this.mainPage = null;
-    this.applications = [];
+    this.currentJob = null;
   }
 
   async initialize() {
@@ -60,6 +82,7 @@ class JobRightAIAutomator {
       
       // Apply to jobs with AI assistance
       let applicationsCompleted = 0;
+      const applications = [];
       
       for (const job of highScoringJobs) {
         if (applicationsCompleted >= maxApplications) break;
@@ -68,10 +91,11 @@ class JobRightAIAutomator {
           this.logger.info(`📝 Applying to: ${job.title} at ${job.company}`);
           
           const applicationResult = await this.applyToJobWithAI(job);
+          await this.recordApplicationResult(job, applicationResult);
           
           if (applicationResult.success) {
             applicationsCompleted++;
-            this.applications.push({
+            applications.push({
               ...job,
               application_date: new Date().toISOString(),
               status: 'applied',
@@ -102,7 +126,7 @@ class JobRightAIAutomator {
       }
       
       this.logger.success(`🎉 Completed ${applicationsCompleted} applications`);
-      return this.applications;
+      return applications;
       
     } catch (error) {
       this.errorHandler.handle(error, { platform: 'JobRight', action: 'discoverAndApply' });
@@ -461,9 +485,15 @@ class JobRightAIAutomator {
     }
   }
 
-  async applyToJobWithAI(job) {
+  async applyToJobWithAI(job, options = {}) {
     try {
       this.logger.info(`🤖 Starting AI-assisted application for: ${job.title}`);
+      this.currentJob = job;
+      
+      const duplicate = await this.checkDuplicate(job, 'jobright');
+      if (duplicate) {
+        return duplicate;
+      }
       
       // Step 1: Click apply button and handle redirect to external site
       this.logger.info('🎯 Step 1: Clicking apply button...');
@@ -479,13 +509,17 @@ class JobRightAIAutomator {
         this.logger.info(`🌐 Successfully reached external site: ${applyResult.url}`);
         
         // Handle the external career site
-        const externalResult = await this.handleExternalCareerSite(applyResult.url, job);
-        
+        const externalResult = await this.handleExternalCareerSite(applyResult.url, job, options);
+
         // Clean up tabs after handling external site
         await this.cleanupTabs();
-        
+
         return {
           success: externalResult.success,
+          skipped: !!externalResult.skipped,
+          paused: !!externalResult.paused,
+          review_ids: externalResult.reviewIds || [],
+          platform: externalResult.platform || 'generic',
           ai_responses: externalResult.ai_responses || [],
           error: externalResult.error,
           external_site: true,
@@ -494,6 +528,7 @@ class JobRightAIAutomator {
         };
       } else {
         this.logger.warn('⚠️ No external site reached - staying on JobRight');
+        await this.captureJobDescription(job);
         
         // Step 3: Handle resume customization modal if it appears
         this.logger.info('📋 Step 3: Checking for resume customization modal...');
@@ -509,6 +544,10 @@ class JobRightAIAutomator {
         
         return {
           success: formResult.success,
+          skipped: !!formResult.skipped,
+          paused: !!formResult.paused,
+          review_ids: formResult.review_ids || [],
+          platform: 'jobright',
           ai_responses: formResult.ai_responses,
           error: formResult.error,
           modal_handled: modalResult.handled,
@@ -522,64 +561,87 @@ class JobRightAIAutomator {
     }
   }
 
-  async handleExternalCareerSite(externalUrl, job) {
+  // Stores the posting text and its summary on the job; every answer and cover letter for it is grounded in them
+  async captureJobDescription(job) {
+    if (job.description) {
+      return;
+    }
+    
+    const captured = await JobDescriptionExtractor.capture(this.mainPage);
+    if (!captured) {
+      this.logger.warn(`⚠️ No job description found for ${job.title} - answers will only know the title and company`);
+      return;
+    }
+    
+    job.description = captured.text;
+    job.descriptionSource = captured.source;
+    job.descriptionSummary = this.jobDescriptionAnalyzer.summarize(captured.text, job.title);
+    
+    const summary = job.descriptionSummary;
+    this.logger.info(`📄 Captured job description (${captured.text.length} chars via ${captured.source}): ${summary.seniority || 'unknown'} level, ${summary.techStack.slice(0, 6).join(', ') || 'no tech stack found'}`);
+  }
+
+  // A skipped result when the posting or its company was applied to already, otherwise null
+  async checkDuplicate(job, platform) {
+    const decision = await this.duplicateGuard.check(job);
+    if (decision.allowed) {
+      return null;
+    }
+    
+    this.logger.info(`⏭️ Skipping ${job.title} at ${job.company}: ${decision.reason}`);
+    return { success: false, skipped: true, duplicate: decision.kind, platform, error: decision.reason };
+  }
+
+  createPlatformRegistry() {
+    const registry = PlatformRegistry.createDefault();
+
+    // Apple's flow lives in this automator rather than a PlatformBase subclass
+    registry.register({
+      id: 'apple',
+      name: 'Apple',
+      urlPatterns: [/jobs\.apple\.com/i, /apple\.com\/jobs/i],
+      apply: (job) => this.handleAppleSignIn(job)
+    });
+
+    return registry;
+  }
+
+  async handleExternalCareerSite(externalUrl, job, options = {}) {
     try {
       this.logger.info(`🌐 Handling external career site: ${externalUrl}`);
       
-      // Handle Workday applications
-      if (externalUrl.includes('workday.com') || externalUrl.includes('wd1.myworkdayjobs.com')) {
-        this.logger.info('⚙️ Detected Workday application');
-        const WorkdayAutomator = require('./WorkdayAutomator');
-        const workdayHandler = new WorkdayAutomator();
-        await workdayHandler.initialize();
-        return await workdayHandler.handleWorkdayApplication(job);
-      }
+      const detection = await this.platformRegistry.detect(externalUrl, this.mainPage);
+      const platform = detection ? detection.id : 'generic';
       
-      // Handle LinkedIn applications
-      if (externalUrl.includes('linkedin.com') || externalUrl.includes('linkedinjobs.com')) {
-        this.logger.info('💼 Detected LinkedIn application');
-        const LinkedInAutomator = require('./LinkedInAutomator');
-        const linkedinHandler = new LinkedInAutomator();
-        await linkedinHandler.initialize();
-        return await linkedinHandler.handleLinkedInApplication(job);
+      // The ATS URL carries the requisition id, which matches the posting even when it was applied to from another site
+      job.applyUrl = externalUrl;
+      const duplicate = await this.checkDuplicate(job, platform);
+      if (duplicate) {
+        return duplicate;
       }
       
-      // Handle Greenhouse applications
-      if (externalUrl.includes('greenhouse.io') || externalUrl.includes('boards.greenhouse.io')) {
-        this.logger.info('🌱 Detected Greenhouse application');
-        const GreenhouseAutomator = require('./GreenhouseAutomator');
-        const greenhouseHandler = new GreenhouseAutomator();
-        await greenhouseHandler.initialize();
-        return await greenhouseHandler.handleGreenhouseApplication(job);
-      }
-      
-      // Handle Lever applications
-      if (externalUrl.includes('lever.co') || externalUrl.includes('jobs.lever.co')) {
-        this.logger.info('⚡ Detected Lever application');
-        const LeverAutomator = require('./LeverAutomator');
-        const leverHandler = new LeverAutomator();
-        await leverHandler.initialize();
-        return await leverHandler.handleLeverApplication(job);
+      // Let the caller veto platforms that are disabled or over their limits
+      if (options.shouldApply) {
+        const decision = options.shouldApply(platform);
+        if (!decision.allowed) {
+          this.logger.info(`⏭️ Skipping ${platform} application: ${decision.reason}`);
+          return { success: false, skipped: true, platform, error: decision.reason };
+        }
       }
       
-      // Handle BambooHR applications
-      if (externalUrl.includes('bamboohr.com') || externalUrl.includes('jobs.bamboohr.com')) {
-        this.logger.info('🎋 Detected BambooHR application');
-        const BambooHRAutomator = require('./BambooHRAutomator');
-        const bamboohrHandler = new BambooHRAutomator();
-        await bamboohrHandler.initialize();
-        return await bamboohrHandler.handleBambooHRApplication(job);
-      }
+      // The posting is still showing - the apply step navigates away from it
+      await this.captureJobDescription(job);
       
-      // Handle Apple applications
-      if (externalUrl.includes('jobs.apple.com') || externalUrl.includes('apple.com/jobs')) {
-        this.logger.info('🍎 Detected Apple application');
-        return await this.handleAppleSignIn(job);
+      if (detection) {
+        this.logger.info(`🧭 Detected ${detection.name} application (confidence ${detection.confidence}, via ${detection.matchedBy.join(' + ')})`);
+        const result = await detection.adapter.apply(job, this.mainPage);
+        return { platform, ...result };
       }
       
       // Handle generic external sites
       this.logger.info('🌐 Detected generic external site');
-      return await this.handleGenericExternalSite(externalUrl, job);
+      const result = await this.handleGenericExternalSite(job);
+      return { platform, ...result };
       
     } catch (error) {
       this.logger.error(`❌ Error handling external career site: ${error.message}`);
@@ -1113,113 +1175,7 @@ class JobRightAIAutomator {
         return iframeResult;
       }
       
-      const fillResult = await this.mainPage.evaluate(() => {
-        const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], textarea, select');
-        let filledCount = 0;
-        let allInputs = [];
-        let requiredInputs = [];
-        
-        inputs.forEach(input => {
-          const placeholder = (input.placeholder || '').toLowerCase();
-          const name = (input.name || '').toLowerCase();
-          const id = (input.id || '').toLowerCase();
-          const label = input.closest('label')?.textContent?.toLowerCase() || '';
-          const type = input.type || '';
-          const isRequired = input.hasAttribute('required') || input.ariaRequired === 'true';
-          
-          allInputs.push({
-            type: type,
-            placeholder: placeholder,
-            name: name,
-            id: id,
-            label: label,
-            required: isRequired
-          });
-          
-          if (isRequired) {
-            requiredInputs.push({
-              type: type,
-              placeholder: placeholder,
-              name: name,
-              id: id,
-              label: label
-            });
-          }
-          
-          // Fill based on field type and content
-          if (placeholder.includes('first') || name.includes('first') || label.includes('first')) {
-            input.value = '[YOUR_FIRST_NAME]';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('last') || name.includes('last') || label.includes('last')) {
-            input.value = 'Reddy';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('email') || name.includes('email') || type === 'email' || label.includes('email')) {
-            input.value = '[YOUR_EMAIL]@gmail.com';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('phone') || name.includes('phone') || type === 'tel' || label.includes('phone')) {
-            input.value = '[YOUR_PHONE]';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('city') || name.includes('city') || label.includes('city')) {
-            input.value = '[YOUR_CITY]';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('linkedin') || name.includes('linkedin') || label.includes('linkedin')) {
-            input.value = 'https://linkedin.com/in/[YOUR_LINKEDIN_ID]';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('github') || name.includes('github') || label.includes('github')) {
-            input.value = 'https://github.com/[YOUR_LINKEDIN_ID]';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('resume') || name.includes('resume') || label.includes('resume') || placeholder.includes('cv') || name.includes('cv')) {
-            input.value = 'Resume attached';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (placeholder.includes('cover') || name.includes('cover') || label.includes('cover')) {
-            input.value = 'Cover letter attached';
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            filledCount++;
-          } else if (type === 'text' && !input.value && !placeholder.includes('search') && !name.includes('search')) {
-            // Fill empty text fields with generic info
-            if (input.placeholder && input.placeholder.toLowerCase().includes('name')) {
-              input.value = '[YOUR_FIRST_NAME]';
-              input.dispatchEvent(new Event('input', { bubbles: true }));
-              input.dispatchEvent(new Event('change', { bubbles: true }));
-              filledCount++;
-            } else if (input.placeholder && input.placeholder.toLowerCase().includes('email')) {
-              input.value = '[YOUR_EMAIL]@gmail.com';
-              input.dispatchEvent(new Event('input', { bubbles: true }));
-              input.dispatchEvent(new Event('change', { bubbles: true }));
-              filledCount++;
-            } else if (input.placeholder && input.placeholder.toLowerCase().includes('phone')) {
-              input.value = '[YOUR_PHONE]';
-              input.dispatchEvent(new Event('input', { bubbles: true }));
-              input.dispatchEvent(new Event('change', { bubbles: true }));
-              filledCount++;
-            }
-          }
-        });
-        
-        return {
-          filledCount,
-          totalInputs: inputs.length,
-          allInputs,
-          requiredInputs
-        };
-      });
+      const fillResult = await this.fieldMapper.fillPage(this.mainPage);
       
       this.logger.info(`✅ Filled ${fillResult.filledCount} out of ${fillResult.totalInputs} fields`);
       this.logger.info(`📋 Required fields: ${fillResult.requiredInputs.length}`);
@@ -1231,7 +1187,7 @@ class JobRightAIAutomator {
         
         // Try again after waiting
         const retryResult = await this.mainPage.evaluate(() => {
-          const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], textarea, select');
+          const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input[type="url"], input:not([type])');
           return { totalInputs: inputs.length };
         });
         
@@ -1392,37 +1348,21 @@ class JobRightAIAutomator {
           }
         });
         
-        // Handle work authorization
-        const workAuthButtons = document.querySelectorAll('button, input[type="button"]');
-        workAuthButtons.forEach(button => {
-          const text = (button.textContent || '').toLowerCase();
-          const label = button.closest('label')?.textContent?.toLowerCase() || '';
-          
-          if ((text.includes('yes') || label.includes('yes')) && 
-              (text.includes('authorized') || label.includes('authorized') || 
-               text.includes('work') || label.includes('work'))) {
-            button.click();
-            handledCount++;
-          }
-        });
-        
-        // Handle visa sponsorship
-        const visaButtons = document.querySelectorAll('button, input[type="button"]');
-        visaButtons.forEach(button => {
-          const text = (button.textContent || '').toLowerCase();
-          const label = button.closest('label')?.textContent?.toLowerCase() || '';
-          
-          if ((text.includes('yes') || label.includes('yes')) && 
-              (text.includes('visa') || label.includes('visa') || 
-               text.includes('sponsorship') || label.includes('sponsorship'))) {
-            button.click();
-            handledCount++;
-          }
-        });
-        
         return { handledCount };
       });
       
+      // Work authorization and sponsorship come from the profile policy, never from a guess
+      const policyResult = await this.workAuthorizationPolicy.applyToPage(this.mainPage);
+      toggleResult.handledCount += policyResult.answeredCount;
+      toggleResult.handledCount += await this.answerEligibilityButtons();
+      
+      const eeoResult = await this.eeoHandler.applyToPage(this.mainPage);
+      toggleResult.handledCount += eeoResult.answeredCount;
+      
+      // Years with a technology come from the skills matrix, whether asked as a dropdown, radio or number
+      const skillYearsResult = await this.skillsResolver.applyToPage(this.mainPage);
+      toggleResult.handledCount += skillYearsResult.answeredCount;
+      
       this.logger.info(`✅ Handled ${toggleResult.handledCount} radio buttons and toggles`);
       
     } catch (error) {
@@ -1430,6 +1370,42 @@ class JobRightAIAutomator {
     }
   }
 
+  // Yes/No questions rendered as plain buttons rather than radio inputs
+  async answerEligibilityButtons() {
+    const groups = await this.mainPage.evaluate(() => {
+      const isAnswerButton = (button) => /^(yes|no)\b/i.test((button.textContent || button.value || '').trim());
+      const containers = new Set();
+
+      document.querySelectorAll('button, input[type="button"]').forEach(button => {
+        if (isAnswerButton(button) && button.parentElement) {
+          containers.add(button.parentElement.parentElement || button.parentElement);
+        }
+      });
+
+      return Array.from(containers).map((container, groupIndex) => {
+        const buttons = Array.from(container.querySelectorAll('button, input[type="button"]')).filter(isAnswerButton);
+        buttons.forEach((button, optionIndex) => button.setAttribute('data-eligibility-option', `${groupIndex}-${optionIndex}`));
+
+        return {
+          groupIndex,
+          question: container.textContent.replace(/\s+/g, ' ').trim().substring(0, 300),
+          options: buttons.map(button => (button.textContent || button.value || '').trim())
+        };
+      });
+    });
+
+    let clicked = 0;
+    for (const group of groups) {
+      const result = this.workAuthorizationPolicy.answer(group.question, { type: 'button', options: group.options });
+      if (!result.handled || result.optionIndex < 0) continue;
+
+      await this.mainPage.click(`[data-eligibility-option="${group.groupIndex}-${result.optionIndex}"]`);
+      clicked++;
+    }
+
+    return clicked;
+  }
+
   // Advanced CAPTCHA handling for JobRightAIAutomator.js
   async handleCaptcha() {
     try {
@@ -1815,40 +1791,11 @@ class JobRightAIAutomator {
             this.logger.info(`✅ Found form in iframe ${i + 1}: ${formCheck.inputCount} fields`);
             
             // Fill form fields in this iframe
-            const filled = await framePage.evaluate(() => {
+            const profileFields = await this.fieldMapper.fillPage(framePage);
+            
+            const textareaFill = await framePage.evaluate(() => {
               let filledCount = 0;
               
-              // Fill text inputs
-              const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"]');
-              inputs.forEach(input => {
-                const name = (input.name || '').toLowerCase();
-                const placeholder = (input.placeholder || '').toLowerCase();
-                const id = (input.id || '').toLowerCase();
-                
-                if (name.includes('first') || placeholder.includes('first') || id.includes('first')) {
-                  input.value = '[YOUR_FIRST_NAME]';
-                  filledCount++;
-                } else if (name.includes('last') || placeholder.includes('last') || id.includes('last')) {
-                  input.value = 'M';
-                  filledCount++;
-                } else if (name.includes('email') || placeholder.includes('email') || id.includes('email')) {
-                  input.value = '[YOUR_EMAIL]@gmail.com';
-                  filledCount++;
-                } else if (name.includes('phone') || placeholder.includes('phone') || id.includes('phone')) {
-                  input.value = '[YOUR_PHONE]';
-                  filledCount++;
-                } else if (name.includes('linkedin') || placeholder.includes('linkedin') || id.includes('linkedin')) {
-                  input.value = 'https://linkedin.com/in/[YOUR_LINKEDIN_ID]';
-                  filledCount++;
-                } else if (name.includes('github') || placeholder.includes('github') || id.includes('github')) {
-                  input.value = 'https://github.com/[YOUR_GITHUB_ID]';
-                  filledCount++;
-                }
-                
-                input.dispatchEvent(new Event('input', { bubbles: true }));
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-              });
-              
               // Fill textareas
               const textareas = document.querySelectorAll('textarea');
               textareas.forEach(textarea => {
@@ -1863,9 +1810,14 @@ class JobRightAIAutomator {
                 textarea.dispatchEvent(new Event('change', { bubbles: true }));
               });
               
-              return { filledCount, totalFields: inputs.length + textareas.length };
+              return { filledCount, totalFields: textareas.length };
             });
             
+            const filled = {
+              filledCount: profileFields.filledCount + textareaFill.filledCount,
+              totalFields: profileFields.totalInputs + textareaFill.totalFields
+            };
+            
             this.logger.info(`✅ Filled ${filled.filledCount} out of ${filled.totalFields} fields in iframe ${i + 1}`);
             return true;
           }
@@ -2143,6 +2095,7 @@ class JobRightAIAutomator {
   async handleApplicationFormWithAI(job) {
     try {
       const aiResponses = [];
+      const reviewIds = [];
       
       // Wait for form to load
       await this.mainPage.waitForTimeout(2000);
@@ -2153,94 +2106,40 @@ class JobRightAIAutomator {
         this.logger.info('✅ Handled resume customization modal');
       }
       
-      // TEMPORARILY DISABLED AI TO SAVE MONEY
-      this.logger.info('🤖 AI responses temporarily disabled to save OpenAI costs');
-      return {
-        success: true,
-        ai_responses: [],
-        error: null
-      };
+      // Off unless AI_FORM_ANSWERS=true - point LLM_PROVIDER at a local model to keep it free
+      if (!AIConfig.answerFormQuestions) {
+        // Not submitted, so the job is neither counted nor blocked as a duplicate on later runs
+        this.logger.info('🤖 AI form answers disabled (set AI_FORM_ANSWERS=true to enable) - skipping the form');
+        return {
+          success: false,
+          skipped: true,
+          ai_responses: [],
+          error: 'AI form answers disabled'
+        };
+      }
       
-      // Look for form fields and questions
-      const formFields = await this.mainPage.evaluate(() => {
-        const fields = [];
-        
-        // Find text areas and input fields
-        const textAreas = document.querySelectorAll('textarea, input[type="text"], input[type="email"]');
-        textAreas.forEach((field, index) => {
-          const placeholder = field.placeholder || '';
-          const label = field.closest('label')?.textContent || '';
-          const question = placeholder || label;
-          
-          // Skip Orion chat fields
-          if (question && question.length > 10 && 
-              !question.includes('Orion') && !question.includes('Welcome back') &&
-              !question.includes('What would you like to know') &&
-              !question.includes('Ask me anything') &&
-              !question.includes('copilot') && !question.includes('chat')) {
-            // Create a unique selector for this field
-            let selector = '';
-            if (field.id) {
-              selector = `#${field.id}`;
-            } else if (field.name) {
-              selector = `[name="${field.name}"]`;
-            } else if (field.className) {
-              selector = `.${field.className.split(' ')[0]}`;
-            } else {
-              // Fallback to tag name with index
-              const tagName = field.tagName.toLowerCase();
-              const allSameType = document.querySelectorAll(tagName);
-              const fieldIndex = Array.from(allSameType).indexOf(field);
-              selector = `${tagName}:nth-of-type(${fieldIndex + 1})`;
-            }
-            
-            fields.push({
-              type: field.tagName.toLowerCase(),
-              question: question,
-              selector: selector,
-              placeholder: placeholder,
-              label: label
-            });
-          }
-        });
-        
-        // Find question elements
-        const questionElements = document.querySelectorAll('p, h3, h4, div');
-        questionElements.forEach((element, index) => {
-          const text = element.textContent || '';
-          if (text.length > 20 && text.length < 200 && 
-              (text.includes('?') || text.includes('experience') || 
-               text.includes('background') || text.includes('skills')) &&
-              !text.includes('Orion') && !text.includes('Welcome back') &&
-              !text.includes('What would you like to know') &&
-              !text.includes('Ask me anything') &&
-              !text.includes('copilot') && !text.includes('chat')) {
-            
-            // Create a unique selector for this question element
-            let selector = '';
-            if (element.id) {
-              selector = `#${element.id}`;
-            } else if (element.className) {
-              selector = `.${element.className.split(' ')[0]}`;
-            } else {
-              // Fallback to tag name with index
-              const tagName = element.tagName.toLowerCase();
-              const allSameType = document.querySelectorAll(tagName);
-              const elementIndex = Array.from(allSameType).indexOf(element);
-              selector = `${tagName}:nth-of-type(${elementIndex + 1})`;
-            }
-            
-            fields.push({
-              type: 'question',
-              question: text,
-              selector: selector,
-              label: text
-            });
-          }
-        });
-        
-        return fields;
-      });
+      // Look for form fields and questions - profile, eligibility, EEO and skill-years fields are filled elsewhere, never by the AI
+      const chatWidgetText = ['Orion', 'Welcome back', 'What would you like to know', 'Ask me anything', 'copilot', 'chat'];
+      const profileFields = this.fieldMapper.getFieldNames();
+      
+      const formFields = (await this.fieldClassifier.describeFields(this.mainPage))
+        .filter(field => field.visible && (field.tag === 'textarea' || ['text', 'email', ''].includes(field.type)))
+        .filter(field => !profileFields.includes(field.classification.type))
+        .filter(field => !this.workAuthorizationPolicy.isPolicyQuestion(field.question))
+        .filter(field => !this.eeoHandler.isEEOQuestion(field.question))
+        .filter(field => !this.skillsResolver.isSkillsQuestion(field.question))
+        .filter(field => field.question && field.question.length > 10 &&
+          !chatWidgetText.some(text => field.question.includes(text)))
+        .map(field => ({
+          type: field.tag,
+          question: field.question,
+          selector: field.selector,
+          placeholder: field.placeholder,
+          label: field.label,
+          required: field.required,
+          constraints: FieldClassifier.constraintsOf(field),
+          classification: field.classification
+        }));
       
       this.logger.info(`📝 Found ${formFields.length} form fields/questions`);
       
@@ -2250,16 +2149,33 @@ class JobRightAIAutomator {
           const aiResponse = await this.aiQuestionAnswerer.generateResponse(
             field.question,
             {
+              id: job.id,
+              url: job.url,
               title: job.title,
               company: job.company,
-              location: job.location
-            }
+              location: job.location,
+              description: job.description,
+              summary: job.descriptionSummary,
+              platform: job.platform || 'jobright'
+            },
+            { optional: !field.required, field: field.constraints }
           );
           
+          if (aiResponse.skipped) {
+            continue;
+          }
+          
+          // Too uncertain to submit - it waits in the review queue and the form is not sent
+          if (aiResponse.needs_review) {
+            reviewIds.push(aiResponse.review_id);
+            continue;
+          }
+          
           aiResponses.push({
             question: field.question,
             answer: aiResponse.answer,
-            confidence: aiResponse.confidence
+            confidence: aiResponse.confidence,
+            fieldType: field.classification.type
           });
           
           // Fill the field with AI response
@@ -2272,6 +2188,17 @@ class JobRightAIAutomator {
         }
       }
       
+      if (reviewIds.length > 0) {
+        this.logger.warn(`⏸️ ${reviewIds.length} answer(s) need review - not submitting ${job.title} at ${job.company}`);
+        return {
+          success: false,
+          paused: true,
+          review_ids: reviewIds,
+          ai_responses: aiResponses,
+          error: `Paused: ${reviewIds.length} answer(s) awaiting review in the dashboard`
+        };
+      }
+      
       // Submit the form
       const submitResult = await this.submitApplicationForm();
       
@@ -2777,45 +2704,43 @@ class JobRightAIAutomator {
   }
 
   async storeSubmissionDetails(details) {
-    // Store in your database or file system
-    const fs = require('fs').promises;
-    const path = require('path');
-    
-    const submissionData = {
-      timestamp: new Date().toISOString(),
-      url: details.url,
-      confirmationText: details.confirmationText,
-      confirmationNumber: details.confirmationNumber,
-      successScore: details.successScore
-    };
-    
-    const filePath = path.join(__dirname, '../../data/submissions.json');
-    
     try {
-      let submissions = [];
-      try {
-        const data = await fs.readFile(filePath, 'utf8');
-        submissions = JSON.parse(data);
-      } catch (e) {
-        // File doesn't exist yet
-      }
-      
-      submissions.push(submissionData);
-      await fs.writeFile(filePath, JSON.stringify(submissions, null, 2));
-      
+      const job = this.currentJob || { url: details.url };
+      await this.applicationRepository.recordSubmission(job, details, { platform: job.platform || null });
       this.logger.success('✅ Submission details stored');
     } catch (error) {
       this.logger.error(`❌ Error storing submission: ${error.message}`);
     }
   }
 
+  // Outcome of applyToJobWithAI; failing to record it never stops the run
+  async recordApplicationResult(job, result, options = {}) {
+    let status = 'failed';
+    if (result.success) status = 'submitted';
+    else if (result.paused) status = 'awaiting_review';
+    else if (result.skipped) status = 'skipped';
+
+    try {
+      await this.applicationRepository.recordResult(job, {
+        platform: result.platform || 'jobright',
+        status,
+        reason: status === 'submitted' ? null : result.error || null,
+        runId: options.runId || null,
+        result
+      });
+    } catch (error) {
+      this.logger.error(`❌ Error recording application: ${error.message}`);
+    }
+  }
+
   async getApplicationStats() {
+    const stats = await this.applicationRepository.stats();
+
     return {
-      total_applications: this.applications.length,
-      successful_applications: this.applications.filter(app => app.status === 'applied').length,
-      ai_responses_generated: this.applications.reduce((total, app) => 
-        total + (app.ai_responses ? app.ai_responses.length : 0), 0),
-      recent_applications: this.applications.slice(-5)
+      total_applications: stats.total,
+      successful_applications: stats.applied,
+      ai_responses_generated: stats.answers,
+      recent_applications: await this.applicationRepository.listApplications({ limit: 5 })
     };
   }
 
@@ -2824,6 +2749,9 @@ class JobRightAIAutomator {
       if (this.browser) {
         await this.browser.close();
       }
+      if (this.ownsApplicationRepository) {
+        await this.applicationRepository.close();
+      }
       this.logger.info('✅ JobRight AI Automator closed');
     } catch (error) {
       this.errorHandler.handle(error, { platform: 'JobRight', action: 'close' });
@@ -3001,7 +2929,7 @@ class JobRightAIAutomator {
         }
         
         return { success: false, inputInfo };
-      }, process.env.APPLE_ID || '[YOUR_EMAIL]@gmail.com');
+      }, process.env.APPLE_ID || this.fieldMapper.value('email'));
       
       if (emailFilled.success) {
         this.logger.info(`✅ Email field filled with selector: ${emailFilled.selector}`);
@@ -3284,36 +3212,11 @@ class JobRightAIAutomator {
 
   async fillAppleApplicationForm() {
     try {
-      const filled = await this.mainPage.evaluate(() => {
+      const profileFields = await this.fieldMapper.fillPage(this.mainPage);
+      
+      const textareaFill = await this.mainPage.evaluate(() => {
         let filledCount = 0;
         
-        // Fill all text inputs
-        const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"]');
-        inputs.forEach(input => {
-          const name = (input.name || '').toLowerCase();
-          const placeholder = (input.placeholder || '').toLowerCase();
-          
-          if (name.includes('first') || placeholder.includes('first')) {
-            input.value = '[YOUR_FIRST_NAME]';
-            filledCount++;
-          } else if (name.includes('last') || placeholder.includes('last')) {
-            input.value = 'M';
-            filledCount++;
-          } else if (name.includes('email') || placeholder.includes('email')) {
-            input.value = '[YOUR_EMAIL]@gmail.com';
-            filledCount++;
-          } else if (name.includes('phone') || placeholder.includes('phone')) {
-            input.value = '+1[YOUR_PHONE]';
-            filledCount++;
-          } else if (name.includes('linkedin') || placeholder.includes('linkedin')) {
-            input.value = 'https://www.linkedin.com/in/[YOUR_GITHUB_ID]/';
-            filledCount++;
-          }
-          
-          input.dispatchEvent(new Event('input', { bubbles: true }));
-          input.dispatchEvent(new Event('change', { bubbles: true }));
-        });
-        
         // Fill textareas
         const textareas = document.querySelectorAll('textarea');
         textareas.forEach(textarea => {
@@ -3328,9 +3231,14 @@ class JobRightAIAutomator {
           textarea.dispatchEvent(new Event('change', { bubbles: true }));
         });
         
-        return { filledCount, totalFields: inputs.length + textareas.length };
+        return { filledCount, totalFields: textareas.length };
       });
       
+      const filled = {
+        filledCount: profileFields.filledCount + textareaFill.filledCount,
+        totalFields: profileFields.totalInputs + textareaFill.totalFields
+      };
+      
       this.logger.info(`✅ Filled ${filled.filledCount} out of ${filled.totalFields} fields`);
       
     } catch (error) {
@@ -3414,7 +3322,7 @@ class JobRightAIAutomator {
                   }
                 }
                 return { success: false };
-              }, process.env.APPLE_ID || '[YOUR_EMAIL]@gmail.com');
+              }, process.env.APPLE_ID || this.fieldMapper.value('email'));
               
               if (emailFilled.success) {
                 this.logger.success(`✅ Email filled in iframe with selector: ${emailFilled.selector}`);
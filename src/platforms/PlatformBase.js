@@ -3,6 +3,12 @@ const Logger = require('../utils/Logger');
 const ErrorHandler = require('../utils/ErrorHandler');
 
 class PlatformBase {
+  // Registry metadata - each automator declares what it can handle
+  static platformId = 'generic';
+  static displayName = 'Generic';
+  static urlPatterns = [];
+  static domFingerprints = [];
+
   constructor() {
     this.logger = new Logger();
     this.errorHandler = new ErrorHandler();
@@ -11,10 +17,19 @@ class PlatformBase {
     this.context = null;
   }
 
-  async initialize() {
+  async initialize(options = {}) {
     try {
       this.logger.info('🚀 Initializing platform...');
       
+      // Reuse the page we were dispatched from (e.g. the external tab JobRight opened)
+      if (options.page) {
+        this.mainPage = options.page;
+        this.context = options.page.context();
+        this.browser = this.context.browser();
+        this.logger.success('✅ Platform attached to existing page');
+        return;
+      }
+      
       // Connect to existing Chrome session
       this.browser = await chromium.connectOverCDP('http://localhost:9222');
       const contexts = this.browser.contexts();
@@ -35,6 +50,10 @@ class PlatformBase {
     }
   }
 
+  async handleApplication(job) {
+    return { success: false, error: `${this.constructor.displayName} automator does not implement handleApplication` };
+  }
+
   async navigateTo(url) {
     try {
       this.logger.info(`🌐 Navigating to: ${url}`);
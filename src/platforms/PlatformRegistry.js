@@ -0,0 +1,170 @@
+const Logger = require('../utils/Logger');
+
+// Confidence contributed by each kind of evidence
+const URL_MATCH_CONFIDENCE = 0.9;
+const DOM_BASE_CONFIDENCE = 0.4;
+const DOM_MAX_BONUS = 0.5;
+const COMBINED_BONUS = 0.1;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+class PlatformRegistry {
+  constructor(options = {}) {
+    this.logger = new Logger('PlatformRegistry');
+    this.adapters = new Map();
+    this.minConfidence = options.minConfidence || DEFAULT_MIN_CONFIDENCE;
+  }
+
+  // adapter: { id, name, urlPatterns, domFingerprints, apply(job, page) }
+  register(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.apply !== 'function') {
+      throw new Error('Platform adapter needs an id and an apply(job, page) function');
+    }
+
+    this.adapters.set(adapter.id, {
+      name: adapter.id,
+      urlPatterns: [],
+      domFingerprints: [],
+      ...adapter
+    });
+
+    return this;
+  }
+
+  // Register an automator built on PlatformBase using its static metadata
+  registerAutomator(AutomatorClass) {
+    return this.register({
+      id: AutomatorClass.platformId,
+      name: AutomatorClass.displayName || AutomatorClass.platformId,
+      urlPatterns: AutomatorClass.urlPatterns,
+      domFingerprints: AutomatorClass.domFingerprints,
+      apply: async (job, page) => {
+        const handler = new AutomatorClass();
+        await handler.initialize({ page });
+        return await handler.handleApplication(job);
+      }
+    });
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  scoreUrl(adapter, url = '') {
+    return adapter.urlPatterns.some(pattern => pattern.test(url)) ? URL_MATCH_CONFIDENCE : 0;
+  }
+
+  scoreDom(matchedCount, totalCount) {
+    if (!totalCount || !matchedCount) {
+      return 0;
+    }
+    return DOM_BASE_CONFIDENCE + DOM_MAX_BONUS * (matchedCount / totalCount);
+  }
+
+  // Returns the best URL-only match, used where no page is available
+  detectFromUrl(url) {
+    const candidates = this.list()
+      .map(adapter => ({ adapter, confidence: this.scoreUrl(adapter, url) }))
+      .filter(candidate => candidate.confidence >= this.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return this.toDetection(candidates[0].adapter, candidates[0].confidence, ['url']);
+  }
+
+  async fingerprintPage(page) {
+    if (!page) {
+      return {};
+    }
+
+    const fingerprints = {};
+    this.list().forEach(adapter => {
+      if (adapter.domFingerprints.length > 0) {
+        fingerprints[adapter.id] = adapter.domFingerprints;
+      }
+    });
+
+    try {
+      return await page.evaluate((fingerprints) => {
+        const matches = {};
+
+        Object.entries(fingerprints).forEach(([id, selectors]) => {
+          matches[id] = selectors.filter(selector => {
+            try {
+              return !!document.querySelector(selector);
+            } catch (e) {
+              return false;
+            }
+          }).length;
+        });
+
+        return matches;
+      }, fingerprints);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not fingerprint page: ${error.message}`);
+      return {};
+    }
+  }
+
+  async detect(url, page) {
+    const domMatches = await this.fingerprintPage(page);
+
+    const candidates = this.list().map(adapter => {
+      const urlScore = this.scoreUrl(adapter, url);
+      const domScore = this.scoreDom(domMatches[adapter.id] || 0, adapter.domFingerprints.length);
+      const matchedBy = [];
+
+      if (urlScore > 0) matchedBy.push('url');
+      if (domScore > 0) matchedBy.push('dom');
+
+      let confidence = Math.max(urlScore, domScore);
+      if (urlScore > 0 && domScore > 0) {
+        confidence = Math.min(1, confidence + COMBINED_BONUS);
+      }
+
+      return { adapter, confidence, matchedBy };
+    })
+      .filter(candidate => candidate.confidence >= this.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const best = candidates[0];
+    return this.toDetection(best.adapter, best.confidence, best.matchedBy);
+  }
+
+  toDetection(adapter, confidence, matchedBy) {
+    return {
+      id: adapter.id,
+      name: adapter.name,
+      confidence: Number(confidence.toFixed(2)),
+      matchedBy,
+      adapter
+    };
+  }
+
+  // Registry with every ATS automator shipped in src/platforms
+  static createDefault() {
+    const registry = new PlatformRegistry();
+
+    [
+      require('./WorkdayAutomator'),
+      require('./LinkedInAutomator'),
+      require('./GreenhouseAutomator'),
+      require('./LeverAutomator'),
+      require('./BambooHRAutomator')
+    ].forEach(AutomatorClass => registry.registerAutomator(AutomatorClass));
+
+    return registry;
+  }
+}
+
+module.exports = PlatformRegistry;
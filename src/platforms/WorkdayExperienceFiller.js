@@ -0,0 +1,285 @@
+const UserProfile = require('../../Config/user-profile');
+const ProfileFieldMapper = require('../forms/ProfileFieldMapper');
+const FieldActions = require('../forms/FieldActions');
+const Logger = require('../utils/Logger');
+
+// Workday names its repeated blocks workExperience-1, workExperience-2, … and education-1, …
+const SECTIONS = {
+  workExperience: { heading: /work experience/i, blockPrefix: 'workExperience' },
+  education: { heading: /education/i, blockPrefix: 'education' }
+};
+
+const SKILLS_INPUT = '[data-automation-id="formField-skills"] input';
+const PROMPT_OPTION = '[data-automation-id="promptOption"], [role="listbox"] [role="option"]';
+const TYPEAHEAD_DELAY = 1000;
+
+const usable = (value) => value !== undefined && value !== null && String(value).trim() !== '' &&
+  !ProfileFieldMapper.isPlaceholder(String(value));
+
+class WorkdayExperienceFiller {
+  constructor(page, profile = UserProfile) {
+    this.logger = new Logger('WorkdayExperienceFiller');
+    this.page = page;
+    this.workHistory = (profile.professional && profile.professional.workHistory) || [];
+    this.education = profile.education || [];
+    this.skills = (profile.professional && profile.professional.skills) || [];
+  }
+
+  // "2022-01" → { month: '01', year: '2022' }
+  static parseDate(value) {
+    const match = usable(value) && String(value).match(/^(\d{4})(?:-(\d{1,2}))?/);
+    if (!match) return null;
+    return { year: match[1], month: match[2] ? match[2].padStart(2, '0') : null };
+  }
+
+  async fill() {
+    const workExperience = await this.fillWorkHistory();
+    const education = await this.fillEducation();
+    const skills = await this.fillSkills();
+
+    this.logger.info(`🧾 Experience: ${workExperience.filled} job(s), ${education.filled} school(s), ${skills.selected.length}/${this.skills.length} skill(s)`);
+    return { success: true, workExperience, education, skills };
+  }
+
+  async fillWorkHistory() {
+    const missing = [];
+    let filled = 0;
+
+    for (let i = 0; i < this.workHistory.length; i++) {
+      const entry = this.workHistory[i];
+      const block = await this.ensureBlock('workExperience', i + 1);
+      if (!block) {
+        missing.push(`work experience ${i + 1}: could not add a block`);
+        continue;
+      }
+
+      await this.fillText(block, 'jobTitle', entry.title, missing);
+      await this.fillText(block, 'company', entry.company, missing);
+      await this.fillText(block, 'location', entry.location, missing);
+      await this.fillText(block, 'description', entry.description, missing);
+
+      if (!usable(entry.endDate)) {
+        await this.setCheckbox(`${block} [data-automation-id="currentlyWorkHere"]`, true);
+      }
+
+      await this.fillDate(block, 'startDate', entry.startDate, missing);
+      if (usable(entry.endDate)) {
+        await this.fillDate(block, 'endDate', entry.endDate, missing);
+      }
+
+      filled++;
+    }
+
+    this.reportMissing('work history', missing);
+    return { filled, missing };
+  }
+
+  async fillEducation() {
+    const missing = [];
+    let filled = 0;
+
+    for (let i = 0; i < this.education.length; i++) {
+      const entry = this.education[i];
+      const block = await this.ensureBlock('education', i + 1);
+      if (!block) {
+        missing.push(`education ${i + 1}: could not add a block`);
+        continue;
+      }
+
+      await this.fillText(block, 'school', entry.school, missing);
+      await this.fillText(block, 'gpa', entry.gpa);
+      await this.chooseDegree(block, entry.degree, missing);
+      await this.selectTypeahead(`${block} [data-automation-id="formField-fieldOfStudy"] input`, entry.fieldOfStudy);
+      await this.fillYear(block, 'firstYearAttended', entry.startYear, missing);
+      await this.fillYear(block, 'lastYearAttended', entry.endYear, missing);
+
+      filled++;
+    }
+
+    this.reportMissing('education', missing);
+    return { filled, missing };
+  }
+
+  async fillSkills() {
+    const selected = [];
+    const notFound = [];
+
+    if (!await this.page.$(SKILLS_INPUT)) {
+      return { selected, notFound, skipped: 'no skills field' };
+    }
+
+    for (const skill of this.skills) {
+      if (await this.selectTypeahead(SKILLS_INPUT, skill)) {
+        selected.push(skill);
+      } else {
+        notFound.push(skill);
+      }
+    }
+
+    if (notFound.length > 0) {
+      this.logger.warn(`⚠️ Workday had no match for skills: ${notFound.join(', ')}`);
+    }
+    return { selected, notFound };
+  }
+
+  // Returns the selector of block n, pressing the section's "Add" button when it is not on the page yet
+  async ensureBlock(section, number) {
+    const { heading, blockPrefix } = SECTIONS[section];
+    const selector = `[data-automation-id="${blockPrefix}-${number}"]`;
+
+    if (await this.page.$(selector)) {
+      return selector;
+    }
+
+    const clicked = await this.page.evaluate(({ headingSource }) => {
+      const heading = new RegExp(headingSource, 'i');
+      const sections = Array.from(document.querySelectorAll('[role="group"], section, fieldset, div[aria-labelledby]'))
+        .filter(element => {
+          const title = element.querySelector('h2, h3, h4, legend');
+          return title && heading.test(title.textContent);
+        });
+
+      for (const element of sections) {
+        const button = Array.from(element.querySelectorAll('button'))
+          .find(candidate => candidate.getAttribute('data-automation-id') === 'Add' ||
+            /^add( another)?$/i.test(candidate.textContent.trim()));
+        if (button) {
+          button.click();
+          return true;
+        }
+      }
+      return false;
+    }, { headingSource: heading.source });
+
+    if (!clicked) {
+      return null;
+    }
+
+    await this.page.waitForTimeout(TYPEAHEAD_DELAY);
+    return (await this.page.$(selector)) ? selector : null;
+  }
+
+  async fillText(block, automationId, value, missing = null) {
+    const selector = [
+      `${block} input[data-automation-id="${automationId}"]`,
+      `${block} textarea[data-automation-id="${automationId}"]`,
+      `${block} [data-automation-id="formField-${automationId}"] input`,
+      `${block} [data-automation-id="formField-${automationId}"] textarea`
+    ].join(', ');
+
+    if (!usable(value)) {
+      if (missing) missing.push(`${automationId} not in profile`);
+      return false;
+    }
+
+    const field = await this.page.$(selector);
+    if (!field) return false;
+
+    await field.fill(String(value));
+    return true;
+  }
+
+  // Workday date widgets are month/year spin buttons that only react to typing
+  async fillDate(block, automationId, value, missing) {
+    const date = WorkdayExperienceFiller.parseDate(value);
+    if (!date) {
+      missing.push(`${automationId} not in profile`);
+      return false;
+    }
+
+    const monthInput = `${block} [data-automation-id="formField-${automationId}"] [data-automation-id="dateSectionMonth-input"]`;
+    const yearInput = `${block} [data-automation-id="formField-${automationId}"] [data-automation-id="dateSectionYear-input"]`;
+
+    if (date.month && await this.page.$(monthInput)) {
+      await this.page.click(monthInput);
+      await this.page.keyboard.type(date.month);
+    }
+
+    if (!await this.page.$(yearInput)) return false;
+    await this.page.click(yearInput);
+    await this.page.keyboard.type(date.year);
+    return true;
+  }
+
+  async fillYear(block, automationId, value, missing) {
+    const date = WorkdayExperienceFiller.parseDate(value);
+    if (!date) {
+      missing.push(`${automationId} not in profile`);
+      return false;
+    }
+
+    const yearInput = `${block} [data-automation-id="formField-${automationId}"] input`;
+    if (!await this.page.$(yearInput)) return false;
+
+    await this.page.click(yearInput);
+    await this.page.keyboard.type(date.year);
+    return true;
+  }
+
+  async chooseDegree(block, degree, missing) {
+    const button = `${block} [data-automation-id="formField-degree"] button[aria-haspopup="listbox"]`;
+
+    if (!usable(degree)) {
+      missing.push('degree not in profile');
+      return false;
+    }
+    if (!await this.page.$(button)) return false;
+
+    const wanted = degree.toLowerCase();
+    const choice = await FieldActions.chooseFromListbox(this.page, button, (options) =>
+      options.findIndex(option => option.toLowerCase() === wanted || option.toLowerCase().startsWith(wanted)));
+
+    if (!choice.chosen) {
+      missing.push(`degree "${degree}" not offered`);
+    }
+    return choice.chosen;
+  }
+
+  // Types into a Workday multi-select and clicks the suggestion that matches; true when one was selected
+  async selectTypeahead(inputSelector, value) {
+    if (!usable(value) || !await this.page.$(inputSelector)) {
+      return false;
+    }
+
+    await this.page.fill(inputSelector, String(value));
+    await this.page.keyboard.press('Enter');
+    await this.page.waitForTimeout(TYPEAHEAD_DELAY);
+
+    const clicked = await this.page.evaluate(({ optionSelector, wanted }) => {
+      const options = Array.from(document.querySelectorAll(optionSelector));
+      const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+      const match = options.find(option => normalize(option.textContent) === wanted) ||
+        options.find(option => normalize(option.textContent).startsWith(wanted));
+
+      if (match) {
+        match.click();
+        return true;
+      }
+      return false;
+    }, { optionSelector: PROMPT_OPTION, wanted: String(value).trim().toLowerCase() });
+
+    if (!clicked) {
+      await this.page.fill(inputSelector, '');
+      await this.page.keyboard.press('Escape');
+    }
+    return clicked;
+  }
+
+  async setCheckbox(selector, checked) {
+    const box = await this.page.$(selector);
+    if (!box) return false;
+
+    if ((await box.isChecked()) !== checked) {
+      await box.click();
+    }
+    return true;
+  }
+
+  reportMissing(section, missing) {
+    if (missing.length > 0) {
+      this.logger.warn(`⚠️ Incomplete ${section}: ${missing.join(', ')}`);
+    }
+  }
+}
+
+module.exports = WorkdayExperienceFiller;
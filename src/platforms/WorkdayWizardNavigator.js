@@ -0,0 +1,195 @@
+const Logger = require('../utils/Logger');
+
+// Workday's application wizard, in the order the progress bar usually shows it
+const WIZARD_STEPS = [
+  { id: 'my_information', patterns: [/my information/, /personal information/, /contact information/] },
+  { id: 'my_experience', patterns: [/my experience/, /experience/] },
+  { id: 'application_questions', patterns: [/application questions/, /questions/] },
+  { id: 'voluntary_disclosures', patterns: [/voluntary disclosures?/, /disclosures?/] },
+  { id: 'self_identify', patterns: [/self[- ]?identif/] },
+  { id: 'review', patterns: [/^review/] }
+];
+
+const NEXT_BUTTON_SELECTORS = [
+  '[data-automation-id="bottom-navigation-next-button"]',
+  '[data-automation-id="pageFooterNextButton"]'
+];
+
+const ERROR_SELECTORS = [
+  '[data-automation-id="errorMessage"]',
+  '[data-automation-id="errorBanner"]',
+  '[data-automation-id="inputAlert"]',
+  '[role="alert"]'
+];
+
+// Real flows have 5-7 steps; anything past this means we are going round in circles
+const MAX_WIZARD_STEPS = 10;
+
+class WorkdayWizardNavigator {
+  // fillers: { [stepId]: async (job) => result }; fallback runs for steps we do not recognise
+  constructor(page, { fillers = {}, fallback = null, stepTimeout = 3000 } = {}) {
+    this.logger = new Logger('WorkdayWizardNavigator');
+    this.page = page;
+    this.fillers = fillers;
+    this.fallback = fallback;
+    this.stepTimeout = stepTimeout;
+  }
+
+  static identifyStep(label = '') {
+    const text = label.toLowerCase().replace(/\s+/g, ' ').trim();
+    const step = WIZARD_STEPS.find(candidate => candidate.patterns.some(pattern => pattern.test(text)));
+    return step ? step.id : 'unknown';
+  }
+
+  // { steps: [labels], currentIndex, currentLabel } from the progress bar, or the page heading when there is none
+  async readProgress() {
+    return await this.page.evaluate(() => {
+      const textOf = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+      const progressBar = document.querySelector('[data-automation-id="progressBar"]');
+
+      if (progressBar) {
+        const items = Array.from(progressBar.querySelectorAll('li'));
+        // Each item reads "current step 3 of 6 Application Questions" - keep just the step name
+        const labels = items.map(item => {
+          const name = item.querySelector('[data-automation-id="progressBarStepName"]') || item.lastElementChild;
+          return textOf(name || item).replace(/^(current |completed )?step \d+ of \d+/i, '').trim();
+        });
+        const currentIndex = items.findIndex(item => item.getAttribute('data-automation-id') === 'progressBarActiveStep' ||
+          item.getAttribute('aria-current') === 'step');
+
+        return {
+          hasProgressBar: true,
+          steps: labels,
+          currentIndex,
+          currentLabel: currentIndex >= 0 ? labels[currentIndex] : ''
+        };
+      }
+
+      const heading = document.querySelector('[data-automation-id="applyFlowPage"] h2, h2');
+      return { hasProgressBar: false, steps: [], currentIndex: -1, currentLabel: textOf(heading) };
+    });
+  }
+
+  async readValidationErrors() {
+    return await this.page.evaluate((selectors) => {
+      const textOf = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+      const messages = new Set();
+
+      selectors.forEach(selector => {
+        document.querySelectorAll(selector).forEach(element => {
+          const text = textOf(element);
+          if (text && element.offsetParent !== null) messages.add(text);
+        });
+      });
+
+      document.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+        const container = field.closest('[data-automation-id^="formField"]');
+        const label = container ? textOf(container.querySelector('label')) : (field.getAttribute('aria-label') || field.name);
+        if (label) messages.add(`Invalid field: ${label}`);
+      });
+
+      return Array.from(messages);
+    }, ERROR_SELECTORS);
+  }
+
+  // Presses "Save and Continue" / "Next", never the final Submit
+  async clickSaveAndContinue() {
+    return await this.page.evaluate((selectors) => {
+      const isUsable = (button) => button && button.offsetParent !== null && !button.disabled &&
+        !button.textContent.toLowerCase().includes('submit');
+
+      for (const selector of selectors) {
+        const button = document.querySelector(selector);
+        if (isUsable(button)) {
+          button.click();
+          return true;
+        }
+      }
+
+      const byText = Array.from(document.querySelectorAll('button')).find(button => isUsable(button) &&
+        /^(save and continue|continue|next)$/i.test(button.textContent.trim()));
+      if (byText) {
+        byText.click();
+        return true;
+      }
+
+      return false;
+    }, NEXT_BUTTON_SELECTORS);
+  }
+
+  async fillStep(stepId, job) {
+    const filler = this.fillers[stepId] || this.fallback;
+    if (!filler) {
+      return { skipped: true };
+    }
+    return await filler(job);
+  }
+
+  // Walks the wizard up to the Review step; the caller submits from there
+  async run(job) {
+    const completedSteps = [];
+    let progress = await this.readProgress();
+
+    for (let attempt = 0; attempt < MAX_WIZARD_STEPS; attempt++) {
+      const stepId = WorkdayWizardNavigator.identifyStep(progress.currentLabel);
+
+      if (stepId === 'review') {
+        return this.report(true, completedSteps, progress, []);
+      }
+
+      this.logger.info(`📍 Workday step ${progress.currentIndex + 1}/${progress.steps.length || '?'}: ${progress.currentLabel || 'unknown'} (${stepId})`);
+      const fillResult = await this.fillStep(stepId, job);
+
+      // Inline errors from the fill itself - pressing Continue would only bounce back
+      const errorsBeforeAdvance = await this.readValidationErrors();
+      if (errorsBeforeAdvance.length > 0) {
+        return this.report(false, completedSteps, progress, errorsBeforeAdvance);
+      }
+
+      if (!await this.clickSaveAndContinue()) {
+        return this.report(false, completedSteps, progress, ['No Save and Continue button found']);
+      }
+      await this.page.waitForTimeout(this.stepTimeout);
+
+      const next = await this.readProgress();
+      const advanced = next.currentIndex !== progress.currentIndex || next.currentLabel !== progress.currentLabel;
+
+      if (!advanced) {
+        const errors = await this.readValidationErrors();
+        return this.report(false, completedSteps, progress, errors.length > 0 ? errors : ['Workday did not move to the next step']);
+      }
+
+      completedSteps.push({ id: stepId, label: progress.currentLabel, result: fillResult });
+      progress = next;
+    }
+
+    return this.report(false, completedSteps, progress, [`Gave up after ${MAX_WIZARD_STEPS} steps`]);
+  }
+
+  report(success, completedSteps, progress, errors) {
+    const totalSteps = progress.steps.length;
+    const current = progress.currentLabel || 'unknown';
+    const summary = `"${current}" (${completedSteps.length}/${totalSteps || '?'} steps done)`;
+
+    if (success) {
+      this.logger.success(`✅ Reached Workday review after ${completedSteps.length} step(s)`);
+    } else {
+      this.logger.warn(`⚠️ Workday wizard stopped at ${summary}: ${errors.join('; ')}`);
+    }
+
+    return {
+      success,
+      reachedReview: success,
+      completedSteps,
+      currentStep: { id: WorkdayWizardNavigator.identifyStep(current), label: current, index: progress.currentIndex },
+      totalSteps,
+      pages: completedSteps.length,
+      errors,
+      error: success ? null : `Stopped at ${summary}: ${errors.join('; ')}`
+    };
+  }
+}
+
+WorkdayWizardNavigator.WIZARD_STEPS = WIZARD_STEPS;
+
+module.exports = WorkdayWizardNavigator;
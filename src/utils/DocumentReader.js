@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const pdfParse = require('pdf-parse');
+
+// Plain text out of the documents a candidate keeps: resume and prep notes
+const TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+class DocumentReader {
+  static typeOf(file) {
+    return TYPES[path.extname(file).toLowerCase()] || null;
+  }
+
+  // Returns { type, text }
+  static async read(file) {
+    const type = DocumentReader.typeOf(file);
+    if (!type) {
+      throw new Error(`Unsupported document type: ${file}`);
+    }
+
+    const buffer = fs.readFileSync(file);
+
+    switch (type) {
+      case 'pdf':
+        return { type, text: (await pdfParse(buffer)).text };
+      case 'docx':
+        return { type, text: DocumentReader.docxToText(buffer) };
+      default:
+        return { type, text: buffer.toString('utf8') };
+    }
+  }
+
+  // A .docx is a zip archive; the body text lives in word/document.xml
+  static docxToText(buffer) {
+    const xml = DocumentReader.unzipEntry(buffer, 'word/document.xml');
+    if (!xml) {
+      throw new Error('Not a Word document: word/document.xml is missing');
+    }
+    return DocumentReader.wordXmlToText(xml.toString('utf8'));
+  }
+
+  // Headings become "# ", list paragraphs "- ", so the result reads like Markdown
+  static wordXmlToText(xml) {
+    const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+    return paragraphs.map(paragraph => {
+      const text = paragraph
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+
+      if (/<w:pStyle w:val="(Heading\d|Title)"/.test(paragraph)) return `# ${text}`;
+      if (/<w:numPr>/.test(paragraph)) return `- ${text}`;
+      return text;
+    }).join('\n');
+  }
+
+  // Reads one file out of a zip archive (stored or deflated entries only)
+  static unzipEntry(buffer, name) {
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+      if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) {
+      return null;
+    }
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < entryCount && buffer.readUInt32LE(offset) === ZIP_CENTRAL_DIRECTORY_ENTRY; i++) {
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const entryName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (entryName === name) {
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+          return null;
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+      }
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return null;
+  }
+}
+
+DocumentReader.TYPES = TYPES;
+
+module.exports = DocumentReader;
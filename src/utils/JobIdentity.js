@@ -0,0 +1,174 @@
+// 🪪 JOB IDENTITY - recognises one posting whether it was found on JobRight, LinkedIn or the company's ATS
+//
+// of(job) → { key, companyKey, titleKey, locationKey, requisitionId }
+// The key is normalized company | title | location. The requisition id comes from the ATS URL or the job,
+// is prefixed with the ATS, and identifies the posting on its own.
+
+// Legal-entity words dropped from the end of company names
+const COMPANY_SUFFIXES = /\s+(inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|lp|llp)$/;
+
+// Whole words in titles spelled out, so "Sr. SWE" and "Senior Software Engineer" agree
+const TITLE_WORDS = {
+  sr: 'senior',
+  snr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  swe: 'software engineer',
+  sde: 'software engineer',
+  dev: 'developer',
+  mgr: 'manager',
+  mgmt: 'management',
+  assoc: 'associate',
+  fullstack: 'full stack',
+  backend: 'back end',
+  frontend: 'front end'
+};
+
+const LOCATION_ALIASES = {
+  nyc: 'new york',
+  'new york city': 'new york',
+  sf: 'san francisco',
+  'sf bay area': 'san francisco',
+  'bay area': 'san francisco',
+  la: 'los angeles',
+  dc: 'washington',
+  'washington dc': 'washington',
+  'washington d c': 'washington'
+};
+
+// Where each ATS keeps the posting id in its URLs; ids scoped to a tenant include it
+const REQUISITION_PATTERNS = [
+  { ats: 'greenhouse', pattern: /greenhouse\.io\/.*?\bjobs\/(\d+)/i },
+  { ats: 'greenhouse', pattern: /[?&]gh_jid=(\d+)/i },
+  { ats: 'lever', pattern: /jobs\.lever\.co\/[^/]+\/([0-9a-f]{8}-[0-9a-f-]{27})/i },
+  { ats: 'ashby', pattern: /jobs\.ashbyhq\.com\/[^/]+\/([0-9a-f]{8}-[0-9a-f-]{27})/i },
+  { ats: 'workday', pattern: /\/\/([^./]+)\.wd\d+\.myworkdayjobs\.com\/.*_((?:R|JR|REQ)?-?\d+)(?:-\d+)?(?:[/?#]|$)/i, tenant: true },
+  { ats: 'bamboohr', pattern: /\/\/([^./]+)\.bamboohr\.com\/(?:careers|jobs)\/(?:view\.php\?id=)?(\d+)/i, tenant: true },
+  { ats: 'smartrecruiters', pattern: /jobs\.smartrecruiters\.com\/([^/]+)\/(\d+)/i, tenant: true },
+  { ats: 'linkedin', pattern: /linkedin\.com\/jobs\/view\/(?:[^/]*-)?(\d+)/i }
+];
+
+const clean = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .trim();
+
+class JobIdentity {
+  static normalizeCompany(company) {
+    let name = clean(String(company || '').replace(/\(.*?\)/g, ' ')).replace(/^the\s+/, '');
+    let previous;
+    do {
+      previous = name;
+      name = name.replace(COMPANY_SUFFIXES, '');
+    } while (name !== previous);
+    return name;
+  }
+
+  static normalizeTitle(title) {
+    const text = String(title || '')
+      // "(Remote)", "[R12345]" and similar asides say nothing about the role
+      .replace(/\(.*?\)|\[.*?\]/g, ' ')
+      .replace(/\s[-–|]\s*(remote|hybrid|on[- ]?site)\b.*$/i, ' ');
+    return JobIdentity.normalizeText(text);
+  }
+
+  // Lower-case words with title abbreviations spelled out, so free text can be searched for a titleKey
+  static normalizeText(text) {
+    return clean(text)
+      .split(' ')
+      .map(word => TITLE_WORDS[word] || word)
+      .join(' ');
+  }
+
+  // Cities in order, "remote" for remote roles; several locations are joined with ";"
+  static normalizeLocation(location) {
+    const places = String(location || '')
+      .split(/;|\||\/|\bor\b|\n/i)
+      .map(part => {
+        const lowered = part.toLowerCase();
+        if (/\bremote\b|\banywhere\b/.test(lowered)) return 'remote';
+        const city = clean(lowered.split(',')[0])
+          .replace(/^(hybrid|on ?site|in office)\s+/, '')
+          .replace(/\s+(metropolitan area|metro area|bay area|area)$/, '')
+          .trim();
+        return LOCATION_ALIASES[city] || city;
+      })
+      .filter(Boolean);
+    return [...new Set(places)].join(';');
+  }
+
+  // Scoped by the ATS, so an id given with the job and one read from its URL agree
+  static requisitionId(job = {}) {
+    const given = job.requisitionId ? String(job.requisitionId).trim().toLowerCase() : null;
+
+    for (const url of [job.applyUrl, job.externalUrl, job.url].filter(Boolean)) {
+      for (const { ats, pattern, tenant } of REQUISITION_PATTERNS) {
+        const match = String(url).match(pattern);
+        if (match) {
+          const id = given || match[tenant ? 2 : 1].toLowerCase();
+          return tenant ? `${ats}:${match[1].toLowerCase()}:${id}` : `${ats}:${id}`;
+        }
+      }
+    }
+
+    // Without a URL to read it from, the platform the job came from is the system
+    if (given && job.platform) {
+      const ats = String(job.platform).trim().toLowerCase();
+      const tenant = REQUISITION_PATTERNS.some(entry => entry.ats === ats && entry.tenant);
+      return tenant ? `${ats}:${JobIdentity.normalizeCompany(job.company).replace(/ /g, '') || 'unknown'}:${given}` : `${ats}:${given}`;
+    }
+    return null;
+  }
+
+  static of(job = {}) {
+    const companyKey = JobIdentity.normalizeCompany(job.company);
+    const titleKey = JobIdentity.normalizeTitle(job.title);
+    const locationKey = JobIdentity.normalizeLocation(job.location);
+    const requisitionId = JobIdentity.requisitionId(job);
+
+    let key;
+    if (companyKey && titleKey) {
+      key = `${companyKey}|${titleKey}|${locationKey}`;
+    } else if (requisitionId) {
+      key = `req:${requisitionId}`;
+    } else if (job.url) {
+      key = `url:${String(job.url).trim()}`;
+    } else {
+      key = `${companyKey || 'unknown'}|${titleKey || 'unknown'}|${locationKey}`;
+    }
+
+    return { key, companyKey, titleKey, locationKey, requisitionId };
+  }
+
+  static key(job = {}) {
+    return JobIdentity.of(job).key;
+  }
+
+  // A missing location matches anything; otherwise the two must share a place
+  static sameLocation(a, b) {
+    if (!a || !b) return true;
+    const places = new Set(a.split(';'));
+    return b.split(';').some(place => places.has(place));
+  }
+
+  // Both arguments are of() results
+  static samePosting(a, b) {
+    if (a.requisitionId && a.requisitionId === b.requisitionId) {
+      return true;
+    }
+    // Two ids from the same system that differ are two postings; a LinkedIn id says nothing about a Greenhouse one
+    const systemOf = (requisitionId) => requisitionId && requisitionId.split(':')[0];
+    if (a.requisitionId && b.requisitionId && systemOf(a.requisitionId) === systemOf(b.requisitionId)) {
+      return false;
+    }
+    return !!a.companyKey && a.companyKey === b.companyKey &&
+      !!a.titleKey && a.titleKey === b.titleKey &&
+      JobIdentity.sameLocation(a.locationKey, b.locationKey);
+  }
+}
+
+module.exports = JobIdentity;
@@ -1,4 +1,5 @@
 const JobRightAIAutomator = require('../src/platforms/JobRightAIAutomator');
+const JobIdentity = require('../src/utils/JobIdentity');
 
 async function testBatchApplications() {
   console.log('🚀 TESTING BATCH APPLICATION (5 JOBS)...\n');
@@ -31,9 +32,15 @@ async function testBatchApplications() {
     const seenJobs = new Set();
     
     for (const job of jobs) {
-      const jobKey = `${job.title}-${job.company}`;
+      const jobKey = JobIdentity.key(job);
       if (!seenJobs.has(jobKey)) {
         seenJobs.add(jobKey);
+        // Postings applied to before, from any site, are not applied to again
+        const decision = await automator.duplicateGuard.check(job);
+        if (!decision.allowed) {
+          console.log(`⏭️ Skipping ${job.title} at ${job.company}: ${decision.reason}`);
+          continue;
+        }
         uniqueJobs.push(job);
         if (uniqueJobs.length >= 5) break; // Get 5 jobs for batch test
       }
@@ -1,4 +1,5 @@
 const JobRightAIAutomator = require('../src/platforms/JobRightAIAutomator');
+const JobIdentity = require('../src/utils/JobIdentity');
 
 async function testSingleApplication() {
   console.log('🎯 TESTING COMPLETE SINGLE APPLICATION FLOW...\n');
@@ -24,15 +25,26 @@ async function testSingleApplication() {
     const seenJobs = new Set();
     
     for (const job of jobs) {
-      const jobKey = `${job.title}-${job.company}`;
+      const jobKey = JobIdentity.key(job);
       if (!seenJobs.has(jobKey)) {
         seenJobs.add(jobKey);
+        // Postings applied to before, from any site, are not applied to again
+        const decision = await automator.duplicateGuard.check(job);
+        if (!decision.allowed) {
+          console.log(`⏭️ Skipping ${job.title} at ${job.company}: ${decision.reason}`);
+          continue;
+        }
         uniqueJobs.push(job);
         if (uniqueJobs.length >= 1) break; // Only get 1 job for single test
       }
     }
     
     const targetJob = uniqueJobs[0];
+    if (!targetJob) {
+      console.log('❌ Every job found was applied to already!');
+      await automator.close();
+      return;
+    }
     console.log(`🎯 Target Job: ${targetJob.title} at ${targetJob.company}`);
     console.log(`📍 Location: ${targetJob.location}`);
     console.log(`⭐ H1B Score: ${targetJob.h1bScore}`);
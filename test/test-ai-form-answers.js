@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIConfig = require('../Config/ai-config');
+const ApplicationRepository = require('../database/ApplicationRepository');
+const DuplicateGuard = require('../src/automation/DuplicateGuard');
+const JobRightAIAutomator = require('../src/platforms/JobRightAIAutomator');
+
+// Offline: a page stand-in that only waits, a stand-in answerer, and the database in a temp directory
+const JOB = { id: 'job-1', title: 'Backend Engineer', company: 'Acme', location: 'Remote', url: 'https://jobright.ai/jobs/info/1', platform: 'jobright' };
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function createAutomator(repository) {
+    const automator = new JobRightAIAutomator({
+        applicationRepository: repository,
+        aiQuestionAnswerer: { generateResponse: async () => { throw new Error('the AI should not be asked'); } }
+    });
+    automator.mainPage = { waitForTimeout: async () => {} };
+    automator.handleResumeCustomizationModal = async () => ({ handled: false });
+    automator.fieldClassifier = { describeFields: async () => [] };
+    automator.submitted = 0;
+    automator.submitApplicationForm = async () => {
+        automator.submitted++;
+        return { success: true };
+    };
+    return automator;
+}
+
+async function testDisabled(repository) {
+    console.log('\n🚫 AI form answers off');
+
+    const automator = createAutomator(repository);
+    const result = await automator.handleApplicationFormWithAI(JOB);
+    check(`the form is skipped, not reported as sent (${result.error})`, !result.success && result.skipped && result.error === 'AI form answers disabled');
+    check('nothing is submitted', automator.submitted === 0);
+
+    await automator.recordApplicationResult(JOB, result);
+    const [application] = await repository.listApplications();
+    check(`the application is recorded as ${application.status}`, application.status === 'skipped');
+
+    const duplicate = await new DuplicateGuard({ repository }).check(JOB);
+    check('the posting can still be applied to later', duplicate.allowed);
+}
+
+async function testEnabled(repository) {
+    console.log('\n🤖 AI form answers on');
+
+    const automator = createAutomator(repository);
+    const result = await automator.handleApplicationFormWithAI(JOB);
+    check('the form is submitted', result.success && !result.skipped && automator.submitted === 1);
+}
+
+async function testAIFormAnswers() {
+    console.log('📝 TESTING AI FORM ANSWERS SWITCH...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-form-answers-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+    const answerFormQuestions = AIConfig.answerFormQuestions;
+
+    try {
+        AIConfig.answerFormQuestions = false;
+        await testDisabled(repository);
+        AIConfig.answerFormQuestions = true;
+        await testEnabled(repository);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        AIConfig.answerFormQuestions = answerFormQuestions;
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 The AI form answers switch works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testAIFormAnswers();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const AnswerContract = require('../src/ai/AnswerContract');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+const GreenhouseAutomator = require('../src/platforms/GreenhouseAutomator');
+
+// Offline: the stub provider answers and every data file lives in a temp directory
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-contract-'));
+
+function createAnswerer() {
+    return new AIQuestionAnswerer({
+        provider: 'stub',
+        learningDatabase: path.join(tempDir, 'ai_learning.json'),
+        costTracker: new CostTracker({ ledgerFile: path.join(tempDir, 'llm_usage.json') }),
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, 'review_queue.json') })
+    });
+}
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+async function expectContractError(description, call) {
+    try {
+        await call();
+        check(description, false);
+    } catch (error) {
+        check(description, error instanceof AnswerContract.AnswerContractError);
+    }
+}
+
+async function testRequests(answerer) {
+    console.log('\n📜 Request validation');
+
+    await expectContractError('rejects the old single-object call', () => answerer.generateResponse({
+        question: 'Why do you want to work here?',
+        jobContext: { title: 'Engineer' }
+    }));
+    await expectContractError('rejects a missing question', () => answerer.generateResponse());
+    await expectContractError('rejects an empty question', () => answerer.generateResponse('   '));
+    await expectContractError('rejects a non-object jobContext', () => answerer.generateResponse('Why us?', 'Acme'));
+    await expectContractError('rejects nested job fields', () => answerer.generateResponse('Why us?', { company: { name: 'Acme' } }));
+    await expectContractError('rejects a non-boolean optional flag', () => answerer.generateResponse('Why us?', {}, { optional: 'yes' }));
+}
+
+async function testResponses(answerer) {
+    console.log('\n📜 Response validation');
+
+    const jobContext = { id: 'job-1', title: 'Backend Engineer', company: 'Acme', platform: 'greenhouse' };
+    const generated = await answerer.generateResponse('Describe a backend project you are proud of', jobContext);
+    check(`generated answer matches the contract (source: ${generated.source})`, AnswerContract.validateResponse(generated));
+
+    const policy = await answerer.generateResponse('Will you now or in the future require visa sponsorship?', jobContext);
+    check(`policy answer matches the contract (source: ${policy.source})`, AnswerContract.validateResponse(policy));
+
+    const eeo = await answerer.generateResponse('Are you Hispanic or Latino?', jobContext);
+    check(`EEO answer matches the contract (source: ${eeo.source})`, AnswerContract.validateResponse(eeo));
+
+    try {
+        AnswerContract.validateResponse({ answer: 42, confidence: 2, source: 'guess' });
+        check('rejects a malformed response', false);
+    } catch (error) {
+        check('rejects a malformed response', error instanceof AnswerContract.AnswerContractError);
+    }
+}
+
+async function testEngineCallers() {
+    console.log('\n📜 ATS engine callers');
+
+    const automator = new GreenhouseAutomator();
+    const answerer = createAnswerer();
+    const calls = [];
+    const filled = {};
+
+    const generateResponse = answerer.generateResponse.bind(answerer);
+    answerer.generateResponse = (...args) => {
+        calls.push(args);
+        return generateResponse(...args);
+    };
+
+    automator.aiAnswerer = answerer;
+    automator.fieldClassifier = {
+        describeFields: async () => [
+            { selector: '#q1', question: 'Why do you want to join our team?', required: true, classification: { type: 'unknown' } },
+            { selector: '#q2', question: 'Cover letter', required: false, classification: { type: 'cover_letter' } }
+        ]
+    };
+    automator.setFieldValue = async (selector, value) => {
+        filled[selector] = value;
+        return true;
+    };
+
+    const job = { id: 7, title: 'Backend Engineer', company: 'Acme', requirements: ['Java'] };
+    const questions = await automator.fillExperienceQuestions(job);
+    const coverLetter = await automator.fillCoverLetter(job);
+
+    check('experience questions answered', questions.length === 1 && typeof filled['#q1'] === 'string');
+    check('cover letter filled', coverLetter.success && typeof filled['#q2'] === 'string');
+    check('every call used (question, jobContext, options)', calls.length === 2 &&
+        calls.every(([question, jobContext, options]) => typeof question === 'string' &&
+            jobContext.platform === 'greenhouse' && !('requirements' in jobContext) &&
+            typeof options.optional === 'boolean'));
+}
+
+async function testAnswerContract() {
+    console.log('📜 TESTING AIQuestionAnswerer CONTRACT...');
+
+    try {
+        const answerer = createAnswerer();
+        await testRequests(answerer);
+        await testResponses(answerer);
+        await testEngineCallers();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Answer contract holds' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testAnswerContract();
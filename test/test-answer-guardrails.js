@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIConfig = require('../Config/ai-config');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const AnswerGuardrails = require('../src/ai/AnswerGuardrails');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+
+// Offline: a small profile to check facts against, and the stub provider for the regeneration loop
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-guardrails-'));
+const PROFILE = {
+    personal: { firstName: 'Jordan', lastName: 'Lee', phone: '[YOUR_PHONE]' },
+    professional: {
+        currentTitle: 'Senior Backend Engineer',
+        workHistory: [
+            { title: 'Senior Backend Engineer', company: 'Acme Corp', description: 'Cut p99 latency by 40% for 10,000+ merchants' },
+            { title: 'Software Engineer', company: '[COMPANY]' }
+        ]
+    }
+};
+const QUESTION = 'Tell us about a project you are proud of';
+const CLEAN = 'I enjoy working at Startups, and at Acme Corp I cut p99 latency by 40% with 2+ years of Go.';
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+const rules = (result) => result.violations.map(violation => violation.rule);
+
+function testShape(guardrails) {
+    console.log('\n📐 Shape');
+
+    const cases = [
+        ['I improved throughput by [YOUR_METRICS].', {}, 'placeholder'],
+        ['Hi {company} team', {}, 'placeholder'],
+        ['I would bring <insert skill> to the role', {}, 'placeholder'],
+        ['A'.repeat(120), { maxLength: 100 }, 'max_length'],
+        ['Yes', { minLength: 20 }, 'min_length'],
+        ['about 150k', { type: 'number' }, 'format'],
+        ['jordan at example dot com', { type: 'email' }, 'format'],
+        ['linkedin.com/in/jordanlee', { type: 'url' }, 'format'],
+        ['Austin\nTexas', { tag: 'input', type: 'text' }, 'format'],
+        ['   ', {}, 'empty']
+    ];
+    for (const [answer, field, rule] of cases) {
+        const result = guardrails.check(answer, { field, facts: false });
+        check(`${JSON.stringify(answer.substring(0, 30))} → ${rules(result).join(', ')}`, !result.valid && rules(result).includes(rule));
+    }
+
+    check('a number, an email and a URL that fit pass', guardrails.check('150000', { field: { type: 'number' } }).valid &&
+        guardrails.check('jordan@example.com', { field: { type: 'email' } }).valid &&
+        guardrails.check('https://www.linkedin.com/in/jordanlee', { field: { type: 'url' } }).valid);
+    check('a textarea may have line breaks', guardrails.check('First.\nSecond.', { field: { tag: 'textarea' }, facts: false }).valid);
+    check('a non-string answer is refused', !guardrails.check(null).valid);
+}
+
+function testFacts(guardrails) {
+    console.log('\n🔍 Facts');
+
+    const unknownEmployer = guardrails.check('At Initech I rebuilt the billing system.');
+    check(`an employer not in the profile is flagged (${rules(unknownEmployer)})`, rules(unknownEmployer).join() === 'unknown_employer');
+    const unknownTitle = guardrails.check('I joined Acme Corp as a Principal Architect.');
+    check(`a title not in the profile is flagged (${rules(unknownTitle)})`, rules(unknownTitle).join() === 'unknown_title');
+    const unknownMetric = guardrails.check('I cut costs by $2M and latency by 3x.');
+    check(`metrics not in the profile are flagged (${unknownMetric.violations.length})`, rules(unknownMetric).join() === 'unknown_metric,unknown_metric');
+
+    check('employers, titles and metrics from the profile pass', guardrails.check('As a Senior Backend Engineer at Acme Corp I served 10,000+ merchants and cut latency by 40%.').valid);
+    check('placeholders in the profile are not known facts', !AnswerGuardrails.collectStrings(PROFILE).some(text => /\[/.test(text)));
+    check('the job being applied to is a known employer', guardrails.check('I would love to work at Globex as a Staff Engineer.', {
+        jobContext: { company: 'Globex', title: 'Staff Engineer' }
+    }).valid);
+    check('the knowledge base counts as a source', guardrails.check('At Hooli I grew signups 25%.', { prepText: 'Hooli: grew signups 25%' }).valid);
+
+    check('"working at Startups" is not an employer', guardrails.check('I enjoy working at Startups.').valid);
+    check('"at Big Tech companies" is not an employer', guardrails.check('I worked at Big Tech companies before.').valid);
+    check('years of experience are not metrics', guardrails.check('I have 2+ years of Go and 3 years of Rust, 5 years in total.').valid);
+    check('"25,000+ users" is still a metric', rules(guardrails.check('I served 25,000+ users.')).join() === 'unknown_metric');
+}
+
+function testClip() {
+    console.log('\n✂️ Clipping');
+
+    const text = 'I led the payments rewrite. It cut latency in half. Then I mentored the team.';
+    check('clipping keeps whole sentences', AnswerGuardrails.clip(text, 60) === 'I led the payments rewrite. It cut latency in half.');
+    check('clipping falls back to whole words', AnswerGuardrails.clip('Payments, ledgers and reconciliation', 20) === 'Payments, ledgers');
+    check('text that fits is untouched', AnswerGuardrails.clip(text, 500) === text);
+}
+
+function createAnswerer(name, responses) {
+    const config = { ...AIConfig, providers: { ...AIConfig.providers, stub: { responses } } };
+    return new AIQuestionAnswerer({
+        provider: 'stub',
+        config,
+        guardrails: new AnswerGuardrails(PROFILE),
+        learningDatabase: path.join(tempDir, `${name}-learning.json`),
+        costTracker: new CostTracker({ ledgerFile: path.join(tempDir, `${name}-ledger.json`), budget: { dailyUSD: 0, monthlyUSD: 0 } }),
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, `${name}-review.json`) })
+    });
+}
+
+async function testRegeneration() {
+    console.log('\n🔁 Regenerating a rejected answer');
+
+    const jobContext = { id: 'job-1', title: 'Backend Engineer', company: 'Globex', platform: 'greenhouse' };
+
+    // The correction prompt says why the first answer was rejected
+    const fixed = createAnswerer('fixed', [
+        { match: 'That answer was rejected', text: CLEAN },
+        { match: QUESTION, text: 'At Initech I improved throughput by [YOUR_METRICS].' }
+    ]);
+    const regenerated = await fixed.generateResponse(QUESTION, jobContext);
+    check(`a rejected answer is regenerated once (${regenerated.guardrails.attempts} attempts)`, regenerated.source === 'generation' &&
+        regenerated.answer === CLEAN && regenerated.guardrails.passed && regenerated.guardrails.attempts === 2);
+    check(`the first attempt's problems are kept (${rules(regenerated.guardrails)})`,
+        rules(regenerated.guardrails).join() === 'placeholder,unknown_employer');
+    const correction = fixed.getProvider('stub').calls[1].prompt;
+    check('the correction prompt lists the problems', correction.includes('unresolved template token [YOUR_METRICS]') &&
+        correction.includes('"Initech" is not in the profile'));
+
+    const stubborn = createAnswerer('stubborn', [{ match: QUESTION, text: 'At Initech I improved throughput by [YOUR_METRICS].' }]);
+    const fallback = await stubborn.generateResponse(QUESTION, jobContext);
+    check(`two rejections fall back to the template (${fallback.source})`, fallback.source === 'fallback' && !fallback.guardrails.passed &&
+        fallback.guardrails.attempts === 2 && stubborn.getProvider('stub').calls.length === 2 && !!fallback.answer && !/\[/.test(fallback.answer));
+
+    const tooShort = createAnswerer('too-short', [{ match: QUESTION, text: 'At Initech I improved throughput by [YOUR_METRICS].' }]);
+    const skipped = await tooShort.generateResponse(QUESTION, { ...jobContext, id: 'job-2' }, { optional: true, field: { tag: 'input', type: 'text', minLength: 2000 } });
+    check('a template that does not fit the field is not used', skipped.source === 'fallback' && skipped.skipped && skipped.answer === null);
+
+    const first = createAnswerer('first', [{ match: QUESTION, text: CLEAN }]);
+    const accepted = await first.generateResponse(QUESTION, jobContext);
+    check('a clean answer is accepted on the first attempt', accepted.source === 'generation' && accepted.guardrails.attempts === 1 &&
+        first.getProvider('stub').calls.length === 1);
+}
+
+async function testAnswerGuardrails() {
+    console.log('🛡️ TESTING ANSWER GUARDRAILS...');
+
+    try {
+        const guardrails = new AnswerGuardrails(PROFILE);
+        testShape(guardrails);
+        testFacts(guardrails);
+        testClip();
+        await testRegeneration();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Answer guardrails work' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testAnswerGuardrails();
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnswerMemory = require('../src/ai/AnswerMemory');
+
+// Offline: the learning database is a temp file and the embedder a stand-in that counts what it embeds
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-memory-'));
+const PAIRS = [
+    { id: 'qa_acme', status: 'approved', question: 'Why do you want to work at Acme?', answer: 'Acme builds the tools I use every day.' },
+    { id: 'qa_project', status: 'pending', question: 'Describe a challenging project you worked on.', answer: 'I rebuilt our billing pipeline.' },
+    { id: 'qa_weakness', status: 'rejected', question: 'What is your greatest weakness?', answer: 'I work too hard.' },
+    // Written before answers had ids and statuses
+    { question: 'What are your salary expectations?', answer: '150000' }
+];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function createMemory(name, options = {}) {
+    const learningDatabase = path.join(tempDir, `${name}.json`);
+    fs.writeFileSync(learningDatabase, JSON.stringify({ qa_pairs: PAIRS }));
+    return new AnswerMemory({ learningDatabase, requireApproval: false, ...options });
+}
+
+// Questions about motivation point one way, everything else the other
+function fakeEmbedder() {
+    const embedder = {
+        embedded: [],
+        embed: async (texts) => {
+            embedder.embedded.push(...texts);
+            return { model: 'fake-embedding', vectors: texts.map(text => (/want to work|excite|join/i.test(text) ? [1, 0.05] : [0.05, 1])) };
+        }
+    };
+    return embedder;
+}
+
+async function testTfidf() {
+    console.log('\n🔤 TF-IDF');
+
+    const memory = createMemory('tfidf');
+    const same = await memory.findMatch('Why do you want to work at Acme?');
+    check(`the same question matches (${same && same.score})`, same && same.entry.id === 'qa_acme' && same.method === 'tfidf' && same.score === 1);
+
+    const reworded = await memory.findMatch('Describe the most challenging projects you have worked on');
+    check(`plurals and tenses line up (${reworded && reworded.score})`, reworded && reworded.entry.id === 'qa_project');
+
+    check('an unrelated question is a miss', await memory.findMatch('Do you have a driver\'s license?') === null);
+    check('a rejected answer is never reused', await memory.findMatch('What is your greatest weakness?') === null);
+
+    const legacy = await memory.findMatch('What are your salary expectations?');
+    check(`an answer without an id is found by position (${legacy && legacy.entry.id})`, legacy && legacy.entry.id === 'qa_3');
+
+    const loose = 'Why do you want to work here at Acme as a backend engineer?';
+    const strict = await memory.findMatch(loose);
+    const relaxed = await memory.findMatch(loose, { relaxed: true });
+    check(`near the budget limit a looser match is accepted (${relaxed && relaxed.score})`, strict === null && relaxed && relaxed.entry.id === 'qa_acme');
+
+    // The configured default, as a fresh install runs
+    const approvedOnly = new AnswerMemory({ learningDatabase: createMemory('approved').learningDatabase });
+    check('by default only approved answers are reused', approvedOnly.requireApproval &&
+        await approvedOnly.findMatch('Describe a challenging project you worked on.') === null &&
+        await approvedOnly.findMatch('What are your salary expectations?') === null &&
+        !!(await approvedOnly.findMatch('Why do you want to work at Acme?')));
+}
+
+async function testEmbeddings() {
+    console.log('\n🧮 Embeddings');
+
+    const embedder = fakeEmbedder();
+    const memory = createMemory('embedding', { embedder });
+    const match = await memory.findMatch('What excites you about joining Acme?');
+    check(`a paraphrase with no shared words matches (${match && match.method} ${match && match.score})`,
+        match && match.entry.id === 'qa_acme' && match.method === 'embedding');
+    check('the returned entry leaves its vector behind', match && match.entry.embedding === undefined);
+
+    const stored = JSON.parse(fs.readFileSync(memory.learningDatabase, 'utf8')).qa_pairs;
+    check('stored questions keep their embedding', stored.filter(pair => pair.embedding && pair.embedding_model === 'fake-embedding').length === 3);
+
+    embedder.embedded = [];
+    await memory.findMatch('Why do you want to work at Acme?');
+    check(`a second lookup embeds only the new question (${embedder.embedded.length})`, embedder.embedded.length === 1);
+
+    const failing = createMemory('failing', { embedder: { embed: async () => { throw new Error('LLM budget exhausted'); } } });
+    const fallback = await failing.findMatch('Why do you want to work at Acme?');
+    check('a failing embedder falls back to TF-IDF', fallback && fallback.method === 'tfidf');
+}
+
+function testReview() {
+    console.log('\n🧑‍⚖️ Review');
+
+    const memory = createMemory('review');
+    check('a legacy answer can be approved by its position', memory.approve('qa_3'));
+    check('an edit replaces the answer and approves it', memory.edit('qa_project', 'I led the billing rewrite.'));
+    check('an unknown id is refused', !memory.reject('qa_missing'));
+
+    const pairs = memory.readLearningData().qa_pairs;
+    check('the legacy answer keeps its new id', pairs[3].id === 'qa_3' && pairs[3].status === 'approved');
+    check('the original answer is kept', pairs[1].answer === 'I led the billing rewrite.' && pairs[1].original_answer === 'I rebuilt our billing pipeline.' &&
+        pairs[1].status === 'approved');
+}
+
+async function testAnswerMemory() {
+    console.log('🧠 TESTING ANSWER MEMORY...');
+
+    try {
+        await testTfidf();
+        await testEmbeddings();
+        testReview();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Answer memory works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testAnswerMemory();
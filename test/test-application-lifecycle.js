@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApplicationLifecycle = require('../src/automation/ApplicationLifecycle');
+const ApplicationRepository = require('../database/ApplicationRepository');
+
+// Offline: a throwaway SQLite file
+const ACME = { title: 'Backend Engineer', company: 'Acme', location: 'Remote' };
+const GLOBEX = { title: 'Data Engineer', company: 'Globex', location: 'Austin, TX' };
+const INITECH = { title: 'Platform Engineer', company: 'Initech', location: 'Remote' };
+
+let failures = 0;
+
+// Submissions are stamped now, so later transitions are dated after it
+const daysLater = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testTransitions() {
+    console.log('\n🔄 Transitions');
+
+    check('an email can move an application forward', ApplicationLifecycle.canTransition('submitted', 'interview', 'email').allowed);
+    check('a late confirmation email does not undo an interview', !ApplicationLifecycle.canTransition('interview', 'confirmation_received', 'email').allowed);
+    check('only a manual edit reopens a rejection',
+        !ApplicationLifecycle.canTransition('rejected', 'interview', 'portal').allowed &&
+        ApplicationLifecycle.canTransition('rejected', 'interview', 'manual').allowed);
+    check('unknown sources are refused', !ApplicationLifecycle.canTransition('submitted', 'offer', 'rumour').allowed);
+}
+
+async function testRepository(repository) {
+    console.log('\n🔄 Recorded transitions');
+
+    const acme = (await repository.recordResult(ACME, { platform: 'greenhouse', status: 'submitted' })).applicationId;
+    const globex = (await repository.recordResult(GLOBEX, { platform: 'greenhouse', status: 'submitted' })).applicationId;
+    await repository.recordResult(INITECH, { platform: 'lever', status: 'submitted' });
+    await repository.recordResult({ title: 'QA Engineer', company: 'Umbrella' }, { platform: 'lever', status: 'failed' });
+
+    await repository.setStatus(acme, 'confirmation_received', { source: 'email', at: daysLater(2) });
+    const interviewAt = daysLater(10);
+    const interview = await repository.setStatus(acme, 'interview', { source: 'email', reason: 'Phone screen invite', at: interviewAt });
+    check('a transition keeps its source and time',
+        interview.success && interview.application.history.some(change => change.to === 'interview' && change.source === 'email' && change.at === interviewAt));
+
+    const late = await repository.setStatus(acme, 'confirmation_received', { source: 'email' });
+    check(`an out-of-order email is refused (${late.error})`, !late.success);
+
+    await repository.setStatus(globex, 'rejected', { source: 'portal' });
+    check('a rejection from a portal check is kept', (await repository.getApplication(globex)).status === 'rejected');
+
+    // The offer was entered with the wrong date; moving it before the interview leaves the interview current
+    const offer = await repository.setStatus(acme, 'offer', { at: daysLater(20) });
+    const offerEntry = offer.application.history.find(change => change.to === 'offer');
+    const corrected = await repository.updateTransition(acme, offerEntry.id, { at: daysLater(5), reason: 'Wrong date' });
+    check(`editing a transition resyncs the status (${corrected.application && corrected.application.status})`,
+        corrected.success && corrected.application.status === 'interview');
+
+    // Reaching an offer implies every stage before it
+    const funnels = await repository.funnel();
+    const counts = (funnel) => funnel.stages.map(stage => stage.count).join('/');
+    check(`overall funnel ${counts(funnels.all)}, ${funnels.all.rejected} rejected`,
+        counts(funnels.all) === '3/1/1/1/1' && funnels.all.rejected === 1 && funnels.all.stages[3].conversion === 33.3);
+    check(`per platform: greenhouse ${counts(funnels.greenhouse)}, lever ${counts(funnels.lever)}`,
+        counts(funnels.greenhouse) === '2/1/1/1/1' && counts(funnels.lever) === '1/0/0/0/0');
+
+    check('unknown applications are reported', !(await repository.setStatus('app_missing', 'offer')).success);
+}
+
+async function testApplicationLifecycle() {
+    console.log('🔄 TESTING APPLICATION LIFECYCLE...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'application-lifecycle-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+
+    try {
+        testTransitions();
+        await testRepository(repository);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Application lifecycle works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testApplicationLifecycle();
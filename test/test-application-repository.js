@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApplicationRepository = require('../database/ApplicationRepository');
+const Database = require('../database/Database');
+
+// Offline: a throwaway SQLite file
+const JOB = { id: 3, title: 'Backend Engineer', company: 'Acme', location: 'Remote', url: 'https://jobs.acme.com/123', score: 88 };
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+async function testAttempts(repository) {
+    console.log('\n🗄️ Attempts and status history');
+
+    const failed = await repository.recordResult(JOB, {
+        platform: 'greenhouse',
+        status: 'failed',
+        reason: 'Could not verify submission',
+        runId: 'run_1',
+        result: { ai_responses: [{ question: 'Why Acme?', answer: 'Payments.', source: 'generated', confidence: 0.82, fieldType: 'motivation' }] }
+    });
+    await repository.recordSubmission({ ...JOB, id: 7 }, { url: JOB.url, confirmationText: 'Thanks for applying' }, { platform: 'greenhouse' });
+    const retried = await repository.recordResult({ ...JOB, id: 0 }, { platform: 'greenhouse', status: 'submitted', runId: 'run_2' });
+    await repository.recordResult(JOB, { platform: 'greenhouse', status: 'skipped', reason: 'Already applied', runId: 'run_3' });
+
+    check('the same posting keeps one application whatever its card id', retried.applicationId === failed.applicationId);
+
+    const application = await repository.getApplication(failed.applicationId);
+    check(`every attempt is kept (${application.attempts.length})`, application.attempts.length === 3);
+    const failedAttempt = application.attempts.find(attempt => attempt.outcome === 'failed');
+    check('answers belong to the attempt that gave them',
+        application.answers.length === 1 && application.answers[0].attemptId === failedAttempt.id && application.answers[0].confidence === 0.82);
+    const submission = application.history.find(change => change.to === 'submitted');
+    check(`status history (${application.history.map(change => change.to).join(' → ')})`,
+        application.history.length === 2 && submission.from === 'failed');
+    check('a later skip does not undo the submission', application.status === 'submitted' && application.submittedAt !== null);
+    check('the confirmation is stored', application.confirmationText === 'Thanks for applying');
+}
+
+async function testQueries(repository) {
+    console.log('\n🗄️ Listing and stats');
+
+    await repository.recordResult({ title: 'Data Engineer', company: 'Globex' }, { platform: 'lever', status: 'dry_run' });
+
+    const submitted = await repository.listApplications({ status: 'submitted' });
+    check('filter by status', submitted.length === 1 && submitted[0].company === 'Acme');
+
+    const stats = await repository.stats();
+    check(`stats (${JSON.stringify(stats.byStatus)})`,
+        stats.total === 2 && stats.byStatus.dry_run === 1 && stats.byPlatform.greenhouse.applied === 1 && stats.answers === 1);
+
+    let rejected = false;
+    try {
+        await repository.recordResult(JOB, { status: 'applied' });
+    } catch (error) {
+        rejected = true;
+    }
+    check('unknown statuses are rejected', rejected);
+}
+
+// A statement from another async path while a transaction is open must not be rolled back with it
+async function testTransactions(tempDir) {
+    console.log('\n🗄️ Transactions');
+
+    const db = new Database({ client: 'sqlite', filename: path.join(tempDir, 'transactions.db') });
+    try {
+        await db.exec('CREATE TABLE events (name TEXT)');
+
+        let opened;
+        const isOpen = new Promise(resolve => { opened = resolve; });
+        const failing = db.transaction(async (scoped) => {
+            await scoped.run('INSERT INTO events (name) VALUES (?)', ['inside']);
+            opened();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            throw new Error('work failed');
+        }).catch(error => error);
+
+        await isOpen;
+        const outside = db.run('INSERT INTO events (name) VALUES (?)', ['outside']);
+        const error = await failing;
+        await outside;
+
+        const names = (await db.query('SELECT name FROM events')).map(row => row.name);
+        check(`the failed transaction is rolled back (${error.message})`, !names.includes('inside'));
+        check(`a statement issued meanwhile waits and is kept (${names.join(', ')})`, names.join() === 'outside');
+
+        const committed = await db.transaction(async (scoped) => {
+            await scoped.run('INSERT INTO events (name) VALUES (?)', ['committed']);
+            return (await scoped.get('SELECT COUNT(*) AS count FROM events')).count;
+        });
+        check('statements inside a transaction see its own writes', committed === 2);
+    } finally {
+        await db.close();
+    }
+}
+
+async function testApplicationRepository() {
+    console.log('🗄️ TESTING APPLICATION REPOSITORY...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'application-repository-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+
+    try {
+        await testAttempts(repository);
+        await testQueries(repository);
+        await testTransactions(tempDir);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Application repository works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testApplicationRepository();
@@ -0,0 +1,134 @@
+const path = require('path');
+const ATSApplicationEngine = require('../src/platforms/ATSApplicationEngine');
+const GreenhouseAutomator = require('../src/platforms/GreenhouseAutomator');
+const WorkdayAutomator = require('../src/platforms/WorkdayAutomator');
+
+// Offline: each step of the shared pipeline is replaced by a recorded stand-in; no browser is opened
+const JOB = { title: 'Backend Engineer', company: 'Acme', url: 'https://boards.greenhouse.io/acme/jobs/1' };
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// The automator with every step succeeding unless `results` says otherwise
+function scriptedAutomator(AutomatorClass, results = {}) {
+    const automator = new AutomatorClass();
+    const ran = [];
+    const step = (name, method, success) => {
+        automator[method] = async () => {
+            ran.push(name);
+            if (results[name] instanceof Error) throw results[name];
+            return results[name] || success;
+        };
+    };
+
+    step('apply_button', 'detectAndClickApplyButton', { success: true });
+    step('login', 'handleLogin', { success: true, loggedIn: false });
+    step('detect_form', 'detectApplicationForm', { success: true });
+    step('fill_form', 'fillApplicationPages', { success: true, pages: 2 });
+    step('submit', 'reviewAndSubmitApplication', { success: true, applicationId: 'GH_1' });
+    step('confirmation', 'detectConfirmation', { success: true, confirmed: true });
+    step('post_submission', 'handlePostSubmission', { success: true });
+    return { automator, ran };
+}
+
+async function testPipeline() {
+    console.log('\n🪜 Steps');
+
+    const { automator, ran } = scriptedAutomator(GreenhouseAutomator);
+    check(`the shared steps in order (${automator.getApplicationSteps().map(step => step.name).join(' → ')})`,
+        automator.getApplicationSteps().map(step => step.name).join() ===
+        'apply_button,login,detect_form,fill_form,review_gate,submit,confirmation,post_submission');
+
+    const result = await automator.handleApplication(JOB);
+    check(`a full run submits (${result.details && result.details.applicationId})`, result.success && result.submitted &&
+        result.platform === 'greenhouse' && result.details.applicationId === 'GH_1' && result.details.pages === 2 && result.details.confirmed);
+    check('every step ran once', ran.length === 7 && new Set(ran).size === 7);
+    check('the job is kept for the verification hints', automator.currentJob === JOB);
+
+    const unconfirmed = await scriptedAutomator(GreenhouseAutomator, { confirmation: { success: false } }).automator.handleApplication(JOB);
+    check('an optional step may fail', unconfirmed.success && !unconfirmed.details.confirmed);
+
+    const noButton = scriptedAutomator(GreenhouseAutomator, { apply_button: { success: false } });
+    const stopped = await noButton.automator.handleApplication(JOB);
+    check(`a required step stops the run (${stopped.error})`, !stopped.success && stopped.stepName === 'apply_button' &&
+        stopped.step === 1 && stopped.error === 'Could not find apply button' && noButton.ran.length === 1);
+
+    const login = await scriptedAutomator(GreenhouseAutomator, { login: { success: false, error: 'Wrong password' } }).automator.handleApplication(JOB);
+    check(`the step's own error is reported (${login.error})`, login.stepName === 'login' && login.error === 'Wrong password');
+
+    const thrown = await scriptedAutomator(GreenhouseAutomator, { submit: new Error('Target closed') }).automator.handleApplication(JOB);
+    check('an exception fails the application', !thrown.success && thrown.error === 'Target closed');
+}
+
+async function testReviewGate() {
+    console.log('\n⏸️ Review gate');
+
+    const { automator, ran } = scriptedAutomator(GreenhouseAutomator);
+    automator.fillApplicationPages = async () => {
+        automator.pendingReviewIds.push('review-1', 'review-2');
+        return { success: true, pages: 1 };
+    };
+
+    const paused = await automator.handleApplication(JOB);
+    check(`answers awaiting review pause before submitting (${paused.error})`, !paused.success && paused.paused &&
+        paused.stepName === 'review_gate' && paused.reviewIds.join() === 'review-1,review-2' && !ran.includes('submit'));
+
+    automator.fillApplicationPages = async () => ({ success: true, pages: 1 });
+    const next = await automator.handleApplication(JOB);
+    check('the next application starts with no pending reviews', next.success);
+}
+
+async function testWorkday() {
+    console.log('\n⚙️ Workday');
+
+    const { automator } = scriptedAutomator(WorkdayAutomator);
+    const result = await automator.handleApplication({ ...JOB, company: 'Initech' });
+    check(`Workday runs the shared pipeline (${result.platform})`, result.success && result.platform === 'workday');
+
+    automator.mainPage = { url: () => 'https://initech.wd5.myworkdayjobs.com/en-US/careers/job/R1234' };
+    check(`verification emails must name the tenant or company (${automator.verificationSenderNames().join(', ')})`,
+        automator.verificationSenderNames().join() === 'initech,Initech');
+    check('other platforms accept any sender name', new GreenhouseAutomator().verificationSenderNames() === null);
+}
+
+async function testResume() {
+    console.log('\n📎 Resume');
+
+    const fixture = 'test/fixtures/knowledge/resume.docx';
+    check('the resume comes from the profile', ATSApplicationEngine.resumePath({ personal: { resumeFile: fixture } }) ===
+        path.join(__dirname, 'fixtures', 'knowledge', 'resume.docx'));
+    check('a placeholder or missing file is no resume', ATSApplicationEngine.resumePath({ personal: { resumeFile: '[YOUR_RESUME_FILE]' } }) === null &&
+        ATSApplicationEngine.resumePath({ personal: { resumeFile: 'missing.pdf' } }) === null && ATSApplicationEngine.resumePath({}) === null);
+
+    // The template profile has no resume, so nothing else is attached in its place
+    const automator = new GreenhouseAutomator();
+    const attached = [];
+    automator.mainPage = { $: async () => ({ setInputFiles: async (file) => attached.push(file) }) };
+    const upload = await automator.uploadResume();
+    check(`without a resume nothing is uploaded (${upload.error})`, !upload.success && attached.length === 0);
+}
+
+async function testATSEngine() {
+    console.log('📝 TESTING ATS APPLICATION ENGINE...');
+
+    try {
+        await testPipeline();
+        await testReviewGate();
+        await testWorkday();
+        await testResume();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 The ATS engine works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testATSEngine();
@@ -0,0 +1,142 @@
+// A zone west of UTC, so an evening run falls on the next UTC day
+process.env.TZ = 'America/Los_Angeles';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobAutomationMaster = require('../src/automation/JobAutomationMaster');
+const ApplicationRepository = require('../database/ApplicationRepository');
+
+// Offline: a stand-in JobRight automator, and the run history and database in a temp directory
+const JOBS = [
+    { title: 'Backend Engineer', company: 'Acme', location: 'Remote', score: 82, hasApplyButton: true },
+    { title: 'Backend Engineer', company: 'Acme', location: 'Remote', score: 82, hasApplyButton: true },
+    { title: 'Platform Engineer', company: 'Globex', location: 'Austin, TX', score: 91, hasApplyButton: true },
+    { title: 'Data Engineer', company: 'Initech', location: 'Remote', score: 75, hasApplyButton: false },
+    { title: 'QA Engineer', company: 'Hooli', location: 'Remote', score: 40, hasApplyButton: true },
+    { title: 'Site Reliability Engineer', company: 'Umbrella', location: 'Remote', score: 88, hasApplyButton: true }
+];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function createMaster(tempDir, repository, name) {
+    const master = new JobAutomationMaster({
+        runsFile: path.join(tempDir, `${name}.json`),
+        repository,
+        dryRun: true,
+        delayBetweenJobs: 0
+    });
+    master.config.maxApplicationsPerDay = 30;
+    master.config.platformSettings = {
+        jobright: { enabled: true, maxApplications: 2, score_threshold: 70 },
+        workday: { enabled: false, maxApplications: 5, score_threshold: 80 },
+        greenhouse: { enabled: true, maxApplications: 1, score_threshold: 85 }
+    };
+    master.config.enabledPlatforms = ['jobright', 'workday', 'greenhouse'];
+    return master;
+}
+
+function testDailyCount(tempDir, repository) {
+    console.log('\n📅 Daily limit');
+
+    const master = createMaster(tempDir, repository, 'daily');
+    const at = (day, hour) => new Date(2026, 1, day, hour).toISOString();
+    fs.writeFileSync(master.runsFile, JSON.stringify([
+        { startedAt: at(5, 23), submitted: 5 },
+        { startedAt: at(6, 8), submitted: 2 },
+        { startedAt: at(6, 19), submitted: 3 }
+    ]));
+
+    // 8 PM on Feb 6 in Los Angeles is already Feb 7 in UTC
+    const count = master.countSubmittedToday(new Date(2026, 1, 6, 20));
+    check(`runs since local midnight count (${count})`, count === 5);
+    check('the next local day starts from zero', master.countSubmittedToday(new Date(2026, 1, 7, 9)) === 0);
+}
+
+function testPlatformLimits(tempDir, repository) {
+    console.log('\n🌐 Platform limits');
+
+    const master = createMaster(tempDir, repository, 'platforms');
+    const report = master.createReport();
+    const job = { title: 'Backend Engineer', company: 'Acme', score: 90 };
+
+    check('a disabled platform is refused', !master.canApplyOnPlatform('workday', job, report).allowed);
+    check('a score below the platform threshold is refused', !master.canApplyOnPlatform('greenhouse', { ...job, score: 80 }, report).allowed);
+    check('a platform missing from enabledPlatforms is refused', /lever is disabled/.test(master.canApplyOnPlatform('lever', job, report).reason || ''));
+    master.config.enabledPlatforms.push('lever');
+    check('an enabled platform without settings gets the default cap', master.canApplyOnPlatform('lever', job, report).allowed &&
+        master.getPlatformSettings('lever').maxApplications === 5);
+    report.perPlatform.greenhouse = { submitted: 1 };
+    check('a platform at its limit is refused', /limit of 1/.test(master.canApplyOnPlatform('greenhouse', job, report).reason || ''));
+}
+
+async function testDryRun(tempDir, repository) {
+    console.log('\n🎬 Dry run');
+
+    const master = createMaster(tempDir, repository, 'dry-run');
+    master.automator = { discoverJobs: async () => JOBS, close: async () => {} };
+    const report = await master.run();
+
+    check(`discovered ${report.discovered}, eligible ${report.eligible}`, report.discovered === 6 && report.eligible === 3);
+    const planned = report.applications.filter(application => application.status === 'dry_run');
+    check(`highest scores first, up to the JobRight limit (${planned.map(application => application.job.company).join(', ')})`,
+        planned.length === 2 && planned[0].job.company === 'Globex' && planned[1].job.company === 'Umbrella');
+    check(`skips give a reason (${report.skipped} skipped)`, report.skipped === 2 &&
+        report.applications.filter(application => application.status === 'skipped').every(application => !!application.reason));
+    check('nothing is attempted on a dry run', report.attempted === 0 && report.submitted === 0);
+    check('the report is saved', master.loadRuns().length === 1 && master.loadRuns()[0].runId === report.runId);
+}
+
+async function testFailingRun(tempDir, repository) {
+    console.log('\n🧯 Every application fails');
+
+    const master = createMaster(tempDir, repository, 'failing');
+    master.config.dryRun = false;
+    const companies = ['Soylent', 'Tyrell', 'Cyberdyne', 'Wonka', 'Stark', 'Wayne', 'Oscorp'];
+    const jobs = companies.map(company => ({ title: 'Backend Engineer', company, location: 'Remote', score: 90, hasApplyButton: true }));
+    const opened = [];
+    master.automator = {
+        discoverJobs: async () => jobs,
+        applyToJobWithAI: async (job) => {
+            opened.push(job.company);
+            return { success: false, platform: 'jobright', error: 'Form did not submit' };
+        },
+        close: async () => {}
+    };
+    const report = await master.run();
+
+    check(`attempts are capped at twice the submission limit (${opened.length} opened)`, opened.length === 4 && report.attempted === 4 &&
+        report.failed === 4 && report.submitted === 0);
+}
+
+async function testAutomationMaster() {
+    console.log('🎛️ TESTING AUTOMATION MASTER...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-master-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+
+    try {
+        testDailyCount(tempDir, repository);
+        testPlatformLimits(tempDir, repository);
+        await testDryRun(tempDir, repository);
+        await testFailingRun(tempDir, repository);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Automation runs work' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testAutomationMaster();
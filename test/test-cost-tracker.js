@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIConfig = require('../Config/ai-config');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+
+// Offline: the stub provider answers and every ledger lives in a temp directory
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-tracker-'));
+const MILLION = { inputTokens: 1000000, outputTokens: 1000000 };
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function createTracker(name, budget) {
+    return new CostTracker({ ledgerFile: path.join(tempDir, `${name}.json`), budget });
+}
+
+function testEstimateCost() {
+    console.log('\n💰 Pricing');
+
+    const tracker = createTracker('pricing');
+    const cases = [
+        ['claude-3-5-sonnet-20241022', 'anthropic', 18],
+        ['claude-3-5-sonnet-latest', 'anthropic', 18],
+        ['claude-3-5-haiku-20241022', 'anthropic', 4.8],
+        ['gpt-4o-mini-2024-07-18', 'openai', 0.75],
+        ['gpt-4o-2024-08-06', 'openai', 12.5],
+        ['gpt-4-0613', 'openai', 90],
+        ['llama3.1:8b', 'local', 0],
+        ['stub-model', 'stub', 0]
+    ];
+    for (const [model, provider, expected] of cases) {
+        const cost = tracker.estimateCost(model, MILLION, provider);
+        check(`${model} (${provider}) → $${cost}`, cost === expected);
+    }
+
+    // Unknown paid models are charged the top rate rather than nothing
+    const unknown = tracker.estimateCost('claude-opus-4-20250514', MILLION, 'anthropic');
+    check(`an unpriced anthropic model is charged the highest rate ($${unknown})`, unknown === 90);
+    check('the ledger records the family price', tracker.record({
+        provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', usage: { inputTokens: 1000, outputTokens: 0 }
+    }).cost === 0.003);
+    check('no pricing at all costs nothing', new CostTracker({ ledgerFile: path.join(tempDir, 'empty.json'), pricing: {} })
+        .estimateCost('gpt-4', MILLION, 'openai') === 0);
+}
+
+function createAnswerer(name, config = AIConfig) {
+    const tracker = createTracker(name, { dailyUSD: 1, monthlyUSD: 10 });
+    // One gpt-4 call worth $30 puts both budgets over the limit
+    tracker.record({ provider: 'openai', model: 'gpt-4', usage: { inputTokens: 1000000, outputTokens: 0 } });
+
+    return new AIQuestionAnswerer({
+        provider: 'stub',
+        config,
+        learningDatabase: path.join(tempDir, `${name}-learning.json`),
+        costTracker: tracker,
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, `${name}-review.json`) })
+    });
+}
+
+async function testExhaustedBudget() {
+    console.log('\n🪫 Exhausted budget');
+
+    const answerer = createAnswerer('exhausted');
+    check('the budget is exhausted', answerer.getBudgetStatus().level === 'exhausted');
+
+    const jobContext = { id: 'job-1', title: 'Backend Engineer', company: 'Acme', platform: 'greenhouse' };
+    const optional = await answerer.generateResponse('Why do you want to work at Acme?', jobContext, { optional: true });
+    check(`an optional question gets the template before being skipped (source: ${optional.source})`,
+        optional.source === 'template' && !!optional.answer && optional.answer.includes('Acme'));
+    check(`a template answer is submitted without waiting for review (confidence ${optional.confidence})`,
+        !optional.needs_review && answerer.reviewQueue.list().length === 0);
+
+    const clipped = await answerer.generateResponse('Why do you want to work at Acme?', jobContext, { field: { maxLength: 80 } });
+    check(`the template is clipped to the field (${clipped.answer.length} chars)`, clipped.source === 'template' && clipped.answer.length <= 80);
+
+    const config = {
+        ...AIConfig,
+        memory: { ...AIConfig.memory, embeddings: true, embeddingModel: { stub: 'stub-embedding' } }
+    };
+    const embedding = createAnswerer('embedding', config);
+    const embedder = embedding.createEmbedder();
+    let embedError = null;
+    try {
+        await embedder.embed(['Why do you want to work here?']);
+    } catch (error) {
+        embedError = error;
+    }
+    const embeddingCalls = embedding.costTracker.readLedger().entries.filter(entry => entry.category === 'embedding');
+    check(`no embedding call once the budget is gone (${embedError && embedError.message})`, !!embedError && embeddingCalls.length === 0);
+}
+
+async function testAttribution() {
+    console.log('\n🧾 Spend per job');
+
+    const config = {
+        ...AIConfig,
+        review: { ...AIConfig.review, selfEvaluation: true },
+        memory: { ...AIConfig.memory, embeddings: true, embeddingModel: { stub: 'stub-embedding' } }
+    };
+    const answerer = new AIQuestionAnswerer({
+        provider: 'stub',
+        config,
+        learningDatabase: path.join(tempDir, 'attribution-learning.json'),
+        costTracker: createTracker('attribution', { dailyUSD: 0, monthlyUSD: 0 }),
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, 'attribution-review.json') })
+    });
+    const learningData = answerer.answerMemory.readLearningData();
+    learningData.qa_pairs.push({ id: 'qa_1', question: 'What is your favourite database?', answer: 'Postgres.', status: 'approved' });
+    answerer.answerMemory.writeLearningData(learningData);
+    // The stub has no embeddings; the stored question points away from the new one, so the LLM answers
+    answerer.getProvider('stub').embed = async (texts, model) => ({
+        provider: 'stub', model, vectors: texts.map((text, i) => (i === 0 ? [1, 0] : [0, 1])), usage: { inputTokens: texts.length, outputTokens: 0 }
+    });
+
+    const jobContext = { id: 'job-7', title: 'Backend Engineer', company: 'Initech', platform: 'lever' };
+    await answerer.generateResponse('Describe a backend project you are proud of', jobContext);
+
+    const entries = answerer.costTracker.readLedger().entries;
+    check(`embedding, answer and self-evaluation calls are recorded (${entries.map(entry => entry.category).join(', ')})`,
+        entries.length === 3 && ['embedding', 'self_evaluation'].every(category => entries.some(entry => entry.category === category)));
+    check('each is charged to the job and its platform', entries.every(entry => entry.jobId === 'job-7' && entry.company === 'Initech' &&
+        entry.platform === 'lever'));
+}
+
+async function testCostTracker() {
+    console.log('💰 TESTING COST TRACKER...');
+
+    try {
+        testEstimateCost();
+        await testExhaustedBudget();
+        await testAttribution();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Cost tracking works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testCostTracker();
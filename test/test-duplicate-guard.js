@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobIdentity = require('../src/utils/JobIdentity');
+const DuplicateGuard = require('../src/automation/DuplicateGuard');
+const ApplicationRepository = require('../database/ApplicationRepository');
+
+// Offline: one posting as JobRight, LinkedIn and Greenhouse show it, and a throwaway SQLite file
+const JOBRIGHT_CARD = { id: 4, title: 'Sr. Software Engineer, Backend', company: 'Acme, Inc.', location: 'San Francisco, CA' };
+const LINKEDIN_LISTING = {
+    title: 'Senior Software Engineer - Backend (Hybrid)',
+    company: 'Acme',
+    location: 'San Francisco Bay Area',
+    url: 'https://www.linkedin.com/jobs/view/3812345678'
+};
+const GREENHOUSE_POSTING = {
+    title: 'Software Engineer III, Backend Platform',
+    company: 'Acme',
+    location: 'San Francisco, California, United States',
+    url: 'https://boards.greenhouse.io/acme/jobs/4012345'
+};
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testIdentity() {
+    console.log('\n🪪 Job identity');
+
+    const card = JobIdentity.of(JOBRIGHT_CARD);
+    check(`normalized key (${card.key})`, card.key === 'acme|senior software engineer back end|san francisco');
+    check('the same posting on JobRight and LinkedIn', JobIdentity.samePosting(card, JobIdentity.of(LINKEDIN_LISTING)));
+    check('another city is another posting',
+        !JobIdentity.samePosting(card, JobIdentity.of({ ...JOBRIGHT_CARD, location: 'Austin, TX' })));
+
+    [
+        ['https://boards.greenhouse.io/acme/jobs/4012345', 'greenhouse:4012345'],
+        ['https://acme.com/careers?gh_jid=4012345', 'greenhouse:4012345'],
+        ['https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Software-Engineer_R-10442', 'workday:acme:r-10442'],
+        ['https://jobs.lever.co/acme/0a1b2c3d-1111-2222-3333-444455556666/apply', 'lever:0a1b2c3d-1111-2222-3333-444455556666']
+    ].forEach(([url, expected]) => {
+        check(`requisition id from ${new URL(url).hostname} (${JobIdentity.requisitionId({ url })})`, JobIdentity.requisitionId({ url }) === expected);
+    });
+
+    const given = { title: 'Backend Engineer', company: 'Acme Corp', requisitionId: '4012345', platform: 'greenhouse' };
+    check(`a given requisition id is prefixed with the ATS (${JobIdentity.requisitionId(given)})`, JobIdentity.requisitionId(given) === 'greenhouse:4012345' &&
+        JobIdentity.samePosting(JobIdentity.of(given), JobIdentity.of(GREENHOUSE_POSTING)));
+    check('the ATS of a given id can come from the URL', JobIdentity.requisitionId({ requisitionId: 'R-10442',
+        url: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Software-Engineer_R-10442' }) === 'workday:acme:r-10442');
+    check('a given id without a known system is not used', JobIdentity.requisitionId({ company: 'Acme', requisitionId: '4012345' }) === null);
+}
+
+async function testGuard(repository) {
+    console.log('\n🚦 Duplicate guard');
+
+    const guard = new DuplicateGuard({ repository, companyCooldownDays: 0 });
+    check('a new posting may be applied to', (await guard.check(JOBRIGHT_CARD)).allowed);
+
+    // Applied from JobRight, which redirected to the Greenhouse board
+    await repository.recordResult({ ...JOBRIGHT_CARD, applyUrl: GREENHOUSE_POSTING.url }, { platform: 'greenhouse', status: 'submitted' });
+
+    const fromLinkedIn = await guard.check(LINKEDIN_LISTING);
+    check(`found again on LinkedIn (${fromLinkedIn.reason})`, !fromLinkedIn.allowed && fromLinkedIn.kind === 'duplicate');
+    check('found again on Greenhouse under another title, by requisition id', (await guard.check(GREENHOUSE_POSTING)).kind === 'duplicate');
+
+    const otherRole = { title: 'Data Engineer', company: 'ACME Corporation', location: 'Remote' };
+    check('other roles are allowed without a cool-down', (await guard.check(otherRole)).allowed);
+
+    const cooling = await new DuplicateGuard({ repository, companyCooldownDays: 30 }).check(otherRole);
+    check(`other roles wait out the cool-down (${cooling.reason})`, !cooling.allowed && cooling.kind === 'cooldown');
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    check('after the cool-down they are allowed', (await new DuplicateGuard({ repository, companyCooldownDays: 30 }).check(otherRole, later)).allowed);
+
+    await repository.recordResult(otherRole, { platform: 'lever', status: 'failed', reason: 'Could not verify submission' });
+    check('a failed attempt is not an application', (await guard.check(otherRole)).allowed);
+}
+
+async function testDuplicateGuard() {
+    console.log('🚦 TESTING DUPLICATE PREVENTION...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicate-guard-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+
+    try {
+        testIdentity();
+        await testGuard(repository);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Duplicate prevention works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testDuplicateGuard();
@@ -0,0 +1,80 @@
+const EEOHandler = require('../src/forms/EEOHandler');
+const FieldClassifier = require('../src/forms/FieldClassifier');
+
+// Offline: descriptors stand in for the fields FieldClassifier reads from a page
+const PROFILE = { eeo: { gender: 'Male', race: '[YOUR_RACE]', veteranStatus: 'I am not a protected veteran' } };
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testQuestions(handler) {
+    console.log('\n📋 Questions');
+
+    const expected = {
+        'What is your gender?': 'eeo_gender',
+        'Race/Ethnicity': 'eeo_race',
+        'Are you Hispanic or Latino?': 'eeo_hispanic',
+        'Protected veteran status': 'eeo_veteran',
+        'Voluntary Self-Identification of Disability': 'eeo_disability',
+        'Why do you want to work here?': null
+    };
+    for (const [question, type] of Object.entries(expected)) {
+        const result = handler.classifyQuestion(question);
+        check(`"${question}" → ${result}`, result === type);
+    }
+}
+
+function testOptions(handler) {
+    console.log('\n🔘 Options');
+
+    const genders = ['Select...', 'Female', 'Male', 'Decline to self-identify'];
+    check('"Male" never picks "Female"', handler.answer('Gender', { type: 'select', options: genders }).answer === 'Male');
+
+    const races = ['Asian', 'White', 'I do not wish to answer'];
+    const race = handler.answer('Race', { type: 'select', options: races });
+    check(`a placeholder preference declines (${race.answer})`, race.preference === EEOHandler.DECLINE && race.answer === 'I do not wish to answer');
+
+    const veteran = handler.answer('Veteran status', { type: 'radio', options: ['I am a protected veteran', 'I am not a protected veteran'] });
+    check(`the preferred option is chosen (${veteran.answer})`, veteran.answer === 'I am not a protected veteran');
+
+    const nothing = handler.answer('Disability status', { type: 'select', options: ['Yes', 'No'] });
+    check('no decline option leaves the question for review', nothing.answer === null && nothing.optionIndex === -1);
+}
+
+function testTextFields(handler) {
+    console.log('\n✏️ Text fields');
+
+    const classifier = new FieldClassifier();
+    const field = (descriptor) => classifier.classifyAll([{ tag: 'input', type: 'text', ...descriptor }])[0];
+
+    check('a text box labelled "Gender" is filled', handler.fillsTextField(field({ label: 'Gender' })));
+    check('a Workday automation id counts as a label', handler.fillsTextField(field({ automationId: 'personalInfoUS--ethnicity' })));
+    check('a race mention in nearby text is not enough', !handler.fillsTextField(field({ surroundingText: 'We value diversity of race and gender', name: 'notes' })));
+    check('a placeholder alone is not enough', !handler.fillsTextField(field({ placeholder: 'Gender' })));
+    check('a field the classifier types as something else is left alone', !handler.fillsTextField(field({ label: 'Preferred name', surroundingText: 'gender' })));
+}
+
+function testEEOHandler() {
+    console.log('📋 TESTING EEO HANDLER...');
+
+    try {
+        const handler = new EEOHandler(PROFILE);
+        testQuestions(handler);
+        testOptions(handler);
+        testTextFields(handler);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 EEO handling works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testEEOHandler();
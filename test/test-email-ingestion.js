@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailClassifier = require('../src/email/EmailClassifier');
+const EmailIngestor = require('../src/email/EmailIngestor');
+const EmailMatcher = require('../src/email/EmailMatcher');
+const MailboxReader = require('../src/email/MailboxReader');
+const ApplicationRepository = require('../database/ApplicationRepository');
+
+// Offline: .eml fixtures stand in for the IMAP server, and a throwaway SQLite file for the database
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/emails');
+const SUBMITTED_AT = '2026-02-01T12:00:00Z';
+const APPLICATIONS = [
+    { title: 'Backend Engineer', company: 'Acme', location: 'Remote', platform: 'greenhouse' },
+    { title: 'Frontend Engineer', company: 'Acme', location: 'Remote', platform: 'greenhouse' },
+    { title: 'Data Engineer', company: 'Globex Corporation', location: 'Austin, TX', platform: 'lever' },
+    { title: 'Platform Engineer', company: 'Initech', location: 'Remote', platform: 'workday' }
+];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// MailboxReader with the IMAP fetch replaced by the fixture files
+function fixtureMailbox() {
+    const mailbox = new MailboxReader({ user: 'candidate@example.com', password: 'unused' });
+    mailbox.fetchRaw = async () => fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.eml'))
+        .map(file => fs.readFileSync(path.join(FIXTURES_DIR, file)));
+    return mailbox;
+}
+
+async function testClassifier() {
+    console.log('\n📨 Classification');
+
+    const expected = {
+        'acme-confirmation.eml': 'confirmation',
+        'acme-interview.eml': 'interview',
+        'globex-rejection.eml': 'rejection',
+        // Acknowledgements that mention "unfortunately", "not selected" or a phone screen only conditionally
+        'initech-confirmation.eml': 'confirmation',
+        'globex-confirmation.eml': 'confirmation',
+        'initech-assessment.eml': 'assessment',
+        'workday-verification.eml': 'verification_code',
+        'job-digest.eml': null
+    };
+    for (const [file, kind] of Object.entries(expected)) {
+        const email = await MailboxReader.parse(fs.readFileSync(path.join(FIXTURES_DIR, file)));
+        const result = EmailClassifier.classify(email);
+        check(`${file} → ${result.kind}${result.matched ? ` ("${result.matched}")` : ''}`, result.kind === kind);
+    }
+
+    check('verification code extracted', EmailClassifier.extractCode('Your verification code is: 482913') === '482913');
+}
+
+function testSenderDomain() {
+    console.log('\n🔗 Sender domain');
+
+    [
+        ['careers@mail.acme.com', 'acme'],
+        ['careers@acme.co.uk', 'acme'],
+        ['jobs@talent.globex.com.au', 'globex'],
+        ['hr@initech.de', 'initech'],
+        ['hr@co.uk', null],
+        ['no-reply@us.greenhouse-mail.io', null]
+    ].forEach(([address, expected]) => {
+        check(`${address} → ${EmailMatcher.companyDomain(address)}`, EmailMatcher.companyDomain(address) === expected);
+    });
+
+    const applications = [{ id: 'app-1', company: 'Acme Ltd', jobTitle: 'Backend Engineer' }];
+    const match = EmailMatcher.match({ from: { address: 'careers@acme.co.uk' }, subject: 'Your application', text: 'Thanks for applying.' }, applications);
+    check(`a .co.uk sender matches its company (${match.reason})`, match.application && match.application.id === 'app-1');
+}
+
+async function testIngestion(repository) {
+    console.log('\n📥 Ingestion');
+
+    const ids = {};
+    for (const { platform, ...job } of APPLICATIONS) {
+        const recorded = await repository.recordSubmission(job, { url: `https://jobs.example.com/${job.title}` }, { platform, at: SUBMITTED_AT });
+        ids[`${job.company}|${job.title}`] = recorded.applicationId;
+    }
+
+    const ingestor = new EmailIngestor({ repository, mailbox: fixtureMailbox(), lookbackDays: 3650 });
+    const summary = await ingestor.run();
+    check(`processed ${summary.processed}, updated ${summary.updated}, unmatched ${summary.unmatched}`,
+        summary.success && summary.processed === 11 && summary.updated === 6 && summary.unmatched === 1);
+
+    const backend = await repository.getApplication(ids['Acme|Backend Engineer']);
+    check(`the title tells two Acme applications apart (${backend.history.map(change => change.to).join(' → ')})`,
+        backend.status === 'interview' && backend.history.some(change => change.to === 'confirmation_received' && change.source === 'email'));
+    check('the other Acme application is untouched', (await repository.getApplication(ids['Acme|Frontend Engineer'])).status === 'submitted');
+    check('a rejection from the company domain', (await repository.getApplication(ids['Globex Corporation|Data Engineer'])).status === 'rejected');
+    const initech = await repository.getApplication(ids['Initech|Platform Engineer']);
+    check(`an acknowledgement does not reject (${initech.history.map(change => change.to).join(' → ')})`,
+        initech.status === 'assessment_requested' && !initech.history.some(change => change.to === 'rejected'));
+
+    const verification = summary.results.find(result => result.kind === 'verification_code');
+    check('the verification code is kept', verification && verification.code === '482913');
+    const hooli = summary.results.find(result => result.subject.includes('Hooli'));
+    check(`an email about no application is recorded unmatched (${hooli && hooli.note})`, hooli && !hooli.applicationId);
+
+    const rerun = await new EmailIngestor({ repository, mailbox: fixtureMailbox() }).run();
+    check('a rerun skips emails already seen', rerun.success && rerun.fetched === 11 && rerun.processed === 0);
+}
+
+async function testEmailIngestion() {
+    console.log('📥 TESTING EMAIL INGESTION...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-ingestion-'));
+    const repository = new ApplicationRepository({ client: 'sqlite', filename: path.join(tempDir, 'test.db') });
+
+    try {
+        await testClassifier();
+        testSenderDomain();
+        await testIngestion(repository);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await repository.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Email ingestion works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testEmailIngestion();
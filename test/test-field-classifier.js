@@ -0,0 +1,75 @@
+const FieldClassifier = require('../src/forms/FieldClassifier');
+
+// Offline: descriptors as collectFieldDescriptors reads them from Greenhouse, Lever and Workday forms
+const CASES = [
+    [{ tag: 'input', type: 'text', label: 'First Name *' }, 'first_name', 0.9, 'label'],
+    [{ tag: 'input', type: 'text', autocomplete: 'family-name', name: 'q_12' }, 'last_name', 0.95, 'autocomplete'],
+    [{ tag: 'input', type: 'email', name: 'contact' }, 'email', 0.8, 'inputType'],
+    [{ tag: 'input', type: 'text', automationId: 'legalNameSection_firstName' }, 'first_name', 0.95, 'automationId'],
+    [{ tag: 'input', type: 'text', ariaLabel: 'LinkedIn Profile' }, 'linkedin_url', 0.9, 'ariaLabel'],
+    [{ tag: 'input', type: 'url', label: 'GitHub URL' }, 'github_url', 0.9, 'label'],
+    [{ tag: 'input', type: 'radio', label: 'Yes', legend: 'Will you now or in the future require visa sponsorship?' }, 'visa_sponsorship', 0.75, 'legend'],
+    [{ tag: 'input', type: 'text', label: 'Are you legally authorized to work in the United States?' }, 'work_authorization', 0.9, 'label'],
+    [{ tag: 'select', label: 'How many years of experience do you have with Python?' }, 'years_experience', 0.9, 'label'],
+    [{ tag: 'select', ariaLabelledBy: 'Gender' }, 'eeo_gender', 0.85, 'ariaLabelledBy'],
+    [{ tag: 'input', type: 'text', placeholder: 'Expected salary' }, 'salary', 0.65, 'placeholder'],
+    [{ tag: 'input', type: 'file', name: 'resume' }, 'resume_upload', 0.8, 'inputType'],
+    [{ tag: 'textarea', label: 'Cover Letter' }, 'cover_letter', 0.9, 'label'],
+    [{ tag: 'textarea', label: 'Tell us about a project you are proud of' }, 'free_text_question', 0.4, 'question'],
+    [{ tag: 'input', type: 'text', name: 'field_7' }, 'unknown', 0, null]
+];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testClassify(classifier) {
+    console.log('\n🏷️ Field types');
+
+    for (const [descriptor, type, confidence, matchedBy] of CASES) {
+        const result = classifier.classify(descriptor);
+        const text = FieldClassifier.questionText(descriptor) || descriptor.autocomplete || descriptor.type;
+        check(`"${text}" → ${result.type} (${result.confidence} by ${result.matchedBy})`,
+            result.type === type && result.confidence === confidence && result.matchedBy === matchedBy);
+    }
+
+    const labelOverName = classifier.classify({ tag: 'input', type: 'text', label: 'Phone', name: 'email_field' });
+    check(`the label outweighs the name (${labelOverName.type})`, labelOverName.type === 'phone');
+    const firstRuleWins = classifier.classify({ tag: 'input', type: 'text', label: 'Gender and veteran status' });
+    check(`on a tie the earlier rule wins (${firstRuleWins.type})`, firstRuleWins.type === 'eeo_gender');
+}
+
+function testText() {
+    console.log('\n🔤 Text');
+
+    check('camelCase and separators are split', FieldClassifier.normalize('legalNameSection_firstName') === 'legal name section first name');
+    check('required markers are dropped', FieldClassifier.normalize('Email Address *') === 'email address');
+    check('the label is the question', FieldClassifier.questionText({ label: 'City', name: 'loc_1', placeholder: 'e.g. Austin' }) === 'City');
+    const constraints = FieldClassifier.constraintsOf({ tag: 'textarea', type: 'textarea', maxLength: 500 });
+    check('length limits are passed on as answer constraints', constraints.maxLength === 500 && constraints.minLength === null);
+
+    const [field] = new FieldClassifier().classifyAll([{ tag: 'input', type: 'text', surroundingText: 'Preferred pronouns' }]);
+    check(`classifyAll falls back to nearby text for the question (${field.question})`, field.question === 'Preferred pronouns');
+}
+
+function testFieldClassifier() {
+    console.log('🏷️ TESTING FIELD CLASSIFIER...');
+
+    try {
+        testClassify(new FieldClassifier());
+        testText();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Field classification works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testFieldClassifier();
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobDescriptionAnalyzer = require('../src/ai/JobDescriptionAnalyzer');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+
+// Offline: a posting as page text (list items without bullet marks), and the stub provider
+const POSTING = `About the role
+Acme has been building payments software for 40 years. We are hiring a backend engineer for the ledger team.
+What you'll do
+Design and operate Kafka-based event pipelines
+Own services written in Java and Spring Boot
+Requirements
+5+ years of professional experience building backend services
+Strong Java and SQL skills
+Experience with Kafka and PostgreSQL
+Nice to have
+Experience with Go or Rust
+Benefits
+Health insurance and 401(k)`;
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testSummary() {
+    console.log('\n🔎 Summary');
+    const summary = new JobDescriptionAnalyzer().summarize(POSTING, 'Senior Backend Engineer');
+
+    check(`seniority from the title (${summary.seniority})`, summary.seniority === 'senior');
+    check(`years required ignores the company's age (${summary.yearsRequired})`, summary.yearsRequired === 5);
+    check(`tech stack (${summary.techStack.join(', ')})`,
+        ['Kafka', 'Java', 'Spring Boot', 'PostgreSQL', 'SQL'].every(name => summary.techStack.includes(name)) &&
+        summary.techStack[0] === 'Kafka');
+    check(`requirements stop at the next heading (${summary.requirements.length})`,
+        summary.requirements.length === 3 && summary.requirements[1] === 'Strong Java and SQL skills');
+    check('preferred items are kept apart', summary.preferred.length === 1 && summary.preferred[0].includes('Go or Rust'));
+    check('benefits are not requirements', !summary.requirements.concat(summary.responsibilities).some(item => item.includes('401')));
+
+    const unstructured = new JobDescriptionAnalyzer().summarize('You need 3-5 years of experience developing web apps. Knowledge of GraphQL is a plus.', 'Software Engineer');
+    check(`without headings, requirement sentences are used (${unstructured.requirements.length})`,
+        unstructured.requirements.length === 2 && unstructured.seniority === 'mid');
+}
+
+async function testGrounding() {
+    console.log('\n🔎 Grounding');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-description-'));
+    try {
+        const answerer = new AIQuestionAnswerer({
+            provider: 'stub',
+            learningDatabase: path.join(tempDir, 'ai_learning.json'),
+            costTracker: new CostTracker({ ledgerFile: path.join(tempDir, 'llm_usage.json') }),
+            reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, 'review_queue.json') })
+        });
+        const stub = answerer.getProvider('stub');
+        const jobContext = { title: 'Senior Backend Engineer', company: 'Acme', description: POSTING };
+
+        const response = await answerer.generateResponse('Why do you want to work at Acme?', jobContext);
+        const prompt = stub.calls[0].prompt;
+        check('the prompt carries the summary', prompt.includes('Tech stack: Kafka') && prompt.includes('- Strong Java and SQL skills'));
+        check('the raw posting is not pasted into the prompt', !prompt.includes('Health insurance'));
+        check('the response says it used the description', response.learning_data.used_job_description === true);
+
+        const stored = JSON.parse(fs.readFileSync(path.join(tempDir, 'ai_learning.json'), 'utf8')).qa_pairs[0];
+        check('the stored Q&A pair leaves the posting out', stored.job_context.description === undefined);
+
+        await answerer.generateResponse('Describe your experience building APIs', { title: 'Engineer', company: 'Globex' });
+        check('without a description the prompt says so', stub.calls[1].prompt.includes('No job description available'));
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+async function testJobDescription() {
+    console.log('🔎 TESTING JOB DESCRIPTION ANALYSIS...');
+
+    try {
+        testSummary();
+        await testGrounding();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Job description analysis works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testJobDescription();
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentReader = require('../src/utils/DocumentReader');
+const KnowledgeBaseBuilder = require('../src/ai/KnowledgeBaseBuilder');
+
+// Offline: small resume and prep documents, copied to a temp directory so they can be edited, with the cache beside them
+const FIXTURES = path.join(__dirname, 'fixtures', 'knowledge');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-base-'));
+const DOCX_TEXT = '# Jordan Lee\n# Experience\nStaff Engineer\tInitech & Co | 2019 - 2023\n- Scaled the <payments> API to 3x traffic\n# Skills\nRust (2 years), TypeScript\nTerraform';
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name));
+
+// Offset of the first central directory entry, where each entry's compression method is stored
+function centralDirectoryOffset(buffer) {
+    for (let offset = buffer.length - 22; offset >= 0; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) return buffer.readUInt32LE(offset + 16);
+    }
+    return -1;
+}
+
+async function testDocumentReader() {
+    console.log('\n📄 Reading documents');
+
+    check('types come from the extension', DocumentReader.typeOf('Resume.DOCX') === 'docx' && DocumentReader.typeOf('notes.md') === 'markdown' &&
+        DocumentReader.typeOf('prep.pdf') === 'pdf' && DocumentReader.typeOf('resume.rtf') === null);
+
+    const deflated = await DocumentReader.read(path.join(FIXTURES, 'resume.docx'));
+    check('a deflated .docx reads as Markdown-like text', deflated.type === 'docx' && deflated.text === DOCX_TEXT);
+    const stored = await DocumentReader.read(path.join(FIXTURES, 'resume-stored.docx'));
+    check('a stored (uncompressed) .docx reads the same', stored.text === DOCX_TEXT);
+
+    const markdown = await DocumentReader.read(path.join(FIXTURES, 'resume.md'));
+    check('Markdown and text are read as they are', markdown.type === 'markdown' && markdown.text === fixture('resume.md').toString('utf8'));
+
+    check('a file that is not a zip has no entries', DocumentReader.unzipEntry(fixture('resume.md'), 'word/document.xml') === null);
+    check('a missing entry is null', DocumentReader.unzipEntry(fixture('resume.docx'), 'word/missing.xml') === null);
+
+    let error = null;
+    try {
+        DocumentReader.docxToText(fixture('resume.md'));
+    } catch (caught) {
+        error = caught;
+    }
+    check(`a file without word/document.xml is refused (${error && error.message})`, error && /word\/document\.xml is missing/.test(error.message));
+
+    // Method 12 is bzip2, which Word never writes
+    const bzip2 = Buffer.from(fixture('resume-stored.docx'));
+    let entry = centralDirectoryOffset(bzip2);
+    while (bzip2.readUInt32LE(entry) === 0x02014b50) {
+        bzip2.writeUInt16LE(12, entry + 10);
+        entry += 46 + bzip2.readUInt16LE(entry + 28) + bzip2.readUInt16LE(entry + 30) + bzip2.readUInt16LE(entry + 32);
+    }
+    error = null;
+    try {
+        DocumentReader.docxToText(bzip2);
+    } catch (caught) {
+        error = caught;
+    }
+    check(`other compression methods are refused (${error && error.message})`, error && /compression method 12/.test(error.message));
+
+    error = null;
+    try {
+        await DocumentReader.read(path.join(FIXTURES, 'resume.rtf'));
+    } catch (caught) {
+        error = caught;
+    }
+    check('an unsupported type is refused before reading', error && /Unsupported document type/.test(error.message));
+}
+
+async function testParse() {
+    console.log('\n🧩 Extracting entries');
+
+    const resume = KnowledgeBaseBuilder.parse(fixture('resume.md').toString('utf8'));
+    check(`the summary section (${resume.summary})`, resume.summary === 'Backend engineer who builds payment systems.');
+    const [acme, globex] = resume.experiences;
+    check(`experiences with title, company and dates (${resume.experiences.length})`, resume.experiences.length === 2 &&
+        acme.title === 'Senior Backend Engineer' && acme.company === 'Acme Corp' && acme.start === 'Jan 2021' && acme.end === 'Present' &&
+        acme.bullets.length === 2 && globex.title === 'Software Engineer' && globex.company === 'Globex' && globex.start === '2018');
+    const [project] = resume.projects;
+    check(`projects with their technologies (${project.technologies.join(', ')})`, resume.projects.length === 1 && project.name === 'Ledger Lens' &&
+        project.description === 'A reconciliation dashboard' && project.technologies.join() === 'React,Node.js,PostgreSQL' &&
+        project.bullets.join() === 'Saved finance 12 hours a week');
+    check(`skills with years where given (${resume.skills.map(skill => `${skill.name}/${skill.years}`).join(', ')})`,
+        resume.skills.map(skill => `${skill.name}/${skill.years}`).join() === 'Go/4,Java/null,Python/6,Kafka/null,Kubernetes/null');
+    check(`metrics keep their sentence and context (${resume.metrics.map(metric => metric.value).join(', ')})`,
+        resume.metrics[0].value === '40%' && resume.metrics[0].context === 'Senior Backend Engineer at Acme Corp' &&
+        resume.metrics.some(metric => metric.value === '12 hours' && metric.context === 'Ledger Lens'));
+
+    const notes = KnowledgeBaseBuilder.parse(fixture('prep-notes.txt').toString('utf8'));
+    const [story] = notes.stories;
+    check(`a STAR story is named by the line before it (${story && story.title})`, notes.stories.length === 1 && story.title === 'Billing outage' &&
+        story.task === 'Stop duplicate charges before the month-end run.' &&
+        story.action === 'Added idempotency keys to the billing API and replayed the failed jobs.');
+    check('the story result is a metric', notes.metrics.some(metric => metric.value === '$20k' && metric.context === 'Billing outage'));
+    check('"5 years of experience with Kafka" anywhere is a skill', notes.skills.some(skill => skill.name === 'Kafka' && skill.years === 5));
+
+    const word = KnowledgeBaseBuilder.parse(DOCX_TEXT);
+    check(`a tab separates title and company in Word headers (${word.experiences[0].title} / ${word.experiences[0].company})`,
+        word.experiences[0].title === 'Staff Engineer' && word.experiences[0].company === 'Initech & Co');
+    check('a line break in Word splits skills too', word.skills.map(skill => skill.name).join() === 'Rust,TypeScript,Terraform');
+
+    check('a bullet that mentions skills is not a heading', KnowledgeBaseBuilder.headingOf('- Taught interview skills') === null &&
+        KnowledgeBaseBuilder.headingOf('## Technical Skills') === 'skills' && KnowledgeBaseBuilder.headingOf('## Hobbies') === 'other');
+}
+
+async function testCache() {
+    console.log('\n🗄️ Cache');
+
+    const docs = path.join(tempDir, 'docs');
+    const cacheDir = path.join(tempDir, 'cache');
+    fs.mkdirSync(docs);
+    ['resume.md', 'prep-notes.txt', 'resume.docx'].forEach(name => fs.copyFileSync(path.join(FIXTURES, name), path.join(docs, name)));
+    const sources = ['resume.md', 'prep-notes.txt', 'resume.docx', 'missing.pdf'].map(name => path.join(docs, name));
+
+    const read = DocumentReader.read;
+    const reads = [];
+    DocumentReader.read = async (file) => {
+        reads.push(path.basename(file));
+        return read(file);
+    };
+
+    try {
+        const knowledge = await new KnowledgeBaseBuilder({ sources, cacheDir }).load();
+        check(`every present document is parsed once (${reads.join(', ')})`, reads.join() === 'resume.md,prep-notes.txt,resume.docx');
+        check('a missing document is left out', knowledge.sources.length === 3 && knowledge.sources.every(source => source.hash.length === 64));
+        check(`documents are merged (${knowledge.experiences.length} experiences)`, knowledge.experiences.length === 3 &&
+            knowledge.skills.find(skill => skill.name === 'Kafka').years === 5);
+        check('one cache file per document, keyed by its hash', fs.readdirSync(cacheDir).sort().join() ===
+            knowledge.sources.map(source => `${source.hash}.json`).sort().join());
+
+        reads.length = 0;
+        const builder = new KnowledgeBaseBuilder({ sources, cacheDir });
+        const cached = await builder.load();
+        check('unchanged documents come from the cache', reads.length === 0 && JSON.stringify(cached) === JSON.stringify(knowledge));
+        check('a second load in the same process reuses the result', await builder.load() === cached);
+
+        fs.appendFileSync(path.join(docs, 'resume.md'), 'Cloud: Terraform (3 years)\n');
+        const changed = await builder.load();
+        check(`an edited document is parsed again (${reads.join(', ')})`, reads.join() === 'resume.md' &&
+            changed.skills.some(skill => skill.name === 'Terraform' && skill.years === 3));
+        check('the old cache entry stays for the old contents', fs.readdirSync(cacheDir).length === 4);
+
+        reads.length = 0;
+        const hash = KnowledgeBaseBuilder.hashFile(path.join(docs, 'prep-notes.txt'));
+        fs.writeFileSync(path.join(cacheDir, `${hash}.json`), '{ not json');
+        const repaired = await new KnowledgeBaseBuilder({ sources, cacheDir }).load();
+        check('a corrupt cache entry is parsed again', reads.join() === 'prep-notes.txt' && repaired.stories.length === 1);
+
+        fs.writeFileSync(path.join(docs, 'resume.docx'), 'not a zip');
+        const broken = await new KnowledgeBaseBuilder({ sources, cacheDir }).load();
+        check('an unreadable document is skipped', broken.sources.length === 2 && broken.experiences.length === 2);
+    } finally {
+        DocumentReader.read = read;
+    }
+}
+
+async function testKnowledgeBase() {
+    console.log('📚 TESTING KNOWLEDGE BASE...');
+
+    try {
+        await testDocumentReader();
+        await testParse();
+        await testCache();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 The knowledge base works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testKnowledgeBase();
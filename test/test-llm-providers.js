@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIConfig = require('../Config/ai-config');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+const LLMProviderFactory = require('../src/ai/providers/LLMProviderFactory');
+const StubProvider = require('../src/ai/providers/StubProvider');
+
+// Offline: only the stub provider is ever called; the others are only looked up and configured
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-providers-'));
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function createAnswerer(name, provider, config = AIConfig) {
+    return new AIQuestionAnswerer({
+        provider,
+        config,
+        learningDatabase: path.join(tempDir, `${name}-learning.json`),
+        costTracker: new CostTracker({ ledgerFile: path.join(tempDir, `${name}-ledger.json`), budget: { dailyUSD: 0, monthlyUSD: 0 } }),
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, `${name}-review.json`) })
+    });
+}
+
+function testFactory() {
+    console.log('\n🏭 Factory');
+
+    check(`every backend is listed (${LLMProviderFactory.list().join(', ')})`,
+        ['openai', 'local', 'anthropic', 'stub'].every(id => LLMProviderFactory.list().includes(id)));
+    check('create returns the named backend', LLMProviderFactory.create('stub') instanceof StubProvider);
+
+    let error = null;
+    try {
+        LLMProviderFactory.create('gemini');
+    } catch (caught) {
+        error = caught;
+    }
+    check(`an unknown provider is refused (${error && error.message})`, error && /Unknown LLM provider "gemini"/.test(error.message));
+}
+
+async function testStub() {
+    console.log('\n🧪 Stub provider');
+
+    const stub = new StubProvider({
+        responses: [
+            { match: /salary/i, text: '  150000  ' },
+            { match: 'relocate', text: 'Yes' }
+        ]
+    });
+    const salary = await stub.complete({ prompt: 'What are your Salary expectations?', model: 'stub-large' });
+    check('a regex match gets its canned answer, trimmed', salary.text === '150000' && salary.model === 'stub-large');
+    check('the result has the shared shape', salary.provider === 'stub' && salary.usage.inputTokens > 0 && salary.usage.outputTokens > 0);
+    check('a substring match gets its canned answer', (await stub.complete({ prompt: 'Are you willing to relocate?' })).text === 'Yes');
+
+    const other = await stub.complete({ prompt: 'Tell us about yourself' });
+    check('anything else gets the default answer', other.text === stub.defaultText && other.model === 'stub');
+    check('calls are recorded in order', stub.calls.length === 3 && stub.calls[1].prompt === 'Are you willing to relocate?');
+}
+
+function testModelSettings() {
+    console.log('\n🎛️ Settings per category');
+
+    const openai = createAnswerer('openai', 'openai');
+    const skills = openai.getModelSettings('skills');
+    check(`a category can pick a smaller model (${skills.model})`, skills.provider === 'openai' && skills.model === 'gpt-4o-mini' &&
+        skills.temperature === 0.4 && skills.maxTokens === 200);
+    check('a model named for another provider is ignored', openai.getModelSettings('technical').model === AIConfig.models.openai);
+
+    const anthropic = createAnswerer('anthropic', 'anthropic');
+    check('the same category follows the provider', anthropic.getModelSettings('technical').model === 'claude-3-5-sonnet-latest' &&
+        anthropic.getModelSettings('skills').model === AIConfig.models.anthropic);
+
+    const unknown = anthropic.getModelSettings('not_a_category');
+    check('an unknown category uses the general settings', unknown.temperature === AIConfig.categories.general.temperature &&
+        unknown.maxTokens === AIConfig.categories.general.maxTokens);
+
+    const config = {
+        ...AIConfig,
+        categories: { ...AIConfig.categories, cover_letter: { provider: 'local', model: 'qwen2.5:14b' }, goals: {} }
+    };
+    const routed = createAnswerer('routed', 'openai', config);
+    const coverLetter = routed.getModelSettings('cover_letter');
+    check('a category can name its own provider', coverLetter.provider === 'local' && coverLetter.model === 'qwen2.5:14b');
+    check('unset values fall back to the defaults', routed.getModelSettings('goals').temperature === AIConfig.defaults.temperature &&
+        routed.getModelSettings('goals').maxTokens === AIConfig.defaults.maxTokens);
+}
+
+async function testGeneration() {
+    console.log('\n💬 Answering through a provider');
+
+    const config = {
+        ...AIConfig,
+        providers: { ...AIConfig.providers, stub: { responses: [{ match: /slow/i, text: 'I would measure where the time goes and fix the slowest query first.' }] } }
+    };
+    const answerer = createAnswerer('generation', 'stub', config);
+    const result = await answerer.generateResponse('How would you speed up a slow API endpoint?', { title: 'Backend Engineer', company: 'Acme' });
+    check(`the configured provider answers (${result.source} via ${result.provider})`, result.source === 'generation' && result.provider === 'stub' &&
+        result.answer === 'I would measure where the time goes and fix the slowest query first.');
+    check('the provider options come from the config', answerer.getProvider('stub').responses.length === 1);
+    check('providers are created once and reused', answerer.getProvider('stub') === answerer.getProvider('stub'));
+}
+
+async function testLLMProviders() {
+    console.log('🔌 TESTING LLM PROVIDERS...');
+
+    try {
+        testFactory();
+        await testStub();
+        testModelSettings();
+        await testGeneration();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 LLM providers work' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testLLMProviders();
@@ -0,0 +1,100 @@
+const PlatformRegistry = require('../src/platforms/PlatformRegistry');
+
+// Offline: a page stand-in reports how many of each platform's DOM fingerprints it found
+function pageWith(matches) {
+    return { evaluate: async () => matches };
+}
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 0.011;
+
+function testUrls(registry) {
+    console.log('\n🔗 URL detection');
+
+    const expected = {
+        'https://boards.greenhouse.io/acme/jobs/4012345': 'greenhouse',
+        'https://www.acme.com/careers/opening?gh_jid=4012345': 'greenhouse',
+        'https://jobs.lever.co/globex/8d2f5b1c': 'lever',
+        'https://initech.wd5.myworkdayjobs.com/en-US/careers/job/Remote/Platform-Engineer_R1234': 'workday',
+        'https://hooli.bamboohr.com/careers/42': 'bamboohr',
+        'https://www.linkedin.com/jobs/view/3812345678': 'linkedin',
+        'https://www.acme.com/careers/opening/42': null
+    };
+    for (const [url, id] of Object.entries(expected)) {
+        const detection = registry.detectFromUrl(url);
+        check(`${url} → ${detection ? `${detection.id} (${detection.confidence})` : 'none'}`, (detection ? detection.id : null) === id);
+    }
+}
+
+async function testDom(registry) {
+    console.log('\n🧬 DOM fingerprints');
+
+    const customDomain = 'https://careers.acme.com/jobs/42';
+
+    const embedded = await registry.detect(customDomain, pageWith({ greenhouse: 2 }));
+    check(`an embedded Greenhouse form on a company domain (${embedded && embedded.confidence})`,
+        embedded && embedded.id === 'greenhouse' && near(embedded.confidence, 0.65) && embedded.matchedBy.join() === 'dom');
+
+    const both = await registry.detect('https://boards.greenhouse.io/acme/jobs/1', pageWith({ greenhouse: 2 }));
+    check(`URL and DOM together beat either alone (${both.confidence})`, both.confidence === 1 && both.matchedBy.join() === 'url,dom');
+
+    const stronger = await registry.detect(customDomain, pageWith({ greenhouse: 1, workday: 5 }));
+    check(`more fingerprints win (${stronger.id} ${stronger.confidence})`, stronger.id === 'workday' && near(stronger.confidence, 0.9));
+
+    const urlOverDom = await registry.detect('https://jobs.lever.co/globex/1', pageWith({ greenhouse: 1 }));
+    check(`a URL match outweighs one stray fingerprint (${urlOverDom.id})`, urlOverDom.id === 'lever');
+
+    const strict = new PlatformRegistry({ minConfidence: 0.6 });
+    strict.registerAutomator(require('../src/platforms/GreenhouseAutomator'));
+    check('one fingerprint is below a stricter threshold', await strict.detect(customDomain, pageWith({ greenhouse: 1 })) === null);
+
+    const broken = { evaluate: async () => { throw new Error('Target closed'); } };
+    const fallback = await registry.detect('https://jobs.lever.co/globex/1', broken);
+    check('a page that cannot be read falls back to the URL', fallback && fallback.id === 'lever' && fallback.matchedBy.join() === 'url');
+    check('no evidence, no platform', await registry.detect(customDomain, pageWith({})) === null);
+}
+
+function testRegistration(registry) {
+    console.log('\n🗂️ Registration');
+
+    check(`the default registry (${registry.list().map(adapter => adapter.id).join(', ')})`,
+        ['workday', 'linkedin', 'greenhouse', 'lever', 'bamboohr'].every(id => registry.get(id)));
+
+    let error = null;
+    try {
+        new PlatformRegistry().register({ id: 'ashby' });
+    } catch (caught) {
+        error = caught;
+    }
+    check('an adapter without apply() is refused', !!error);
+
+    const custom = new PlatformRegistry().register({ id: 'ashby', urlPatterns: [/ashbyhq\.com/], apply: async () => ({ success: true }) });
+    check('a plain adapter is detected by URL', custom.detectFromUrl('https://jobs.ashbyhq.com/acme/1').name === 'ashby');
+}
+
+async function testPlatformRegistry() {
+    console.log('🧭 TESTING PLATFORM REGISTRY...');
+
+    try {
+        const registry = PlatformRegistry.createDefault();
+        testUrls(registry);
+        await testDom(registry);
+        testRegistration(registry);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Platform detection works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testPlatformRegistry();
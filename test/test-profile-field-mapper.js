@@ -0,0 +1,88 @@
+const ProfileFieldMapper = require('../src/forms/ProfileFieldMapper');
+
+// Offline: a sample profile with one template placeholder left in, and descriptors as a page would give them
+const PROFILE = {
+    personal: {
+        firstName: 'Jordan',
+        lastName: 'Lee',
+        email: 'jordan.lee@example.com',
+        phone: '[YOUR_PHONE]',
+        linkedinUrl: 'https://www.linkedin.com/in/jordanlee',
+        location: 'Austin, TX'
+    },
+    professional: {
+        salaryExpectation: '150000',
+        availability: '2 weeks'
+    }
+};
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testResolve(mapper) {
+    console.log('\n👤 Profile values');
+
+    const expected = {
+        first_name: 'Jordan',
+        full_name: 'Jordan Lee',
+        city: 'Austin',
+        location: 'Austin, TX',
+        notice_period: '2 weeks',
+        start_date: '2 weeks'
+    };
+    for (const [field, value] of Object.entries(expected)) {
+        check(`${field} → ${mapper.value(field)}`, mapper.value(field) === value);
+    }
+
+    const phone = mapper.resolve('phone');
+    check(`a placeholder is never typed into a form (${phone.reason})`, !phone.mapped && /placeholder/.test(phone.reason));
+    check(`a missing value is reported (${mapper.resolve('github_url').reason})`, mapper.resolve('github_url').reason === 'missing from profile');
+    check('other fields are not profile fields', mapper.resolve('cover_letter').reason === 'not a profile field');
+
+    const { values, unmapped } = mapper.resolveAll();
+    check(`resolveAll splits filled and unfilled (${Object.keys(values).length} / ${unmapped.length})`,
+        values.email === 'jordan.lee@example.com' && unmapped.some(item => item.field === 'phone'));
+}
+
+function testMapFields(mapper) {
+    console.log('\n🗺️ Form fields');
+
+    const descriptors = [
+        { index: 0, selector: '#first', tag: 'input', type: 'text', label: 'First Name' },
+        { index: 1, selector: '#email', tag: 'input', type: 'email', name: 'applicant_email' },
+        { index: 2, selector: '#phone', tag: 'input', type: 'tel', label: 'Phone', required: true },
+        { index: 3, selector: '#city', tag: 'input', type: 'text', surroundingText: 'City' },
+        { index: 4, selector: '#why', tag: 'textarea', label: 'Why do you want to work here?' }
+    ];
+    const { assignments, unmapped, unrecognized } = mapper.mapFields(descriptors);
+
+    check(`labelled fields are filled (${assignments.map(item => `${item.field}=${item.value}`).join(', ')})`,
+        assignments.length === 2 && assignments[0].selector === '#first' && assignments[1].value === 'jordan.lee@example.com');
+    check('a required field with a placeholder value is reported', unmapped.length === 1 && unmapped[0].field === 'phone' && unmapped[0].required);
+    check('a guess from nearby text alone is left alone', unrecognized.some(descriptor => descriptor.selector === '#city'));
+    check('free-text questions are left for the AI', unrecognized.some(descriptor => descriptor.selector === '#why'));
+}
+
+function testProfileFieldMapper() {
+    console.log('🗺️ TESTING PROFILE FIELD MAPPER...');
+
+    try {
+        const mapper = new ProfileFieldMapper(PROFILE);
+        testResolve(mapper);
+        testMapFields(mapper);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Profile field mapping works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testProfileFieldMapper();
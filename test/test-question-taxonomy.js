@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuestionTaxonomy = require('../src/ai/QuestionTaxonomy');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+
+// Offline: pattern matching only, plus the stub provider for the routing checks
+const EXPECTED = [
+    ['Why do you want to work at Stripe?', 'motivation'],
+    ['What interests you about this role?', 'motivation'],
+    ['How many years of experience do you have with Kafka?', 'years_with_technology', 'Kafka'],
+    ['Years of experience with Node.js (required)', 'years_with_technology', 'Node.js'],
+    ['How many years of Python experience do you have?', 'years_with_technology', 'Python'],
+    ['What are your salary expectations?', 'salary'],
+    ['Desired compensation', 'salary'],
+    ['Are you willing to relocate to Austin, TX?', 'relocation'],
+    ['When can you start?', 'start_date'],
+    ['What is your notice period?', 'start_date'],
+    ['Will you now or in the future require visa sponsorship?', 'sponsorship'],
+    ['How did you hear about this position?', 'referral_source'],
+    ['Please share your GitHub profile', 'links'],
+    ['Portfolio or personal website', 'links'],
+    ['Cover letter', 'cover_letter'],
+    ['Tell me about a time you disagreed with a teammate', 'behavioral'],
+    ['Describe a challenge you overcame at work', 'behavioral'],
+    ['Explain the difference between a process and a thread', 'technical'],
+    ['How would you design a rate limiter?', 'technical'],
+    ['Where do you see yourself in five years?', 'goals'],
+    ['Which technologies are you most proficient in?', 'skills'],
+    ['Describe your experience building APIs', 'experience'],
+    ['Anything else we should know?', 'general']
+];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testClassification() {
+    console.log('\n🗂️ Classification');
+    const taxonomy = new QuestionTaxonomy();
+
+    EXPECTED.forEach(([question, type, technology]) => {
+        const result = taxonomy.classify(question);
+        const technologyMatches = technology === undefined || result.technology === technology;
+        check(`${question} → ${result.type}${result.technology ? ` (${result.technology})` : ''}`,
+            result.type === type && technologyMatches);
+    });
+
+    const types = new Set(EXPECTED.map(([, type]) => type));
+    check('every taxonomy type is covered', QuestionTaxonomy.TYPES.filter(type => type !== 'eeo').every(type => types.has(type)));
+}
+
+async function testRouting() {
+    console.log('\n🗂️ Routing');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-taxonomy-'));
+    const profile = {
+        personal: { linkedinUrl: 'https://www.linkedin.com/in/jane', githubUrl: 'https://github.com/[YOUR_GITHUB_ID]' },
+        professional: {
+            salaryExpectation: '$120,000',
+            availability: '2 weeks notice',
+            willingToRelocate: false,
+            referralSource: 'Referral from a friend',
+            skills: ['Java', 'Apache Kafka'],
+            workHistory: [{ startDate: '[YYYY-MM]' }]
+        }
+    };
+
+    try {
+        const answerer = new AIQuestionAnswerer({
+            provider: 'stub',
+            profile,
+            learningDatabase: path.join(tempDir, 'ai_learning.json'),
+            costTracker: new CostTracker({ ledgerFile: path.join(tempDir, 'llm_usage.json') }),
+            reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, 'review_queue.json') })
+        });
+        const stub = answerer.getProvider('stub');
+        const jobContext = { title: 'Backend Engineer', company: 'Acme' };
+
+        const salary = await answerer.generateResponse('What are your salary expectations?', jobContext);
+        check(`salary comes from the profile (${salary.answer})`, salary.source === 'profile' && salary.answer === '$120,000');
+
+        const relocation = await answerer.generateResponse('Are you willing to relocate?', jobContext);
+        check(`relocation comes from the profile (${relocation.answer})`, relocation.source === 'profile' && relocation.answer === 'No');
+
+        const github = await answerer.generateResponse('Please share your GitHub profile', jobContext);
+        check('placeholder links are left for review', github.source === 'profile' && github.answer === null && github.skipped);
+
+        const years = await answerer.generateResponse('How many years of experience do you have with Kafka?', jobContext);
+        check('unknown years are left for review, not generated', years.source === 'profile' && years.answer === null);
+
+        check('no profile question reached the LLM', stub.calls.length === 0);
+
+        const motivation = await answerer.generateResponse('Why do you want to work at Acme?', jobContext);
+        check(`motivation is generated with its own category (${motivation.learning_data.question_type})`,
+            motivation.source === 'generation' && motivation.learning_data.question_type === 'motivation' &&
+            stub.calls.length === 1 && stub.calls[0].prompt.includes('Be specific to this company'));
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+async function testQuestionTaxonomy() {
+    console.log('🗂️ TESTING QUESTION TAXONOMY...');
+
+    try {
+        testClassification();
+        await testRouting();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Question taxonomy works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testQuestionTaxonomy();
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIConfig = require('../Config/ai-config');
+const AIQuestionAnswerer = require('../src/ai/AIQuestionAnswerer');
+const CostTracker = require('../src/ai/CostTracker');
+const ReviewQueue = require('../src/ai/ReviewQueue');
+const app = require('../dashboard/server');
+
+// Offline: the stub provider answers, every file lives in a temp directory, and the dashboard listens on a free local port
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-queue-'));
+const JOB = { id: 'job-1', url: 'https://boards.greenhouse.io/acme/jobs/101', title: 'Backend Engineer', company: 'Acme', platform: 'greenhouse' };
+const QUESTIONS = {
+    approve: 'Describe a backend project you are proud of',
+    edit: 'How would you speed up a slow API endpoint?',
+    reject: 'Tell us about a time you disagreed with a teammate'
+};
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// A threshold no generated answer reaches, so every one is queued
+function createAnswerer(name) {
+    const config = { ...AIConfig, review: { ...AIConfig.review, threshold: 0.95, selfEvaluation: false } };
+    const learningDatabase = path.join(tempDir, `${name}-learning.json`);
+    const answerer = new AIQuestionAnswerer({
+        provider: 'stub',
+        config,
+        learningDatabase,
+        costTracker: new CostTracker({ ledgerFile: path.join(tempDir, `${name}-ledger.json`), budget: { dailyUSD: 0, monthlyUSD: 0 } }),
+        reviewQueue: new ReviewQueue({ queueFile: path.join(tempDir, `${name}-review.json`) })
+    });
+    answerer.reviewQueue.answerMemory = answerer.answerMemory;
+    return answerer;
+}
+
+function testQueue() {
+    console.log('\n📥 Queue');
+
+    const queue = new ReviewQueue({ queueFile: path.join(tempDir, 'queue.json') });
+    const item = queue.enqueue({ job: JOB, question: 'Why Acme?', answer: 'Payments.', confidence: 0.4, source: 'generation' });
+    const again = queue.enqueue({ job: { ...JOB, id: 'job-7' }, question: '  why ACME? ', answer: 'Something else.', confidence: 0.3, source: 'generation' });
+    check('the same question on the same posting is queued once', again.id === item.id && queue.list().length === 1);
+    check('pending items are found by job', queue.pendingFor(JOB).length === 1 && queue.pendingFor({ ...JOB, title: 'Data Engineer' }).length === 0);
+
+    check('an empty edit is refused', !queue.edit(item.id, '   ').success && queue.get(item.id).status === 'pending');
+    check('an unknown id is refused', /No review item/.test(queue.approve('review_missing').error));
+    check('an unknown status is refused', /Unknown review status/.test(queue.resolve(item.id, 'pending', null).error));
+
+    const edited = queue.edit(item.id, '  I like their payments API.  ');
+    check('an edit keeps the trimmed answer', edited.success && edited.item.status === 'edited' && edited.item.finalAnswer === 'I like their payments API.' &&
+        !!edited.item.resolvedAt);
+    check('a decided item cannot be decided again', /already edited/.test(queue.reject(item.id).error));
+    check(`the decision is found for the job (${queue.resolutionFor({ ...JOB, id: 'job-9' }, 'Why Acme?').status})`,
+        queue.resolutionFor({ ...JOB, id: 'job-9' }, 'Why Acme?').answer === 'I like their payments API.' && queue.pendingItemFor(JOB, 'Why Acme?') === null);
+}
+
+async function request(base, method, url, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function testReviewFlow(base) {
+    console.log('\n🧑‍⚖️ Review on the dashboard, then the next attempt');
+
+    const answerer = createAnswerer('flow');
+    app.locals.createReviewQueue = () => new ReviewQueue({ queueFile: answerer.reviewQueue.queueFile, answerMemory: answerer.answerMemory });
+
+    const queued = {};
+    for (const [action, question] of Object.entries(QUESTIONS)) {
+        queued[action] = await answerer.generateResponse(question, JOB);
+    }
+    check('uncertain answers wait for review', Object.values(queued).every(response => response.needs_review && response.review_id));
+
+    const calls = answerer.getProvider('stub').calls.length;
+    const waiting = await answerer.generateResponse(QUESTIONS.approve, JOB);
+    check('asking again while it waits reuses the queued answer', waiting.needs_review && waiting.review_id === queued.approve.review_id &&
+        answerer.getProvider('stub').calls.length === calls);
+
+    const pending = await request(base, 'GET', '/api/review-queue?status=pending');
+    check(`the dashboard lists the pending answers (${pending.body.length})`, pending.status === 200 && pending.body.length === 3);
+
+    const approved = await request(base, 'POST', `/api/review-queue/${queued.approve.review_id}/approve`);
+    const edited = await request(base, 'POST', `/api/review-queue/${queued.edit.review_id}/edit`, { answer: 'I would profile it and add an index.' });
+    const rejected = await request(base, 'POST', `/api/review-queue/${queued.reject.review_id}/reject`);
+    check('approve, edit and reject succeed', [approved, edited, rejected].every(response => response.status === 200 && response.body.success));
+
+    const emptyEdit = await request(base, 'POST', `/api/review-queue/${queued.edit.review_id}/edit`, { answer: '' });
+    const twice = await request(base, 'POST', `/api/review-queue/${queued.approve.review_id}/reject`);
+    check(`bad requests get a 400 (${twice.body.error})`, emptyEdit.status === 400 && twice.status === 400 && !twice.body.success);
+    check('nothing is pending any more', (await request(base, 'GET', '/api/review-queue?status=pending')).body.length === 0);
+
+    const next = {};
+    for (const [action, question] of Object.entries(QUESTIONS)) {
+        next[action] = await answerer.generateResponse(question, { ...JOB, id: 'job-1-retry' });
+    }
+    check('the approved answer is used as it was', next.approve.source === 'review' && next.approve.answer === queued.approve.answer &&
+        !next.approve.needs_review && next.approve.confidence === 1);
+    check('the edited answer replaces the generated one', next.edit.source === 'review' && next.edit.answer === 'I would profile it and add an index.' &&
+        !next.edit.needs_review);
+    check('a rejected question is left unanswered', next.reject.source === 'review' && next.reject.answer === null && next.reject.skipped);
+    check('the next attempt does not call the LLM', answerer.getProvider('stub').calls.length === calls);
+
+    const stored = answerer.answerMemory.readLearningData().qa_pairs;
+    const memoryOf = (response) => stored.find(pair => pair.id === response.memory_id);
+    check('the decisions reach the stored Q&A pairs', memoryOf(queued.approve).status === 'approved' &&
+        memoryOf(queued.edit).answer === 'I would profile it and add an index.' && memoryOf(queued.reject).status === 'rejected');
+
+    const otherJob = await answerer.generateResponse(QUESTIONS.reject, { ...JOB, id: 'job-2', title: 'Data Engineer' });
+    check(`another job does not inherit the decision (${otherJob.source})`, otherJob.source !== 'review');
+}
+
+async function testReviewQueue() {
+    console.log('🧑‍⚖️ TESTING REVIEW QUEUE...');
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+        testQueue();
+        await testReviewFlow(`http://127.0.0.1:${server.address().port}`);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 The review queue works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testReviewQueue();
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunScheduler = require('../src/automation/RunScheduler');
+
+// Offline: ticks are called by hand and the state file lives in a temp directory
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-scheduler-'));
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+async function testScheduler() {
+    let finishRun;
+    let runs = 0;
+    const scheduler = new RunScheduler({
+        cronExpression: '0 9 * * 1-5',
+        stateFile: path.join(tempDir, 'scheduler_state.json'),
+        runTask: () => new Promise(resolve => {
+            runs++;
+            finishRun = () => resolve({ runId: 'run-1', dryRun: true, discovered: 3, submitted: 1, failed: 0, skipped: 2, jobs: [] });
+        })
+    });
+
+    check('a new scheduler is stopped', scheduler.getStatus().status === 'stopped' && !scheduler.getStatus().isRunInProgress);
+
+    const started = scheduler.start();
+    check(`start schedules the next run (${started.status.nextRunAt})`, started.success && started.status.status === 'scheduled' && !!started.status.nextRunAt);
+
+    const tick = scheduler.tick();
+    check('a run in progress shows in the status', scheduler.getStatus().isRunInProgress && scheduler.getStatus().lastRunStatus === 'running');
+
+    await scheduler.tick();
+    check(`an overlapping tick is skipped (${scheduler.getStatus().lastSkipReason})`, runs === 1 && /in progress/.test(scheduler.getStatus().lastSkipReason));
+
+    finishRun();
+    await tick;
+    const finished = scheduler.getStatus();
+    check('the finished run is summarized', !finished.isRunInProgress && finished.lastRunStatus === 'completed' &&
+        finished.lastRunSummary.submitted === 1 && !('jobs' in finished.lastRunSummary));
+
+    scheduler.pause();
+    await scheduler.tick();
+    check('a paused scheduler skips ticks', runs === 1 && scheduler.getStatus().status === 'paused' && /paused/.test(scheduler.getStatus().lastSkipReason));
+
+    check('resume schedules again', scheduler.resume().status.status === 'scheduled');
+    const stopped = scheduler.stop();
+    check('stop clears the next run', stopped.status.status === 'stopped' && stopped.status.nextRunAt === null);
+
+    const restarted = new RunScheduler({ cronExpression: '0 9 * * 1-5', stateFile: path.join(tempDir, 'scheduler_state.json'), runTask: () => null });
+    check('the last run survives a restart, the status does not', restarted.getStatus().lastRunStatus === 'completed' && restarted.getStatus().status === 'stopped');
+
+    const invalid = new RunScheduler({ cronExpression: 'every morning', stateFile: path.join(tempDir, 'invalid.json'), runTask: () => null }).start();
+    check('an invalid cron expression fails to start', !invalid.success);
+}
+
+async function testRunScheduler() {
+    console.log('⏰ TESTING RUN SCHEDULER...\n');
+
+    try {
+        await testScheduler();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 Run scheduling works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testRunScheduler();
@@ -0,0 +1,86 @@
+const SkillsResolver = require('../src/forms/SkillsResolver');
+
+// Offline: the resolver only needs a profile
+const profile = {
+    professional: {
+        skillsMatrix: [
+            { name: 'JavaScript', years: 6, lastUsed: 'current', proficiency: 'expert' },
+            { name: 'PostgreSQL', years: '4', lastUsed: '2024', proficiency: 'advanced' },
+            { name: 'Apache Kafka', years: 2.5 },
+            { name: 'Spring Boot', aliases: ['Spring'], years: 3 },
+            { name: 'Java', years: 7 },
+            { name: 'Go', years: '[YEARS]' }
+        ]
+    }
+};
+
+const BUCKETS = ['Select...', 'None', 'Less than 1 year', '1-3 years', '3-5 years', '5+ years'];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testTextAnswers(resolver) {
+    console.log('\n🧮 Text and number inputs');
+
+    [
+        ['How many years of experience do you have with JS?', '6'],
+        ['Years of experience with Postgres (required)', '4'],
+        ['How many years of Kafka experience do you have?', '2.5'],
+        ['Years of experience with Java and Spring Boot', '3'],
+        ['Years of experience with Golang', null],
+        ['Years of experience with Rust', null]
+    ].forEach(([question, expected]) => {
+        const result = resolver.answer(question, { type: 'number' });
+        check(`${question} → ${result.answer}`, result.handled && result.answer === expected);
+    });
+
+    check('other questions are not handled', resolver.answer('Why do you want to work here?').handled === false);
+}
+
+function testBuckets(resolver) {
+    console.log('\n🧮 Dropdown buckets');
+
+    [
+        [0, 'None'],
+        [0.5, 'Less than 1 year'],
+        [2.5, '1-3 years'],
+        [3, '3-5 years'],
+        [12, '5+ years']
+    ].forEach(([years, expected]) => {
+        const chosen = BUCKETS[resolver.chooseBucket(BUCKETS, years)];
+        check(`${years} years → ${chosen}`, chosen === expected);
+    });
+
+    const singles = ['1', '2', '3', '4', '5', '10+'];
+    check('between two buckets the lower one is chosen', singles[resolver.chooseBucket(singles, 7)] === '5');
+
+    const select = resolver.answer('Years of experience with Node', { type: 'select', options: BUCKETS });
+    check('unknown skills leave the dropdown alone', select.answer === null && select.optionIndex === -1);
+
+    const kafka = resolver.answer('Years of experience with Kafka', { type: 'select', options: BUCKETS });
+    check(`select answers pick the bucket (${kafka.answer})`, kafka.optionIndex === 3);
+}
+
+function testSkillsResolver() {
+    console.log('🧮 TESTING SKILLS RESOLVER...');
+
+    try {
+        const resolver = new SkillsResolver(profile);
+        testTextAnswers(resolver);
+        testBuckets(resolver);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Skills resolver works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testSkillsResolver();
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const MailboxReader = require('../src/email/MailboxReader');
+const WorkdayAutomator = require('../src/platforms/WorkdayAutomator');
+const VerificationCodeRetriever = require('../src/email/VerificationCodeRetriever');
+
+// Offline: .eml fixtures stand in for the IMAP server; the Initech Workday email "arrives" on the second poll
+// and another Workday tenant's a minute later
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/emails');
+const ACCOUNT_CREATED_AT = '2026-02-06T11:04:00Z';
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// MailboxReader whose inbox grows by one fixture per poll
+function deliveringMailbox(files) {
+    const mailbox = new MailboxReader({ user: 'candidate@example.com', password: 'unused' });
+    mailbox.polls = 0;
+    mailbox.fetchRaw = async () => {
+        mailbox.polls++;
+        return files.slice(0, mailbox.polls).map(file => fs.readFileSync(path.join(FIXTURES_DIR, file)));
+    };
+    return mailbox;
+}
+
+async function testRetrieval() {
+    console.log('\n🔑 Codes and links');
+
+    const mailbox = deliveringMailbox(['job-digest.eml', 'workday-verification.eml', 'globex-workday-verification.eml', 'greenhouse-magic-link.eml']);
+    const retriever = new VerificationCodeRetriever({ mailbox, pollIntervalMs: 10, timeoutMs: 1000 });
+
+    const workday = await retriever.retrieve({ from: 'workday', about: ['initech', 'Initech, Inc.'], since: ACCOUNT_CREATED_AT });
+    check(`Workday code after ${mailbox.polls} polls (${workday.code})`, workday.success && workday.code === '482913' && mailbox.polls === 2);
+
+    const otherTenant = await retriever.retrieve({ from: 'workday', about: ['initech'], since: ACCOUNT_CREATED_AT });
+    check(`another tenant's newer email is passed over (${otherTenant.code})`, otherTenant.success && otherTenant.code === '482913' && mailbox.polls === 3);
+    const globex = await retriever.retrieve({ from: 'workday', about: ['Globex Corporation'], since: ACCOUNT_CREATED_AT });
+    check(`the company name in the sender picks its tenant (${globex.code})`, globex.success && globex.code === '731540');
+    const unknownTenant = await retriever.retrieve({ from: 'workday', about: ['hooli'], since: ACCOUNT_CREATED_AT, timeoutMs: 50 });
+    check('no email for an unknown tenant', !unknownTenant.success);
+
+    const greenhouse = await retriever.retrieve({ from: 'greenhouse', since: ACCOUNT_CREATED_AT });
+    check(`magic link, not the unsubscribe link (${greenhouse.link})`,
+        greenhouse.success && !greenhouse.code && greenhouse.link === 'https://my.greenhouse.io/users/sign_in/magic?token=4f9c2a7e&redirect=%2Fapplications');
+
+    const stale = await retriever.retrieve({ from: 'workday', since: '2026-02-06T12:00:00Z', timeoutMs: 50 });
+    check(`emails from before the window are ignored (${stale.error})`, !stale.success);
+
+    const bySubject = await retriever.retrieve({ subject: 'verify your email', since: ACCOUNT_CREATED_AT });
+    check('a subject hint alone finds the newest email', bySubject.success && bySubject.code === '731540');
+
+    check('the tenant comes from the posting URL', WorkdayAutomator.tenantFromUrl('https://initech.wd5.myworkdayjobs.com/en-US/careers/job/Remote/Platform-Engineer_R1234') === 'initech' &&
+        WorkdayAutomator.tenantFromUrl('https://wd3.myworkdaysite.com/en-US/recruiting/globex/External') === 'globex' &&
+        WorkdayAutomator.tenantFromUrl('https://boards.greenhouse.io/acme/jobs/1') === null);
+
+    const noCredentials = await new VerificationCodeRetriever({ mailbox: new MailboxReader({ user: '[YOUR_EMAIL]@gmail.com' }) }).retrieve();
+    check('missing credentials fail at once', !noCredentials.success);
+}
+
+async function testVerificationCode() {
+    console.log('🔑 TESTING VERIFICATION CODE RETRIEVAL...');
+
+    try {
+        await testRetrieval();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Verification code retrieval works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testVerificationCode();
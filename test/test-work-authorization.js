@@ -0,0 +1,79 @@
+const WorkAuthorizationPolicy = require('../src/forms/WorkAuthorizationPolicy');
+
+// Offline: the policy only needs a profile - authorized to work, sponsorship needed for H-1B
+const profile = {
+    professional: {
+        workEligibility: {
+            authorizedToWork: true,
+            requiresSponsorship: true,
+            citizenOrPermanentResident: false,
+            visaStatus: 'F-1 OPT'
+        }
+    }
+};
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+function testQuestions(policy) {
+    console.log('\n🛂 Questions');
+
+    [
+        ['Are you legally authorized to work in the United States?', 'authorized_to_work', true],
+        ['Will you now or in the future require sponsorship for employment visa status (e.g. H-1B)?', 'requires_sponsorship', true],
+        ['Are you authorized to work in the US without the need for employer sponsorship?', 'authorized_without_sponsorship', false],
+        ['Are you a U.S. citizen or permanent resident?', 'citizen_or_permanent_resident', false],
+        ['What is your current visa status?', 'visa_status', 'F-1 OPT'],
+        ['Do you hold an H1B?', 'visa_status', 'F-1 OPT'],
+        ['Our company does not sponsor visas. Are you authorized to work in the US?', 'authorized_to_work', true],
+        ['Why do you want to work here?', null, undefined]
+    ].forEach(([question, kind, value]) => {
+        const result = policy.answer(question);
+        check(`${question} → ${result.kind || 'not a policy question'}${result.handled ? ` = ${result.value}` : ''}`,
+            kind === null ? !result.handled : result.kind === kind && result.value === value);
+    });
+}
+
+function testOptions(policy) {
+    console.log('\n🛂 Options');
+
+    [
+        ['Are you legally authorized to work in the United States?', ['Select...', 'No', 'Yes'], 'Yes'],
+        ['Are you legally authorized to work in the United States?',
+            ['I am not authorized to work in the US', 'I am authorized to work in the US'], 'I am authorized to work in the US'],
+        ['Will you require sponsorship?', ['I will not require sponsorship', 'I will require sponsorship'], 'I will require sponsorship'],
+        ['Will you require sponsorship?', ["I don't need sponsorship", 'I need sponsorship now or in the future'], 'I need sponsorship now or in the future'],
+        ['Are you a U.S. citizen or permanent resident?', ['I am a U.S. citizen', 'I am not a citizen or permanent resident'], 'I am not a citizen or permanent resident'],
+        ['Are you authorized to work in the US without the need for employer sponsorship?',
+            ['Yes, I do not need sponsorship', 'No, I will need sponsorship'], 'No, I will need sponsorship'],
+        ['Will you require sponsorship?', ['Maybe', 'Prefer not to say'], null],
+        ['Do you hold an H1B?', ['Yes', 'No'], null]
+    ].forEach(([question, options, expected]) => {
+        const result = policy.answer(question, { type: 'select', options });
+        check(`${options.join(' / ')} → ${result.answer}`, result.answer === expected);
+    });
+}
+
+function testWorkAuthorization() {
+    console.log('🛂 TESTING WORK AUTHORIZATION POLICY...');
+
+    try {
+        const policy = new WorkAuthorizationPolicy(profile);
+        testQuestions(policy);
+        testOptions(policy);
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Work authorization policy works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testWorkAuthorization();
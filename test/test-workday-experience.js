@@ -0,0 +1,109 @@
+const WorkdayExperienceFiller = require('../src/platforms/WorkdayExperienceFiller');
+
+// Offline: a page stand-in records what is typed where; adding blocks and the listbox pickers are stubbed
+const PROFILE = {
+    professional: {
+        workHistory: [
+            { title: 'Senior Engineer', company: 'Acme', location: 'Remote', description: 'Payments platform', startDate: '2022-3', endDate: '' },
+            { title: 'Engineer', company: '[COMPANY]', location: 'Austin, TX', description: 'Internal tools', startDate: '2019-06', endDate: '2022-02' }
+        ],
+        skills: ['Go']
+    },
+    education: [
+        { school: 'State University', degree: '[DEGREE]', fieldOfStudy: 'Computer Science', startYear: '2015', endYear: '2019' }
+    ]
+};
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// typed: [{ selector, value }] for every fill, keystroke and checkbox click
+function recordingFiller() {
+    const typed = [];
+    let focused = null;
+    const page = {
+        $: async (selector) => (selector.includes('formField-skills') ? null : {
+            fill: async (value) => typed.push({ selector, value }),
+            isChecked: async () => false,
+            click: async () => typed.push({ selector, value: 'checked' })
+        }),
+        click: async (selector) => { focused = selector; },
+        keyboard: { type: async (value) => typed.push({ selector: focused, value }) }
+    };
+
+    const filler = new WorkdayExperienceFiller(page, PROFILE);
+    filler.ensureBlock = async (section, number) => `[data-automation-id="${section}-${number}"]`;
+    filler.chooseDegree = async (block, degree, missing) => {
+        missing.push('degree not in profile');
+        return false;
+    };
+    filler.selectTypeahead = async () => true;
+
+    // The entry typed into a block's field, e.g. at('workExperience-2', 'endDate', 'Year')
+    const at = (block, ...parts) => typed.filter(entry => entry.selector.includes(`"${block}"`) && parts.every(part => entry.selector.includes(part)));
+    return { filler, typed, at };
+}
+
+function testDates() {
+    console.log('\n📅 Dates');
+
+    const expected = [
+        ['2022-01', { year: '2022', month: '01' }],
+        ['2022-3', { year: '2022', month: '03' }],
+        ['2019', { year: '2019', month: null }],
+        ['[START_DATE]', null],
+        ['', null],
+        ['March 2022', null]
+    ];
+    for (const [value, date] of expected) {
+        const parsed = WorkdayExperienceFiller.parseDate(value);
+        check(`"${value}" → ${JSON.stringify(parsed)}`, JSON.stringify(parsed) === JSON.stringify(date));
+    }
+}
+
+async function testWorkHistory() {
+    console.log('\n🧾 Work history and education');
+
+    const { filler, typed, at } = recordingFiller();
+    const work = await filler.fillWorkHistory();
+
+    check('one block per job', work.filled === 2);
+    check('titles go in their own block', at('workExperience-1', 'jobTitle')[0].value === 'Senior Engineer' && at('workExperience-2', 'jobTitle')[0].value === 'Engineer');
+    check('the current job is marked current and has no end date', at('workExperience-1', 'currentlyWorkHere')[0].value === 'checked' &&
+        at('workExperience-1', 'endDate').length === 0);
+    check('dates are typed as month and year', at('workExperience-1', 'startDate', 'Month')[0].value === '03' &&
+        at('workExperience-2', 'endDate', 'Month')[0].value === '02' && at('workExperience-2', 'endDate', 'Year')[0].value === '2022');
+    check(`placeholders are skipped and reported (${work.missing.join(', ')})`,
+        !typed.some(entry => entry.value === '[COMPANY]') && work.missing.includes('company not in profile'));
+
+    const education = await filler.fillEducation();
+    check(`education reports what it could not fill (${education.missing.join(', ')})`, education.filled === 1 &&
+        at('education-1', 'school')[0].value === 'State University' && at('education-1', 'lastYearAttended')[0].value === '2019' &&
+        education.missing.includes('degree not in profile'));
+
+    const skills = await filler.fillSkills();
+    check('no skills field on the page is not an error', skills.skipped === 'no skills field');
+}
+
+async function testWorkdayExperience() {
+    console.log('🧾 TESTING WORKDAY EXPERIENCE FILLER...');
+
+    try {
+        testDates();
+        await testWorkHistory();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 Workday experience filling works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testWorkdayExperience();
@@ -0,0 +1,102 @@
+const WorkdayWizardNavigator = require('../src/platforms/WorkdayWizardNavigator');
+
+// Offline: a scripted wizard stands in for the page; Save and Continue moves it one step unless a step is stuck
+const STEPS = ['My Information', 'My Experience', 'Application Questions', 'Voluntary Disclosures', 'Self Identify', 'Review'];
+
+let failures = 0;
+
+function check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+// stuck: { [label]: [errors] } keeps that step on screen with the errors; fillErrors shows them before Continue
+function scriptedWizard({ stuck = {}, fillErrors = {}, noButton = false, fillers = {}, steps = STEPS } = {}) {
+    const navigator = new WorkdayWizardNavigator({ waitForTimeout: async () => {} }, { fillers, stepTimeout: 0 });
+    let index = 0;
+    let pressed = false;
+
+    navigator.readProgress = async () => ({ steps, currentIndex: index, currentLabel: steps[index] });
+    navigator.readValidationErrors = async () => {
+        const label = steps[index];
+        return (pressed ? stuck[label] : fillErrors[label]) || [];
+    };
+    navigator.clickSaveAndContinue = async () => {
+        if (noButton) return false;
+        pressed = !!stuck[steps[index]];
+        if (!pressed) index++;
+        return true;
+    };
+    return navigator;
+}
+
+function testIdentifyStep() {
+    console.log('\n🏷️ Step names');
+
+    const expected = {
+        'My Information': 'my_information',
+        'Contact Information': 'my_information',
+        'My Experience': 'my_experience',
+        'Application Questions 1 of 2': 'application_questions',
+        'Voluntary Disclosures': 'voluntary_disclosures',
+        'Self-Identify': 'self_identify',
+        'Review': 'review',
+        'Upload Documents': 'unknown'
+    };
+    for (const [label, id] of Object.entries(expected)) {
+        check(`"${label}" → ${WorkdayWizardNavigator.identifyStep(label)}`, WorkdayWizardNavigator.identifyStep(label) === id);
+    }
+}
+
+async function testRun() {
+    console.log('\n🧭 Walking the wizard');
+
+    const filled = [];
+    const filler = (id) => async () => { filled.push(id); return { success: true }; };
+    const fillers = {
+        my_information: filler('my_information'),
+        my_experience: filler('my_experience'),
+        application_questions: filler('application_questions')
+    };
+
+    const result = await scriptedWizard({ fillers }).run({ title: 'Platform Engineer' });
+    check(`reaches Review after ${result.pages} steps`, result.success && result.reachedReview && result.pages === 5 && result.totalSteps === 6);
+    check(`each known step runs its filler once (${filled.join(', ')})`, filled.join() === 'my_information,my_experience,application_questions');
+    check('steps without a filler are passed through', result.completedSteps[3].result.skipped && result.completedSteps[4].id === 'self_identify');
+
+    const stuck = await scriptedWizard({ stuck: { 'My Experience': ['Degree is required'] } }).run({});
+    check(`a step that will not advance stops the run (${stuck.error})`, !stuck.success && stuck.currentStep.id === 'my_experience' &&
+        stuck.errors.join() === 'Degree is required' && stuck.pages === 1);
+
+    const silent = await scriptedWizard({ stuck: { 'Application Questions': [] } }).run({});
+    check('no visible error still says why', !silent.success && silent.errors.join() === 'Workday did not move to the next step');
+
+    const invalid = await scriptedWizard({ fillErrors: { 'My Information': ['Phone is invalid'] } }).run({});
+    check('errors after filling stop before pressing Continue', !invalid.success && invalid.pages === 0 && invalid.errors.join() === 'Phone is invalid');
+
+    const noButton = await scriptedWizard({ noButton: true }).run({});
+    check('a missing Continue button is reported', !noButton.success && noButton.errors.join() === 'No Save and Continue button found');
+
+    const endless = Array.from({ length: 12 }, (_, i) => `Page ${i + 1}`);
+    const circles = await scriptedWizard({ steps: endless }).run({});
+    check(`a wizard that never reaches Review is given up on (${circles.errors.join()})`, !circles.success && /Gave up after 10 steps/.test(circles.error));
+}
+
+async function testWorkdayWizard() {
+    console.log('⚙️ TESTING WORKDAY WIZARD...');
+
+    try {
+        testIdentifyStep();
+        await testRun();
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 The Workday wizard works' : `\n❌ ${failures} check(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testWorkdayWizard();